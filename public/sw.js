@@ -0,0 +1,163 @@
+// Service worker: keeps the app usable without a network connection.
+// Plain script (no imports): Vite copies public/ as-is, and it must be served
+// from the site root so it controls every page.
+//
+// Caches:
+// - SHELL_CACHE: index.html, the built scripts/styles it references and the
+//   static images, stored on install; other same-origin files as they are used
+// - TMDB_CACHE: TMDB API responses (stale-while-revalidate)
+// - SAVED_CACHE: details and posters of saved titles, written by the app
+//   (src/offline.js) so /saved and their detail pages work offline
+
+// Bump to replace the app shell cache on the next visit
+const VERSION = 'v1';
+
+const SHELL_CACHE = `shell-${VERSION}`;
+const TMDB_CACHE = 'tmdb-api';
+const SAVED_CACHE = 'saved-media-v2'; // v1 held opaque posters; removed on activate
+
+// Static files from public/ that belong to the shell
+const SHELL_FILES = [
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/logo.png',
+  '/hero.png',
+  '/hero-bg.png',
+  '/search.svg',
+  '/star.svg',
+  '/No-Poster.png',
+  '/No-Poster-1.png',
+];
+
+// Most TMDB responses kept; the oldest are dropped beyond this
+const MAX_TMDB_ENTRIES = 300;
+
+// Query parameters that follow the UI language (same list as src/offline.js)
+const LOCALE_PARAMS = ['language', 'region', 'include_video_language'];
+
+const TMDB_API_ORIGIN = 'https://api.themoviedb.org';
+const TMDB_IMAGE_ORIGIN = 'https://image.tmdb.org';
+
+// Stores index.html plus every local script and stylesheet it links to
+// (Vite's hashed bundles), so the app starts without a network
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch('/', { cache: 'no-cache' });
+  const html = await response.clone().text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/[^"]+)"/g)].map((match) => match[1]);
+
+  await cache.put('/', response);
+  await cache.addAll([...new Set([...SHELL_FILES, ...assets])]);
+};
+
+// Deletes the oldest entries of a cache beyond `max`
+const trimCache = async (cacheName, max) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((key) => cache.delete(key)));
+};
+
+// Answers from the first cache that has the request (TMDB responses differ
+// only by URL, so Vary headers are ignored)
+const matchIn = async (cacheNames, request) => {
+  for (const name of cacheNames) {
+    const cache = await caches.open(name);
+    const response = await cache.match(request, { ignoreVary: true });
+    if (response) return response;
+  }
+  return undefined;
+};
+
+// Stale-while-revalidate: answer from the cache right away when possible and
+// refresh the stored copy from the network in the background. Without a
+// cached copy, waits for the network (which fails as usual when offline).
+const staleWhileRevalidate = async (event, cacheName, lookIn = [cacheName]) => {
+  const { request } = event;
+  const cached = await matchIn(lookIn, request);
+
+  const refresh = fetch(request).then(async (response) => {
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+      if (cacheName === TMDB_CACHE) await trimCache(TMDB_CACHE, MAX_TMDB_ENTRIES);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {})); // Offline: the cached copy stays
+    return cached;
+  }
+  return refresh;
+};
+
+// Page loads: the network, falling back to the cached index.html (the router
+// renders every route from it)
+const networkFirstPage = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const shell = await matchIn([SHELL_CACHE], '/');
+    if (shell) return shell;
+    throw error;
+  }
+};
+
+// The URL without LOCALE_PARAMS: the same request in any language
+const withoutLocale = (url) => {
+  const parsed = new URL(url);
+  LOCALE_PARAMS.forEach((name) => parsed.searchParams.delete(name));
+  return parsed.href;
+};
+
+// TMDB requests: stale-while-revalidate over both caches. Offline without a copy
+// of this exact URL, a saved title's details stored in another language (before
+// the UI language was switched) are used rather than failing.
+const tmdbResponse = async (event) => {
+  try {
+    return await staleWhileRevalidate(event, TMDB_CACHE, [TMDB_CACHE, SAVED_CACHE]);
+  } catch (error) {
+    const cache = await caches.open(SAVED_CACHE);
+    const wanted = withoutLocale(event.request.url);
+    const key = (await cache.keys()).find((request) => withoutLocale(request.url) === wanted);
+    const saved = key && (await cache.match(key, { ignoreVary: true }));
+    if (saved) return saved;
+    throw error;
+  }
+};
+
+// Posters: the stored copy of a saved title's poster, otherwise the network
+const savedFirst = async (request) => (await matchIn([SAVED_CACHE], request)) || fetch(request);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+// Remove shell caches of earlier versions and take over open pages right away
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, TMDB_CACHE, SAVED_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => !keep.includes(name)).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return; // Appwrite writes and the like go straight through
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.origin === TMDB_API_ORIGIN) {
+    event.respondWith(tmdbResponse(event));
+  } else if (url.origin === TMDB_IMAGE_ORIGIN) {
+    event.respondWith(savedFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  }
+  // Anything else (Appwrite, YouTube, ...) is left to the browser
+});
@@ -6,28 +6,102 @@ import { Routes, Route } from 'react-router-dom';
 // Import the components/pages rendered for specific routes
 import Home from './Home.jsx'; // Main landing page (search, trending, results, etc.)
 import MovieDetail from './components/MovieDetail.jsx'; // Individual movie page based on movie ID
+import TvDetail from './components/TvDetail.jsx'; // Series page with seasons and episodes
+import PersonDetail from './components/PersonDetail.jsx'; // Actor/director page with biography and filmography
+import CollectionDetail from './components/CollectionDetail.jsx'; // Film series with every entry in release order
+import SavedMovies from './components/SavedMovies.jsx'; // Saved movies list with search, sort and genre filter
+import Lists from './components/Lists.jsx'; // Overview of named watchlists
+import ListDetail from './components/ListDetail.jsx'; // One watchlist, reorderable
+import ImportExport from './components/ImportExport.jsx'; // Backup/restore and imports from other sites
+import Account from './components/Account.jsx'; // Sign in/up; saved movies sync across devices while signed in
+import OfflineBanner from './components/OfflineBanner.jsx'; // Shown on every page while the network is down
+import StorageLockedBanner from './components/StorageLockedBanner.jsx'; // Saved data from a newer version: asks to reload
+import CompareView from './components/CompareView.jsx'; // Two to four movies side by side (?ids=...)
+import CompareTray from './components/CompareTray.jsx'; // Movies picked for comparison, pinned to the bottom
+import Upcoming from './components/Upcoming.jsx'; // Release calendar for a country, followed movies and .ics export
+import Stats from './components/Stats.jsx'; // Charts of the saved (or watched) titles
+import PickForMe from './components/PickForMe.jsx'; // Random pick from the saved list or TMDB
+
+// Current UI language; pages are remounted when it changes so they refetch TMDB data in it
+import { useI18n } from './components/I18nContext.jsx';
 
 // Define the main App component
 const App = () => {
+  const { locale } = useI18n();
+
   return (
-    // Routes is the wrapper that contains all route definitions.
-    <Routes>
-      {/* 
-        First route:
-        - path="/" matches the root of the URL
-        - element={<Home />} renders the Home component when URL is just "/"
-      */}
-      <Route path="/" element={<Home />} />
-
-      {/* 
-        Second route:
-        - path="/movie/:id" uses a dynamic route parameter called 'id'
-        - e.g., /movie/123 or /movie/abcde
-        - :id is a placeholder that can be accessed via useParams() in MovieDetail
-        - element={<MovieDetail />} renders the MovieDetail component for that ID
-      */}
-      <Route path="/movie/:id" element={<MovieDetail />} />
-    </Routes>
+    <>
+      {/* Offline notice above whichever page is showing */}
+      <OfflineBanner />
+
+      {/* Saved movies stored by a newer version of the app in another tab */}
+      <StorageLockedBanner />
+
+      {/* Routes is the wrapper that contains all route definitions.
+          key={locale}: switching language remounts the current page, which then
+          loads its TMDB data again in the new language. */}
+      <Routes key={locale}>
+        {/* 
+          First route:
+          - path="/" matches the root of the URL
+          - element={<Home />} renders the Home component when URL is just "/"
+        */}
+        <Route path="/" element={<Home />} />
+
+        {/* 
+          Second route:
+          - path="/movie/:id" uses a dynamic route parameter called 'id'
+          - e.g., /movie/123 or /movie/abcde
+          - :id is a placeholder that can be accessed via useParams() in MovieDetail
+          - element={<MovieDetail />} renders the MovieDetail component for that ID
+        */}
+        <Route path="/movie/:id" element={<MovieDetail />} />
+
+        {/* TV series: /tv/:id (optionally ?season=N), the series counterpart of /movie/:id */}
+        <Route path="/tv/:id" element={<TvDetail />} />
+
+        {/* People (cast and crew): /person/:id, linked from the movie page and search */}
+        <Route path="/person/:id" element={<PersonDetail />} />
+
+        {/* Film series (TMDB collections): /collection/:id, linked from the movie page */}
+        <Route path="/collection/:id" element={<CollectionDetail />} />
+
+        {/* 
+          Third route:
+          - path="/saved" lists every movie saved through SavedMoviesProvider
+        */}
+        <Route path="/saved" element={<SavedMovies />} />
+
+        {/* 
+          Named watchlists:
+          - /lists shows every list
+          - /lists/:listId shows one list; :listId is read with useParams() in ListDetail
+        */}
+        <Route path="/lists" element={<Lists />} />
+        <Route path="/lists/:listId" element={<ListDetail />} />
+
+        {/* Export saved movies/lists and import them (JSON, CSV, Letterboxd, IMDb) */}
+        <Route path="/import-export" element={<ImportExport />} />
+
+        {/* Sign in, sign up or continue anonymously to sync saved movies through Appwrite */}
+        <Route path="/account" element={<Account />} />
+
+        {/* Side-by-side comparison: /compare?ids=550,680 (the URL can be shared) */}
+        <Route path="/compare" element={<CompareView />} />
+
+        {/* Coming releases as a month calendar or list: /upcoming?month=2026-11&view=list */}
+        <Route path="/upcoming" element={<Upcoming />} />
+
+        {/* Statistics of the saved titles: /stats, or /stats?scope=watched */}
+        <Route path="/stats" element={<Stats />} />
+
+        {/* "Pick for me": /pick?source=discover&genre=27&runtime=120 */}
+        <Route path="/pick" element={<PickForMe />} />
+      </Routes>
+
+      {/* Comparison tray below whichever page is showing */}
+      <CompareTray />
+    </>
   );
 };
 
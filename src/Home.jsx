@@ -4,40 +4,149 @@ import { useEffect, useState, useRef } from 'react';
 //  useEffect: runs side effects (data fetching, subscriptions) after render  
 //  useRef: holds mutable values (e.g., DOM refs) that persist across renders
 
-import { Link } from 'react-router-dom';  
-//  Link: component to navigate between routes without full page reload
+import { Link, useLocation, useNavigationType, useSearchParams } from 'react-router-dom';  
+//  Link: component to navigate between routes without full page reload  
+//  useSearchParams: reads/writes the query string (?q=...&page=...)  
+//  useLocation: current location, used to key the saved scroll position
+//  useNavigationType: 'POP' for Back/Forward, which restore the saved scroll position
 
 // Import child components
 import Search from './components/Search.jsx';  
 import Spinner from './components/Spinner.jsx';  
 import MovieCard from './components/MovieCard.jsx';  
+import VirtualGrid from './components/VirtualGrid.jsx';  
 
 // Import a debounce hook and Appwrite service functions
 import { useDebounce } from 'react-use';  
 //  useDebounce: delays updates to avoid rapid successive calls
-import { getTrendingMovies, updateSearchCount } from './appwrite.js';  
-//  getTrendingMovies: fetches top searches from backend  
+import { getTrendingMovies, updateSearchCount, normalizeQuery, TRENDING_WINDOWS, DEFAULT_TRENDING_WINDOW } from './appwrite.js';  
+//  getTrendingMovies: fetches top searches from backend for a time window  
 //  updateSearchCount: logs search frequency
 
-// Base URL and authentication options for The Movie Database API
-const API_BASE_URL = 'https://api.themoviedb.org/3';  
-const API_KEY = import.meta.env.VITE_TMDB_API_KEY;  
-//  import.meta.env: Vite’s way to access environment variables at build time
-const API_OPTIONS = {
-  method: 'GET',  // HTTP method
-  headers: {
-    accept: 'application/json',  
-    Authorization: `Bearer ${API_KEY}`  // Bearer token auth
+// Import the shared TMDB client
+import { searchMediaFiltered, discoverMovies, discoverTv, discoverAll, searchPeople, isAbortError } from './tmdb.js';  
+//  searchMediaFiltered / discoverMovies / discoverTv / discoverAll: cached, retrying TMDB listing requests  
+//  isAbortError: detects requests cancelled because a newer one replaced them
+import ErrorMessage from './components/ErrorMessage.jsx';
+import { useSavedMovies } from './components/SavedMoviesContext.jsx';
+import { useAccount } from './components/AccountContext.jsx';
+import DiscoverPanel from './components/DiscoverPanel.jsx';
+import { addRecentSearch } from './recentSearches.js';
+import LanguageSwitcher from './components/LanguageSwitcher.jsx';
+import ForYouRow from './components/ForYouRow.jsx';
+import { useI18n } from './components/I18nContext.jsx';
+
+// Discover filter model: URL/localStorage/TMDB conversions
+import {
+  readFilters,
+  filtersToParams,
+  hasFilterParams,
+  loadSavedFilters,
+  saveFilters,
+  toDiscoverParams,
+  matchesFilters,
+  hasSearchFilters,
+} from './discover.js';
+
+// Country and streaming services for the "only on my services" filter
+import { loadWatchPreferences } from './watchProviders.js';
+
+// Movies, series or both
+import { MEDIA_TYPES, DEFAULT_MEDIA_TYPE, mediaKey, mediaPath, mediaTypeOf } from './media.js';
+
+// Heading of the results section for each media type (message keys)
+const LISTING_TITLES = {
+  movie: 'home.listingMovies',
+  tv: 'home.listingSeries',
+  all: 'home.listingAll',
+};
+
+// TMDB refuses discover pages beyond 500
+const MAX_DISCOVER_PAGES = 500;
+
+// Number of recently saved movies previewed at the bottom of Home
+const RECENT_SAVED_COUNT = 4;
+
+// Number of matching people shown under the search box
+const MAX_PEOPLE = 6;
+
+// Prefix for the sessionStorage keys holding the scroll position of each listing
+const SCROLL_KEY_PREFIX = 'homeScroll:';
+
+// Prefix for the sessionStorage keys holding how many pages an infinite listing had loaded
+const PAGES_KEY_PREFIX = 'homePages:';
+
+// How the listing moves through results: page buttons, or appending pages while scrolling
+// (with the message keys of their labels)
+const LISTING_MODES = {
+  pages: 'home.modePages',
+  infinite: 'home.modeInfinite',
+};
+const DEFAULT_LISTING_MODE = 'pages';
+
+// Reads the listing state from the URL query string, e.g.
+// /?q=alien&page=3&genre=878,27&mode=or&min=7&from=1980&sort=revenue.desc&type=tv
+// Missing or invalid values fall back to the defaults.
+const readListingParams = (searchParams) => ({
+  query: searchParams.get('q') || '',
+  page: Math.max(1, parseInt(searchParams.get('page'), 10) || 1),
+  mediaType: MEDIA_TYPES[searchParams.get('type')] ? searchParams.get('type') : DEFAULT_MEDIA_TYPE,
+  filters: readFilters(searchParams),
+});
+
+// Fetches one page of the listing: a filtered search when there is a query,
+// otherwise the discover listing of the media type
+const fetchListingPage = (query, page, filters, mediaType, options) => {
+  if (query) {
+    const matches = hasSearchFilters(filters) ? (movie) => matchesFilters(movie, filters) : null;
+    return searchMediaFiltered(query, page, mediaType, matches, options);
   }
+  // Services are chosen on the Account page, so they're read fresh for every request
+  const watch = loadWatchPreferences();
+  const discover = {
+    movie: () => discoverMovies({ ...toDiscoverParams(filters, 'movie', watch), page }, options),
+    tv: () => discoverTv({ ...toDiscoverParams(filters, 'tv', watch), page }, options),
+    all: () => discoverAll(
+      { ...toDiscoverParams(filters, 'movie', watch), page },
+      { ...toDiscoverParams(filters, 'tv', watch), page },
+      options
+    ),
+  };
+  return discover[mediaType]();
+};
+
+// Appends `more` to `movies`, skipping titles already listed. TMDB pages can
+// overlap when popularity shifts between requests, so the same title may come
+// back on the next page.
+const appendUnique = (movies, more = []) => {
+  const seen = new Set(movies.map(mediaKey));
+  return [
+    ...movies,
+    ...more.filter((movie) => !seen.has(mediaKey(movie)) && seen.add(mediaKey(movie))),
+  ];
 };
 
 const Home = () => {
+  // The URL is the source of truth for search, page and filters so that
+  // results are shareable and back/forward restores the exact listing
+  const [searchParams, setSearchParams] = useSearchParams();
+  const {
+    query: debouncedSearchTerm,  // Search term committed after the debounce delay
+    page: currentPage,           // Pagination tracker
+    mediaType,                   // 'movie' | 'tv' | 'all'
+    filters,                     // Discover filters (genres, rating, years, ...)
+  } = readListingParams(searchParams);
+  const filtersKey = JSON.stringify(filters);  // Stable effect dependency
+
+  const location = useLocation();
+  const navigationType = useNavigationType();
+
   // Local state declarations
-  const [searchTerm, setSearchTerm] = useState('');  
+  const [searchTerm, setSearchTerm] = useState(debouncedSearchTerm);  
   //  searchTerm: current text input; setSearchTerm: updates it
 
-  const [errorMessage, setErrorMessage] = useState('');  
-  //  errorMessage: stores any fetch errors to display
+  const [error, setError] = useState(null);  
+  //  error: the last TMDB error (rendered by ErrorMessage)
 
   const [movieList, setMovieList] = useState([]);  
   //  movieList: array of movies from search or discover
@@ -45,149 +154,311 @@ const Home = () => {
   const [trendingMovies, setTrendingMovies] = useState([]);  
   //  trendingMovies: top 5 from Appwrite backend
 
-  const [isLoading, setIsLoading] = useState(false);  
-  //  isLoading: toggles Spinner display
+  const [trendingWindow, setTrendingWindow] = useState(() => {
+    const stored = localStorage.getItem('trendingWindow');
+    return TRENDING_WINDOWS[stored] ? stored : DEFAULT_TRENDING_WINDOW;
+  });
+  //  trendingWindow: '24 hours' / '7 days' / '30 days' / 'all time' toggle, remembered across visits
+
+  const trendingWindowRef = useRef(trendingWindow);
+  trendingWindowRef.current = trendingWindow;
+  //  trendingWindowRef: latest window, so a slow response for a previous window is dropped
 
-  const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');  
-  //  debouncedSearchTerm: value updated after debounce delay
+  const [people, setPeople] = useState([]);  
+  //  people: actors/directors matching the search, shown under the search box
 
-  const [currentPage, setCurrentPage] = useState(1);  
-  //  currentPage: pagination tracker
+  const [isLoading, setIsLoading] = useState(false);  
+  //  isLoading: toggles Spinner display
 
   const [totalPages, setTotalPages] = useState(1);  
   //  totalPages: from API response
 
-  const [genres, setGenres] = useState([]);  
-  //  genres: list of available movie genres
+  const [totalPagesExact, setTotalPagesExact] = useState(true);  
+  //  totalPagesExact: false when a filtered search may have more pages than counted
+
+  const [listingMode, setListingMode] = useState(() => {
+    const stored = localStorage.getItem('listingMode');
+    return LISTING_MODES[stored] ? stored : DEFAULT_LISTING_MODE;
+  });
+  //  listingMode: 'pages' (buttons) or 'infinite' (append while scrolling), remembered across visits
+
+  const [loadedPage, setLoadedPage] = useState(0);  
+  //  loadedPage: last page in movieList; in infinite mode pages 1..loadedPage are listed
 
-  const [selectedGenre, setSelectedGenre] = useState('');  
-  //  selectedGenre: for filtering by genre ID
+  const [isLoadingMore, setIsLoadingMore] = useState(false);  
+  //  isLoadingMore: infinite mode is appending the next page (spinner under the grid)
 
-  const [minRating, setMinRating] = useState(0);  
-  //  minRating: for filtering by vote_average
+  const [loadMoreError, setLoadMoreError] = useState(null);  
+  //  loadMoreError: the next page failed; the pages already listed stay on screen
+
+  const loadedPagesRef = useRef(1);  
+  loadedPagesRef.current = listingMode === 'infinite' ? loadedPage : 1;
+  //  loadedPagesRef: pages an infinite listing has loaded, saved with the scroll position when leaving Home
 
   const allMoviesRef = useRef(null);  
   //  allMoviesRef: DOM reference to scroll into view
 
-  // Persisted savedMovies: initialized from localStorage
-  const [savedMovies, setSavedMovies] = useState(() => {
-    try {
-      const saved = localStorage.getItem('savedMovies');
-      return saved ? JSON.parse(saved) : [];  
-      //  JSON.parse: converts stored string back to JS array
-    } catch {
-      return [];  // Fallback if parsing fails
+  const abortRef = useRef(null);  
+  //  abortRef: AbortController of the in-flight fetchMovies call
+
+  const loggedQueryRef = useRef('');  
+  //  loggedQueryRef: last normalized query counted, so paging or filtering the same search doesn't count it again
+
+  const scrollYRef = useRef(0);  
+  //  scrollYRef: latest window scroll position, saved when leaving Home
+
+  const restoreScrollYRef = useRef(0);  
+  //  restoreScrollYRef: position saved on the last visit to the current listing
+
+  const restorePagesRef = useRef(1);  
+  //  restorePagesRef: pages an infinite listing had loaded on the last visit, reloaded so the scroll position exists
+
+  const scrollRestoredRef = useRef(false);  
+  //  scrollRestoredRef: set once restoreScrollYRef has been applied to the current listing
+
+  const listingSeenRef = useRef(false);  
+  //  listingSeenRef: set after the first listing, so later ones only restore on Back/Forward
+
+  // Saved movies come from the shared SavedMoviesProvider (the only store)
+  const { savedMovies, isSaved, saveMovie, removeMovie, lists } = useSavedMovies();
+
+  // Signed-in user, shown in the header nav
+  const { user, isAnonymous } = useAccount();
+
+  // Translations and number formatting
+  const { t, formatNumber } = useI18n();
+
+  // Writes listing changes into the query string.
+  // - changes: { q, page, ...filter params }; '', null, undefined and page 1 remove the key
+  // - replace: replace the current history entry instead of pushing a new one
+  const updateParams = (changes, { replace = false } = {}) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        const isDefault =
+          value === '' || value === null || value === undefined ||
+          (key === 'page' && Number(value) === 1);
+        if (isDefault) next.delete(key);
+        else next.set(key, String(value));
+      });
+      return next;
+    }, { replace });
+  };
+
+  // Moves to another results page (pushes a history entry so Back returns here)
+  const goToPage = (page) => {
+    allMoviesRef.current?.scrollIntoView({ behavior: 'smooth' });
+    updateParams({ page });
+  };
+
+  // Debounce the searchTerm—to wait 500ms after typing stops, then commit it to the URL.
+  // A new search always starts on the first page. Typing replaces the history entry
+  // so every keystroke does not become its own Back step.
+  useDebounce(() => {
+    if (searchTerm !== debouncedSearchTerm) {
+      updateParams({ q: searchTerm, page: null }, { replace: true });
     }
-  });
+  }, 500, [searchTerm]);
 
-  // Debounce the searchTerm—to wait 500ms after typing stops
-  useDebounce(() => setDebouncedSearchTerm(searchTerm), 500, [searchTerm]);
+  // Enter in the search box (or picking a recent/popular search): search now, skipping the debounce
+  const submitSearch = (term) => {
+    if (term !== debouncedSearchTerm) updateParams({ q: term, page: null }, { replace: true });
+  };
 
-  // Fetch movies from TMDB API (search or discover)
-  const fetchMovies = async (query = '', page = 1) => {
-    setIsLoading(true);             // Show spinner
-    setErrorMessage('');            // Clear previous errors
+  // Keep the input in sync when the URL changes from outside (back/forward, shared link)
+  useEffect(() => {
+    setSearchTerm(debouncedSearchTerm);
+  }, [debouncedSearchTerm]);
 
-    try {
-      // Choose endpoint based on whether user provided a query
-      const endpoint = query
-        ? `${API_BASE_URL}/search/movie?query=${encodeURIComponent(query)}&page=${page}`
-        : `${API_BASE_URL}/discover/movie?sort_by=popularity.desc&page=${page}`;
-
-      const response = await fetch(endpoint, API_OPTIONS);
-      if (!response.ok) {
-        throw new Error('Failed to fetch movies');  
-        // Non-2xx status codes trigger catch
-      }
+  // Applies new filters from the discover panel; results start again on page 1
+  const handleFiltersChange = (nextFilters) => {
+    updateParams({ ...filtersToParams(nextFilters), page: null }, { replace: true });
+  };
 
-      const data = await response.json();  
-      // Parse JSON payload
+  // On mount: a plain visit to "/" (no filters in the URL) reuses the last filters
+  useEffect(() => {
+    const saved = loadSavedFilters();
+    if (saved && !hasFilterParams(searchParams)) {
+      updateParams(filtersToParams(saved), { replace: true });
+    }
+  }, []);
 
-      if (data.results.length === 0) {
-        setErrorMessage('No movies found.');
-        setMovieList([]);
-        return;
-      }
+  // Remember the filters for the next visit
+  useEffect(() => {
+    saveFilters(filters);
+  }, [filtersKey]);
 
-      setMovieList(data.results || []);  
-      setTotalPages(data.total_pages);  
+  // Switches between movies, series and both; results start again on page 1
+  const handleMediaTypeChange = (type) => {
+    updateParams({ type: type === DEFAULT_MEDIA_TYPE ? null : type, page: null });
+  };
+
+  // Fetch movies and/or series from TMDB API (search or discover)
+  // Filters are applied by TMDB: discover takes them as query parameters, while
+  // text searches (which TMDB cannot filter) scan ahead via searchMediaFiltered
+  // - append: infinite mode adding the next page below the ones already listed
+  // - pages: number of pages to load from `page` on (returning to an infinite listing)
+  const fetchMovies = async (
+    query = '',
+    page = 1,
+    filters,
+    mediaType = DEFAULT_MEDIA_TYPE,
+    { append = false, pages = 1 } = {}
+  ) => {
+    // Cancel the previous request so a slow, stale response cannot overwrite newer results
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    if (append) setIsLoadingMore(true);  // Spinner under the grid
+    else setIsLoading(true);             // Show spinner
+    setError(null);                      // Clear previous errors
+    setLoadMoreError(null);
 
-      // If this was a search, log it and refresh trending
-      if (query && data.results.length > 0) {
-        await updateSearchCount(query, data.results[0]);
+    try {
+      const options = { signal: controller.signal };
+      const first = await fetchListingPage(query, page, filters, mediaType, options);
+      let data = first;
+      let results = appendUnique([], first.results);
+      let lastPage = page;
+
+      // Later pages, one at a time, while TMDB has them
+      while (lastPage < page + pages - 1 && lastPage < Math.min(data.total_pages || 1, MAX_DISCOVER_PAGES)) {
+        lastPage += 1;
+        data = await fetchListingPage(query, lastPage, filters, mediaType, options);
+        results = appendUnique(results, data.results);
+      }
+
+      setMovieList((prev) => (append ? appendUnique(prev, results) : results));  
+      setLoadedPage(lastPage);  
+      setTotalPages(Math.max(1, Math.min(data.total_pages || 1, MAX_DISCOVER_PAGES)));  
+      setTotalPagesExact(data.total_pages_exact ?? true);  
+
+      // If this was a new search, log it and refresh trending
+      const normalized = normalizeQuery(query);
+      if (normalized && normalized !== loggedQueryRef.current && first.results.length > 0) {
+        loggedQueryRef.current = normalized;
+        addRecentSearch(query);
+        await updateSearchCount(query, first.results[0]);
         await loadTrendingMovies();  
       }
     } catch (error) {
+      if (isAbortError(error)) return;  // Superseded by a newer request
       console.error(`Error Fetching Movies: ${error}`);
-      setErrorMessage('Error Fetching Movies. Please Try Again Later.');
+      if (append) setLoadMoreError(error);  // Keep what is already listed
+      else setError(error);
     } finally {
-      setIsLoading(false);  // Always hide spinner when done
+      // Only the latest request controls the spinners
+      if (abortRef.current === controller) {
+        setIsLoading(false);
+        setIsLoadingMore(false);
+      }
     }
   };
 
-  // Load trending movies from Appwrite backend
+  // Infinite mode: append the next page when the grid nears its end
+  const loadMoreMovies = () => {
+    if (isLoading || isLoadingMore || loadMoreError || loadedPage >= totalPages) return;
+    fetchMovies(debouncedSearchTerm, loadedPage + 1, filters, mediaType, { append: true });
+  };
+
+  // Switches between page buttons and infinite scroll. Infinite scroll always
+  // starts from the first page, so the page parameter is dropped.
+  const handleListingModeChange = (mode) => {
+    setListingMode(mode);
+    if (mode === 'infinite') updateParams({ page: null }, { replace: true });
+  };
+
+  // Load trending movies for the selected window from Appwrite backend
   const loadTrendingMovies = async () => {
     try {
-      const movies = await getTrendingMovies();
-      setTrendingMovies(movies);
+      const movies = await getTrendingMovies(trendingWindow);
+      if (trendingWindowRef.current === trendingWindow) setTrendingMovies(movies); // Ignore stale windows
     } catch (error) {
       console.error(`Error fetching trending movies: ${error}`);
     }
   };
 
-  // On mount: fetch available genres for filter dropdown
+  // Read what was saved for this listing on the last visit. Runs on every
+  // navigation, not only on mount: Back/Forward between two listings (e.g.
+  // ?page=3 -> ?page=2) keeps Home mounted. A new page or search (pushed or
+  // replaced) starts at the top instead. Declared before the fetch effect
+  // below so it sees the values of the new listing.
   useEffect(() => {
-    const fetchGenres = async () => {
-      try {
-        const res = await fetch(`${API_BASE_URL}/genre/movie/list`, API_OPTIONS);
-        const data = await res.json();
-        setGenres(data.genres);
-      } catch (err) {
-        console.error("Error fetching genres:", err);
-      }
-    };
-    fetchGenres();
-  }, []);  
-  // Empty deps array: runs once after initial render
-
-  // Refetch movies when debounced term or page changes
+    const isReturn = !listingSeenRef.current || navigationType === 'POP';
+    listingSeenRef.current = true;
+
+    restoreScrollYRef.current = isReturn
+      ? Number(sessionStorage.getItem(SCROLL_KEY_PREFIX + location.search)) || 0
+      : 0;
+    restorePagesRef.current = isReturn
+      ? Math.min(Number(sessionStorage.getItem(PAGES_KEY_PREFIX + location.search)) || 1, MAX_DISCOVER_PAGES)
+      : 1;
+    scrollRestoredRef.current = false;
+  }, [location.key, location.search]);
+
+  // Infinite scroll lists from page 1 whatever the URL says
+  const listingPage = listingMode === 'infinite' ? 1 : currentPage;
+
+  // Refetch movies when debounced term, page, a filter or the listing mode changes.
+  // Returning to an infinite listing reloads the pages it had, so the scroll position can be restored.
   useEffect(() => {
-    fetchMovies(debouncedSearchTerm, currentPage);
-  }, [debouncedSearchTerm, currentPage]);
+    const pages = listingMode === 'infinite' && !scrollRestoredRef.current ? restorePagesRef.current : 1;
+    fetchMovies(debouncedSearchTerm, listingPage, filters, mediaType, { pages });
+  }, [debouncedSearchTerm, listingPage, filtersKey, mediaType, listingMode]);
 
-  // On mount: load trending movies once
+  // Remember the listing mode for the next visit
   useEffect(() => {
-    loadTrendingMovies();
-  }, []);
+    localStorage.setItem('listingMode', listingMode);
+  }, [listingMode]);
 
-  // Reset to first page whenever a new search begins
+  // Search people alongside movies (top matches only; failures just hide the row)
   useEffect(() => {
-    setCurrentPage(1);
+    setPeople([]);
+    if (!debouncedSearchTerm.trim()) return undefined;
+
+    const controller = new AbortController();
+    searchPeople(debouncedSearchTerm, 1, { signal: controller.signal })
+      .then((data) => setPeople((data.results || []).slice(0, MAX_PEOPLE)))
+      .catch((err) => {
+        if (!isAbortError(err)) console.error(`Error searching people: ${err}`);
+      });
+    return () => controller.abort();
   }, [debouncedSearchTerm]);
 
-  // Persist savedMovies array to localStorage on every change
+  // Load trending movies on mount and whenever the window changes
   useEffect(() => {
-    localStorage.setItem('savedMovies', JSON.stringify(savedMovies));
-  }, [savedMovies]);
+    loadTrendingMovies();
+    localStorage.setItem('trendingWindow', trendingWindow);
+  }, [trendingWindow]);
 
-  // Add a movie to saved list if not already present
-  const handleSaveMovie = (movie) => {
-    if (!savedMovies.some((m) => m.id === movie.id)) {
-      setSavedMovies((prev) => [...prev, movie]);
-    }
-  };
+  // On unmount: cancel any request still in flight
+  useEffect(() => {
+    return () => abortRef.current?.abort();
+  }, []);
 
-  // Remove a movie from saved list
-  const handleRemoveMovie = (movie) => {
-    setSavedMovies((prev) => prev.filter((m) => m.id !== movie.id));
-  };
+  // Track the scroll position and remember it (and the pages loaded) for this exact listing when leaving Home
+  useEffect(() => {
+    const key = SCROLL_KEY_PREFIX + location.search;
+    const handleScroll = () => { scrollYRef.current = window.scrollY; };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      sessionStorage.setItem(key, String(scrollYRef.current));
+      sessionStorage.setItem(PAGES_KEY_PREFIX + location.search, String(loadedPagesRef.current || 1));
+    };
+  }, [location.search]);
 
-  // Apply genre and rating filters to movieList before rendering
-  const filteredMovies = movieList.filter((movie) => {
-    const meetsRating = movie.vote_average >= minRating;
-    const meetsGenre = !selectedGenre || movie.genre_ids?.includes(Number(selectedGenre));
-    return meetsRating && meetsGenre;
-  });
+  // Restore the saved scroll position once the results of the listing are on
+  // screen. A navigation alone changes neither dependency, so this waits for
+  // its fetch to finish instead of scrolling the previous results.
+  useEffect(() => {
+    if (!isLoading && movieList.length > 0 && !scrollRestoredRef.current) {
+      scrollRestoredRef.current = true;
+      if (restoreScrollYRef.current) window.scrollTo(0, restoreScrollYRef.current);
+    }
+  }, [isLoading, movieList]);
 
   return (
     <main>
@@ -196,22 +467,65 @@ const Home = () => {
 
           {/* Header with hero image and search bar */}
           <header>
-            <img src="./hero.png" alt="Hero Banner" />
+            <img src="./hero.png" alt={t('home.heroAlt')} />
             <h1>
-              Find <span className='text-gradient'>Movies</span> You'll Enjoy Without the Hassle
+              {t('home.titleBefore')} <span className='text-gradient'>{t('home.titleHighlight')}</span> {t('home.titleAfter')}
             </h1>
-            <Search searchTerm={searchTerm} setSearchTerm={setSearchTerm} />
+            <Search
+              searchTerm={searchTerm}
+              setSearchTerm={setSearchTerm}
+              onSubmit={submitSearch}
+              mediaType={mediaType}
+              people={people}
+            />
+            <nav className="mt-4 flex justify-center gap-6">
+              <Link to="/saved" className="text-light-200 hover:text-white">
+                {t('home.savedMovies', { count: savedMovies.length })}
+              </Link>
+              <Link to="/lists" className="text-light-200 hover:text-white">
+                {t('home.myLists', { count: lists.length })}
+              </Link>
+              <Link to="/upcoming" className="text-light-200 hover:text-white">
+                {t('home.upcoming')}
+              </Link>
+              <Link to="/pick" className="text-light-200 hover:text-white">
+                {t('home.pickForMe')}
+              </Link>
+              <Link to="/account" className="text-light-200 hover:text-white">
+                {user && !isAnonymous ? (user.name || user.email) : t('home.signIn')}
+              </Link>
+              <LanguageSwitcher />
+            </nav>
           </header>
 
           {/* Trending Movies */}
-          {trendingMovies.length > 0 && (
-            <section className="trending">
-              <h2>Trending Movies</h2>
+          <section className="trending">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <h2>{t('home.trendingTitle')}</h2>
+              {/* Time window toggle */}
+              <div className="flex gap-2" role="group" aria-label={t('home.trendingPeriod')}>
+                {Object.entries(TRENDING_WINDOWS).map(([key, { labelKey }]) => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => setTrendingWindow(key)}
+                    aria-pressed={trendingWindow === key}
+                    className={`px-3 py-1 rounded-lg text-sm ${trendingWindow === key ? 'bg-light-100/20 text-white' : 'text-light-200 hover:text-white'}`}
+                  >
+                    {t(labelKey)}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {trendingMovies.length === 0 ? (
+              <p className="text-light-200 mt-5">{t('home.noTrending')}</p>
+            ) : (
               <ul>
                 {trendingMovies.map((movie, index) => (
                   <li key={movie.$id}>
                     <p>{index + 1}</p>  {/* Display rank */}
-                    <Link to={`/movie/${movie.movie_id}`}>
+                    <Link to={mediaPath({ id: movie.movie_id, media_type: movie.media_type })}>
                       <img
                         className="cursor-pointer"
                         src={movie.poster_url}
@@ -221,60 +535,109 @@ const Home = () => {
                   </li>
                 ))}
               </ul>
-            </section>
-          )}
+            )}
+          </section>
 
-          {/* Filters Section */}
-          <section className="movie-filters text-white mb-6">
-            <div className="flex flex-col sm:flex-row items-center gap-4">
-              {/* Genre dropdown */}
-              <select
-                className="bg-dark-100 text-white px-4 py-2 rounded-lg"
-                value={selectedGenre}
-                onChange={(e) => setSelectedGenre(e.target.value)}
+          {/* Personal picks from the saved titles (hidden until something is saved) */}
+          <ForYouRow />
+
+          {/* Media type toggle: Movies / TV / All */}
+          <div className="flex justify-center gap-2 mt-10" role="group" aria-label={t('home.mediaToggle')}>
+            {Object.entries(MEDIA_TYPES).map(([type, labelKey]) => (
+              <button
+                key={type}
+                type="button"
+                onClick={() => handleMediaTypeChange(type)}
+                aria-pressed={mediaType === type}
+                className={`px-4 py-2 rounded-lg ${mediaType === type ? 'bg-light-100/20 text-white' : 'text-light-200 hover:text-white'}`}
               >
-                <option value="">All Genres</option>
-                {genres.map((genre) => (
-                  <option key={genre.id} value={genre.id}>
-                    {genre.name}
-                  </option>
-                ))}
-              </select>
-
-              {/* Rating slider */}
-              <input
-                type="range"
-                min="0"
-                max="10"
-                step="0.1"
-                value={minRating}
-                onChange={(e) => setMinRating(Number(e.target.value))}
-                className="w-full max-w-xs"
-              />
-              <span className="text-light-200">Min Rating: {minRating.toFixed(1)}</span>
-            </div>
-          </section>
+                {t(labelKey)}
+              </button>
+            ))}
+          </div>
+
+          {/* Filters Section */}
+          <DiscoverPanel
+            filters={filters}
+            onChange={handleFiltersChange}
+            isSearching={Boolean(debouncedSearchTerm)}
+            mediaType={mediaType}
+          />
 
           {/* All Movies Listing */}
           <div ref={allMoviesRef}></div> {/* Anchor for scroll-into-view */}
           <section className="all-movies">
-            <h2>All Movies</h2>
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <h2>{t(LISTING_TITLES[mediaType])}</h2>
+              {/* Listing mode toggle: page buttons or infinite scroll */}
+              <div className="flex gap-2" role="group" aria-label={t('home.browseBy')}>
+                {Object.entries(LISTING_MODES).map(([mode, labelKey]) => (
+                  <button
+                    key={mode}
+                    type="button"
+                    onClick={() => handleListingModeChange(mode)}
+                    aria-pressed={listingMode === mode}
+                    className={`px-3 py-1 rounded-lg text-sm ${listingMode === mode ? 'bg-light-100/20 text-white' : 'text-light-200 hover:text-white'}`}
+                  >
+                    {t(labelKey)}
+                  </button>
+                ))}
+              </div>
+            </div>
             {/* Show spinner while loading */}
             {isLoading ? (
               <Spinner />  
-            ) : errorMessage ? (
-              <p className="text-red-500">{errorMessage}</p>
+            ) : error ? (
+              <ErrorMessage
+                error={error}
+                onRetry={() => fetchMovies(debouncedSearchTerm, listingPage, filters, mediaType)}
+              />
+            ) : movieList.length === 0 ? (
+              <p className="text-red-500">{t(mediaType === 'tv' ? 'home.noSeries' : 'home.noMovies')}</p>
+            ) : listingMode === 'infinite' ? (
+              <>
+                {/* Only the cards near the viewport are rendered; more pages load near the end */}
+                <VirtualGrid
+                  items={movieList}
+                  itemKey={mediaKey}
+                  onEndReached={loadMoreMovies}
+                  renderItem={(movie) => (
+                    <Link to={mediaPath(movie)}>
+                      <MovieCard
+                        movie={movie}
+                        isSaved={isSaved(movie.id, mediaTypeOf(movie))}
+                        onSave={() => saveMovie(movie)}
+                        onRemove={() => removeMovie(movie.id, mediaTypeOf(movie))}
+                      />
+                    </Link>
+                  )}
+                />
+
+                {/* Next page loading, failed, or the end of the results */}
+                {isLoadingMore ? (
+                  <Spinner />
+                ) : loadMoreError ? (
+                  <ErrorMessage
+                    error={loadMoreError}
+                    onRetry={() => fetchMovies(debouncedSearchTerm, loadedPage + 1, filters, mediaType, { append: true })}
+                  />
+                ) : loadedPage >= totalPages && (
+                  <p className="text-light-200 text-center">
+                    {t('home.endOfResults', { count: movieList.length })}
+                  </p>
+                )}
+              </>
             ) : (
               <>
                 <ul>
-                  {filteredMovies.map((movie) => (
-                    <li key={movie.id}>
-                      <Link to={`/movie/${movie.id}`}>
+                  {movieList.map((movie) => (
+                    <li key={mediaKey(movie)}>
+                      <Link to={mediaPath(movie)}>
                         <MovieCard
                           movie={movie}
-                          isSaved={savedMovies.some((m) => m.id === movie.id)}
-                          onSave={() => handleSaveMovie(movie)}
-                          onRemove={() => handleRemoveMovie(movie)}
+                          isSaved={isSaved(movie.id, mediaTypeOf(movie))}
+                          onSave={() => saveMovie(movie)}
+                          onRemove={() => removeMovie(movie.id, mediaTypeOf(movie))}
                         />
                       </Link>
                     </li>
@@ -287,60 +650,74 @@ const Home = () => {
                   <button
                     onClick={() => {
                       if (currentPage !== 1 && !isLoading) {
-                        allMoviesRef.current?.scrollIntoView({ behavior: 'smooth' });
-                        setCurrentPage(1);
+                        goToPage(1);
                       }
                     }}
                     disabled={currentPage === 1 || isLoading}
                   >
-                    First
+                    {t('home.first')}
                   </button>
 
                   {/* Previous page */}
                   <button
                     onClick={() => {
                       if (currentPage > 1 && !isLoading) {
-                        allMoviesRef.current?.scrollIntoView({ behavior: 'smooth' });
-                        setCurrentPage((prev) => Math.max(prev - 1, 1));
+                        goToPage(Math.max(currentPage - 1, 1));
                       }
                     }}
                     disabled={currentPage === 1 || isLoading}
                   >
-                    Previous
+                    {t('home.previous')}
                   </button>
 
-                  <span>Page {currentPage} of {totalPages}</span>
+                  {/* "+" marks a filtered search that may continue past the pages scanned so far */}
+                  <span>
+                    {t('home.pageOf', {
+                      page: currentPage,
+                      total: totalPagesExact ? totalPages : `${formatNumber(totalPages)}+`,
+                    })}
+                  </span>
 
                   {/* Next page */}
                   <button
                     onClick={() => {
                       if (currentPage < totalPages && !isLoading) {
-                        allMoviesRef.current?.scrollIntoView({ behavior: 'smooth' });
-                        setCurrentPage((prev) => prev + 1);
+                        goToPage(currentPage + 1);
                       }
                     }}
-                    disabled={currentPage === totalPages || isLoading}
+                    disabled={currentPage >= totalPages || isLoading}
                   >
-                    Next
+                    {t('home.next')}
                   </button>
                 </div>
               </>
             )}
           </section>
 
-          {/* Saved Movies Section */}
+          {/* Saved Movies Section: the most recent saves, full list lives at /saved */}
           {savedMovies.length > 0 && (
             <section className="all-movies mt-10">
-              <h2>Saved Movies</h2>
+              <div className="flex items-center justify-between">
+                <h2>{t('home.savedTitle')}</h2>
+                <Link to="/saved" className="text-light-200 hover:text-white">
+                  {t('home.seeAll', { count: savedMovies.length })}
+                </Link>
+              </div>
               <ul>
-                {savedMovies.map((movie) => (
-                  <MovieCard
-                    key={movie.id}
-                    movie={movie}
-                    isSaved={true}
-                    onRemove={() => handleRemoveMovie(movie)}
-                  />
-                ))}
+                {[...savedMovies]
+                  .sort((a, b) => b.savedAt - a.savedAt)
+                  .slice(0, RECENT_SAVED_COUNT)
+                  .map((movie) => (
+                    <li key={mediaKey(movie)}>
+                      <Link to={mediaPath(movie)}>
+                        <MovieCard
+                          movie={movie}
+                          isSaved={true}
+                          onRemove={() => removeMovie(movie.id, mediaTypeOf(movie))}
+                        />
+                      </Link>
+                    </li>
+                  ))}
               </ul>
             </section>
           )}
@@ -1,7 +1,10 @@
 // Import required classes from the Appwrite SDK
-import { Client, Databases, Query } from 'appwrite';
+import { Client, Account, Databases, ID, Permission, Query, Role } from 'appwrite';
 // - Client: used to initialize and configure the Appwrite connection
+// - Account: sign-up, sign-in and sessions for the current user
 // - Databases: provides methods to interact with database collections
+// - ID: generates unique IDs for new accounts
+// - Permission / Role: restrict a document to the user who owns it
 // - Query: helps build queries for filtering/sorting database data
 
 // Initialize a new Appwrite client
@@ -14,33 +17,163 @@ const client = new Client()
 // Create a new instance of the Databases service using the client
 const databases = new Databases(client);
 
+// Create a new instance of the Account service using the client
+const account = new Account(client);
+
 // Define constants for your database and collection IDs
 // These should be stored in your .env file and injected via Vite
 const DATABASE_ID = import.meta.env.VITE_APPWRITE_DATABASE_ID;
 const SEARCH_COLLECTION_ID = import.meta.env.VITE_APPWRITE_SEARCH_COLLECTION_ID;
+// The search collection holds one document per movie (document ID = TMDB ID,
+// prefixed with "tv_" for series) with a lifetime `count` and a `media_type`
+// ('movie' | 'tv'; rows written before TV support have none and are movies)
+const SEARCH_EVENTS_COLLECTION_ID = import.meta.env.VITE_APPWRITE_SEARCH_EVENTS_COLLECTION_ID;
+// The search-events collection holds hourly buckets with attributes:
+// - movie_id: integer, hour: integer (hours since the epoch), count: integer
+// - title: string, poster_url: string, media_type: string
+// Add an index on `hour` so the trending windows can be queried.
+const SAVED_COLLECTION_ID = import.meta.env.VITE_APPWRITE_SAVED_COLLECTION_ID;
+// The saved-movies collection holds one document per user, whose document ID is
+// the user's ID, with attributes:
+// - data: string (JSON of { movies, lists })
+// - updated_at: integer (ms timestamp of the last write)
+
+// ------------------------------
+// Trending windows
+// ------------------------------
+// Every search is also recorded in an hourly bucket (SEARCH_EVENTS_COLLECTION_ID,
+// one document per movie per hour) so trending can be limited to a time window.
+// Within a window older searches count for less: a search loses half its weight
+// every `halfLife` hours, so something searched a lot on day 1 of a 30-day
+// window doesn't outrank what everyone is searching today.
+// 'all' keeps the original behaviour: the lifetime `count` field.
+export const TRENDING_WINDOWS = {
+  day: { labelKey: 'trending.day', hours: 24, halfLife: 6 },
+  week: { labelKey: 'trending.week', hours: 24 * 7, halfLife: 48 },
+  month: { labelKey: 'trending.month', hours: 24 * 30, halfLife: 24 * 7 },
+  all: { labelKey: 'trending.all' },
+};
+
+export const DEFAULT_TRENDING_WINDOW = 'week';
+
+// How many movies are shown
+const TRENDING_LIMIT = 5;
+
+// Bucket documents are read in pages of this size, up to MAX_BUCKET_PAGES pages
+const BUCKET_PAGE_SIZE = 100;
+const MAX_BUCKET_PAGES = 10;
+
+// All-time documents read before merging rows of the same movie
+const ALL_TIME_SCAN = 50;
+
+// Hours since the Unix epoch, used as the bucket key
+const currentHour = () => Math.floor(Date.now() / (60 * 60 * 1000));
+
+// Builds the poster URL stored alongside a search
+const posterUrl = (movie) =>
+  movie.poster_path ? `https://image.tmdb.org/t/p/w500${movie.poster_path}` : '';
+
+// ------------------------------
+// Query normalization
+// ------------------------------
+
+// Shorter queries ("a", "th") are mid-typing noise, not searches worth counting
+const MIN_QUERY_LENGTH = 3;
+
+// Queries containing one of these words are never counted, so they can't push
+// a movie into the public trending row. Extend per deployment with
+// VITE_SEARCH_BLOCKLIST (comma-separated).
+const BLOCKED_WORDS = new Set([
+  'fuck', 'fucking', 'shit', 'cunt', 'nigger', 'nigga', 'faggot', 'retard', 'porn', 'xxx',
+  ...(import.meta.env.VITE_SEARCH_BLOCKLIST || '')
+    .split(',')
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean),
+]);
+
+// Normalizes a search query for counting: trimmed, lower-case, accents removed
+// and whitespace collapsed ("  Amélie   " -> "amelie").
+// Returns '' for queries that are too short or blocked.
+export const normalizeQuery = (query = '') => {
+  const normalized = query
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip combining accents
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (normalized.length < MIN_QUERY_LENGTH) return '';
+  if (normalized.split(/[^a-z0-9]+/).some((word) => BLOCKED_WORDS.has(word))) return '';
+  return normalized;
+};
 
 // ------------------------------
 // Function: getTrendingMovies
 // ------------------------------
-// Fetches top 5 most-searched movies from the Appwrite backend
-export const getTrendingMovies = async () => {
+// Fetches the top 5 most-searched movies from the Appwrite backend.
+// - window: a key of TRENDING_WINDOWS ('day' | 'week' | 'month' | 'all')
+// Rows are merged by media type + TMDB movie_id, so a title appears at most once
+// even if older data holds several rows for it (one per query spelling).
+export const getTrendingMovies = async (window = DEFAULT_TRENDING_WINDOW) => {
   try {
-    const response = await databases.listDocuments(
-      DATABASE_ID,                     // The ID of the database to query
-      SEARCH_COLLECTION_ID,           // The ID of the collection to pull documents from
-      [
-        Query.orderDesc('count'),     // Sort by 'count' field, descending
-        Query.limit(5),               // Limit the results to 5 documents
-      ]
-    );
+    const { hours, halfLife } = TRENDING_WINDOWS[window] || TRENDING_WINDOWS[DEFAULT_TRENDING_WINDOW];
+    const now = currentHour();
 
-    // Map over the documents and return simplified movie objects
-    return response.documents.map((doc) => ({
-      $id: doc.$id,                   // The unique document ID in Appwrite
-      movie_id: doc.movie_id,        // The TMDB movie ID
-      title: doc.title,              // Movie title from TMDB
-      poster_url: doc.poster_url     // Poster URL to display in the UI
-    }));
+    let docs;
+    let weigh; // Score contributed by one document
+
+    if (!hours) {
+      // All time: the lifetime count
+      const response = await databases.listDocuments(
+        DATABASE_ID,                     // The ID of the database to query
+        SEARCH_COLLECTION_ID,           // The ID of the collection to pull documents from
+        [
+          Query.orderDesc('count'),     // Sort by 'count' field, descending
+          Query.limit(ALL_TIME_SCAN),   // Enough rows to fill 5 distinct movies
+        ]
+      );
+      docs = response.documents;
+      weigh = (doc) => doc.count;
+    } else {
+      // Read every bucket in the window (busiest first, so the cap drops the long tail)
+      docs = [];
+      for (let page = 0; page < MAX_BUCKET_PAGES; page++) {
+        const response = await databases.listDocuments(
+          DATABASE_ID,
+          SEARCH_EVENTS_COLLECTION_ID,
+          [
+            Query.greaterThan('hour', now - hours),
+            Query.orderDesc('count'),
+            Query.limit(BUCKET_PAGE_SIZE),
+            Query.offset(page * BUCKET_PAGE_SIZE),
+          ]
+        );
+        docs.push(...response.documents);
+        if (response.documents.length < BUCKET_PAGE_SIZE) break;
+      }
+      weigh = (doc) => doc.count * 0.5 ** ((now - doc.hour) / halfLife);
+    }
+
+    // Sum the scores per movie or series (their IDs overlap, so the type is part of the key)
+    const scores = new Map(); // 'movie:550' -> { score, doc }
+    docs.forEach((doc) => {
+      const key = `${doc.media_type || 'movie'}:${doc.movie_id}`;
+      const entry = scores.get(key);
+      if (entry) entry.score += weigh(doc);
+      else scores.set(key, { score: weigh(doc), doc });
+    });
+
+    // Map the top movies to simplified objects for the UI
+    return [...scores.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, TRENDING_LIMIT)
+      .map(({ doc }) => ({
+        $id: `${doc.media_type || 'movie'}:${doc.movie_id}`, // Unique per movie/series
+        movie_id: doc.movie_id,        // The TMDB movie (or series) ID
+        media_type: doc.media_type || 'movie', // 'movie' | 'tv'
+        title: doc.title,              // Movie title from TMDB
+        poster_url: doc.poster_url     // Poster URL to display in the UI
+      }));
   } catch (error) {
     console.error('Error in getTrendingMovies:', error);
     return []; // Fallback to an empty array if something goes wrong
@@ -48,55 +181,198 @@ export const getTrendingMovies = async () => {
 };
 
 // ------------------------------
-// Function: updateSearchCount
+// Function: getPopularQueries
 // ------------------------------
-// Either increments the count of an existing search term or creates a new document
-export const updateSearchCount = async (query, movie) => {
+// The most-counted search queries (normalized, without duplicates), for the
+// search box's suggestions. Resolves to [] if Appwrite can't be reached.
+export const getPopularQueries = async (limit = 5) => {
   try {
-    // First, check if this query already exists in the database
-    const existing = await databases.listDocuments(
+    const response = await databases.listDocuments(
       DATABASE_ID,
       SEARCH_COLLECTION_ID,
-      [Query.equal('query', query)]  // Find document where 'query' field matches
+      [
+        Query.orderDesc('count'),
+        Query.limit(limit * 4),       // Older rows may repeat a query
+      ]
     );
+    const queries = response.documents
+      .map((doc) => normalizeQuery(doc.query))
+      .filter(Boolean);               // Also drops queries blocked since they were counted
+    return [...new Set(queries)].slice(0, limit);
+  } catch (error) {
+    console.error('Error in getPopularQueries:', error);
+    return [];
+  }
+};
 
-    if (existing.documents.length > 0) {
-      // If a document exists, update it by incrementing the count
-      const doc = existing.documents[0];
-
-      await databases.updateDocument(
-        DATABASE_ID,
-        SEARCH_COLLECTION_ID,
-        doc.$id,                      // Document ID to update
-        {
-          count: doc.count + 1       // Increment the count by 1
-        }
-      );
-    } else {
-      // If the query is new, create a new document with initial count = 1
-      await databases.createDocument(
-        DATABASE_ID,
-        SEARCH_COLLECTION_ID,
-        movie.$id,                   // Use TMDB movie ID as the document ID (ensures uniqueness)
-        {
-          query,                     // Search term the user entered
-          count: 1,                  // First time searched, so count is 1
-          title: movie.title,        // Store the movie title
-          poster_url: movie.poster_path 
-            ? `https://image.tmdb.org/t/p/w500${movie.poster_path}` 
-            : '',                    // Construct poster URL using TMDB path or fallback to empty
-          movie_id: movie.id         // TMDB movie ID
-        }
-      );
+// ------------------------------
+// Function: incrementCount
+// ------------------------------
+// Adds 1 to the `count` of a document, creating it (with `data` and count 1) if
+// it doesn't exist. Uses Appwrite's atomic increment (Appwrite 1.7+), so
+// simultaneous searches from several users never overwrite each other's counts.
+const incrementCount = async (collectionId, documentId, data) => {
+  const increment = () =>
+    databases.incrementDocumentAttribute(DATABASE_ID, collectionId, documentId, 'count', 1);
+
+  try {
+    await increment();
+  } catch (error) {
+    if (error.code !== 404) throw error;
+
+    try {
+      await databases.createDocument(DATABASE_ID, collectionId, documentId, { ...data, count: 1 });
+    } catch (createError) {
+      if (createError.code !== 409) throw createError;
+      await increment(); // Someone else created it first: count on theirs
     }
+  }
+};
+
+// ------------------------------
+// Function: updateSearchCount
+// ------------------------------
+// Counts a search for `movie` (the top result for `query`, a movie or a
+// normalized series, see media.js): once in the movie's
+// lifetime total and once in the current hour's bucket for the trending windows.
+// Queries are normalized first; too-short or blocked queries are ignored.
+export const updateSearchCount = async (query, movie) => {
+  const normalized = normalizeQuery(query);
+  if (!normalized || !movie?.id) return;
+  const mediaType = movie.media_type === 'tv' ? 'tv' : 'movie';
+
+  const details = {
+    title: movie.title,              // Store the movie title
+    poster_url: posterUrl(movie),    // Construct poster URL using TMDB path or fallback to empty
+    movie_id: movie.id,              // TMDB movie ID
+    media_type: mediaType,           // 'movie' | 'tv'
+  };
+  // Series get their own documents: a series can share its ID with a movie
+  const documentId = mediaType === 'tv' ? `tv_${movie.id}` : String(movie.id);
+
+  try {
+    // One document per movie, keyed by the TMDB ID (so "batman" and "the batman" share it)
+    await incrementCount(SEARCH_COLLECTION_ID, documentId, {
+      ...details,
+      query: normalized,             // First normalized query that found this movie
+    });
+
+    // One document per movie per hour
+    const hour = currentHour();
+    await incrementCount(SEARCH_EVENTS_COLLECTION_ID, `${documentId}_${hour}`, { ...details, hour });
   } catch (error) {
     console.error('Error in updateSearchCount:', error);
     // Catch and log any API or logic errors
   }
 };
 
+// ------------------------------
+// Account functions
+// ------------------------------
+// Unlike the search functions above these don't swallow errors: the account
+// page shows Appwrite's message (wrong password, email taken, ...) to the user.
+
+// Returns the signed-in user, or null when there is no session
+export const getCurrentUser = async () => {
+  try {
+    return await account.get();
+  } catch {
+    return null; // 401: no active session
+  }
+};
+
+// Anonymous users have no email address
+export const isAnonymousUser = (user) => Boolean(user) && !user.email;
+
+// Starts a session with email and password
+export const signInWithEmail = async (email, password) => {
+  await account.createEmailPasswordSession(email, password);
+  return account.get();
+};
+
+// Starts an anonymous session (an account without email, kept on this device)
+export const signInAnonymously = async () => {
+  await account.createAnonymousSession();
+  return account.get();
+};
+
+// Creates an account. If the current session is anonymous it is upgraded in place,
+// so the user keeps the same ID and therefore the same cloud-synced data.
+export const signUpWithEmail = async (email, password, name) => {
+  const current = await getCurrentUser();
+
+  if (isAnonymousUser(current)) {
+    await account.updateEmail(email, password);
+    if (name) await account.updateName(name);
+  } else {
+    await account.create(ID.unique(), email, password, name || undefined);
+    await account.createEmailPasswordSession(email, password);
+  }
+  return account.get();
+};
+
+// Ends the current session
+export const signOut = async () => {
+  await account.deleteSession('current');
+};
+
+// ------------------------------
+// Saved movies sync functions
+// ------------------------------
+
+// Loads the user's saved-movies document: { data, version, updatedAt } or null if none exists yet
+// - version: schema version of the app that wrote it (0 for documents written before it was stored)
+// - updatedAt: server time of the last write, to tell whether it changed since it was read
+export const loadSavedMoviesDocument = async (userId) => {
+  try {
+    const doc = await databases.getDocument(DATABASE_ID, SAVED_COLLECTION_ID, userId);
+    const { version = 0, ...data } = JSON.parse(doc.data);
+    return { data, version, updatedAt: doc.$updatedAt };
+  } catch (error) {
+    if (error.code === 404) return null; // First sync for this user
+    throw error;
+  }
+};
+
+// Writes the user's saved-movies document, creating it on the first sync
+// - version: schema version of the data, so older versions of the app leave it alone
+export const saveSavedMoviesDocument = async (userId, data, version) => {
+  const payload = { data: JSON.stringify({ version, ...data }), updated_at: Date.now() };
+
+  try {
+    await databases.updateDocument(DATABASE_ID, SAVED_COLLECTION_ID, userId, payload);
+  } catch (error) {
+    if (error.code !== 404) throw error;
+
+    // Only the owner may read or change the document
+    await databases.createDocument(DATABASE_ID, SAVED_COLLECTION_ID, userId, payload, [
+      Permission.read(Role.user(userId)),
+      Permission.update(Role.user(userId)),
+      Permission.delete(Role.user(userId)),
+    ]);
+  }
+};
+
+// Calls `callback` whenever the user's saved-movies document changes on the server
+// (e.g. edited on another device). Returns an unsubscribe function.
+export const subscribeToSavedMovies = (userId, callback) =>
+  client.subscribe(
+    `databases.${DATABASE_ID}.collections.${SAVED_COLLECTION_ID}.documents.${userId}`,
+    callback
+  );
+
 // Export as default as well (optional)
 export default {
   getTrendingMovies,
   updateSearchCount,
+  normalizeQuery,
+  getPopularQueries,
+  getCurrentUser,
+  signInWithEmail,
+  signInAnonymously,
+  signUpWithEmail,
+  signOut,
+  loadSavedMoviesDocument,
+  saveSavedMoviesDocument,
+  subscribeToSavedMovies,
 };
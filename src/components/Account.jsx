@@ -0,0 +1,206 @@
+// React hooks
+import { useEffect, useState } from 'react';
+
+import { Link, useLocation } from 'react-router-dom';
+// - useLocation: /account#services scrolls to the streaming services
+
+// Signed-in user and account actions
+import { useAccount } from './AccountContext.jsx';
+
+// Sync status comes from the saved movies provider
+import { useSavedMovies } from './SavedMoviesContext';
+
+import Spinner from './Spinner.jsx';
+import LanguageSwitcher from './LanguageSwitcher.jsx';
+import WatchServicesSettings from './WatchServicesSettings.jsx';
+import { useI18n } from './I18nContext.jsx';
+
+// Shared Tailwind classes
+const INPUT_CLASS = 'bg-dark-100 text-white px-4 py-2 rounded-lg';
+const BUTTON_CLASS = 'px-6 py-2 bg-gradient-to-r from-[#6e48aa] to-[#9d50bb] text-white rounded-xl shadow-lg hover:scale-105 transition-all disabled:opacity-40';
+
+// Message key for each sync status
+const SYNC_LABELS = {
+  off: 'account.syncOff',
+  paused: 'account.syncPaused',
+  syncing: 'account.syncing',
+  synced: 'account.synced',
+  offline: 'account.syncOffline',
+  error: 'account.syncError',
+  outdated: 'account.syncOutdated',
+  conflict: 'account.syncConflict',
+};
+
+// Define the Account functional component (route: /account)
+// Sign in/up with email and password, or continue anonymously. Anonymous
+// accounts are upgraded in place on sign-up, keeping their synced movies.
+const Account = () => {
+  const { user, loading, isAnonymous, signIn, signUp, continueAnonymously, signOut } = useAccount();
+  const { syncStatus, resolveSyncConflict } = useSavedMovies();
+  const { t } = useI18n();
+  const location = useLocation();
+
+  const [mode, setMode] = useState('signIn'); // 'signIn' | 'signUp'
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');     // Message from Appwrite
+  const [busy, setBusy] = useState(false);    // A request is in flight
+
+  // Runs an account action, showing Appwrite's error message if it fails
+  const run = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+      setPassword('');
+    } catch (err) {
+      setError(err.message || t('account.error'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Links from the detail pages and the discover panel point at #services
+  useEffect(() => {
+    if (!loading && location.hash) document.querySelector(location.hash)?.scrollIntoView();
+  }, [loading, location.hash]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(() => (mode === 'signUp' ? signUp(email, password, name) : signIn(email, password)));
+  };
+
+  if (loading) {
+    return (
+      <main className="min-h-screen bg-primary px-5 py-12 text-white flex justify-center">
+        <Spinner />
+      </main>
+    );
+  }
+
+  // Signed in with a full account: nothing to fill in
+  const showForm = !user || isAnonymous;
+  const signingUp = mode === 'signUp' || isAnonymous; // Anonymous users can only upgrade
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-xl mx-auto text-white">
+      <Link to="/" className="text-light-200 hover:text-white">{t('nav.home')}</Link>
+      <h1 className="text-3xl font-bold mb-6 mt-4">{t('account.title')}</h1>
+
+      {user && (
+        <section className="mb-8 flex flex-col gap-2">
+          <p>
+            {isAnonymous ? t('account.anonymous') : t('account.signedInAs', { name: user.name || user.email })}
+          </p>
+          <p className="text-light-200" role="status">{t(SYNC_LABELS[syncStatus])}</p>
+          {/* Titles saved on this browser before signing in, and an account that has its own */}
+          {syncStatus === 'conflict' && (
+            <div className="flex flex-wrap gap-4">
+              <button type="button" onClick={() => resolveSyncConflict('merge')} className={BUTTON_CLASS}>
+                {t('account.conflictMerge')}
+              </button>
+              <button type="button" onClick={() => resolveSyncConflict('discard')} className="text-light-200 underline">
+                {t('account.conflictDiscard')}
+              </button>
+            </div>
+          )}
+          <button
+            type="button"
+            onClick={() => run(signOut)}
+            disabled={busy}
+            className="self-start text-light-200 underline"
+          >
+            {t('account.signOut')}
+          </button>
+        </section>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+          {!isAnonymous && (
+            <div className="flex gap-4" role="tablist">
+              <button
+                type="button"
+                role="tab"
+                aria-selected={mode === 'signIn'}
+                onClick={() => setMode('signIn')}
+                className={mode === 'signIn' ? 'font-bold' : 'text-light-200'}
+              >
+                {t('account.signIn')}
+              </button>
+              <button
+                type="button"
+                role="tab"
+                aria-selected={mode === 'signUp'}
+                onClick={() => setMode('signUp')}
+                className={mode === 'signUp' ? 'font-bold' : 'text-light-200'}
+              >
+                {t('account.signUp')}
+              </button>
+            </div>
+          )}
+
+          {signingUp && (
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t('account.name')}
+              autoComplete="name"
+              className={INPUT_CLASS}
+            />
+          )}
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder={t('account.email')}
+            autoComplete="email"
+            required
+            className={INPUT_CLASS}
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={t('account.password')}
+            autoComplete={signingUp ? 'new-password' : 'current-password'}
+            minLength={8}
+            required
+            className={INPUT_CLASS}
+          />
+
+          {error && <p className="text-red-500" role="alert">{error}</p>}
+
+          <button type="submit" disabled={busy} className={`${BUTTON_CLASS} self-start`}>
+            {signingUp ? t('account.signUp') : t('account.signIn')}
+          </button>
+
+          {!user && (
+            <button
+              type="button"
+              onClick={() => run(continueAnonymously)}
+              disabled={busy}
+              className="self-start text-light-200 underline"
+            >
+              {t('account.anonymousButton')}
+            </button>
+          )}
+        </form>
+      )}
+
+      {/* Language of the interface and of TMDB titles, overviews and genres */}
+      <section className="mt-12 flex items-center gap-4">
+        <h2>{t('language.label')}</h2>
+        <LanguageSwitcher />
+      </section>
+
+      {/* Country for "where to watch" and the user's streaming services */}
+      <WatchServicesSettings />
+    </main>
+  );
+};
+
+// Export the Account component so it can be routed to from App.jsx
+export default Account;
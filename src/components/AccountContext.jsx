@@ -0,0 +1,64 @@
+// Import React utilities for state management and context API
+import { createContext, useContext, useEffect, useState } from 'react';
+
+// Appwrite account functions
+import {
+  getCurrentUser,
+  isAnonymousUser,
+  signInWithEmail,
+  signInAnonymously,
+  signUpWithEmail,
+  signOut as endSession,
+} from '../appwrite.js';
+
+// Create a Context for the signed-in Appwrite user
+const AccountContext = createContext();
+
+// Custom hook so components can read the account state
+export const useAccount = () => useContext(AccountContext);
+// Example usage: const { user, isAnonymous, signIn, signOut } = useAccount();
+
+
+// The provider component restores the Appwrite session on load and exposes
+// functions to sign in, sign up and sign out
+export const AccountProvider = ({ children }) => {
+  const [user, setUser] = useState(null);       // Appwrite user object, or null when signed out
+  const [loading, setLoading] = useState(true); // True until the existing session has been checked
+
+
+  // On mount: pick up an existing session (Appwrite keeps it in a cookie/localStorage)
+  useEffect(() => {
+    getCurrentUser()
+      .then(setUser)
+      .finally(() => setLoading(false));
+  }, []);
+
+
+  // Each action updates `user` with whatever Appwrite returns; errors are
+  // re-thrown so the account page can show them
+  const signIn = async (email, password) => setUser(await signInWithEmail(email, password));
+  const signUp = async (email, password, name) => setUser(await signUpWithEmail(email, password, name));
+  const continueAnonymously = async () => setUser(await signInAnonymously());
+
+  const signOut = async () => {
+    await endSession();
+    setUser(null);
+  };
+
+
+  return (
+    <AccountContext.Provider
+      value={{
+        user,
+        loading,
+        isAnonymous: isAnonymousUser(user),
+        signIn,
+        signUp,
+        continueAnonymously,
+        signOut,
+      }}
+    >
+      {children}
+    </AccountContext.Provider>
+  );
+};
@@ -0,0 +1,41 @@
+import { Link } from 'react-router-dom';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Define the BarChart functional component
+// Horizontal bars drawn with plain elements: a label, a bar sized relative to
+// the largest value, and the count (with its share of `total` when given).
+// - items: [{ key, label, count, to? }]; `to` makes the label a link
+// - total: what the shares are a part of (e.g. the number of titles)
+const BarChart = ({ items, total }) => {
+  const { formatNumber } = useI18n();
+  const largest = Math.max(...items.map((item) => item.count), 1);
+
+  return (
+    <ul className="flex flex-col gap-2">
+      {items.map((item) => (
+        <li key={item.key} className="grid grid-cols-[minmax(0,8rem)_1fr_auto] sm:grid-cols-[minmax(0,12rem)_1fr_auto] items-center gap-3">
+          <span className="truncate text-light-200" title={item.label}>
+            {item.to ? <Link to={item.to} className="hover:text-white hover:underline">{item.label}</Link> : item.label}
+          </span>
+          {/* The bar itself is decoration; the number next to it carries the value */}
+          <span className="h-3 rounded-full bg-light-100/10" aria-hidden="true">
+            <span
+              className="block h-full rounded-full bg-gradient-to-r from-[#3ca55c] to-[#b5ac49]"
+              style={{ width: `${(item.count / largest) * 100}%` }}
+            />
+          </span>
+          <span className="text-sm text-white tabular-nums">
+            {formatNumber(item.count)}
+            {total > 0 && (
+              <span className="text-gray-100"> ({formatNumber(item.count / total, { style: 'percent' })})</span>
+            )}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Export the BarChart component for the statistics page
+export default BarChart;
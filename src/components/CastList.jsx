@@ -0,0 +1,63 @@
+// React hooks
+import { useState } from 'react';
+
+import { Link } from 'react-router-dom';
+
+import { useI18n } from './I18nContext.jsx';
+
+// How many cast members are shown before "Show all"
+const INITIAL_COUNT = 15;
+
+// Define the CastList functional component
+// A horizontally scrolling carousel of cast members with their photo and character;
+// each one links to their person page.
+// - cast: TMDB credits.cast entries ({ id, name, character, profile_path })
+const CastList = ({ cast }) => {
+  const [showAll, setShowAll] = useState(false); // Show the full cast instead of the first 15
+  const { t } = useI18n();
+
+  if (!cast || cast.length === 0) return null;
+
+  const visible = showAll ? cast : cast.slice(0, INITIAL_COUNT);
+
+  return (
+    <section className="mt-12">
+      <div className="flex items-center justify-between mb-4">
+        <h2>{t('cast.title')}</h2>
+        {cast.length > INITIAL_COUNT && (
+          <button
+            type="button"
+            onClick={() => setShowAll((value) => !value)}
+            className="text-light-200 hover:text-white"
+          >
+            {showAll ? t('cast.showFewer') : t('cast.showAll', { count: cast.length })}
+          </button>
+        )}
+      </div>
+
+      <ul className="flex gap-4 overflow-x-auto pb-4 snap-x">
+        {visible.map((person) => (
+          <li key={person.credit_id || person.id} className="w-[120px] shrink-0 snap-start">
+            <Link to={`/person/${person.id}`} className="block hover:opacity-80">
+              <img
+                src={
+                  person.profile_path
+                    ? `https://image.tmdb.org/t/p/w185${person.profile_path}`
+                    : '/No-Poster-1.png'
+                }
+                alt={person.name}
+                loading="lazy"
+                className="w-full h-[180px] rounded-lg object-cover"
+              />
+              <p className="mt-2 text-white font-bold text-sm line-clamp-2">{person.name}</p>
+              <p className="text-gray-100 text-sm line-clamp-2">{person.character}</p>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+// Export the CastList component for the movie detail page
+export default CastList;
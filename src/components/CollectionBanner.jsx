@@ -0,0 +1,83 @@
+import { Link } from 'react-router-dom';
+
+// React hooks
+import { useEffect, useState } from 'react';
+// - useState: the collection's entries once loaded
+// - useEffect: load them for previous/next navigation
+
+import { getCollection, isAbortError } from '../tmdb.js';
+import { useI18n } from './I18nContext.jsx';
+
+// Define the CollectionBanner functional component
+// Shown on a movie page when the movie belongs to a series: links to the
+// collection page and to the entries before and after this one. The link is
+// shown straight away; previous/next appear once the collection has loaded
+// (and are simply left out if it can't be).
+// - collection: the movie's `belongs_to_collection` ({ id, name, backdrop_path })
+// - movieId: the movie being shown
+const CollectionBanner = ({ collection, movieId }) => {
+  const { t } = useI18n();
+  const [parts, setParts] = useState([]); // Entries in release order
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setParts([]);
+
+    getCollection(collection.id, { signal: controller.signal })
+      .then((data) => setParts(data.parts))
+      .catch((err) => {
+        if (!isAbortError(err)) console.error('Error fetching collection:', err);
+      });
+
+    return () => controller.abort();
+  }, [collection.id]);
+
+  const index = parts.findIndex((movie) => movie.id === movieId);
+  const previous = index > 0 ? parts[index - 1] : null;
+  const next = index >= 0 ? parts[index + 1] : null;
+
+  return (
+    <section
+      className="mt-12 rounded-2xl overflow-hidden bg-dark-100 bg-cover bg-center"
+      style={collection.backdrop_path
+        ? { backgroundImage: `url(https://image.tmdb.org/t/p/w1280${collection.backdrop_path})` }
+        : undefined}
+    >
+      {/* Dark overlay keeps the text readable on any backdrop */}
+      <div className="flex flex-col gap-4 p-6 bg-primary/80">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div>
+            <h2>{t('collection.partOf', { name: collection.name })}</h2>
+            {index >= 0 && (
+              <p className="text-light-200">{t('collection.position', { position: index + 1, total: parts.length })}</p>
+            )}
+          </div>
+          <Link
+            to={`/collection/${collection.id}`}
+            className="self-start sm:self-auto px-6 py-2 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform"
+          >
+            {t('collection.view')}
+          </Link>
+        </div>
+
+        {(previous || next) && (
+          <nav className="flex flex-col sm:flex-row sm:justify-between gap-2 text-light-200">
+            {previous ? (
+              <Link to={`/movie/${previous.id}`} className="underline hover:text-white">
+                {t('collection.previous', { title: previous.title })}
+              </Link>
+            ) : <span />}
+            {next && (
+              <Link to={`/movie/${next.id}`} className="underline hover:text-white sm:text-right">
+                {t('collection.next', { title: next.title })}
+              </Link>
+            )}
+          </nav>
+        )}
+      </div>
+    </section>
+  );
+};
+
+// Export the CollectionBanner component for the movie page
+export default CollectionBanner;
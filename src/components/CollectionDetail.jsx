@@ -0,0 +1,148 @@
+// React Router: the collection ID from the URL, plus back navigation
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
+
+// React hooks
+import { useEffect, useState } from 'react';
+// - useState: the collection, loading and error state
+// - useEffect: fetch the collection when the ID changes
+
+// Saved state of every entry, and saving them all at once
+import { useSavedMovies } from './SavedMoviesContext';
+
+// TMDB collection request and error rendering
+import { getCollection, isAbortError } from '../tmdb.js';
+import ErrorMessage from './ErrorMessage.jsx';
+
+import MovieCard from './MovieCard.jsx';
+import { isWatched } from '../personal.js';
+import { mediaPath } from '../media.js';
+import { useI18n } from './I18nContext.jsx';
+
+// Define the CollectionDetail functional component (route: /collection/:id)
+// A film series as TMDB groups it ("belongs_to_collection" on a movie): every
+// entry in release order, each card showing whether it is saved and watched.
+const CollectionDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { t } = useI18n();
+  const { isSaved, getSavedMovie, saveMovie, saveMovies, removeMovie } = useSavedMovies();
+
+  const [collection, setCollection] = useState(null); // { name, overview, poster_path, backdrop_path, parts }
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [retryKey, setRetryKey] = useState(0);        // Bumped by "Try again"
+
+  // Fetch the collection whenever the ID changes
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchCollection = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        setCollection(await getCollection(id, { signal: controller.signal }));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setError(err);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    window.scrollTo(0, 0);
+    fetchCollection();
+    return () => controller.abort();
+  }, [id, retryKey]);
+
+  if (loading) return <p className="text-white text-center mt-10">{t('collection.loading')}</p>;
+  if (error) {
+    return (
+      <main className="min-h-screen bg-primary px-5 py-12 text-white">
+        <ErrorMessage error={error} onRetry={() => setRetryKey((key) => key + 1)} />
+      </main>
+    );
+  }
+  if (!collection) return <p className="text-white text-center mt-10">{t('collection.notFound')}</p>;
+
+  // Progress through the series
+  const parts = collection.parts;
+  const savedCount = parts.filter((movie) => isSaved(movie.id)).length;
+  const watchedCount = parts.filter((movie) => isWatched(getSavedMovie(movie.id))).length;
+  const allSaved = parts.length > 0 && savedCount === parts.length;
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-7xl mx-auto text-white">
+      {/* Back button */}
+      <button
+        onClick={() => (location.key === 'default' ? navigate('/') : navigate(-1))}
+        className="mb-8 px-6 py-2 bg-gradient-to-r from-[#6e48aa] to-[#9d50bb] text-white rounded-xl shadow-lg hover:scale-105 transition-all"
+      >
+        {t('detail.back')}
+      </button>
+
+      {/* Poster, overview and the "save all" action */}
+      <div className="flex flex-col md:flex-row gap-10 items-start bg-dark-100 p-6 rounded-2xl shadow-inner shadow-light-100/10">
+        <img
+          className="w-full md:w-[240px] h-auto rounded-lg object-cover"
+          src={
+            collection.poster_path
+              ? `https://image.tmdb.org/t/p/w500${collection.poster_path}`
+              : '/No-Poster-1.png'
+          }
+          alt={collection.name}
+        />
+
+        <div className="flex flex-col gap-4 flex-1">
+          <h1 className="text-3xl font-bold text-white">{collection.name}</h1>
+
+          <p className="text-gray-100">
+            {t('collection.movies', { count: parts.length })}
+            {' · '}
+            {t('collection.savedCount', { saved: savedCount, total: parts.length })}
+            {' · '}
+            {t('collection.watchedCount', { watched: watchedCount, total: parts.length })}
+          </p>
+
+          {collection.overview && <p className="text-light-200 leading-relaxed">{collection.overview}</p>}
+
+          {/* Saves the entries that aren't saved yet; already saved ones keep their personal data */}
+          {parts.length > 0 && (
+            <button
+              type="button"
+              onClick={() => saveMovies(parts)}
+              disabled={allSaved}
+              className="self-start mt-2 px-6 py-3 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform disabled:opacity-50 disabled:hover:scale-100"
+            >
+              {allSaved ? t('collection.allSaved') : t('collection.saveAll')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Entries in release order */}
+      {parts.length === 0 ? (
+        <p className="mt-12 text-light-200">{t('collection.empty')}</p>
+      ) : (
+        <ol className="mt-12 grid grid-cols-1 xs:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-5">
+          {parts.map((movie, index) => (
+            <li key={movie.id} className="flex flex-col gap-2">
+              <span className="text-sm text-light-200">#{index + 1}</span>
+              <Link to={mediaPath(movie)}>
+                <MovieCard
+                  movie={movie}
+                  isSaved={isSaved(movie.id)}
+                  onSave={() => saveMovie(movie)}
+                  onRemove={() => removeMovie(movie.id)}
+                />
+              </Link>
+            </li>
+          ))}
+        </ol>
+      )}
+    </main>
+  );
+};
+
+// Export the CollectionDetail component so it can be routed to from App.jsx
+export default CollectionDetail;
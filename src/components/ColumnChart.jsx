@@ -0,0 +1,33 @@
+import { useI18n } from './I18nContext.jsx';
+
+// Height of the tallest column
+const CHART_HEIGHT = 160;
+
+// Define the ColumnChart functional component
+// A histogram of vertical columns drawn with plain elements, each with its
+// count above and label below. Empty columns stay in place so gaps show.
+// - items: [{ key, label, count }] in display order
+// - title: describes the chart for screen readers
+const ColumnChart = ({ items, title }) => {
+  const { formatNumber } = useI18n();
+  const largest = Math.max(...items.map((item) => item.count), 1);
+
+  return (
+    <ol className="flex items-end gap-2 overflow-x-auto pb-1" aria-label={title}>
+      {items.map((item) => (
+        <li key={item.key} className="flex flex-col items-center gap-1 min-w-12 flex-1">
+          <span className="text-sm text-white tabular-nums">{formatNumber(item.count)}</span>
+          <span
+            className="w-full rounded-t-md bg-gradient-to-t from-[#3ca55c] to-[#b5ac49]"
+            style={{ height: `${Math.max((item.count / largest) * CHART_HEIGHT, item.count ? 4 : 1)}px` }}
+            aria-hidden="true"
+          />
+          <span className="text-xs text-light-200">{item.label}</span>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+// Export the ColumnChart component for the statistics page
+export default ColumnChart;
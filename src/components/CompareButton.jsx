@@ -0,0 +1,40 @@
+// Comparison tray
+import { MAX_COMPARE, useCompare } from './CompareContext.jsx';
+
+import { mediaTypeOf } from '../media.js';
+import { useI18n } from './I18nContext.jsx';
+
+// Define the CompareButton functional component
+// Adds the movie to the comparison tray or takes it out again. Series can't be
+// compared, so nothing is shown for them.
+// - movie: the TMDB movie object
+const CompareButton = ({ movie }) => {
+  const { t } = useI18n();
+  const { isComparing, canAddToCompare, toggleCompare } = useCompare();
+
+  if (mediaTypeOf(movie) === 'tv') return null;
+
+  const inTray = isComparing(movie.id);
+  const isFull = !inTray && !canAddToCompare;
+
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.preventDefault(); // Cards are wrapped in a <Link>; don't navigate
+        toggleCompare(movie);
+      }}
+      disabled={isFull}
+      aria-pressed={inTray}
+      title={isFull ? t('compare.full', { max: MAX_COMPARE }) : undefined}
+      className={`mt-4 px-4 py-2 border text-white rounded-lg hover:scale-105 transition-transform disabled:opacity-40 disabled:hover:scale-100 ${
+        inTray ? 'bg-[#3ca55c]/20 border-[#3ca55c]' : 'bg-dark-100 border-light-100/10'
+      }`}
+    >
+      {inTray ? t('compare.inTray') : t('compare.add')}
+    </button>
+  );
+};
+
+// Export the CompareButton component so MovieCard and MovieDetail can use it
+export default CompareButton;
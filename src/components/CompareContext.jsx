@@ -0,0 +1,84 @@
+// Import React utilities for state management and context API
+import { createContext, useContext, useEffect, useState } from 'react';
+
+// Movies that can be compared side by side
+export const MAX_COMPARE = 4;
+export const MIN_COMPARE = 2;
+
+// sessionStorage key of the tray: it is a pick for the current visit, so it
+// lasts while the tab is open rather than forever
+const STORAGE_KEY = 'compareTray';
+
+// Route of the comparison view for the given movie IDs (shareable)
+export const comparePath = (ids) => `/compare?ids=${ids.join(',')}`;
+
+// Reads the tray, dropping anything malformed
+const loadTray = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored)
+      ? stored.filter((movie) => Number.isInteger(movie?.id)).slice(0, MAX_COMPARE)
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+// Create a Context for the comparison tray
+const CompareContext = createContext();
+
+// Custom hook so components can read and change the tray
+export const useCompare = () => useContext(CompareContext);
+// Example usage: const { compareTray, isComparing, toggleCompare } = useCompare();
+
+
+// The provider component holds the movies picked for comparison (movies only:
+// runtime, budget and director don't apply to series). Only what the tray
+// shows is kept: { id, title, poster_path }.
+export const CompareProvider = ({ children }) => {
+  const [compareTray, setCompareTray] = useState(loadTray);
+
+  useEffect(() => {
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(compareTray));
+    } catch {
+      // Storage disabled: the tray lasts until the page is closed
+    }
+  }, [compareTray]);
+
+
+  // Boolean: is this movie in the tray?
+  const isComparing = (id) => compareTray.some((movie) => movie.id === id);
+
+  // Boolean: is there room for another movie?
+  const canAddToCompare = compareTray.length < MAX_COMPARE;
+
+
+  // Adds a movie to the tray, or takes it out if it's already there.
+  // A full tray ignores new movies.
+  const toggleCompare = ({ id, title, poster_path }) => {
+    setCompareTray((prev) => {
+      if (prev.some((movie) => movie.id === id)) return prev.filter((movie) => movie.id !== id);
+      return prev.length < MAX_COMPARE ? [...prev, { id, title, poster_path }] : prev;
+    });
+  };
+
+
+  // Takes one movie out of the tray
+  const removeFromCompare = (id) => {
+    setCompareTray((prev) => prev.filter((movie) => movie.id !== id));
+  };
+
+
+  // Empties the tray
+  const clearCompare = () => setCompareTray([]);
+
+
+  return (
+    <CompareContext.Provider
+      value={{ compareTray, isComparing, canAddToCompare, toggleCompare, removeFromCompare, clearCompare }}
+    >
+      {children}
+    </CompareContext.Provider>
+  );
+};
@@ -0,0 +1,77 @@
+import { Link, useLocation } from 'react-router-dom';
+
+// Comparison tray
+import { MIN_COMPARE, MAX_COMPARE, comparePath, useCompare } from './CompareContext.jsx';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Define the CompareTray functional component
+// Bar pinned to the bottom of every page while movies are picked for
+// comparison: their posters (each removable), and the link to the comparison
+// view once there are enough. Hidden on the comparison view itself.
+const CompareTray = () => {
+  const { t } = useI18n();
+  const { pathname } = useLocation();
+  const { compareTray, removeFromCompare, clearCompare } = useCompare();
+
+  if (compareTray.length === 0 || pathname === '/compare') return null;
+
+  const isReady = compareTray.length >= MIN_COMPARE;
+
+  return (
+    <>
+      {/* Room below the page so the bar doesn't cover its end */}
+      <div className="h-24" aria-hidden="true" />
+      <aside
+        aria-label={t('compare.trayLabel')}
+        className="fixed bottom-0 inset-x-0 z-30 bg-dark-100/95 border-t border-light-100/10 px-5 py-3"
+      >
+        <div className="max-w-7xl mx-auto flex flex-wrap items-center gap-4 text-white">
+          <ul className="flex gap-3">
+            {compareTray.map((movie) => (
+              <li key={movie.id} className="relative">
+                <img
+                  src={movie.poster_path ? `https://image.tmdb.org/t/p/w92${movie.poster_path}` : '/No-Poster-1.png'}
+                  alt={movie.title}
+                  title={movie.title}
+                  className="h-16 w-11 rounded object-cover"
+                />
+                <button
+                  type="button"
+                  onClick={() => removeFromCompare(movie.id)}
+                  aria-label={t('compare.removeLabel', { title: movie.title })}
+                  className="absolute -top-2 -right-2 size-5 rounded-full bg-primary text-xs leading-none"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <p className="text-sm text-light-200">
+            {isReady
+              ? t('compare.count', { count: compareTray.length, max: MAX_COMPARE })
+              : t('compare.pickMore', { min: MIN_COMPARE })}
+          </p>
+
+          <div className="flex items-center gap-4 ml-auto">
+            <button type="button" onClick={clearCompare} className="text-sm text-light-200 underline">
+              {t('compare.clear')}
+            </button>
+            {isReady && (
+              <Link
+                to={comparePath(compareTray.map((movie) => movie.id))}
+                className="px-6 py-2 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform"
+              >
+                {t('compare.open')}
+              </Link>
+            )}
+          </div>
+        </div>
+      </aside>
+    </>
+  );
+};
+
+// Export the CompareTray component so App can show it on every page
+export default CompareTray;
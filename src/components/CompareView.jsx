@@ -0,0 +1,352 @@
+// React Router: the movie IDs live in the query string so the view can be shared
+import { Link, useSearchParams } from 'react-router-dom';
+
+// React hooks
+import { useEffect, useState } from 'react';
+// - useState: the loaded movies, the IDs that failed, loading/error state and the "link copied" note
+// - useEffect: load the movies whenever the IDs change
+
+// Each movie's full details (credits and watch providers are appended)
+import { getMovieDetails, isAbortError } from '../tmdb.js';
+import ErrorMessage from './ErrorMessage.jsx';
+import Spinner from './Spinner.jsx';
+
+import { MAX_COMPARE, MIN_COMPARE, comparePath } from './CompareContext.jsx';
+import { providerLogoUrl } from '../watchProviders.js';
+import { useWatchPreferences } from './WatchPreferencesContext.jsx';
+import { formatRuntime, MONEY_FORMAT } from '../format.js';
+import { useI18n } from './I18nContext.jsx';
+
+// Cast members listed per movie
+const TOP_CAST = 5;
+
+// Movie IDs from ?ids=550,680: numbers only, each once, at most MAX_COMPARE
+const parseIds = (value) =>
+  [...new Set((value || '').split(',').map(Number).filter((id) => Number.isInteger(id) && id > 0))]
+    .slice(0, MAX_COMPARE);
+
+// People listed once each: TMDB lists an actor once per role they play
+const uniqueById = (people) => people.filter((person, index) => people.findIndex((other) => other.id === person.id) === index);
+
+// ------------------------------
+// Rows of the comparison
+// ------------------------------
+
+// Single values. Rows whose values differ are highlighted, and where more is
+// better (`higherIsBetter`) so is the best column. TMDB uses 0 for unknown
+// budgets, revenues and runtimes; those are shown as "N/A" and never win.
+const VALUE_ROWS = [
+  {
+    key: 'rating',
+    labelKey: 'compare.rating',
+    value: (movie) => movie.vote_average || 0,
+    format: (value, { formatRating }) => formatRating(value),
+    higherIsBetter: true,
+  },
+  {
+    key: 'votes',
+    labelKey: 'compare.votes',
+    value: (movie) => movie.vote_count || 0,
+    format: (value, { formatNumber }) => formatNumber(value),
+    higherIsBetter: true,
+  },
+  {
+    key: 'runtime',
+    labelKey: 'compare.runtime',
+    value: (movie) => movie.runtime || 0,
+    format: (value, { t }) => formatRuntime(t, value),
+  },
+  {
+    key: 'releaseDate',
+    labelKey: 'compare.releaseDate',
+    value: (movie) => movie.release_date || '',
+    format: (value, { formatDate }) => formatDate(value),
+  },
+  {
+    key: 'budget',
+    labelKey: 'compare.budget',
+    value: (movie) => movie.budget || 0,
+    format: (value, { formatNumber }) => formatNumber(value, MONEY_FORMAT),
+  },
+  {
+    key: 'revenue',
+    labelKey: 'compare.revenue',
+    value: (movie) => movie.revenue || 0,
+    format: (value, { formatNumber }) => formatNumber(value, MONEY_FORMAT),
+    higherIsBetter: true,
+  },
+];
+
+// Sets of things ({ id, name, to?, logo? }). Items not every movie has are highlighted.
+// - preferences: the watch preferences (streaming is shown for their country)
+const LIST_ROWS = [
+  {
+    key: 'genres',
+    labelKey: 'compare.genres',
+    items: (movie) => (movie.genres || []).map((genre) => ({ id: genre.id, name: genre.name })),
+  },
+  {
+    key: 'directors',
+    labelKey: 'compare.directors',
+    items: (movie) =>
+      uniqueById((movie.credits?.crew || []).filter((member) => member.job === 'Director'))
+        .map((member) => ({ id: member.id, name: member.name, to: `/person/${member.id}` })),
+  },
+  {
+    key: 'cast',
+    labelKey: 'compare.cast',
+    items: (movie) =>
+      uniqueById(movie.credits?.cast || [])
+        .slice(0, TOP_CAST)
+        .map((member) => ({ id: member.id, name: member.name, to: `/person/${member.id}` })),
+  },
+  {
+    key: 'streaming',
+    labelKey: 'compare.streaming',
+    items: (movie, preferences) =>
+      (movie['watch/providers']?.results?.[preferences.region]?.flatrate || []).map((provider) => ({
+        id: provider.provider_id,
+        name: provider.provider_name,
+        logo: provider.logo_path,
+        isMine: preferences.services.includes(provider.provider_id),
+      })),
+  },
+];
+
+// A value is known when TMDB has it (0 and '' mean unknown)
+const isKnown = (value) => Boolean(value);
+
+// Define the CompareView functional component (route: /compare?ids=...)
+// Two to four movies in aligned columns: numbers, dates, genres, people and
+// streaming availability, with the differences highlighted.
+const CompareView = () => {
+  const i18n = useI18n();
+  const { t, displayName } = i18n;
+  const [preferences] = useWatchPreferences();
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const ids = parseIds(searchParams.get('ids'));
+  const idsKey = ids.join(',');
+
+  const [movies, setMovies] = useState([]);
+  const [missingIds, setMissingIds] = useState([]); // IDs that couldn't be loaded (removed from TMDB, network errors)
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [retryKey, setRetryKey] = useState(0); // Bumped by "Try again"
+  const [copied, setCopied] = useState(false); // "Link copied" note after sharing
+
+  // Load every movie whenever the set of IDs changes. One failing movie (an
+  // old shared link to a removed movie) doesn't hide the others: its column
+  // is left out and flagged above the table.
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchMovies = async () => {
+      setLoading(true);
+      setError(null);
+      setMissingIds([]);
+      const results = await Promise.allSettled(ids.map((id) => getMovieDetails(id, { signal: controller.signal })));
+      if (controller.signal.aborted) return;
+
+      const failures = results.filter((result) => result.status === 'rejected');
+      if (failures.length === results.length) {
+        setError(failures[0].reason);
+      } else {
+        failures.forEach((result) => {
+          if (!isAbortError(result.reason)) console.error('Error loading a movie to compare:', result.reason);
+        });
+        setMovies(results.filter((result) => result.status === 'fulfilled').map((result) => result.value));
+        setMissingIds(ids.filter((id, index) => results[index].status === 'rejected'));
+      }
+      setLoading(false);
+    };
+
+    setCopied(false); // The copied link was for the previous set
+    fetchMovies();
+    return () => controller.abort();
+  }, [idsKey, retryKey]);
+
+  // Drops columns; the URL (and so the shared link) follows
+  const removeColumns = (removed) => {
+    const remaining = ids.filter((other) => !removed.includes(other));
+    setSearchParams(remaining.length ? { ids: remaining.join(',') } : {});
+  };
+
+  // Copies the address of this comparison
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${comparePath(ids)}`);
+      setCopied(true);
+    } catch (err) {
+      console.error('Error copying the link:', err);
+    }
+  };
+
+  if (ids.length === 0) {
+    return (
+      <main className="min-h-screen bg-primary px-5 py-12 max-w-7xl mx-auto text-white">
+        <h1 className="text-3xl font-bold mb-4">{t('compare.title')}</h1>
+        <p className="text-light-200">{t('compare.empty', { min: MIN_COMPARE, max: MAX_COMPARE })}</p>
+        <Link to="/" className="inline-block mt-6 text-light-200 underline">{t('nav.home')}</Link>
+      </main>
+    );
+  }
+
+  if (loading) {
+    return (
+      <main className="min-h-screen bg-primary px-5 py-12 text-white">
+        <Spinner />
+      </main>
+    );
+  }
+  if (error) {
+    return (
+      <main className="min-h-screen bg-primary px-5 py-12 text-white">
+        <ErrorMessage error={error} onRetry={() => setRetryKey((key) => key + 1)} />
+      </main>
+    );
+  }
+
+  // Shared cell and header classes; the first column holds the row labels
+  const labelClass = 'sticky left-0 bg-primary text-left align-top font-bold text-light-200 py-3 pr-4';
+  const cellClass = 'align-top py-3 px-3 min-w-[180px]';
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-7xl mx-auto text-white">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h1 className="text-3xl font-bold">{t('compare.title')}</h1>
+        <div className="flex items-center gap-3">
+          {copied && <span className="text-sm text-light-200" role="status">{t('compare.copied')}</span>}
+          <button
+            type="button"
+            onClick={copyLink}
+            className="px-6 py-2 bg-dark-100 border border-light-100/10 text-white rounded-lg hover:scale-105 transition-transform"
+          >
+            {t('compare.copyLink')}
+          </button>
+        </div>
+      </div>
+
+      {/* Movies that couldn't be loaded: try again, or take them out of the link */}
+      {missingIds.length > 0 && (
+        <div className="mb-6 flex flex-wrap items-center gap-3 text-light-200" role="status">
+          <p>{t('compare.missing', { count: missingIds.length })}</p>
+          <button type="button" onClick={() => setRetryKey((key) => key + 1)} className="text-sm underline">
+            {t('errors.retry')}
+          </button>
+          <button type="button" onClick={() => removeColumns(missingIds)} className="text-sm underline">
+            {t('compare.removeMissing')}
+          </button>
+        </div>
+      )}
+
+      {movies.length < MIN_COMPARE && (
+        <p className="mb-6 text-light-200">{t('compare.pickMore', { min: MIN_COMPARE })}</p>
+      )}
+
+      <p className="mb-6 text-sm text-gray-100">{t('compare.legend')}</p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse">
+          {/* Poster and title of each movie */}
+          <thead>
+            <tr>
+              <th className={labelClass}><span className="sr-only">{t('compare.title')}</span></th>
+              {movies.map((movie) => (
+                <th key={movie.id} scope="col" className={`${cellClass} text-left font-normal`}>
+                  <Link to={`/movie/${movie.id}`} className="flex flex-col gap-2 group">
+                    <img
+                      src={movie.poster_path ? `https://image.tmdb.org/t/p/w342${movie.poster_path}` : '/No-Poster-1.png'}
+                      alt=""
+                      className="w-32 rounded-lg"
+                    />
+                    <span className="text-white font-bold group-hover:underline">{movie.title}</span>
+                  </Link>
+                  <button
+                    type="button"
+                    onClick={() => removeColumns([movie.id])}
+                    className="mt-2 text-sm text-light-200 underline"
+                  >
+                    {t('common.remove')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+
+          <tbody>
+            {VALUE_ROWS.map((row) => {
+              const values = movies.map(row.value);
+              const known = values.filter(isKnown);
+              const differs = new Set(values).size > 1;
+              const best = row.higherIsBetter && differs && known.length > 0 ? Math.max(...known) : null;
+
+              return (
+                <tr key={row.key} className={`border-t border-light-100/10 ${differs ? 'bg-light-100/5' : ''}`}>
+                  <th scope="row" className={labelClass}>{t(row.labelKey)}</th>
+                  {values.map((value, index) => (
+                    <td
+                      key={movies[index].id}
+                      className={`${cellClass} ${value === best ? 'text-[#3ca55c] font-bold' : 'text-gray-100'}`}
+                    >
+                      {isKnown(value) ? row.format(value, i18n) : t('common.notAvailable')}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+
+            {LIST_ROWS.map((row) => {
+              const lists = movies.map((movie) => row.items(movie, preferences));
+              // How many of the movies have each item
+              const counts = new Map();
+              lists.forEach((items) => items.forEach((item) => counts.set(item.id, (counts.get(item.id) || 0) + 1)));
+              const isShared = (item) => counts.get(item.id) === movies.length;
+              const differs = lists.some((items) => items.some((item) => !isShared(item)));
+
+              return (
+                <tr key={row.key} className={`border-t border-light-100/10 ${differs ? 'bg-light-100/5' : ''}`}>
+                  <th scope="row" className={labelClass}>
+                    {t(row.labelKey)}
+                    {/* Which country the streaming row is for */}
+                    {row.key === 'streaming' && (
+                      <span className="block font-normal text-sm text-gray-100">{displayName('region', preferences.region)}</span>
+                    )}
+                  </th>
+                  {lists.map((items, index) => (
+                    <td key={movies[index].id} className={cellClass}>
+                      {items.length === 0 ? (
+                        <span className="text-gray-100">{t('common.notAvailable')}</span>
+                      ) : (
+                        <ul className="flex flex-wrap gap-2">
+                          {items.map((item) => (
+                            <li
+                              key={item.id}
+                              className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-sm ${
+                                isShared(item) ? 'bg-light-100/10 text-light-200' : 'bg-[#3ca55c]/20 text-white'
+                              } ${item.isMine ? 'ring-1 ring-[#3ca55c]' : ''}`}
+                            >
+                              {item.logo && <img src={providerLogoUrl(item.logo)} alt="" className="size-4 rounded" />}
+                              {item.to ? (
+                                <Link to={item.to} className="hover:underline">{item.name}</Link>
+                              ) : (
+                                item.name
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </main>
+  );
+};
+
+// Export the CompareView component so it can be routed to from App.jsx
+export default CompareView;
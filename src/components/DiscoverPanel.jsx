@@ -0,0 +1,339 @@
+// React hooks
+import { useEffect, useState } from 'react';
+// - useState: local draft of the filters while the user is still editing
+// - useEffect: loads genre/language/certification lists and syncs the draft
+
+// Debounce hook so typing a year or dragging the slider doesn't refetch on every step
+import { useDebounce } from 'react-use';
+
+// "Choose your services" links to the Account page
+import { Link } from 'react-router-dom';
+
+// TMDB reference data for the dropdowns
+import { getGenres, getLanguages, getCertifications } from '../tmdb.js';
+
+// Filter model shared with Home
+import { DEFAULT_FILTERS, SORT_OPTIONS, MIN_YEAR, hasActiveFilters, maxYear, parseYear } from '../discover.js';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Whether any streaming services are chosen for "only on my services"
+import { useWatchPreferences } from './WatchPreferencesContext.jsx';
+
+// Shared Tailwind classes for the panel's inputs
+const INPUT_CLASS = 'bg-dark-100 text-white px-4 py-2 rounded-lg';
+
+// A year field can be committed when it's empty or holds a complete year
+const isYearDone = (value) => value === '' || parseYear(value) !== '';
+
+// Define the DiscoverPanel functional component
+// - filters: current filters (see DEFAULT_FILTERS in discover.js)
+// - onChange: called with the complete new filter object
+// - isSearching: true while a text search is active; TMDB search cannot apply
+//   sort, runtime or certification, so those controls are disabled then
+// - mediaType: 'movie' | 'tv' | 'all'; picks the genre list, and series have
+//   no certification filter
+const DiscoverPanel = ({ filters, onChange, isSearching, mediaType = 'movie' }) => {
+  const { t, locale, formatRating, displayName } = useI18n();
+  const regionName = (code) => displayName('region', code);
+  const languageName = (language) => displayName('language', language.iso_639_1, language.english_name);
+
+  const [{ services }] = useWatchPreferences();
+
+  const [genres, setGenres] = useState([]);                 // [{ id, name }]
+  const [languages, setLanguages] = useState([]);           // [{ iso_639_1, english_name }]
+  const [certifications, setCertifications] = useState({}); // { SE: [{ certification, order }] }
+
+  // The panel edits a draft copy; it's handed to onChange once editing settles
+  const [draft, setDraft] = useState(filters);
+  const filtersKey = JSON.stringify(filters);
+
+  // Load the dropdown contents once (cached by the TMDB client for a day)
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const [languageList, certificationMap] = await Promise.all([
+          getLanguages(),
+          getCertifications(),
+        ]);
+        setLanguages(
+          languageList
+            .filter((language) => language.iso_639_1 !== 'xx') // "No Language"
+            .sort((a, b) => languageName(a).localeCompare(languageName(b), locale))
+        );
+        setCertifications(certificationMap);
+      } catch (err) {
+        console.error('Error fetching discover options:', err);
+      }
+    };
+    loadOptions();
+  }, []);
+
+  // Genres differ a little between movies and series, so reload them per media type
+  useEffect(() => {
+    getGenres(mediaType)
+      .then(setGenres)
+      .catch((err) => console.error('Error fetching genres:', err));
+  }, [mediaType]);
+
+  // Certifications only exist for movies
+  const certificationDisabled = isSearching || mediaType === 'tv';
+
+  // When the filters change from outside (URL, reset), replace the draft
+  useEffect(() => {
+    setDraft(filters);
+  }, [filtersKey]);
+
+  // A complete range the wrong way round (2010–1990): held back with a message
+  // rather than swapped, since the user may be about to change the other year
+  const yearsReversed =
+    draft.yearFrom !== '' && draft.yearTo !== '' && parseYear(draft.yearFrom) > parseYear(draft.yearTo);
+
+  // Commit the draft 400ms after the last edit, but not while a year is
+  // half-typed ("19"), out of range or after the "to" year
+  useDebounce(() => {
+    if (!isYearDone(draft.yearFrom) || !isYearDone(draft.yearTo) || yearsReversed) return;
+    if (JSON.stringify(draft) !== filtersKey) onChange(draft);
+  }, 400, [draft]);
+
+  // Updates one or more draft fields
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  // Genre chips cycle through: not used -> included -> excluded -> not used
+  const genreState = (id) =>
+    draft.genres.includes(id) ? 'include' : draft.excludeGenres.includes(id) ? 'exclude' : 'none';
+
+  const cycleGenre = (id) => {
+    const state = genreState(id);
+    update({
+      genres: state === 'none'
+        ? [...draft.genres, id]
+        : draft.genres.filter((g) => g !== id),
+      excludeGenres: state === 'include'
+        ? [...draft.excludeGenres, id]
+        : draft.excludeGenres.filter((g) => g !== id),
+    });
+  };
+
+  // Certifications for the chosen region, mildest first
+  const regionCertifications = [...(certifications[draft.region] || [])]
+    .sort((a, b) => a.order - b.order);
+
+  return (
+    <section className="movie-filters text-white mb-6 flex flex-col gap-4" aria-label={t('discover.label')}>
+      {/* Genres: click once to include, twice to exclude, three times to clear */}
+      <div className="flex flex-wrap items-center gap-2">
+        {genres.map((genre) => {
+          const state = genreState(genre.id);
+          return (
+            <button
+              key={genre.id}
+              type="button"
+              onClick={() => cycleGenre(genre.id)}
+              aria-pressed={state !== 'none'}
+              title={t(state === 'include' ? 'discover.genreIncluded' : state === 'exclude' ? 'discover.genreExcluded' : 'discover.genreInclude')}
+              className={`px-3 py-1 rounded-full text-sm border ${
+                state === 'include'
+                  ? 'bg-[#3ca55c] border-[#3ca55c]'
+                  : state === 'exclude'
+                    ? 'bg-red-700 border-red-700 line-through'
+                    : 'bg-dark-100 border-light-100/10'
+              }`}
+            >
+              {genre.name}
+            </button>
+          );
+        })}
+
+        {/* AND/OR only matters with two or more included genres */}
+        {draft.genres.length > 1 && (
+          <select
+            className={INPUT_CLASS}
+            value={draft.genreMode}
+            onChange={(e) => update({ genreMode: e.target.value })}
+            aria-label={t('discover.genreMatching')}
+          >
+            <option value="and">{t('discover.matchAll')}</option>
+            <option value="or">{t('discover.matchAny')}</option>
+          </select>
+        )}
+      </div>
+
+      <div className="flex flex-col sm:flex-row flex-wrap items-center gap-4">
+        {/* Sort order */}
+        <select
+          className={INPUT_CLASS}
+          value={draft.sortBy}
+          onChange={(e) => update({ sortBy: e.target.value })}
+          disabled={isSearching}
+          aria-label={t('discover.sortBy')}
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+          ))}
+        </select>
+
+        {/* Original language, shown by name */}
+        <select
+          className={INPUT_CLASS}
+          value={draft.language}
+          onChange={(e) => update({ language: e.target.value })}
+          aria-label={t('discover.originalLanguage')}
+        >
+          <option value="">{t('discover.anyLanguage')}</option>
+          {languages.map((language) => (
+            <option key={language.iso_639_1} value={language.iso_639_1}>
+              {languageName(language)}
+            </option>
+          ))}
+        </select>
+
+        {/* Release year range */}
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="number"
+            min={MIN_YEAR}
+            max={maxYear()}
+            placeholder={t('discover.fromYear')}
+            className={`${INPUT_CLASS} w-32`}
+            value={draft.yearFrom}
+            onChange={(e) => update({ yearFrom: e.target.value })}
+            aria-label={t('discover.releasedFrom')}
+            aria-invalid={yearsReversed}
+          />
+          <span className="text-light-200">–</span>
+          <input
+            type="number"
+            min={MIN_YEAR}
+            max={maxYear()}
+            placeholder={t('discover.toYear')}
+            className={`${INPUT_CLASS} w-32`}
+            value={draft.yearTo}
+            onChange={(e) => update({ yearTo: e.target.value })}
+            aria-label={t('discover.releasedUntil')}
+            aria-invalid={yearsReversed}
+          />
+          {yearsReversed && <p className="w-full text-sm text-red-400" role="alert">{t('discover.yearsReversed')}</p>}
+        </div>
+
+        {/* Runtime range in minutes */}
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="0"
+            placeholder={t('discover.minMinutes')}
+            className={`${INPUT_CLASS} w-36`}
+            value={draft.runtimeMin}
+            onChange={(e) => update({ runtimeMin: e.target.value })}
+            disabled={isSearching}
+            aria-label={t('discover.minRuntime')}
+          />
+          <span className="text-light-200">–</span>
+          <input
+            type="number"
+            min="0"
+            placeholder={t('discover.maxMinutes')}
+            className={`${INPUT_CLASS} w-36`}
+            value={draft.runtimeMax}
+            onChange={(e) => update({ runtimeMax: e.target.value })}
+            disabled={isSearching}
+            aria-label={t('discover.maxRuntime')}
+          />
+        </div>
+
+        {/* Age certification: pick a country, then the highest rating allowed */}
+        <select
+          className={INPUT_CLASS}
+          value={draft.region}
+          onChange={(e) => update({ region: e.target.value, certification: '' })}
+          disabled={certificationDisabled}
+          aria-label={t('discover.certificationCountry')}
+        >
+          <option value="">{t('discover.anyCertification')}</option>
+          {Object.keys(certifications)
+            .sort((a, b) => regionName(a).localeCompare(regionName(b), locale))
+            .map((code) => (
+              <option key={code} value={code}>{regionName(code)}</option>
+            ))}
+        </select>
+        {draft.region && (
+          <select
+            className={INPUT_CLASS}
+            value={draft.certification}
+            onChange={(e) => update({ certification: e.target.value })}
+            disabled={certificationDisabled}
+            aria-label={t('discover.highestCertification')}
+          >
+            <option value="">{t('discover.anyRating')}</option>
+            {regionCertifications.map((cert) => (
+              <option key={cert.certification} value={cert.certification} title={cert.meaning}>
+                {t('discover.upTo', { certification: cert.certification })}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="flex flex-col sm:flex-row items-center gap-4">
+        {/* Rating slider */}
+        <input
+          type="range"
+          min="0"
+          max="10"
+          step="0.1"
+          value={draft.minRating}
+          onChange={(e) => update({ minRating: Number(e.target.value) })}
+          className="w-full max-w-xs"
+          aria-label={t('discover.minRating')}
+        />
+        <span className="text-light-200">{t('discover.minRatingValue', { rating: formatRating(draft.minRating) })}</span>
+
+        {/* Only titles included with (or free on) the user's streaming services.
+            Search results don't say where titles stream, so a text search
+            can't apply it; it stays chosen (and in the URL) for browsing, but
+            is flagged here so nobody takes the results as limited. */}
+        <label className={`flex items-center gap-2 ${isSearching ? 'text-light-200' : ''}`}>
+          <input
+            type="checkbox"
+            checked={draft.myServices}
+            onChange={(e) => update({ myServices: e.target.checked })}
+            disabled={isSearching}
+          />
+          {t('discover.myServices')}
+          {isSearching && draft.myServices && (
+            <span className="text-sm text-[#b5ac49]">{t('discover.myServicesPaused')}</span>
+          )}
+        </label>
+        {draft.myServices && services.length === 0 && (
+          <Link to="/account#services" className="text-sm text-light-200 underline">
+            {t('discover.chooseServices')}
+          </Link>
+        )}
+
+        {hasActiveFilters(draft) && (
+          <button
+            type="button"
+            onClick={() => setDraft(DEFAULT_FILTERS)}
+            className="text-light-200 underline"
+          >
+            {t('discover.reset')}
+          </button>
+        )}
+      </div>
+
+      {isSearching && (
+        <p className="text-sm text-gray-100">
+          {t('discover.searchingNote')}
+        </p>
+      )}
+      {!isSearching && mediaType !== 'movie' && (
+        <p className="text-sm text-gray-100">
+          {t('discover.movieOnlyNote')}
+        </p>
+      )}
+    </section>
+  );
+};
+
+// Export the DiscoverPanel component so Home can render it
+export default DiscoverPanel;
@@ -0,0 +1,53 @@
+// Import the error types raised by the TMDB client
+import {
+  TmdbAuthError,
+  TmdbNotFoundError,
+  TmdbRateLimitError,
+  TmdbOfflineError,
+} from '../tmdb.js';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Picks the message key (see the `errors` section of the catalogs) for each kind of error
+const errorMessageKey = (error) => {
+  if (error instanceof TmdbOfflineError) {
+    return 'errors.offline';
+  }
+  if (error instanceof TmdbAuthError) {
+    return 'errors.auth';
+  }
+  if (error instanceof TmdbNotFoundError) {
+    return 'errors.notFound';
+  }
+  if (error instanceof TmdbRateLimitError) {
+    return 'errors.rateLimit';
+  }
+  return 'errors.generic';
+};
+
+// Renders an error returned by the TMDB client
+// - error: the caught error object
+// - onRetry: optional function; shows a "Try again" button when given
+//   (not offered for auth/not-found errors, where retrying cannot help)
+const ErrorMessage = ({ error, onRetry }) => {
+  const { t } = useI18n();
+  const canRetry =
+    onRetry && !(error instanceof TmdbAuthError) && !(error instanceof TmdbNotFoundError);
+
+  return (
+    <div role="alert" className="text-center">
+      <p className="text-red-500">{t(errorMessageKey(error))}</p>
+      {canRetry && (
+        <button
+          onClick={onRetry}
+          className="mt-4 px-6 py-2 bg-gradient-to-r from-[#6e48aa] to-[#9d50bb] text-white rounded-xl shadow-lg hover:scale-105 transition-all"
+        >
+          {t('errors.retry')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Export the ErrorMessage component so pages can render TMDB errors consistently
+export default ErrorMessage;
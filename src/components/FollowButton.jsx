@@ -0,0 +1,42 @@
+import { useI18n } from './I18nContext.jsx';
+
+// Define the FollowButton functional component
+// Follows an unreleased movie (its release date goes into the followed list and
+// the calendar export on /upcoming) or stops following it.
+// - title: the movie's title, for the compact button's label
+// - following: Boolean, whether it is followed now
+// - onToggle: called on click
+// - compact: a star only, for the calendar cells
+const FollowButton = ({ title, following, onToggle, compact = false }) => {
+  const { t } = useI18n();
+
+  if (compact) {
+    return (
+      <button
+        type="button"
+        onClick={onToggle}
+        aria-pressed={following}
+        aria-label={t(following ? 'upcoming.unfollowLabel' : 'upcoming.followLabel', { title })}
+        className={`shrink-0 ${following ? 'text-[#b5ac49]' : 'text-gray-100 hover:text-white'}`}
+      >
+        {following ? '★' : '☆'}
+      </button>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={onToggle}
+      aria-pressed={following}
+      className={`px-4 py-2 border text-white rounded-lg hover:scale-105 transition-transform ${
+        following ? 'bg-[#b5ac49]/20 border-[#b5ac49]' : 'bg-dark-100 border-light-100/10'
+      }`}
+    >
+      {following ? t('upcoming.following') : t('upcoming.follow')}
+    </button>
+  );
+};
+
+// Export the FollowButton component for the upcoming page and the movie page
+export default FollowButton;
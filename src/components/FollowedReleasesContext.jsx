@@ -0,0 +1,61 @@
+// Import React utilities for state management and context API
+import { createContext, useContext, useEffect, useState } from 'react';
+
+// Reading the followed movies, their localStorage key and the default release kind
+import { DEFAULT_RELEASE_KIND, FOLLOWED_KEY, loadFollowed } from '../upcoming.js';
+
+// Create a Context for the followed upcoming releases
+const FollowedReleasesContext = createContext();
+
+// Custom hook: the followed movies and functions to change them
+// - follow(movie, { releaseDate, region, kind }) / unfollow(id)
+// - setDates({ [id]: releaseDate }, region): refreshed dates (see refreshFollowedDates)
+export const useFollowedReleases = () => useContext(FollowedReleasesContext);
+// Example usage: const { followed, isFollowing, follow, unfollow } = useFollowedReleases();
+
+
+// The provider component holds the one followed list, so following a movie on
+// its detail page shows up on the Upcoming page at once, and follows changes
+// made in other tabs.
+export const FollowedReleasesProvider = ({ children }) => {
+  const [followed, setFollowed] = useState(loadFollowed);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(FOLLOWED_KEY, JSON.stringify(followed));
+    } catch {
+      // Storage full or disabled: the list lasts until the page is closed
+    }
+  }, [followed]);
+
+  // Another tab changed the list: the `storage` event fires in every other tab
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === FOLLOWED_KEY) setFollowed(loadFollowed());
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  const isFollowing = (id) => followed.some((movie) => movie.id === id);
+
+  const follow = ({ id, title, poster_path }, { releaseDate = '', region, kind = DEFAULT_RELEASE_KIND }) => {
+    setFollowed((prev) =>
+      prev.some((movie) => movie.id === id) ? prev : [...prev, { id, title, poster_path, releaseDate, region, kind }]
+    );
+  };
+
+  const unfollow = (id) => setFollowed((prev) => prev.filter((movie) => movie.id !== id));
+
+  const setDates = (dates, region) => {
+    setFollowed((prev) =>
+      prev.map((movie) => (movie.id in dates ? { ...movie, releaseDate: dates[movie.id], region } : movie))
+    );
+  };
+
+  return (
+    <FollowedReleasesContext.Provider value={{ followed, isFollowing, follow, unfollow, setDates }}>
+      {children}
+    </FollowedReleasesContext.Provider>
+  );
+};
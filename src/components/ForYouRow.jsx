@@ -0,0 +1,83 @@
+// React hooks
+import { useEffect, useState } from 'react';
+// - useState: the picks and whether they are loading
+// - useEffect: recompute when the saved titles (or their ratings) change
+
+// Saved titles are the input of the taste profile
+import { useSavedMovies } from './SavedMoviesContext';
+
+// Taste profile and TMDB queries
+import { loadForYou } from '../forYou.js';
+import { isAbortError } from '../tmdb.js';
+import { mediaKey } from '../media.js';
+
+import MovieRow from './MovieRow.jsx';
+import Spinner from './Spinner.jsx';
+import { useI18n } from './I18nContext.jsx';
+
+// Define the ForYouRow functional component
+// Personal recommendations on Home, worked out locally from the saved titles
+// (see forYou.js). Each card says why it was picked. Nothing is shown until
+// something is saved; if TMDB fails the row is left out quietly.
+const ForYouRow = () => {
+  const { savedMovies } = useSavedMovies();
+  const { t, formatList } = useI18n();
+
+  const [picks, setPicks] = useState([]);         // [{ movie, reason }]
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Only what the profile uses: which titles are saved and how they're rated.
+  // Notes, tags and watch dates don't change the picks.
+  const profileKey = savedMovies.map((movie) => `${mediaKey(movie)}:${movie.myRating || ''}`).join(',');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+
+    loadForYou(savedMovies, { signal: controller.signal })
+      .then(setPicks)
+      .catch((error) => {
+        if (isAbortError(error)) return;
+        console.error('Error loading For You picks:', error);
+        setPicks([]);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [profileKey]);
+
+  // "Because you saved Alien", "With Sigourney Weaver", "Horror and Sci-Fi from the 1970s"
+  const reasonText = ({ type, title, name, genres, decade }) => {
+    if (type === 'saved') return t('forYou.becauseSaved', { title });
+    if (type === 'person') return t('forYou.becausePerson', { name });
+    return decade
+      ? t('forYou.becauseGenresDecade', { genres: formatList(genres), decade: String(decade) })
+      : t('forYou.becauseGenres', { genres: formatList(genres) });
+  };
+
+  if (savedMovies.length === 0) return null;
+
+  if (isLoading && picks.length === 0) {
+    return (
+      <section className="mt-12">
+        <h2 className="mb-4">{t('forYou.title')}</h2>
+        <Spinner />
+      </section>
+    );
+  }
+
+  const reasons = new Map(picks.map(({ movie, reason }) => [mediaKey(movie), reason]));
+
+  return (
+    <MovieRow
+      title={t('forYou.title')}
+      movies={picks.map(({ movie }) => movie)}
+      captionOf={(movie) => reasonText(reasons.get(mediaKey(movie)))}
+    />
+  );
+};
+
+// Export the ForYouRow component so Home can show it below the trending row
+export default ForYouRow;
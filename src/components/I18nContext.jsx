@@ -0,0 +1,64 @@
+// Import React utilities for state management and context API
+import { createContext, useContext, useLayoutEffect, useState } from 'react';
+
+// Catalogs, language detection and Intl formatting
+import {
+  LOCALES,
+  loadLocale,
+  saveLocale,
+  translate,
+  formatNumber,
+  formatDate,
+  formatList,
+  formatDisplayName,
+  firstDayOfWeek,
+} from '../i18n/index.js';
+
+// TMDB requests carry the UI language so titles, overviews and genres come back localized
+import { setTmdbLocale } from '../tmdb.js';
+
+// Create a Context for the current UI language
+const I18nContext = createContext();
+
+// Custom hook so components can translate and format
+export const useI18n = () => useContext(I18nContext);
+// Example usage: const { t, locale, setLocale, formatDate } = useI18n();
+//                t('common.save'), t('card.seasons', { count: 3 })
+
+
+// The provider component holds the UI language: the one picked in the
+// switcher, otherwise the browser's preferred language
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocale] = useState(loadLocale);
+
+
+  // Apply the language to TMDB requests, the <html lang> attribute and storage.
+  // A layout effect runs before the children's ordinary effects, so even the
+  // first TMDB requests are made in the right language.
+  useLayoutEffect(() => {
+    const { tag, region } = LOCALES[locale];
+    setTmdbLocale({ language: tag, region });
+    document.documentElement.lang = locale;
+    saveLocale(locale);
+  }, [locale]);
+
+
+  return (
+    <I18nContext.Provider
+      value={{
+        locale,
+        setLocale,
+        region: LOCALES[locale].region,
+        t: (key, values) => translate(locale, key, values),
+        formatNumber: (value, options) => formatNumber(locale, value, options),
+        formatRating: (value) => formatNumber(locale, value, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+        formatDate: (date, options) => formatDate(locale, date, options),
+        formatList: (items) => formatList(locale, items),
+        displayName: (type, code, fallback) => formatDisplayName(locale, type, code, fallback),
+        firstDayOfWeek: firstDayOfWeek(locale),
+      }}
+    >
+      {children}
+    </I18nContext.Provider>
+  );
+};
@@ -0,0 +1,325 @@
+// React hooks
+import { useEffect, useRef, useState } from 'react';
+// - useState: the current step, parsed rows and the user's choices
+// - useRef / useEffect: cancel TMDB lookups when leaving the page
+
+import { Link } from 'react-router-dom';
+
+// Saved movies context (source of the export, target of the import)
+import { useSavedMovies } from './SavedMoviesContext';
+
+// File formats, parsing and TMDB matching
+import {
+  FORMATS,
+  exportJson,
+  exportCsv,
+  downloadFile,
+  readImportFile,
+  resolveRows,
+  ImportFileError,
+} from '../importExport.js';
+import { isAbortError } from '../tmdb.js';
+
+import Spinner from './Spinner.jsx';
+import { useI18n } from './I18nContext.jsx';
+
+// Shared Tailwind classes
+const BUTTON_CLASS = 'px-6 py-2 bg-gradient-to-r from-[#6e48aa] to-[#9d50bb] text-white rounded-xl shadow-lg hover:scale-105 transition-all disabled:opacity-40';
+const INPUT_CLASS = 'bg-dark-100 text-white px-4 py-2 rounded-lg';
+
+// Today's date for export file names, e.g. 2024-05-01
+const today = () => new Date().toISOString().slice(0, 10);
+
+// "Alien (1979)"
+const label = (title, year) => (year ? `${title} (${year})` : title);
+
+// Case-insensitive comparison helper for showing "from <original title>"
+const normalizeForCompare = (title) => title.trim().toLowerCase();
+
+// Small poster thumbnail for the preview rows
+const Thumb = ({ movie }) => (
+  <img
+    src={movie?.poster_path ? `https://image.tmdb.org/t/p/w92${movie.poster_path}` : '/No-Poster-1.png'}
+    alt=""
+    className="w-10 h-14 rounded object-cover"
+  />
+);
+
+// Define the ImportExport functional component (route: /import-export)
+const ImportExport = () => {
+  const { savedMovies, lists, importMovies } = useSavedMovies();
+  const { t } = useI18n();
+
+  const [step, setStep] = useState('idle');        // 'idle' | 'resolving' | 'preview' | 'done'
+  const [error, setError] = useState('');          // Problem reading the file
+  const [format, setFormat] = useState('');        // Detected format (key of FORMATS)
+  const [rows, setRows] = useState([]);            // Resolved rows
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [excluded, setExcluded] = useState({});    // Matched rows the user unticked: { key: true }
+  const [choices, setChoices] = useState({});      // Ambiguous rows: { key: chosen TMDB ID }
+  const [addToSaved, setAddToSaved] = useState(true); // Put the movies in the saved list?
+  const [extraList, setExtraList] = useState('');  // Also add every movie to this list (name)
+  const [importedCount, setImportedCount] = useState(0);
+
+  const abortRef = useRef(null); // AbortController for the TMDB lookups
+
+  // Cancel outstanding lookups on unmount
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // Reads the chosen file and resolves every row against TMDB
+  const handleFile = async (file) => {
+    if (!file) return;
+    setError('');
+
+    let parsed;
+    try {
+      parsed = readImportFile(await file.text(), file.name);
+    } catch (err) {
+      setError(err instanceof ImportFileError ? t(err.messageKey) : err.message);
+      return;
+    }
+    if (parsed.rows.length === 0) {
+      setError(t('importExport.empty'));
+      return;
+    }
+
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setFormat(parsed.format);
+    setExcluded({});
+    setChoices({});
+    setProgress({ done: 0, total: parsed.rows.length });
+    setStep('resolving');
+
+    try {
+      const resolved = await resolveRows(parsed.rows, {
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setRows(resolved);
+      setStep('preview');
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setError(err.message);
+      setStep('idle');
+    }
+  };
+
+  const cancel = () => {
+    abortRef.current?.abort();
+    setRows([]);
+    setStep('idle');
+  };
+
+  const matched = rows.filter((row) => row.status === 'matched');
+  const ambiguous = rows.filter((row) => row.status === 'ambiguous');
+  const unmatched = rows.filter((row) => row.status === 'unmatched');
+
+  // Rows that will be imported, with the TMDB movie each one resolved to
+  const selected = [
+    ...matched.filter((row) => !excluded[row.key]),
+    ...ambiguous
+      .filter((row) => choices[row.key])
+      .map((row) => ({ ...row, movie: row.candidates.find((c) => c.id === choices[row.key]) })),
+  ];
+
+  // Merges the selected rows into the saved movies/lists
+  const handleImport = () => {
+    const listName = extraList.trim();
+    importMovies(selected.map((row) => ({
+      movie: row.movie,
+      saved: addToSaved && row.saved,
+      lists: listName ? [...row.lists, listName] : row.lists,
+      personal: row.personal,
+    })));
+    setImportedCount(selected.length);
+    setRows([]);
+    setStep('done');
+  };
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-5xl mx-auto text-white">
+      <Link to="/saved" className="text-light-200 hover:text-white">{t('importExport.back')}</Link>
+      <h1 className="text-3xl font-bold mb-8 mt-4">{t('importExport.title')}</h1>
+
+      {/* Export */}
+      <section className="mb-12">
+        <h2 className="mb-2">{t('importExport.export')}</h2>
+        <p className="text-light-200 mb-4">
+          {t('importExport.exportSummary', {
+            movies: t('importExport.savedCount', { count: savedMovies.length }),
+            lists: t('importExport.listCount', { count: lists.length }),
+          })}
+        </p>
+        <div className="flex gap-4">
+          <button
+            type="button"
+            className={BUTTON_CLASS}
+            onClick={() => downloadFile(exportJson({ savedMovies, lists }), `tv-time-${today()}.json`, 'application/json')}
+          >
+            {t('importExport.exportJson')}
+          </button>
+          <button
+            type="button"
+            className={BUTTON_CLASS}
+            onClick={() => downloadFile(exportCsv({ savedMovies, lists }), `tv-time-${today()}.csv`, 'text/csv')}
+          >
+            {t('importExport.exportCsv')}
+          </button>
+        </div>
+      </section>
+
+      {/* Import */}
+      <section>
+        <h2 className="mb-2">{t('importExport.import')}</h2>
+        <p className="text-light-200 mb-4">{t('importExport.accepts')}</p>
+
+        {step !== 'resolving' && step !== 'preview' && (
+          <input
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            onChange={(e) => {
+              handleFile(e.target.files[0]);
+              e.target.value = ''; // Allow choosing the same file again
+            }}
+            className="text-light-200"
+            aria-label={t('importExport.file')}
+          />
+        )}
+
+        {error && <p className="text-red-500 mt-4" role="alert">{error}</p>}
+
+        {step === 'done' && (
+          <p className="mt-4" role="status">
+            {t('importExport.imported', { count: importedCount })}{' '}
+            <Link to="/saved" className="underline">{t('importExport.viewSaved')}</Link>
+          </p>
+        )}
+
+        {/* Looking up the rows on TMDB */}
+        {step === 'resolving' && (
+          <div className="flex items-center gap-4 mt-4" role="status">
+            <Spinner />
+            <span>{t('importExport.matching', { done: progress.done, total: progress.total })}</span>
+            <button type="button" onClick={cancel} className="text-light-200 underline">{t('common.cancel')}</button>
+          </div>
+        )}
+
+        {/* Preview before merging */}
+        {step === 'preview' && (
+          <div className="flex flex-col gap-8 mt-4">
+            <p>
+              {FORMATS[format]}:{' '}
+              {t('importExport.summary', {
+                matched: matched.length,
+                ambiguous: ambiguous.length,
+                unmatched: unmatched.length,
+              })}
+            </p>
+
+            {/* Destination */}
+            <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={addToSaved} onChange={(e) => setAddToSaved(e.target.checked)} />
+                {t('importExport.addToSaved')}
+              </label>
+              <label className="flex items-center gap-2">
+                {t('importExport.addToList')}
+                <input
+                  type="text"
+                  list="import-list-names"
+                  value={extraList}
+                  onChange={(e) => setExtraList(e.target.value)}
+                  placeholder={t('importExport.listName')}
+                  className={INPUT_CLASS}
+                />
+                <datalist id="import-list-names">
+                  {lists.map((list) => <option key={list.id} value={list.name} />)}
+                </datalist>
+              </label>
+            </div>
+
+            {matched.length > 0 && (
+              <div>
+                <h3 className="text-xl font-bold mb-3">{t('importExport.matched')}</h3>
+                <ul className="flex flex-col gap-2">
+                  {matched.map((row) => (
+                    <li key={row.key} className="flex items-center gap-3">
+                      <input
+                        type="checkbox"
+                        checked={!excluded[row.key]}
+                        onChange={(e) => setExcluded((prev) => ({ ...prev, [row.key]: !e.target.checked }))}
+                        aria-label={t('importExport.importTitle', { title: row.movie.title })}
+                      />
+                      <Thumb movie={row.movie} />
+                      <span>
+                        {label(row.movie.title, row.movie.release_date?.slice(0, 4))}
+                        {row.title && normalizeForCompare(row.title) !== normalizeForCompare(row.movie.title) && (
+                          <span className="text-gray-100"> — {t('importExport.from', { title: label(row.title, row.year) })}</span>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {ambiguous.length > 0 && (
+              <div>
+                <h3 className="text-xl font-bold mb-3">{t('importExport.needsChoice')}</h3>
+                <ul className="flex flex-col gap-3">
+                  {ambiguous.map((row) => (
+                    <li key={row.key} className="flex flex-col sm:flex-row sm:items-center gap-3">
+                      <span className="sm:w-64">{label(row.title, row.year)}</span>
+                      <select
+                        className={INPUT_CLASS}
+                        value={choices[row.key] || ''}
+                        onChange={(e) => setChoices((prev) => ({ ...prev, [row.key]: Number(e.target.value) || null }))}
+                        aria-label={t('importExport.matchFor', { title: row.title })}
+                      >
+                        <option value="">{t('importExport.skip')}</option>
+                        {row.candidates.map((candidate) => (
+                          <option key={candidate.id} value={candidate.id}>
+                            {label(candidate.title, candidate.release_date?.slice(0, 4))}
+                          </option>
+                        ))}
+                      </select>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {unmatched.length > 0 && (
+              <div>
+                <h3 className="text-xl font-bold mb-3">{t('importExport.notFound')}</h3>
+                <ul className="list-disc pl-6 text-gray-100">
+                  {unmatched.map((row) => (
+                    <li key={row.key}>{label(row.title || row.imdbId || `TMDB ${row.tmdbId}`, row.year)}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex gap-4">
+              <button
+                type="button"
+                className={BUTTON_CLASS}
+                onClick={handleImport}
+                disabled={selected.length === 0 || (!addToSaved && !extraList.trim() && selected.every((row) => row.lists.length === 0))}
+              >
+                {t('importExport.importCount', { count: selected.length })}
+              </button>
+              <button type="button" onClick={cancel} className="text-light-200 underline">{t('common.cancel')}</button>
+            </div>
+          </div>
+        )}
+      </section>
+    </main>
+  );
+};
+
+// Export the ImportExport component so it can be routed to from App.jsx
+export default ImportExport;
@@ -0,0 +1,29 @@
+// Current language and the list of supported ones
+import { useI18n } from './I18nContext.jsx';
+import { LOCALES } from '../i18n/index.js';
+
+// Define the LanguageSwitcher functional component
+// A compact select listing every supported language by its own name.
+// Picking one translates the UI and reloads TMDB data in that language
+// (titles, overviews, genre names); the choice is remembered.
+const LanguageSwitcher = () => {
+  const { t, locale, setLocale } = useI18n();
+
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('language.label')}
+      className="bg-transparent text-light-200 hover:text-white cursor-pointer"
+    >
+      {Object.entries(LOCALES).map(([code, { label }]) => (
+        <option key={code} value={code} lang={code} className="bg-dark-100">
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+// Export the LanguageSwitcher component for the header nav (and the account page)
+export default LanguageSwitcher;
@@ -0,0 +1,217 @@
+// React hooks
+import { useEffect, useRef, useState } from 'react';
+// - useState: rename form, drag state and the screen-reader announcement
+// - useRef / useEffect: keep keyboard focus on a movie after it moves
+
+// Import React Router helpers
+import { Link, useNavigate, useParams } from 'react-router-dom';
+// - useParams: the `:listId` from /lists/:listId
+// - useNavigate: go back to the overview after deleting the list
+
+// Saved movies context, which also holds the named watchlists
+import { useSavedMovies } from './SavedMoviesContext';
+
+// Card used for every movie in the list
+import MovieCard from './MovieCard.jsx';
+
+// Lists can hold movies and series; keys and links depend on the media type
+import { mediaKey, mediaPath, mediaTypeOf } from '../media.js';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Define the ListDetail functional component (route: /lists/:listId)
+// Shows one watchlist. Movies can be reordered by dragging, with the
+// "Move earlier/later" buttons, or with Alt + arrow keys on a focused card.
+const ListDetail = () => {
+  const { listId } = useParams();
+  const navigate = useNavigate();
+  const { t } = useI18n();
+  const { getList, renameList, deleteList, removeFromList, moveInList, isSaved, saveMovie, removeMovie } =
+    useSavedMovies();
+
+  const list = getList(listId);
+
+  const [isRenaming, setIsRenaming] = useState(false); // Is the rename form shown?
+  const [nameInput, setNameInput] = useState('');      // Name being typed
+  const [dragIndex, setDragIndex] = useState(null);    // Index of the card being dragged
+  const [announcement, setAnnouncement] = useState(''); // Read out by screen readers
+
+  const itemRefs = useRef({});          // <li> elements keyed by mediaKey
+  const focusAfterMoveRef = useRef(null); // mediaKey of the movie to refocus after a keyboard move
+
+  // After a keyboard move React re-renders the list; put focus back on the moved card
+  useEffect(() => {
+    if (focusAfterMoveRef.current !== null) {
+      itemRefs.current[focusAfterMoveRef.current]?.focus();
+      focusAfterMoveRef.current = null;
+    }
+  });
+
+  // The list was deleted (maybe in another tab) or the link is wrong
+  if (!list) {
+    return (
+      <main className="min-h-screen bg-primary px-5 py-12 max-w-7xl mx-auto text-white">
+        <Link to="/lists" className="text-light-200 hover:text-white">{t('lists.back')}</Link>
+        <p className="mt-6">{t('lists.notFound')}</p>
+      </main>
+    );
+  }
+
+  // Moves a movie and tells screen-reader users where it went
+  const moveMovie = (from, to, { keepFocus = false } = {}) => {
+    if (to < 0 || to >= list.movies.length || from === to) return;
+    const movie = list.movies[from];
+    moveInList(list.id, from, to);
+    setAnnouncement(t('lists.moved', { title: movie.title, position: to + 1, total: list.movies.length }));
+    if (keepFocus) focusAfterMoveRef.current = mediaKey(movie);
+  };
+
+  // Alt + arrow keys move the focused card
+  const handleKeyDown = (e, index) => {
+    if (!e.altKey || e.target !== e.currentTarget) return; // Not from inputs inside the card
+    if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+      e.preventDefault();
+      moveMovie(index, index - 1, { keepFocus: true });
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      moveMovie(index, index + 1, { keepFocus: true });
+    }
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    renameList(list.id, nameInput);
+    setIsRenaming(false);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('lists.confirmDelete', { name: list.name }))) {
+      deleteList(list.id);
+      navigate('/lists');
+    }
+  };
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-7xl mx-auto text-white">
+      <Link to="/lists" className="text-light-200 hover:text-white">{t('lists.back')}</Link>
+
+      {/* Title with rename/delete actions */}
+      <div className="flex flex-col sm:flex-row sm:items-center gap-4 mb-6 mt-4">
+        {isRenaming ? (
+          <form onSubmit={handleRename} className="flex gap-2">
+            <input
+              type="text"
+              value={nameInput}
+              onChange={(e) => setNameInput(e.target.value)}
+              aria-label={t('lists.name')}
+              autoFocus
+              className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+            />
+            <button type="submit" className="px-4 py-2 bg-[#3ca55c] rounded-lg">{t('common.save')}</button>
+            <button type="button" onClick={() => setIsRenaming(false)} className="px-4 py-2 text-light-200">
+              {t('common.cancel')}
+            </button>
+          </form>
+        ) : (
+          <>
+            <h1 className="text-3xl font-bold">{list.name}</h1>
+            <button
+              type="button"
+              onClick={() => {
+                setNameInput(list.name);
+                setIsRenaming(true);
+              }}
+              className="text-light-200 hover:text-white"
+            >
+              {t('lists.rename')}
+            </button>
+          </>
+        )}
+        <button type="button" onClick={handleDelete} className="text-red-400 hover:text-red-300">
+          {t('lists.deleteList')}
+        </button>
+      </div>
+
+      {/* Polite live region for reorder announcements */}
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+
+      {list.movies.length === 0 ? (
+        <p>{t('lists.emptyList')}</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-100 mb-4">
+            {t('lists.reorderHint')}
+          </p>
+          <ol className="grid grid-cols-1 xs:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-5">
+            {list.movies.map((movie, index) => (
+              <li
+                key={mediaKey(movie)}
+                ref={(el) => { itemRefs.current[mediaKey(movie)] = el; }}
+                tabIndex={0}
+                aria-label={`${index + 1}. ${movie.title}`}
+                draggable
+                onDragStart={(e) => {
+                  setDragIndex(index);
+                  e.dataTransfer.effectAllowed = 'move';
+                }}
+                onDragOver={(e) => e.preventDefault()} // Allow dropping here
+                onDrop={(e) => {
+                  e.preventDefault();
+                  if (dragIndex !== null) moveMovie(dragIndex, index);
+                  setDragIndex(null);
+                }}
+                onDragEnd={() => setDragIndex(null)}
+                onKeyDown={(e) => handleKeyDown(e, index)}
+                className={`flex flex-col gap-2 rounded-2xl outline-offset-4 focus:outline-2 focus:outline-light-200 ${
+                  dragIndex === index ? 'opacity-40' : ''
+                }`}
+              >
+                <Link to={mediaPath(movie)}>
+                  <MovieCard
+                    movie={movie}
+                    isSaved={isSaved(movie.id, mediaTypeOf(movie))}
+                    onSave={() => saveMovie(movie)}
+                    onRemove={() => removeMovie(movie.id, mediaTypeOf(movie))}
+                  />
+                </Link>
+
+                {/* Position controls */}
+                <div className="flex items-center gap-3 text-sm text-light-200">
+                  <span>#{index + 1}</span>
+                  <button
+                    type="button"
+                    onClick={() => moveMovie(index, index - 1)}
+                    disabled={index === 0}
+                    aria-label={t('lists.moveEarlierLabel', { title: movie.title })}
+                    className="disabled:opacity-40"
+                  >
+                    {t('lists.earlier')}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveMovie(index, index + 1)}
+                    disabled={index === list.movies.length - 1}
+                    aria-label={t('lists.moveLaterLabel', { title: movie.title })}
+                    className="disabled:opacity-40"
+                  >
+                    {t('lists.later')}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeFromList(list.id, movie.id, mediaTypeOf(movie))}
+                    className="ml-auto text-red-400 hover:text-red-300"
+                  >
+                    {t('lists.remove')}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </main>
+  );
+};
+
+// Export the ListDetail component so it can be routed to from App.jsx
+export default ListDetail;
@@ -0,0 +1,131 @@
+// React hooks
+import { useEffect, useRef, useState } from 'react';
+// - useState: open/closed state and the "new list" name being typed
+// - useRef / useEffect: close the popover on outside clicks
+
+// Saved movies context, which also holds the named watchlists
+import { useSavedMovies } from './SavedMoviesContext';
+
+import { mediaTypeOf } from '../media.js';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Define the ListPicker functional component
+// Shows a "Lists" button that opens a popover where the movie can be added to
+// or removed from any watchlist, or a new list can be created for it.
+// - movie: the TMDB movie (or normalized series) object to add
+const ListPicker = ({ movie }) => {
+  const { lists, isInList, addToList, removeFromList, createList } = useSavedMovies();
+  const { t } = useI18n();
+
+  const [isOpen, setIsOpen] = useState(false);  // Is the popover visible?
+  const [newName, setNewName] = useState('');   // Name typed for a new list
+  const containerRef = useRef(null);            // Used to detect clicks outside
+
+  // Close when clicking anywhere outside the picker
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handlePointerDown = (e) => {
+      if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [isOpen]);
+
+  // Adds the movie to a list or takes it out again
+  const toggleList = (listId) => {
+    if (isInList(listId, movie.id, mediaTypeOf(movie))) removeFromList(listId, movie.id, mediaTypeOf(movie));
+    else addToList(listId, movie);
+  };
+
+  // Creates a list from the typed name and puts the movie in it
+  // (plain buttons rather than a <form>: the click guard below would cancel a submit)
+  const handleCreate = () => {
+    if (!newName.trim()) return;
+    const listId = createList(newName);
+    addToList(listId, movie);
+    setNewName('');
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative inline-block"
+      // The picker is often rendered inside a <Link> (e.g. on MovieCard):
+      // keep clicks in here from navigating to the detail page
+      onClick={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') setIsOpen(false);
+      }}
+    >
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        className="mt-4 px-4 py-2 bg-dark-100 border border-light-100/10 text-white rounded-lg hover:scale-105 transition-transform"
+      >
+        {t('listPicker.button')}
+      </button>
+
+      {isOpen && (
+        <div
+          role="group"
+          aria-label={t('listPicker.label', { title: movie.title })}
+          className="absolute z-20 mt-2 w-64 bg-dark-100 border border-light-100/10 rounded-lg shadow-lg p-3 flex flex-col gap-2"
+        >
+          {lists.length === 0 && (
+            <p className="text-sm text-gray-100">{t('listPicker.empty')}</p>
+          )}
+
+          {/* One toggle per list; aria-pressed tells screen readers whether the movie is in it */}
+          {lists.map((list) => {
+            const inList = isInList(list.id, movie.id, mediaTypeOf(movie));
+            return (
+              <button
+                key={list.id}
+                type="button"
+                aria-pressed={inList}
+                onClick={() => toggleList(list.id)}
+                className="flex items-center gap-2 text-left text-white hover:text-light-100"
+              >
+                <span aria-hidden="true">{inList ? '☑' : '☐'}</span>
+                <span className="line-clamp-1">{list.name}</span>
+              </button>
+            );
+          })}
+
+          {/* New list */}
+          <div className="flex gap-2 mt-1">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleCreate();
+              }}
+              placeholder={t('listPicker.newList')}
+              aria-label={t('listPicker.newListName')}
+              className="flex-1 min-w-0 bg-primary text-white px-2 py-1 rounded"
+            />
+            <button
+              type="button"
+              onClick={handleCreate}
+              disabled={!newName.trim()}
+              className="px-2 py-1 text-white bg-[#3ca55c] rounded"
+            >
+              {t('listPicker.add')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Export the ListPicker component so MovieCard and MovieDetail can use it
+export default ListPicker;
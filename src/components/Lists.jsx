@@ -0,0 +1,108 @@
+// React hooks
+import { useState } from 'react';
+// - useState: the name typed for a new list
+
+// Import React Router helpers
+import { Link, useNavigate } from 'react-router-dom';
+// - Link: navigate to a list without a full reload
+// - useNavigate: open a list right after creating it
+
+// Saved movies context, which also holds the named watchlists
+import { useSavedMovies } from './SavedMoviesContext';
+
+import { mediaKey } from '../media.js';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Number of poster thumbnails previewed per list
+const PREVIEW_COUNT = 4;
+
+// Define the Lists functional component (route: /lists)
+// Overview of every named watchlist with a form to create a new one
+const Lists = () => {
+  const { lists, createList, deleteList } = useSavedMovies();
+  const navigate = useNavigate();
+  const { t } = useI18n();
+
+  const [newName, setNewName] = useState(''); // Name typed for a new list
+
+  // Creates the list and opens it
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    const listId = createList(newName);
+    setNewName('');
+    navigate(`/lists/${listId}`);
+  };
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-7xl mx-auto text-white">
+      {/* Link back to the listing */}
+      <Link to="/" className="text-light-200 hover:text-white">{t('nav.home')}</Link>
+
+      <h1 className="text-3xl font-bold mb-6 mt-4">{t('lists.title')}</h1>
+
+      {/* New list form */}
+      <form onSubmit={handleCreate} className="flex flex-col sm:flex-row gap-4 mb-8">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={t('lists.namePlaceholder')}
+          aria-label={t('lists.newName')}
+          className="bg-dark-100 text-white px-4 py-2 rounded-lg w-full sm:max-w-xs"
+        />
+        <button
+          type="submit"
+          disabled={!newName.trim()}
+          className="px-6 py-2 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform disabled:opacity-40"
+        >
+          {t('lists.create')}
+        </button>
+      </form>
+
+      {lists.length === 0 ? (
+        <p>{t('lists.empty')}</p>
+      ) : (
+        <ul className="grid grid-cols-1 xs:grid-cols-2 md:grid-cols-3 gap-5">
+          {lists.map((list) => (
+            <li key={list.id} className="bg-dark-100 p-5 rounded-2xl shadow-inner shadow-light-100/10 flex flex-col gap-3">
+              <Link to={`/lists/${list.id}`} className="flex flex-col gap-3">
+                {/* Poster strip of the first few movies */}
+                <div className="flex gap-2 h-24">
+                  {list.movies.slice(0, PREVIEW_COUNT).map((movie) => (
+                    <img
+                      key={mediaKey(movie)}
+                      src={movie.poster_path
+                        ? `https://image.tmdb.org/t/p/w92${movie.poster_path}`
+                        : '/No-Poster-1.png'}
+                      alt=""
+                      className="w-16 h-24 rounded-lg object-cover"
+                    />
+                  ))}
+                </div>
+                <h3 className="text-white font-bold text-base line-clamp-1">{list.name}</h3>
+                <p className="text-gray-100">
+                  {t('lists.movies', { count: list.movies.length })}
+                </p>
+              </Link>
+
+              <button
+                type="button"
+                onClick={() => {
+                  if (window.confirm(t('lists.confirmDelete', { name: list.name }))) deleteList(list.id);
+                }}
+                className="self-start text-sm text-red-400 hover:text-red-300"
+              >
+                {t('lists.delete')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </main>
+  );
+};
+
+// Export the Lists component so it can be routed to from App.jsx
+export default Lists;
@@ -1,25 +1,53 @@
+// Dropdown for adding the movie to named watchlists
+import ListPicker from './ListPicker.jsx';
+
+// Button adding the movie to the comparison tray
+import CompareButton from './CompareButton.jsx';
+
+// Translated labels and localized rating
+import { useI18n } from './I18nContext.jsx';
+
+// Personal data (watched, own rating, tags) of the saved entry for this movie
+import { useSavedMovies } from './SavedMoviesContext';
+import { hasPersonalData, isWatched, starText } from '../personal.js';
+import { mediaTypeOf } from '../media.js';
+
+// Tags shown on a card; the rest are on the detail page
+const MAX_CARD_TAGS = 3;
+
 // Define the MovieCard functional component
 // Props are destructured in two levels:
 // - The first destructures the `movie` object from props
 // - The second destructures individual movie fields from the `movie` object
+//   (the whole object is still needed for the list picker)
 const MovieCard = ({ 
-  movie: { 
-    title,             // Movie title string
-    vote_average,      // Average rating (float), e.g., 7.3
-    poster_path,       // Path to the poster image (e.g., '/abc123.jpg')
-    release_date,      // Date string in the format 'YYYY-MM-DD'
-    original_language  // Language code string, e.g., 'en', 'fr'
-  }, 
+  movie,               // TMDB movie object
   isSaved,             // Boolean: indicates if the movie is saved to the user's list
   onSave,              // Function: called when the user wants to save this movie
   onRemove             // Function: called when the user wants to remove this movie
 }) => {
+  const { 
+    title,             // Movie title string
+    vote_average,      // Average rating (float), e.g., 7.3
+    poster_path,       // Path to the poster image (e.g., '/abc123.jpg')
+    release_date,      // Date string in the format 'YYYY-MM-DD'
+    original_language, // Language code string, e.g., 'en', 'fr'
+    media_type,        // 'tv' for series (normalized to this shape, see media.js), else a movie
+    number_of_seasons  // Series only, and only when loaded from the detail endpoint
+  } = movie;
+  const isTv = media_type === 'tv';
+  const { t, formatRating } = useI18n();
+
+  // The saved entry (undefined when not saved) carries watch dates, rating and tags
+  const { getSavedMovie } = useSavedMovies();
+  const saved = getSavedMovie(movie.id, mediaTypeOf(movie));
+
   return (
     <div className="movie-card">
       {/* Movie Poster Image */}
       <img
         src={poster_path 
-          ? `https://image.tmdb.org/t/p/w500/${poster_path}`  // If poster_path exists, use TMDB full URL
+          ? `https://image.tmdb.org/t/p/w500${poster_path}`  // If poster_path exists, use TMDB full URL
           : '/No-Poster-1.png'                                // Otherwise use a local fallback image
         }
         alt={title} // Sets alt text to the movie title for accessibility
@@ -35,10 +63,10 @@ const MovieCard = ({
           
           {/* Rating Section */}
           <div className="rating">
-            <img src="star.svg" alt="Star Icon" />
-            <p>{vote_average ? vote_average.toFixed(1) : 'N/A'}</p>
+            <img src="/star.svg" alt={t('card.starAlt')} />
+            <p>{vote_average ? formatRating(vote_average) : t('common.notAvailable')}</p>
             {/* 
-              - If vote_average exists, show it rounded to 1 decimal
+              - If vote_average exists, show it rounded to 1 decimal (with the language's decimal mark)
               - Otherwise, show 'N/A' as fallback
             */}
           </div>
@@ -54,27 +82,66 @@ const MovieCard = ({
           <p className="year">
             {
               release_date 
-              ? release_date.split('-')[0] // Extract the year (first part of YYYY-MM-DD)
-              : 'N/A'                      // Fallback if release_date is missing
+              ? release_date.split('-')[0] // Extract the year (first part of YYYY-MM-DD; first air date for series)
+              : t('common.notAvailable')   // Fallback if release_date is missing
             }
           </p>
+
+          {/* Series: TV badge and number of seasons */}
+          {isTv && (
+            <>
+              <span>•</span>
+              <p className="text-gray-100 text-sm">
+                {t('card.tv')}{number_of_seasons ? ` · ${t('card.seasons', { count: number_of_seasons })}` : ''}
+              </p>
+            </>
+          )}
         </div>
 
-        {/* Button to Save or Remove Movie */}
-        <button
-          onClick={(e) => {
-            e.preventDefault(); // Prevents default behavior, e.g., navigating away when wrapped in <Link>
-            isSaved ? onRemove() : onSave(); // Conditional logic: if already saved, remove it; otherwise save it
-          }}
-          className="mt-4 px-4 py-2 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform"
-        >
-          {isSaved ? 'Tag ur ' : 'Stoppa i fickan'}
-          {/* 
-            - Button text depends on saved state
-            - 'Tag ur' = remove (Swedish for "Take out")
-            - 'Stoppa i fickan' = save (Swedish for "Put in your pocket")
-          */}
-        </button>
+        {/* Personal data: watched, own rating and the first few tags */}
+        {saved && (isWatched(saved) || saved.myRating || saved.tags?.length > 0) && (
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+            {isWatched(saved) && (
+              <span className="text-[#3ca55c]">
+                {t('card.watched', { count: saved.watchDates.length })}
+              </span>
+            )}
+            {saved.myRating && (
+              <span className="text-[#b5ac49]" aria-label={t('card.myRating', { rating: formatRating(saved.myRating) })}>
+                {starText(saved.myRating)}
+              </span>
+            )}
+            {saved.tags?.slice(0, MAX_CARD_TAGS).map((tag) => (
+              <span key={tag} className="px-2 rounded-full bg-light-100/10 text-light-200">{tag}</span>
+            ))}
+          </div>
+        )}
+
+        {/* Actions: save/remove and the watchlist picker */}
+        <div className="flex flex-wrap items-center gap-2">
+          {/* Button to Save or Remove Movie */}
+          <button
+            onClick={(e) => {
+              e.preventDefault(); // Prevents default behavior, e.g., navigating away when wrapped in <Link>
+              if (!isSaved) onSave();          // Not saved yet: save it
+              else if (!hasPersonalData(saved) || window.confirm(t('personal.confirmRemove', { title }))) onRemove();
+              // Removing also drops watch dates, rating, notes and tags, so ask first when there are any
+            }}
+            className="mt-4 px-4 py-2 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform"
+          >
+            {isSaved ? t('common.remove') : t('common.save')}
+            {/* 
+              - Button text depends on saved state
+              - Labels come from common.save / common.remove in the message catalogs
+            */}
+          </button>
+
+          {/* Add to / remove from named watchlists */}
+          <ListPicker movie={movie} />
+
+          {/* Add to / take out of the comparison tray (movies only) */}
+          <CompareButton movie={movie} />
+        </div>
       </div>
     </div>
   );
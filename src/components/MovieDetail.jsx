@@ -1,86 +1,176 @@
 // Import React Router hooks to get route params and navigation functionality
-import { useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
 // - useParams: lets you access dynamic route parameters (e.g., the `:id` from /movie/:id)
 // - useNavigate: provides navigation capabilities like going back a page
+// - useLocation: tells us whether this page was opened directly (no history to go back to)
+// - Link: director/writer names link to their person pages
 
 // React hooks
-import { useEffect, useState } from 'react';
-// - useState: manage component-local state (movie data, loading, error)
+import { useCallback, useEffect, useState } from 'react';
+// - useState: manage component-local state (movie data, loading, error, trailer overlay)
+// - useCallback: keeps the trailer close handler stable
 // - useEffect: run code (side effect) when component mounts or updates
 
 // Import your custom saved-movie management hook (assumes it's implemented elsewhere)
 import { useSavedMovies } from './SavedMoviesContext';
 // - useSavedMovies: custom hook (context) to access and modify the list of saved movies
 
-// Setup constants for API interaction
-const API_BASE_URL = 'https://api.themoviedb.org/3'; // Base URL for TMDB
-const API_KEY = import.meta.env.VITE_TMDB_API_KEY;   // TMDB API key from environment variables
-
-// Configuration object for fetch() requests to TMDB
-const API_OPTIONS = {
-  method: 'GET',
-  headers: {
-    accept: 'application/json',
-    Authorization: `Bearer ${API_KEY}`, // Secure bearer token authorization
-  },
+// Shared TMDB client and error rendering
+import { getMovieDetails, isAbortError } from '../tmdb.js';
+// - getMovieDetails: cached /movie/:id request with credits, videos, recommendations,
+//   similar titles, keywords, release dates and external IDs appended
+import ErrorMessage from './ErrorMessage.jsx';
+
+// Dropdown for adding the movie to named watchlists
+import ListPicker from './ListPicker.jsx';
+
+// Detail page sections
+import CastList from './CastList.jsx';
+import MovieRow from './MovieRow.jsx';
+import TrailerPlayer, { pickTrailer } from './TrailerPlayer.jsx';
+import PersonalPanel from './PersonalPanel.jsx';
+import WatchProviders from './WatchProviders.jsx';
+import CollectionBanner from './CollectionBanner.jsx';
+import CompareButton from './CompareButton.jsx';
+import FollowButton from './FollowButton.jsx';
+
+// Following unreleased movies (see /upcoming), dated for the "where to watch" country
+import { followedReleaseDate } from '../upcoming.js';
+import { useFollowedReleases } from './FollowedReleasesContext.jsx';
+import { useWatchPreferences } from './WatchPreferencesContext.jsx';
+
+// Removing a title also drops its watch dates, rating, notes and tags
+import { hasPersonalData, today } from '../personal.js';
+
+// Translated labels, localized numbers and dates, and the region for age ratings
+import { useI18n } from './I18nContext.jsx';
+import { formatRuntime, MONEY_FORMAT } from '../format.js';
+
+// Crew jobs shown under "Written by"
+const WRITER_JOBS = ['Screenplay', 'Writer', 'Story', 'Novel', 'Characters'];
+
+// Crew members with one of the given jobs, each person once
+const crewMembers = (crew = [], jobs) => [
+  ...new Map(crew.filter((member) => jobs.includes(member.job)).map((member) => [member.id, member])).values(),
+];
+
+// Comma-separated links to the given people's pages
+const PeopleLinks = ({ people }) =>
+  people.map((person, index) => (
+    <span key={person.id}>
+      {index > 0 && ', '}
+      <Link to={`/person/${person.id}`} className="underline hover:text-white">{person.name}</Link>
+    </span>
+  ));
+
+// Age rating (e.g. "PG-13") from the appended release_dates, preferring the
+// given region (the UI language's country)
+const findCertification = (releaseDates = [], preferredRegion) => {
+  const regions = [
+    releaseDates.find((entry) => entry.iso_3166_1 === preferredRegion),
+    ...releaseDates,
+  ];
+  for (const region of regions) {
+    const rated = region?.release_dates.find((date) => date.certification);
+    if (rated) return rated.certification;
+  }
+  return '';
 };
 
 // Define the MovieDetail functional component
 const MovieDetail = () => {
   const { id } = useParams();       // Extract the dynamic movie ID from URL
   const navigate = useNavigate();   // Allows navigation (e.g., back button)
+  const location = useLocation();   // location.key is 'default' on the first page of the session
 
   // Get access to saved movie state/functions from context
-  const { savedMovies, saveMovie, removeMovie } = useSavedMovies();
+  const { isSaved: isMovieSaved, getSavedMovie, saveMovie, removeMovie } = useSavedMovies();
+
+  // Translations and formatting in the UI language
+  const { t, region, formatNumber, formatRating, formatDate } = useI18n();
 
   // Local state for the current movie being viewed
   const [movie, setMovie] = useState(null);   // Movie object from TMDB API
   const [loading, setLoading] = useState(true); // Indicates if data is still loading
-  const [error, setError] = useState(null);     // Stores any fetch error messages
+  const [error, setError] = useState(null);     // Stores any fetch error (TmdbError)
 
   // Boolean: is the current movie already saved?
-  const isSaved = savedMovies.some((m) => m.id === movie?.id);
-  // - Optional chaining protects against `movie` being null initially
+  const isSaved = movie ? isMovieSaved(movie.id) : false;
+  // - `movie` is null until the fetch finishes
+
+  // Bumped by the "Try again" button to re-run the fetch effect
+  const [retryKey, setRetryKey] = useState(0);
+
+  // The trailer overlay is only mounted after the user asks for it
+  const [showTrailer, setShowTrailer] = useState(false);
+
+  // Followed upcoming releases
+  const { isFollowing, follow, unfollow } = useFollowedReleases();
+  const [{ region: watchRegion }] = useWatchPreferences();
 
   // Fetch the movie data from TMDB on component mount or when ID changes
   useEffect(() => {
+    // Lets us cancel the request if the user navigates to another movie first
+    const controller = new AbortController();
+
     const fetchMovie = async () => {
       setLoading(true);     // Show loading state
       setError(null);       // Reset previous errors
 
       try {
-        const res = await fetch(`${API_BASE_URL}/movie/${id}`, API_OPTIONS);
-        if (!res.ok) {
-          const errorData = await res.json();
-          throw new Error(errorData.status_message || 'Failed to fetch movie');
-        }
-
-        const data = await res.json(); // Parse JSON response
+        const data = await getMovieDetails(id, { signal: controller.signal });
         setMovie(data);                // Update movie state
       } catch (err) {
-        setError(err.message);        // Capture and store any error messages
+        if (isAbortError(err)) return; // Request was cancelled; nothing to show
+        setError(err);                 // Capture the error for ErrorMessage
       } finally {
-        setLoading(false);            // Hide loading state
+        if (!controller.signal.aborted) setLoading(false); // Hide loading state
       }
     };
 
+    setShowTrailer(false);  // Don't carry an open trailer over to the next movie
+    window.scrollTo(0, 0);  // Start at the top when arriving from a recommendation
     fetchMovie(); // Trigger the async function
-  }, [id]);       // Only re-run if movie ID changes
+    return () => controller.abort(); // Cleanup: cancel on ID change/unmount
+  }, [id, retryKey]); // Re-run if movie ID changes or the user retries
+
+  // Stable so TrailerPlayer's Escape listener isn't re-added on every render
+  const closeTrailer = useCallback(() => setShowTrailer(false), []);
 
   // Conditional rendering: loading, error, or empty result states
-  if (loading) return <p className="text-white text-center mt-10">Loading movie details...</p>;
-  if (error) return <p className="text-red-500 text-center mt-10">Error: {error}</p>;
-  if (!movie) return <p className="text-white text-center mt-10">No movie found.</p>;
+  if (loading) return <p className="text-white text-center mt-10">{t('detail.loadingMovie')}</p>;
+  if (error) {
+    return (
+      <main className="min-h-screen bg-primary px-5 py-12 text-white">
+        <ErrorMessage error={error} onRetry={() => setRetryKey((key) => key + 1)} />
+      </main>
+    );
+  }
+  if (!movie) return <p className="text-white text-center mt-10">{t('detail.noMovie')}</p>;
+
+  // Derived details from the appended responses
+  const directors = crewMembers(movie.credits?.crew, ['Director']);
+  const writers = crewMembers(movie.credits?.crew, WRITER_JOBS);
+  const trailer = pickTrailer(movie.videos?.results);
+  const certification = findCertification(movie.release_dates?.results, region);
+  const keywords = movie.keywords?.keywords || [];
+  const imdbId = movie.external_ids?.imdb_id;
+
+  // Release date in the chosen country; only movies not out there yet can be followed
+  const regionalDate = followedReleaseDate(movie.release_dates?.results, watchRegion, { fallback: movie.release_date });
+  const isUpcoming = !regionalDate || regionalDate > today();
 
   // If data is loaded and valid, render the movie detail UI
   return (
     <main className="min-h-screen bg-primary px-5 py-12 max-w-5xl mx-auto text-white">
       {/* Back button */}
       <button
-        onClick={() => navigate(-1)} // Navigate back to previous page
+        onClick={() => (location.key === 'default' ? navigate('/') : navigate(-1))}
+        // Navigate back to the previous page (which restores its search/page from the URL);
+        // opened from a shared link there is no previous page, so go to Home instead
         className="mb-8 px-6 py-2 bg-gradient-to-r from-[#6e48aa] to-[#9d50bb] text-white rounded-xl shadow-lg hover:scale-105 transition-all"
       >
-        ← Back
+        {t('detail.back')}
       </button>
 
       {/* Movie card container: flex layout */}
@@ -101,45 +191,160 @@ const MovieDetail = () => {
         <div className="flex flex-col gap-4 flex-1">
           <h2 className="text-3xl font-bold text-white">{movie.title}</h2>
 
+          {/* Tagline */}
+          {movie.tagline && <p className="text-light-200 italic">{movie.tagline}</p>}
+
+          {/* Age rating and runtime */}
+          {(certification || movie.runtime > 0) && (
+            <p className="flex items-center gap-3 text-gray-100">
+              {certification && (
+                <span className="px-2 py-0.5 border border-gray-100 rounded text-sm">{certification}</span>
+              )}
+              {movie.runtime > 0 && <span>{formatRuntime(t, movie.runtime)}</span>}
+            </p>
+          )}
+
           {/* Genre list (if available) */}
           {movie.genres && movie.genres.length > 0 && (
             <p className="text-gray-100">
-              <strong>Genres:</strong> {movie.genres.map((g) => g.name).join(', ')}
+              <strong>{t('detail.genres')}</strong> {movie.genres.map((g) => g.name).join(', ')}
             </p>
           )}
 
           {/* Average vote (rating) */}
           <p className="text-gray-100">
-            <strong>Rating:</strong> {movie.vote_average ? movie.vote_average.toFixed(1) : 'N/A'}
+            <strong>{t('detail.rating')}</strong> {movie.vote_average ? formatRating(movie.vote_average) : t('common.notAvailable')}
           </p>
 
           {/* Release date */}
           <p className="text-gray-100">
-            <strong>Release Date:</strong> {movie.release_date || 'N/A'}
+            <strong>{t('detail.releaseDate')}</strong> {movie.release_date ? formatDate(movie.release_date) : t('common.notAvailable')}
           </p>
 
+          {/* Director and writer credits */}
+          {directors.length > 0 && (
+            <p className="text-gray-100">
+              <strong>{t('detail.directedBy')}</strong> <PeopleLinks people={directors} />
+            </p>
+          )}
+          {writers.length > 0 && (
+            <p className="text-gray-100">
+              <strong>{t('detail.writtenBy')}</strong> <PeopleLinks people={writers} />
+            </p>
+          )}
+
+          {/* Budget and box office (0 means unknown on TMDB) */}
+          {movie.budget > 0 && (
+            <p className="text-gray-100">
+              <strong>{t('detail.budget')}</strong> {formatNumber(movie.budget, MONEY_FORMAT)}
+            </p>
+          )}
+          {movie.revenue > 0 && (
+            <p className="text-gray-100">
+              <strong>{t('detail.revenue')}</strong> {formatNumber(movie.revenue, MONEY_FORMAT)}
+            </p>
+          )}
+
           {/* Overview/description */}
           <p className="text-light-200 leading-relaxed mt-2">
-            <strong>Description:</strong> {movie.overview || 'No description available.'}
+            <strong>{t('detail.description')}</strong> {movie.overview || t('detail.noDescription')}
           </p>
 
-          {/* Save/Remove button */}
-          <button
-            onClick={() => {
-              if (isSaved) {
-                removeMovie(movie.id); // If saved, remove it
-              } else {
-                saveMovie(movie);      // Otherwise, save it
-              }
-            }}
-            className="mt-6 px-6 py-3 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform"
-            disabled={loading} // Disable button while loading
-          >
-            {isSaved ? 'Tag ur' : 'Stoppa i fickan'}
-            {/* Swedish phrases for remove/save */}
-          </button>
+          {/* Keywords */}
+          {keywords.length > 0 && (
+            <ul className="flex flex-wrap gap-2">
+              {keywords.map((keyword) => (
+                <li key={keyword.id} className="px-3 py-1 rounded-full bg-light-100/10 text-light-200 text-sm">
+                  {keyword.name}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* External links */}
+          {imdbId && (
+            <a
+              href={`https://www.imdb.com/title/${imdbId}/`}
+              target="_blank"
+              rel="noreferrer"
+              className="text-light-200 underline self-start"
+            >
+              {t('detail.imdb')}
+            </a>
+          )}
+
+          {/* Actions: save/remove and the watchlist picker */}
+          <div className="flex flex-wrap items-end gap-4">
+            {/* Save/Remove button */}
+            <button
+              onClick={() => {
+                if (isSaved) {
+                  // If saved, remove it (asking first when there is personal data to lose)
+                  if (!hasPersonalData(getSavedMovie(movie.id)) || window.confirm(t('personal.confirmRemove', { title: movie.title }))) {
+                    removeMovie(movie.id);
+                  }
+                } else {
+                  saveMovie(movie);      // Otherwise, save it
+                }
+              }}
+              className="mt-6 px-6 py-3 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform"
+              disabled={loading} // Disable button while loading
+            >
+              {isSaved ? t('common.remove') : t('common.save')}
+            </button>
+
+            {/* Add to / remove from named watchlists */}
+            <ListPicker movie={movie} />
+
+            {/* Add to / take out of the comparison tray */}
+            <CompareButton movie={movie} />
+
+            {/* Follow the release date (listed and exported on /upcoming) */}
+            {(isUpcoming || isFollowing(movie.id)) && (
+              <div className="mt-4">
+                <FollowButton
+                  title={movie.title}
+                  following={isFollowing(movie.id)}
+                  onToggle={() => (isFollowing(movie.id)
+                    ? unfollow(movie.id)
+                    : follow(movie, { releaseDate: regionalDate, region: watchRegion }))}
+                />
+              </div>
+            )}
+
+            {/* Trailer: the player is only loaded when this is clicked */}
+            {trailer && (
+              <button
+                type="button"
+                onClick={() => setShowTrailer(true)}
+                className="mt-6 px-6 py-3 bg-dark-100 border border-light-100/20 text-white rounded-lg hover:scale-105 transition-transform"
+              >
+                {t('detail.playTrailer')}
+              </button>
+            )}
+          </div>
         </div>
       </div>
+
+      {/* Film series: link to the collection and to the previous/next entries */}
+      {movie.belongs_to_collection && (
+        <CollectionBanner collection={movie.belongs_to_collection} movieId={movie.id} />
+      )}
+
+      {/* Streaming, rental and purchase options in the chosen country */}
+      <WatchProviders providers={movie['watch/providers']?.results} />
+
+      {/* Watch log, personal rating, tags and notes */}
+      <PersonalPanel movie={movie} />
+
+      {/* Cast carousel */}
+      <CastList cast={movie.credits?.cast} />
+
+      {/* Related movies */}
+      <MovieRow title={t('detail.recommended')} movies={movie.recommendations?.results} />
+      <MovieRow title={t('detail.similar')} movies={movie.similar?.results} />
+
+      {showTrailer && trailer && <TrailerPlayer video={trailer} onClose={closeTrailer} />}
     </main>
   );
 };
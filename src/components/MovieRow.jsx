@@ -0,0 +1,46 @@
+import { Link } from 'react-router-dom';
+
+// Saved state for each card
+import { useSavedMovies } from './SavedMoviesContext';
+
+import MovieCard from './MovieCard.jsx';
+
+// Rows can mix movies and series
+import { mediaKey, mediaPath, mediaTypeOf } from '../media.js';
+
+// Define the MovieRow functional component
+// A titled, horizontally scrolling row of MovieCards (e.g. "Recommended").
+// - title: heading text
+// - movies: TMDB movie (or normalized series) objects; the row is not rendered when empty
+// - captionOf: optional function returning a short line shown under a movie's card
+const MovieRow = ({ title, movies, captionOf }) => {
+  const { isSaved, saveMovie, removeMovie } = useSavedMovies();
+
+  if (!movies || movies.length === 0) return null;
+
+  return (
+    <section className="mt-12">
+      <h2 className="mb-4">{title}</h2>
+
+      {/* Cards keep a fixed width and scroll sideways; snap to the start of each card */}
+      <ul className="flex gap-5 overflow-x-auto pb-4 snap-x snap-mandatory">
+        {movies.map((movie) => (
+          <li key={mediaKey(movie)} className="w-[220px] shrink-0 snap-start">
+            <Link to={mediaPath(movie)}>
+              <MovieCard
+                movie={movie}
+                isSaved={isSaved(movie.id, mediaTypeOf(movie))}
+                onSave={() => saveMovie(movie)}
+                onRemove={() => removeMovie(movie.id, mediaTypeOf(movie))}
+              />
+            </Link>
+            {captionOf && <p className="mt-2 text-sm text-light-200 line-clamp-2">{captionOf(movie)}</p>}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+// Export the MovieRow component for the detail page (and other pages that list related movies)
+export default MovieRow;
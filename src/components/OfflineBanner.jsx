@@ -0,0 +1,31 @@
+import { Link } from 'react-router-dom';
+
+// Online/offline state reported by the browser
+import { useOnlineStatus } from '../offline.js';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Define the OfflineBanner functional component
+// A bar across the top of every page while the network is down. Pages visited
+// before and saved movies (with their detail pages) still work from the
+// service worker's caches; new searches wait for the connection to return.
+const OfflineBanner = () => {
+  const isOnline = useOnlineStatus();
+  const { t } = useI18n();
+
+  if (isOnline) return null;
+
+  return (
+    <div
+      role="status"
+      className="sticky top-0 z-30 bg-dark-100 border-b border-light-100/10 px-5 py-3 text-center text-light-200"
+    >
+      {t('offline.before')}{' '}
+      <Link to="/saved" className="underline hover:text-white">{t('offline.link')}</Link>{' '}
+      {t('offline.after')}
+    </div>
+  );
+};
+
+// Export the OfflineBanner component so App.jsx can show it above every page
+export default OfflineBanner;
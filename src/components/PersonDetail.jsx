@@ -0,0 +1,307 @@
+// Import React Router hooks to get route params and navigation functionality
+import { Link, useParams, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+// - useParams: the `:id` from /person/:id
+// - useNavigate / useLocation: the Back button (Home when opened directly)
+// - useSearchParams: filmography sort and genre live in the URL (e.g. ?sort=popularity&genre=18)
+
+// React hooks
+import { useEffect, useState } from 'react';
+
+// Shared TMDB client and error rendering
+import { getPerson, getGenres, isAbortError } from '../tmdb.js';
+// - getPerson: cached /person/:id request with movie credits appended
+import ErrorMessage from './ErrorMessage.jsx';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Sort options for the filmography: URL value, label (message key) and comparison function
+const SORTS = {
+  year: { labelKey: 'sort.newestFirst', compare: (a, b) => (b.release_date || '9999').localeCompare(a.release_date || '9999') },
+  popularity: { labelKey: 'sort.popular', compare: (a, b) => b.popularity - a.popularity },
+};
+
+// Message keys of TMDB's department names; unknown departments are shown as TMDB names them
+const DEPARTMENT_KEYS = {
+  Acting: 'departments.acting',
+  Directing: 'departments.directing',
+  Writing: 'departments.writing',
+  Production: 'departments.production',
+  Camera: 'departments.camera',
+  Editing: 'departments.editing',
+  Sound: 'departments.sound',
+  Art: 'departments.art',
+  'Costume & Make-Up': 'departments.costume',
+  'Visual Effects': 'departments.visualEffects',
+  Lighting: 'departments.lighting',
+  Crew: 'departments.crew',
+};
+
+// Biographies longer than this are collapsed behind "Read more"
+const BIO_PREVIEW_LENGTH = 600;
+
+// Groups the credits into sections: "Acting" for cast credits, then one per crew
+// department. A movie appears once per section, with all of its roles joined
+// (e.g. "Director, Writer").
+const groupCredits = (credits) => {
+  const groups = new Map(); // department -> Map(movie id -> credit)
+
+  const add = (department, credit, role) => {
+    if (!groups.has(department)) groups.set(department, new Map());
+    const movies = groups.get(department);
+    const existing = movies.get(credit.id);
+    if (existing) {
+      if (role && !existing.roles.includes(role)) existing.roles.push(role);
+    } else {
+      movies.set(credit.id, { ...credit, roles: role ? [role] : [] });
+    }
+  };
+
+  (credits?.cast || []).forEach((credit) => add('Acting', credit, credit.character));
+  (credits?.crew || []).forEach((credit) => add(credit.department, credit, credit.job));
+
+  return [...groups.entries()].map(([department, movies]) => ({
+    department,
+    movies: [...movies.values()],
+  }));
+};
+
+// Birth and death dates in full, e.g. "July 9, 1956" / "9 juli 1956"
+const LONG_DATE = { day: 'numeric', month: 'long', year: 'numeric' };
+
+// Define the PersonDetail functional component (route: /person/:id)
+const PersonDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { t, formatDate } = useI18n();
+  const departmentName = (department) => (DEPARTMENT_KEYS[department] ? t(DEPARTMENT_KEYS[department]) : department);
+
+  const [person, setPerson] = useState(null);     // Person object from TMDB, with movie_credits
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [retryKey, setRetryKey] = useState(0);    // Bumped by "Try again"
+  const [genres, setGenres] = useState([]);       // All TMDB movie genres ({ id, name })
+  const [bioExpanded, setBioExpanded] = useState(false);
+
+  // Sort and genre come from the query string so Back restores them
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sortKey = SORTS[searchParams.get('sort')] ? searchParams.get('sort') : 'year';
+  const genreId = Number(searchParams.get('genre')) || 0;
+
+  // Fetch the person whenever the ID changes
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchPerson = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        setPerson(await getPerson(id, { signal: controller.signal }));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setError(err);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    setBioExpanded(false);
+    window.scrollTo(0, 0);
+    fetchPerson();
+    return () => controller.abort();
+  }, [id, retryKey]);
+
+  // Genre names for the filter dropdown
+  useEffect(() => {
+    getGenres()
+      .then(setGenres)
+      .catch((err) => console.error('Error fetching genres:', err));
+  }, []);
+
+  // Sets or clears one query-string value
+  const updateParam = (key, value) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (value) next.set(key, value);
+      else next.delete(key);
+      return next;
+    }, { replace: true });
+  };
+
+  if (loading) return <p className="text-white text-center mt-10">{t('person.loading')}</p>;
+  if (error) {
+    return (
+      <main className="min-h-screen bg-primary px-5 py-12 text-white">
+        <ErrorMessage error={error} onRetry={() => setRetryKey((key) => key + 1)} />
+      </main>
+    );
+  }
+  if (!person) return <p className="text-white text-center mt-10">{t('person.notFound')}</p>;
+
+  // Filmography sections, filtered and sorted
+  const credits = person.movie_credits;
+  const creditGenreIds = new Set(
+    [...(credits?.cast || []), ...(credits?.crew || [])].flatMap((credit) => credit.genre_ids || [])
+  );
+  const availableGenres = genres.filter((genre) => creditGenreIds.has(genre.id));
+
+  const sections = groupCredits(credits)
+    .map((section) => ({
+      ...section,
+      movies: section.movies
+        .filter((movie) => !genreId || movie.genre_ids?.includes(genreId))
+        .sort(SORTS[sortKey].compare),
+    }))
+    .filter((section) => section.movies.length > 0)
+    // The person's main department first, then the biggest sections
+    .sort((a, b) =>
+      (b.department === person.known_for_department) - (a.department === person.known_for_department)
+      || b.movies.length - a.movies.length
+    );
+
+  const biography = person.biography || '';
+  const bioIsLong = biography.length > BIO_PREVIEW_LENGTH;
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-5xl mx-auto text-white">
+      {/* Back button */}
+      <button
+        onClick={() => (location.key === 'default' ? navigate('/') : navigate(-1))}
+        className="mb-8 px-6 py-2 bg-gradient-to-r from-[#6e48aa] to-[#9d50bb] text-white rounded-xl shadow-lg hover:scale-105 transition-all"
+      >
+        {t('detail.back')}
+      </button>
+
+      {/* Photo and biography */}
+      <div className="flex flex-col md:flex-row gap-10 items-start bg-dark-100 p-6 rounded-2xl shadow-inner shadow-light-100/10">
+        <img
+          className="w-full md:w-[300px] h-auto rounded-lg object-cover"
+          src={
+            person.profile_path
+              ? `https://image.tmdb.org/t/p/w500${person.profile_path}`
+              : '/No-Poster-1.png'
+          }
+          alt={person.name}
+        />
+
+        <div className="flex flex-col gap-4 flex-1">
+          <h2 className="text-3xl font-bold text-white">{person.name}</h2>
+
+          {person.known_for_department && (
+            <p className="text-gray-100">
+              <strong>{t('person.knownFor')}</strong> {departmentName(person.known_for_department)}
+            </p>
+          )}
+          {person.birthday && (
+            <p className="text-gray-100">
+              <strong>{t('person.born')}</strong>{' '}
+              {person.place_of_birth
+                ? t('person.bornIn', { date: formatDate(person.birthday, LONG_DATE), place: person.place_of_birth })
+                : formatDate(person.birthday, LONG_DATE)}
+            </p>
+          )}
+          {person.deathday && (
+            <p className="text-gray-100">
+              <strong>{t('person.died')}</strong> {formatDate(person.deathday, LONG_DATE)}
+            </p>
+          )}
+
+          <div className="text-light-200 leading-relaxed whitespace-pre-line">
+            {biography
+              ? (bioIsLong && !bioExpanded ? `${biography.slice(0, BIO_PREVIEW_LENGTH).trim()}…` : biography)
+              : t('person.noBiography')}
+          </div>
+          {bioIsLong && (
+            <button
+              type="button"
+              onClick={() => setBioExpanded((value) => !value)}
+              className="self-start text-light-200 underline"
+            >
+              {bioExpanded ? t('person.showLess') : t('person.readMore')}
+            </button>
+          )}
+
+          {person.external_ids?.imdb_id && (
+            <a
+              href={`https://www.imdb.com/name/${person.external_ids.imdb_id}/`}
+              target="_blank"
+              rel="noreferrer"
+              className="text-light-200 underline self-start"
+            >
+              {t('detail.imdb')}
+            </a>
+          )}
+        </div>
+      </div>
+
+      {/* Filmography */}
+      <section className="mt-12">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+          <h2>{t('person.filmography')}</h2>
+          <div className="flex gap-4">
+            <select
+              className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+              value={sortKey}
+              onChange={(e) => updateParam('sort', e.target.value === 'year' ? '' : e.target.value)}
+              aria-label={t('person.sortLabel')}
+            >
+              {Object.entries(SORTS).map(([key, sort]) => (
+                <option key={key} value={key}>{t(sort.labelKey)}</option>
+              ))}
+            </select>
+            <select
+              className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+              value={genreId || ''}
+              onChange={(e) => updateParam('genre', e.target.value)}
+              aria-label={t('person.genreLabel')}
+            >
+              <option value="">{t('person.allGenres')}</option>
+              {availableGenres.map((genre) => (
+                <option key={genre.id} value={genre.id}>{genre.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {sections.length === 0 ? (
+          <p>{t('person.noMovies')}</p>
+        ) : (
+          sections.map((section) => (
+            <div key={section.department} className="mb-10">
+              <h3 className="text-xl font-bold mb-3">
+                {departmentName(section.department)} <span className="text-gray-100 font-normal">({section.movies.length})</span>
+              </h3>
+              <ul className="flex flex-col gap-2">
+                {section.movies.map((movie) => (
+                  <li key={movie.id}>
+                    <Link
+                      to={`/movie/${movie.id}`}
+                      className="flex items-center gap-4 p-2 rounded-lg hover:bg-dark-100"
+                    >
+                      <img
+                        src={movie.poster_path ? `https://image.tmdb.org/t/p/w92${movie.poster_path}` : '/No-Poster-1.png'}
+                        alt=""
+                        loading="lazy"
+                        className="w-10 h-14 rounded object-cover"
+                      />
+                      <span className="w-12 text-gray-100">{movie.release_date?.slice(0, 4) || '—'}</span>
+                      <span className="flex-1">
+                        <span className="font-bold">{movie.title}</span>
+                        {movie.roles.length > 0 && (
+                          <span className="text-gray-100"> — {movie.roles.join(', ')}</span>
+                        )}
+                      </span>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))
+        )}
+      </section>
+    </main>
+  );
+};
+
+// Export the PersonDetail component so it can be routed to from App.jsx
+export default PersonDetail;
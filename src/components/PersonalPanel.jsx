@@ -0,0 +1,196 @@
+// React hooks
+import { useEffect, useState } from 'react';
+// - useState: the date picked for a new watch, the tag being typed and the notes draft
+// - useEffect: replaces the notes draft when the stored notes change
+
+// Debounce hook so the notes are stored once typing pauses, not on every keystroke
+import { useDebounce } from 'react-use';
+
+// Saved entries hold the personal data
+import { useSavedMovies } from './SavedMoviesContext';
+
+// Watch dates, rating, notes and tags: validation and helpers
+import { RATING_STEPS, allTags, isWatched, personalData, starText, today } from '../personal.js';
+import { mediaTypeOf } from '../media.js';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Shared Tailwind classes
+const INPUT_CLASS = 'bg-primary text-white px-3 py-2 rounded-lg';
+const LINK_BUTTON_CLASS = 'text-light-200 underline hover:text-white';
+
+// Notes are stored this long after the last keystroke (or when the field loses focus)
+const NOTES_DELAY = 800;
+
+// Define the PersonalPanel functional component
+// "Your take" box on the detail pages: log when the title was watched (rewatches
+// add more dates), give it 0.5–5 stars, and keep notes and tags. Every change is
+// stored right away (notes once typing pauses); changing anything on a title
+// that isn't saved saves it.
+// - movie: the TMDB movie (or normalized series) object
+const PersonalPanel = ({ movie }) => {
+  const { savedMovies, getSavedMovie, updatePersonal } = useSavedMovies();
+  const { t, locale, formatDate, formatRating } = useI18n();
+
+  const saved = getSavedMovie(movie.id, mediaTypeOf(movie));
+  const { watchDates, myRating, notes, tags } = personalData(saved);
+
+  const [watchDate, setWatchDate] = useState(today); // Date for the next logged watch
+  const [tagInput, setTagInput] = useState('');      // Tag being typed
+  const [notesDraft, setNotesDraft] = useState(notes); // Notes as typed, not stored yet
+
+  const update = (changes) => updatePersonal(movie, changes);
+
+  // Notes changed elsewhere (another tab, a sync, another title): show those
+  useEffect(() => {
+    setNotesDraft(notes);
+  }, [notes]);
+
+  // Stores the typed notes. Each store rewrites the saved list (and syncs it),
+  // so it happens when typing pauses or the field is left.
+  const commitNotes = () => {
+    if (notesDraft !== notes) update({ notes: notesDraft });
+  };
+  useDebounce(commitNotes, NOTES_DELAY, [notesDraft]);
+
+  // Adds the typed tag (duplicates are dropped by personalData)
+  const addTag = () => {
+    if (!tagInput.trim()) return;
+    update((current) => ({ tags: [...current.tags, tagInput] }));
+    setTagInput('');
+  };
+
+  // Tags used on other saved titles, offered while typing
+  const suggestions = allTags(savedMovies, locale);
+
+  return (
+    <section className="mt-10 bg-dark-100 rounded-2xl p-5 flex flex-col gap-6 shadow-inner shadow-light-100/10">
+      <div>
+        <h2>{t('personal.title')}</h2>
+        {!saved && <p className="text-sm text-gray-100 mt-1">{t('personal.savesHint')}</p>}
+      </div>
+
+      {/* Watch log */}
+      <div className="flex flex-col gap-3">
+        <h3 className="text-white font-bold">{t('personal.watched')}</h3>
+        {isWatched(saved) ? (
+          <ul className="flex flex-wrap gap-2">
+            {watchDates.map((date, index) => (
+              <li key={`${date}-${index}`} className="flex items-center gap-2 px-3 py-1 rounded-full bg-light-100/10 text-light-200">
+                {formatDate(date)}
+                <button
+                  type="button"
+                  onClick={() => update({ watchDates: watchDates.filter((_, i) => i !== index) })}
+                  aria-label={t('personal.removeWatch', { date: formatDate(date) })}
+                  className="hover:text-white"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-100">{t('personal.notWatched')}</p>
+        )}
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="date"
+            value={watchDate}
+            max={today()}
+            onChange={(e) => setWatchDate(e.target.value)}
+            aria-label={t('personal.watchDate')}
+            className={INPUT_CLASS}
+          />
+          <button
+            type="button"
+            disabled={!watchDate}
+            onClick={() => update({ watchDates: [...watchDates, watchDate] })}
+            className="px-4 py-2 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg hover:scale-105 transition-transform disabled:opacity-40"
+          >
+            {isWatched(saved) ? t('personal.logRewatch') : t('personal.markWatched')}
+          </button>
+          {isWatched(saved) && (
+            <button type="button" onClick={() => update({ watchDates: [] })} className={LINK_BUTTON_CLASS}>
+              {t('personal.markUnwatched')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Personal rating in half stars */}
+      <label className="flex flex-wrap items-center gap-3">
+        <span className="text-white font-bold">{t('personal.rating')}</span>
+        <select
+          value={myRating ?? ''}
+          onChange={(e) => update({ myRating: e.target.value ? Number(e.target.value) : null })}
+          className={INPUT_CLASS}
+        >
+          <option value="">{t('personal.notRated')}</option>
+          {RATING_STEPS.map((step) => (
+            <option key={step} value={step}>
+              {starText(step)} {formatRating(step)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {/* Tags */}
+      <div className="flex flex-col gap-3">
+        <h3 className="text-white font-bold">{t('personal.tags')}</h3>
+        {tags.length > 0 && (
+          <ul className="flex flex-wrap gap-2">
+            {tags.map((tag) => (
+              <li key={tag} className="flex items-center gap-2 px-3 py-1 rounded-full bg-light-100/10 text-light-200">
+                {tag}
+                <button
+                  type="button"
+                  onClick={() => update({ tags: tags.filter((own) => own !== tag) })}
+                  aria-label={t('personal.removeTag', { tag })}
+                  className="hover:text-white"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex gap-3">
+          <input
+            type="text"
+            list="personal-tag-suggestions"
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') addTag();
+            }}
+            placeholder={t('personal.tagPlaceholder')}
+            aria-label={t('personal.newTag')}
+            className={`${INPUT_CLASS} flex-1 min-w-0 sm:max-w-xs`}
+          />
+          <datalist id="personal-tag-suggestions">
+            {suggestions.map((tag) => <option key={tag} value={tag} />)}
+          </datalist>
+          <button type="button" onClick={addTag} disabled={!tagInput.trim()} className={`${LINK_BUTTON_CLASS} disabled:opacity-40`}>
+            {t('personal.addTag')}
+          </button>
+        </div>
+      </div>
+
+      {/* Notes */}
+      <label className="flex flex-col gap-3">
+        <span className="text-white font-bold">{t('personal.notes')}</span>
+        <textarea
+          value={notesDraft}
+          onChange={(e) => setNotesDraft(e.target.value)}
+          onBlur={commitNotes}
+          rows={4}
+          placeholder={t('personal.notesPlaceholder')}
+          className={`${INPUT_CLASS} resize-y`}
+        />
+      </label>
+    </section>
+  );
+};
+
+// Export the PersonalPanel component for the movie and series detail pages
+export default PersonalPanel;
@@ -0,0 +1,276 @@
+// React Router: the settings live in the query string so they survive Back and can be shared
+import { Link, useSearchParams } from 'react-router-dom';
+
+// React hooks
+import { useEffect, useRef, useState } from 'react';
+// - useState: genres, the pick, the phase of the reveal and errors
+// - useEffect: load the genres, and run the shuffle animation
+// - useRef: cancels a pick still loading when a new one starts
+
+// The saved list is one source, and its watched movies are skipped
+import { useSavedMovies } from './SavedMoviesContext';
+
+// Constraints, weighting and the draw
+import {
+  PICK_SOURCES,
+  WEIGHTINGS,
+  RUNTIME_LIMITS,
+  RATING_FLOORS,
+  MAX_RUNTIME_LOOKUPS,
+  pickMovie,
+  pickOptionsToParams,
+  readPickOptions,
+  rememberPick,
+} from '../picker.js';
+import { getGenres, isAbortError } from '../tmdb.js';
+
+import ErrorMessage from './ErrorMessage.jsx';
+import { formatRuntime } from '../format.js';
+import { useI18n } from './I18nContext.jsx';
+
+// Shuffle animation: how long it runs and how often the poster changes
+const SHUFFLE_DURATION = 1500;
+const SHUFFLE_INTERVAL = 90;
+
+// Poster URL, or the local fallback image
+const posterUrl = (path) => (path ? `https://image.tmdb.org/t/p/w500${path}` : '/No-Poster-1.png');
+
+// Users who asked the system for less motion get the result straight away
+const prefersReducedMotion = () => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+// Define the PickForMe functional component (route: /pick)
+// Picks a random movie from the saved list or from TMDB within the chosen
+// constraints, shuffles through the candidates' posters and then reveals the
+// pick with a link to its page. "Pick again" avoids the recent picks.
+const PickForMe = () => {
+  const { savedMovies } = useSavedMovies();
+  const { t } = useI18n();
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const options = readPickOptions(searchParams);
+
+  const [genres, setGenres] = useState([]);     // Movie genres ({ id, name })
+  const [result, setResult] = useState(null);   // { movie, pool } of the last pick
+  const [phase, setPhase] = useState('idle');   // 'idle' | 'picking' | 'shuffling' | 'revealed' | 'none' | 'ranOut'
+  const [shuffleIndex, setShuffleIndex] = useState(0);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);           // AbortController of the pick in progress
+
+  // Genre names for the constraint dropdown
+  useEffect(() => {
+    getGenres('movie')
+      .then(setGenres)
+      .catch((err) => console.error('Error fetching genres:', err));
+  }, []);
+
+  // Cancel a pick still loading when leaving the page
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Shuffle through the pool's posters, then reveal the pick
+  useEffect(() => {
+    if (phase !== 'shuffling') return undefined;
+    const interval = setInterval(() => setShuffleIndex((index) => index + 1), SHUFFLE_INTERVAL);
+    const timeout = setTimeout(() => setPhase('revealed'), SHUFFLE_DURATION);
+    return () => {
+      clearInterval(interval);
+      clearTimeout(timeout);
+    };
+  }, [phase]);
+
+  // Changes one setting; the URL follows
+  const updateOption = (changes) => {
+    const next = { ...options, ...changes };
+    // A weighting that doesn't apply to the new source goes back to even
+    if (!WEIGHTINGS[next.weighting].sources.includes(next.source)) next.weighting = 'even';
+    setSearchParams(pickOptionsToParams(next), { replace: true });
+  };
+
+  // Draws a movie and starts the reveal
+  const pick = async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setPhase('picking');
+    setError(null);
+    try {
+      const picked = await pickMovie(options, savedMovies, { signal: controller.signal });
+      if (!picked || picked.ranOut) {
+        setPhase(picked ? 'ranOut' : 'none');
+        return;
+      }
+      rememberPick(picked.movie);
+      setResult(picked);
+      setShuffleIndex(0);
+      setPhase(prefersReducedMotion() || picked.pool.length < 2 ? 'revealed' : 'shuffling');
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setError(err);
+      setPhase('idle');
+    }
+  };
+
+  const movie = result?.movie;
+  const isBusy = phase === 'picking' || phase === 'shuffling';
+
+  // Poster on screen while shuffling: cycles through the pool
+  const shufflePoster = result?.pool[shuffleIndex % result.pool.length]?.poster_path;
+
+  const selectClass = 'bg-dark-100 text-white px-4 py-2 rounded-lg';
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-5xl mx-auto text-white">
+      <Link to="/" className="text-light-200 hover:text-white">{t('nav.home')}</Link>
+
+      <h1 className="text-3xl font-bold mt-6 mb-2">{t('pick.title')}</h1>
+      <p className="text-light-200 mb-8">{t('pick.intro')}</p>
+
+      {/* Source and constraints */}
+      <div className="flex flex-col gap-4 bg-dark-100 p-6 rounded-2xl">
+        <div className="flex rounded-lg overflow-hidden border border-light-100/10 self-start" role="group" aria-label={t('pick.source')}>
+          {Object.entries(PICK_SOURCES).map(([key, labelKey]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => updateOption({ source: key })}
+              aria-pressed={options.source === key}
+              className={`px-4 py-2 ${options.source === key ? 'bg-light-100/20 text-white' : 'bg-primary text-light-200'}`}
+            >
+              {t(labelKey)}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <label className="flex flex-col gap-1 text-sm text-light-200">
+            {t('pick.genre')}
+            <select className={selectClass} value={options.genre} onChange={(e) => updateOption({ genre: Number(e.target.value) })}>
+              <option value={0}>{t('pick.anyGenre')}</option>
+              {genres.map((genre) => (
+                <option key={genre.id} value={genre.id}>{genre.name}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-1 text-sm text-light-200">
+            {t('pick.maxRuntime')}
+            <select className={selectClass} value={options.maxRuntime} onChange={(e) => updateOption({ maxRuntime: Number(e.target.value) })}>
+              {RUNTIME_LIMITS.map((minutes) => (
+                <option key={minutes} value={minutes}>
+                  {minutes ? t('pick.under', { runtime: formatRuntime(t, minutes) }) : t('pick.anyLength')}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-1 text-sm text-light-200">
+            {t('pick.minRating')}
+            <select className={selectClass} value={options.minRating} onChange={(e) => updateOption({ minRating: Number(e.target.value) })}>
+              {RATING_FLOORS.map((rating) => (
+                <option key={rating} value={rating}>
+                  {rating ? t('pick.atLeast', { rating }) : t('pick.anyRating')}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex flex-col gap-1 text-sm text-light-200">
+            {t('pick.weighting')}
+            <select className={selectClass} value={options.weighting} onChange={(e) => updateOption({ weighting: e.target.value })}>
+              {Object.entries(WEIGHTINGS)
+                .filter(([, weighting]) => weighting.sources.includes(options.source))
+                .map(([key, weighting]) => (
+                  <option key={key} value={key}>{t(weighting.labelKey)}</option>
+                ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="flex flex-wrap gap-x-6 gap-y-2">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" checked={options.unwatched} onChange={(e) => updateOption({ unwatched: e.target.checked })} />
+            {t('pick.unwatched')}
+          </label>
+          {options.source === 'discover' && (
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" checked={options.myServices} onChange={(e) => updateOption({ myServices: e.target.checked })} />
+              {t('discover.myServices')}
+            </label>
+          )}
+        </div>
+
+        <button
+          type="button"
+          onClick={pick}
+          disabled={isBusy}
+          className="self-start mt-2 px-8 py-3 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white text-lg rounded-lg shadow-md hover:scale-105 transition-transform disabled:opacity-60 disabled:hover:scale-100"
+        >
+          {phase === 'revealed' ? t('pick.again') : t('pick.button')}
+        </button>
+      </div>
+
+      {/* The reveal */}
+      <section className="mt-12" aria-live="polite">
+        {error && <ErrorMessage error={error} onRetry={pick} />}
+
+        {phase === 'picking' && <p className="text-light-200 text-center">{t('pick.picking')}</p>}
+
+        {phase === 'ranOut' && (
+          <p className="text-light-200 text-center">{t('pick.ranOut', { count: MAX_RUNTIME_LOOKUPS })}</p>
+        )}
+
+        {phase === 'none' && (
+          <p className="text-light-200 text-center">
+            {options.source === 'saved' ? t('pick.noneSaved') : t('pick.noneDiscover')}
+          </p>
+        )}
+
+        {phase === 'shuffling' && (
+          <div className="flex justify-center">
+            <img
+              src={posterUrl(shufflePoster)}
+              alt=""
+              className="w-48 rounded-lg shadow-lg opacity-80 blur-[1px]"
+            />
+          </div>
+        )}
+
+        {phase === 'revealed' && movie && (
+          <div className="flex flex-col md:flex-row gap-8 items-center md:items-start bg-dark-100 p-6 rounded-2xl shadow-inner shadow-light-100/10 motion-safe:animate-reveal">
+            <img src={posterUrl(movie.poster_path)} alt={movie.title} className="w-48 md:w-56 rounded-lg shadow-lg" />
+            <div className="flex flex-col gap-3 flex-1">
+              <p className="text-sm text-light-200">{t('pick.yourPick')}</p>
+              <h2 className="text-3xl font-bold text-white">{movie.title}</h2>
+              <p className="text-gray-100">
+                {[
+                  movie.release_date?.slice(0, 4),
+                  movie.runtime > 0 && formatRuntime(t, movie.runtime),
+                  movie.genres?.map((genre) => genre.name).join(', '),
+                ].filter(Boolean).join(' · ')}
+              </p>
+              {movie.overview && <p className="text-light-200 leading-relaxed line-clamp-4">{movie.overview}</p>}
+              <div className="flex flex-wrap gap-4 mt-2">
+                <Link
+                  to={`/movie/${movie.id}`}
+                  className="px-6 py-3 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform"
+                >
+                  {t('pick.open')}
+                </Link>
+                <button
+                  type="button"
+                  onClick={pick}
+                  className="px-6 py-3 bg-primary border border-light-100/20 text-white rounded-lg hover:scale-105 transition-transform"
+                >
+                  {t('pick.again')}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </section>
+    </main>
+  );
+};
+
+// Export the PickForMe component so it can be routed to from App.jsx
+export default PickForMe;
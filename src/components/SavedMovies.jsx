@@ -1,70 +1,237 @@
+// React hooks
+import { useEffect, useState } from 'react';
+// - useState: holds the genre list used for the filter dropdown
+// - useEffect: loads the genre names once
+
+// Import React Router helpers
+import { Link, useSearchParams } from 'react-router-dom';
+// - Link: navigate to a movie's detail page without a full reload
+// - useSearchParams: keeps search/sort/filters in the URL (e.g. /saved?sort=title&genre=27&watched=no)
+
 // Import the custom hook `useSavedMovies` from the SavedMoviesContext file.
 // This hook provides access to the saved movies state and any related logic managed by context.
-import { useSavedMovies } from '../context/SavedMoviesContext';
+import { useSavedMovies } from './SavedMoviesContext';
 
 // Import the `MovieCard` component from the components folder.
 // This component will be used to display each individual movie's details in a card format.
-import MovieCard from '../components/MovieCard';
+import MovieCard from './MovieCard';
+
+// Genre names for the filter dropdown (cached by the TMDB client)
+import { getGenres } from '../tmdb.js';
+
+// Saved entries can be movies or series
+import { mediaKey, mediaPath, mediaTypeOf } from '../media.js';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Watched status, personal rating and tags of the saved entries
+import { RATING_STEPS, allTags, hasTag, isWatched, lastWatched, starText } from '../personal.js';
+
+// Sort options for the saved list: URL value, label (message key) and comparison function
+const SORTS = {
+  added: { labelKey: 'sort.recentlySaved', compare: (a, b) => b.savedAt - a.savedAt },
+  title: { labelKey: 'sort.titleAsc', compare: (a, b) => a.title.localeCompare(b.title) },
+  rating: { labelKey: 'sort.rating', compare: (a, b) => b.vote_average - a.vote_average },
+  myRating: { labelKey: 'sort.myRating', compare: (a, b) => (b.myRating || 0) - (a.myRating || 0) },
+  watched: { labelKey: 'sort.recentlyWatched', compare: (a, b) => lastWatched(b).localeCompare(lastWatched(a)) },
+  release: { labelKey: 'sort.newest', compare: (a, b) => (b.release_date || '').localeCompare(a.release_date || '') },
+};
+
+// Watched-status filter: URL value, label (message key) and test
+const WATCHED_FILTERS = {
+  yes: { labelKey: 'saved.watchedOnly', matches: (movie) => isWatched(movie) },
+  no: { labelKey: 'saved.unwatchedOnly', matches: (movie) => !isWatched(movie) },
+};
+
+// Personal rating filter: 'unrated', or the least number of stars (whole stars only)
+const MIN_RATINGS = RATING_STEPS.filter(Number.isInteger);
+const matchesMyRating = (movie, value) =>
+  value === 'unrated' ? !movie.myRating : (movie.myRating || 0) >= Number(value);
 
 // Define a functional component called `SavedMovies`.
 // Functional components are JavaScript functions that return React elements (JSX).
 const SavedMovies = () => {
-  // Use object destructuring to extract `savedMovies` from the object
+  // Use object destructuring to extract `savedMovies` and `removeMovie` from the object
   // returned by the `useSavedMovies` hook.
-  // This allows us to access the array of saved movie objects.
-  const { savedMovies } = useSavedMovies();
+  const { savedMovies, removeMovie } = useSavedMovies();
+  const { t, locale } = useI18n();
+
+  // Search text, sort order and filters live in the query string so Back restores them
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchText = searchParams.get('q') || '';
+  const sortKey = SORTS[searchParams.get('sort')] ? searchParams.get('sort') : 'added';
+  const genreId = Number(searchParams.get('genre')) || 0;
+  const watchedKey = WATCHED_FILTERS[searchParams.get('watched')] ? searchParams.get('watched') : '';
+  const tag = searchParams.get('tag') || '';
+  const myRating = searchParams.get('mine') || '';
+
+  // All TMDB movie genres ({ id, name })
+  const [genres, setGenres] = useState([]);
+
+  useEffect(() => {
+    getGenres('all')
+      .then(setGenres)
+      .catch((err) => console.error('Error fetching genres:', err));
+  }, []);
+
+  // Sets or clears one query-string value (replacing the history entry while typing)
+  const updateParam = (key, value) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (value) next.set(key, value);
+      else next.delete(key);
+      return next;
+    }, { replace: true });
+  };
+
+  // Only offer genres that actually occur in the saved list
+  const savedGenreIds = new Set(savedMovies.flatMap((movie) => movie.genre_ids || []));
+  const availableGenres = genres.filter((genre) => savedGenreIds.has(genre.id));
+
+  // Tags used on any saved entry
+  const tags = allTags(savedMovies, locale);
+
+  // Apply search, filters and sort order
+  const needle = searchText.trim().toLowerCase();
+  const visibleMovies = savedMovies
+    .filter((movie) => !needle || movie.title.toLowerCase().includes(needle))
+    .filter((movie) => !genreId || movie.genre_ids?.includes(genreId))
+    .filter((movie) => !watchedKey || WATCHED_FILTERS[watchedKey].matches(movie))
+    .filter((movie) => !tag || hasTag(movie, tag))
+    .filter((movie) => !myRating || matchesMyRating(movie, myRating))
+    .sort(SORTS[sortKey].compare);
 
   // The component returns JSX that React will render as HTML in the DOM.
   return (
     // The <main> element is a semantic HTML5 tag indicating the main content of the page.
-    // It has several Tailwind CSS classes for styling:
-    // - `min-h-screen`: minimum height is full viewport height.
-    // - `bg-primary`: background color defined as "primary" in Tailwind config.
-    // - `px-5 py-12`: horizontal and vertical padding respectively.
-    // - `max-w-7xl mx-auto`: max width with automatic horizontal centering.
-    // - `text-white`: white text color.
+    // Tailwind classes: full-height page, primary background, padding, centered max width, white text.
     <main className="min-h-screen bg-primary px-5 py-12 max-w-7xl mx-auto text-white">
-      
-      {/* 
+      {/* Link back to the listing, to "Pick for me", the statistics and import/export */}
+      <div className="flex justify-between">
+        <Link to="/" className="text-light-200 hover:text-white">{t('nav.home')}</Link>
+        <div className="flex gap-6">
+          <Link to="/pick" className="text-light-200 hover:text-white">{t('nav.pickForMe')}</Link>
+          <Link to="/stats" className="text-light-200 hover:text-white">{t('nav.stats')}</Link>
+          <Link to="/import-export" className="text-light-200 hover:text-white">{t('nav.importExport')}</Link>
+        </div>
+      </div>
+
+      {/*
         Header section displaying the page title.
         <h1> is a top-level heading tag in HTML, important for SEO and accessibility.
-        Tailwind classes:
-        - `text-3xl`: large font size.
-        - `font-bold`: bold text.
-        - `mb-6`: margin-bottom for spacing below the header.
       */}
-      <h1 className="text-3xl font-bold mb-6">Saved Movies</h1>
+      <h1 className="text-3xl font-bold mb-6 mt-4">{t('saved.title')}</h1>
 
       {/*
         Conditional rendering using a ternary operator:
-        Checks if the savedMovies array is empty by checking its length property.
-        If length is 0 (meaning no movies saved), it renders a paragraph <p> with a message.
-        Otherwise, it renders a grid list of saved movies.
+        If nothing is saved yet, show a message; otherwise show the controls and the grid.
       */}
       {savedMovies.length === 0 ? (
         // Paragraph element showing a message when there are no saved movies.
-        <p>No saved movies yet.</p>
+        <p>{t('saved.empty')}</p>
       ) : (
-        // If savedMovies array is not empty, render a <ul> (unordered list).
-        // Tailwind classes applied:
-        // - `grid`: applies CSS Grid layout.
-        // - `grid-cols-1 xs:grid-cols-2 md:grid-cols-3 lg:grid-cols-4`: responsive grid columns for different screen sizes.
-        // - `gap-5`: gap between grid items.
-        <ul className="grid grid-cols-1 xs:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-5">
-          {/*
-            Map over each movie object in the savedMovies array.
-            The `.map()` method takes a callback that receives each movie object.
-            For each movie, render a `MovieCard` component.
-          */}
-          {savedMovies.map((movie) => (
-            /*
-              React requires a unique `key` prop on elements in a list to optimize rendering and reconciliation.
-              Here, `movie.id` is used as the unique key.
-              The `movie` object is passed as a prop to the MovieCard component.
-            */
-            <MovieCard key={movie.id} movie={movie} />
-          ))}
-        </ul>
+        <>
+          {/* Search, sort and filter controls */}
+          <div className="flex flex-col sm:flex-row sm:flex-wrap items-center gap-4 mb-6">
+            <input
+              type="search"
+              placeholder={t('saved.search')}
+              value={searchText}
+              onChange={(e) => updateParam('q', e.target.value)}
+              className="bg-dark-100 text-white px-4 py-2 rounded-lg w-full sm:max-w-xs"
+              aria-label={t('saved.search')}
+            />
+
+            <select
+              className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+              value={sortKey}
+              onChange={(e) => updateParam('sort', e.target.value === 'added' ? '' : e.target.value)}
+              aria-label={t('saved.sortLabel')}
+            >
+              {Object.entries(SORTS).map(([key, sort]) => (
+                <option key={key} value={key}>{t(sort.labelKey)}</option>
+              ))}
+            </select>
+
+            <select
+              className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+              value={genreId || ''}
+              onChange={(e) => updateParam('genre', e.target.value)}
+              aria-label={t('saved.genreLabel')}
+            >
+              <option value="">{t('saved.allGenres')}</option>
+              {availableGenres.map((genre) => (
+                <option key={genre.id} value={genre.id}>{genre.name}</option>
+              ))}
+            </select>
+
+            <select
+              className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+              value={watchedKey}
+              onChange={(e) => updateParam('watched', e.target.value)}
+              aria-label={t('saved.watchedLabel')}
+            >
+              <option value="">{t('saved.anyWatched')}</option>
+              {Object.entries(WATCHED_FILTERS).map(([key, filter]) => (
+                <option key={key} value={key}>{t(filter.labelKey)}</option>
+              ))}
+            </select>
+
+            <select
+              className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+              value={myRating}
+              onChange={(e) => updateParam('mine', e.target.value)}
+              aria-label={t('saved.myRatingLabel')}
+            >
+              <option value="">{t('saved.anyRating')}</option>
+              <option value="unrated">{t('saved.unrated')}</option>
+              {MIN_RATINGS.map((stars) => (
+                <option key={stars} value={stars}>{t('saved.atLeast', { stars: starText(stars) })}</option>
+              ))}
+            </select>
+
+            {tags.length > 0 && (
+              <select
+                className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+                value={tag}
+                onChange={(e) => updateParam('tag', e.target.value)}
+                aria-label={t('saved.tagLabel')}
+              >
+                <option value="">{t('saved.allTags')}</option>
+                {tags.map((own) => (
+                  <option key={own} value={own}>{own}</option>
+                ))}
+              </select>
+            )}
+
+            <span className="text-light-200">
+              {t('saved.count', { visible: visibleMovies.length, total: savedMovies.length })}
+            </span>
+          </div>
+
+          {visibleMovies.length === 0 ? (
+            <p>{t('saved.noMatches')}</p>
+          ) : (
+            // Responsive grid: 1 column on phones up to 4 on large screens
+            <ul className="grid grid-cols-1 xs:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-5">
+              {/*
+                Map over each movie object in the filtered list.
+                React requires a unique `key` prop on elements in a list; `movie.id` is used here.
+              */}
+              {visibleMovies.map((movie) => (
+                <li key={mediaKey(movie)}>
+                  <Link to={mediaPath(movie)}>
+                    <MovieCard
+                      movie={movie}
+                      isSaved={true}
+                      onRemove={() => removeMovie(movie.id, mediaTypeOf(movie))}
+                    />
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
       )}
     </main>
   );
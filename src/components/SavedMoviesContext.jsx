@@ -2,8 +2,165 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 // - createContext: creates a new Context object for global state
 // - useContext: allows components to consume context values
-// - useEffect: manages side effects (e.g., syncing with localStorage)
-// - useState: holds the list of saved movies
+// - useEffect: manages side effects (syncing with localStorage and other tabs)
+// - useState: holds the saved movies and named watchlists
+
+// Signed-in Appwrite user and the hook that syncs our state to their account
+import { useAccount } from './AccountContext.jsx';
+import { useCloudSync } from '../sync.js';
+
+// The UI language decides which language the offline detail copies are stored in
+import { useI18n } from './I18nContext.jsx';
+
+// Movies and series share the saved lists; entries are identified by media type + ID
+import { isSameMedia, mediaTypeOf, normalizeMedia } from '../media.js';
+
+// Offline copies (details and posters) of the saved titles
+import { syncOfflineCopies } from '../offline.js';
+
+// Watch dates, personal rating, notes and tags on saved titles
+import { PERSONAL_DEFAULTS, personalData } from '../personal.js';
+
+// localStorage key holding the saved movies
+const STORAGE_KEY = 'savedMovies';
+
+// Wait this long after the last change before updating the offline copies
+const OFFLINE_SYNC_DELAY = 1500;
+
+// localStorage key a copy of unreadable (corrupt) saved data is moved to
+const CORRUPT_BACKUP_KEY = 'savedMovies:corrupt';
+
+// Version of the stored data format. Bump it and add a step to migrate()
+// whenever the stored shape changes.
+//  v0: plain array of full TMDB movie objects (before versioning)
+//  v1: { version: 1, movies: [...] } with trimmed movie objects and savedAt
+//  v2: adds named watchlists: lists: [{ id, name, createdAt, movies: [...] }]
+//  v3: every entry has a media_type ('movie' | 'tv'); series can be saved too
+//  v4: saved entries carry personal data: watchDates, myRating, notes, tags
+const SCHEMA_VERSION = 4;
+
+// Keeps only the fields the app uses, so localStorage doesn't fill up with full
+// TMDB responses. Detail responses have `genres` ({ id, name }) instead of
+// `genre_ids`, so both are reduced to genre_ids. Series are stored in the movie
+// shape (see media.js) with their number of seasons when known.
+export const toSavedMovie = (item, savedAt = Date.now()) => {
+  const movie = normalizeMedia(item, mediaTypeOf(item));
+  return {
+    id: movie.id,
+    media_type: movie.media_type,
+    title: movie.title,
+    poster_path: movie.poster_path || null,
+    release_date: movie.release_date || '',
+    vote_average: movie.vote_average || 0,
+    vote_count: movie.vote_count || 0,
+    original_language: movie.original_language || '',
+    genre_ids: movie.genre_ids || movie.genres?.map((g) => g.id) || [],
+    overview: movie.overview || '',
+    savedAt: movie.savedAt || savedAt, // When the movie was added (ms timestamp)
+    ...(movie.number_of_seasons ? { number_of_seasons: movie.number_of_seasons } : {}),
+  };
+};
+
+// Upgrades stored data of any earlier version to the current format, one step at a time
+const migrate = (stored) => {
+  let data = stored;
+
+  // v0 -> v1: wrap the array and trim each movie; keep the original order as save order
+  if (Array.isArray(data)) {
+    const now = Date.now();
+    const legacy = data.filter((movie) => movie && movie.id);
+    data = {
+      version: 1,
+      movies: legacy.map((movie, index) => toSavedMovie(movie, now - (legacy.length - index))),
+    };
+  }
+
+  // v1 -> v2: no watchlists yet
+  if (data?.version === 1) {
+    data = { ...data, version: 2, lists: [] };
+  }
+
+  // v2 -> v3: everything saved so far is a movie
+  if (data?.version === 2) {
+    const tagMovies = (movies = []) => movies.map((movie) => ({ ...movie, media_type: 'movie' }));
+    data = {
+      ...data,
+      version: 3,
+      movies: tagMovies(data.movies),
+      lists: (data.lists || []).map((list) => ({ ...list, movies: tagMovies(list.movies) })),
+    };
+  }
+
+  // v3 -> v4: nothing watched, rated, noted or tagged yet
+  if (data?.version === 3) {
+    data = {
+      ...data,
+      version: 4,
+      movies: (data.movies || []).map((movie) => ({ ...movie, ...PERSONAL_DEFAULTS })),
+    };
+  }
+
+  return data;
+};
+
+// Empty state used when nothing (valid) is stored
+const EMPTY_STATE = { movies: [], lists: [] };
+
+// Reads and migrates the stored state ({ movies, lists }) from a raw localStorage string.
+// Returns { state, problem } where problem is
+// - null: `state` is the stored data
+// - 'newer': written by a newer version of the app (e.g. a stale page next to
+//   an updated one). It must be left as it is, not replaced with an empty list.
+// - 'corrupt': not readable at all; `state` is empty
+const parseStored = (raw) => {
+  if (!raw) return { state: EMPTY_STATE, problem: null };
+  try {
+    const data = migrate(JSON.parse(raw));
+    if (data?.version > SCHEMA_VERSION) return { state: EMPTY_STATE, problem: 'newer' };
+    if (data?.version !== SCHEMA_VERSION) return { state: EMPTY_STATE, problem: 'corrupt' };
+    return {
+      state: {
+        movies: Array.isArray(data.movies) ? data.movies : [],
+        lists: Array.isArray(data.lists) ? data.lists : [],
+      },
+      problem: null,
+    };
+  } catch {
+    return { state: EMPTY_STATE, problem: 'corrupt' };
+  }
+};
+
+// Reads the stored state on load. Corrupt data is moved aside to
+// CORRUPT_BACKUP_KEY (so it can still be recovered by hand) and the app starts
+// with an empty list; data from a newer version locks storage (see below).
+// Returns { state, locked }.
+const loadStored = () => {
+  const raw = localStorage.getItem(STORAGE_KEY);
+  const { state, problem } = parseStored(raw);
+  if (problem === 'corrupt') {
+    console.error('Saved movies could not be read; moved to', CORRUPT_BACKUP_KEY);
+    try {
+      localStorage.setItem(CORRUPT_BACKUP_KEY, raw);
+    } catch {
+      // Storage full: the data can't be kept anyway
+    }
+  }
+  return { state, locked: problem === 'newer' };
+};
+
+// Unique ID for a new watchlist
+const createListId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Returns a copy of `items` with the element at `from` moved to `to`
+const moveItem = (items, from, to) => {
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(Math.max(0, Math.min(to, next.length)), 0, item);
+  return next;
+};
 
 // Create a Context for saved movies. This holds the shared state and functions.
 const SavedMoviesContext = createContext();
@@ -12,56 +169,251 @@ const SavedMoviesContext = createContext();
 // Create a custom hook so components can use the context more easily
 export const useSavedMovies = () => useContext(SavedMoviesContext);
 // This avoids repetitive useContext calls and makes your components cleaner.
-// Example usage: const { savedMovies, saveMovie, removeMovie } = useSavedMovies();
+// Example usage: const { savedMovies, isSaved, saveMovie, removeMovie } = useSavedMovies();
+//                const { saveMovies } = useSavedMovies(); // several at once
+//                const { getSavedMovie, updatePersonal } = useSavedMovies();
+//                const { lists, createList, addToList, moveInList } = useSavedMovies();
 
 
-// The provider component wraps parts of the app that need access to saved movie state
+// The provider component wraps parts of the app that need access to saved movie state.
+// It is the only place saved movies are stored; every page reads and writes through it.
 export const SavedMoviesProvider = ({ children }) => {
-  // Declare the local state to hold saved movies
-  const [savedMovies, setSavedMovies] = useState([]);
+  // Load (and migrate) the stored state synchronously on first render,
+  // so the persist effect below never overwrites storage with an empty list.
+  // - movies: the main saved list
+  // - lists: named watchlists, each with its own ordered movies
+  // - storageLocked: true while localStorage holds data from a newer version of
+  //   the app. Nothing is written over it and cloud sync is paused (an empty
+  //   list here would read as "everything removed") until readable data
+  //   arrives; StorageLockedBanner asks the user to reload.
+  const [stored] = useState(loadStored);
+  const [state, setState] = useState(stored.state);
+  const [storageLocked, setStorageLocked] = useState(stored.locked);
+  const { movies: savedMovies, lists } = state;
 
 
-  // When the provider first mounts, try to load saved movies from localStorage
+  // Whenever the state changes, sync it back to localStorage (not while locked)
   useEffect(() => {
-    const stored = localStorage.getItem('savedMovies'); // Get string from localStorage
-    if (stored) setSavedMovies(JSON.parse(stored));     // Parse and update state if found
-  }, []);
-  // [] means this runs only once, on component mount
+    if (storageLocked) return;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, ...state }));
+    } catch (error) {
+      console.error('Error saving movies to localStorage:', error);
+    }
+  }, [state, storageLocked]);
 
 
-  // Whenever savedMovies changes, sync the state back to localStorage
+  // Keep the details and posters of saved titles available offline.
+  // Detail requests carry the UI language, so switching it stores new copies.
+  // Debounced, since every rating or note change produces a new list.
+  const { locale } = useI18n();
   useEffect(() => {
-    localStorage.setItem('savedMovies', JSON.stringify(savedMovies));
-    // JSON.stringify converts the array into a string for storage
-  }, [savedMovies]);
+    const timer = setTimeout(() => syncOfflineCopies(savedMovies), OFFLINE_SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [savedMovies, locale]);
+
+
+  // While signed in, sync with the user's Appwrite document so every device
+  // shows the same saved movies and lists (see sync.js for the merge rules)
+  // Signing out clears the saved titles on this browser; they stay in the account.
+  const { user, loading: accountLoading } = useAccount();
+  const { status: syncStatus, resolveConflict: resolveSyncConflict } = useCloudSync(user, state, setState, {
+    version: SCHEMA_VERSION,
+    paused: storageLocked,
+    signedOut: !accountLoading && !user,
+  });
+
+
+  // Keep other open tabs in sync: the `storage` event fires in every other tab
+  // of the same origin when this key changes. Data from a newer version (in
+  // another tab) locks this one; anything unreadable is ignored.
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== STORAGE_KEY) return;
+      const { state: next, problem } = parseStored(event.newValue);
+      if (problem === 'newer') setStorageLocked(true);
+      if (problem) return;
+      setStorageLocked(false);
+      setState(next);
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+
+  // Boolean: is the movie (or, with mediaType 'tv', the series) with this ID saved?
+  const isSaved = (id, mediaType = 'movie') => savedMovies.some((m) => isSameMedia(m, id, mediaType));
+
+
+  // The saved entry (with its personal data) for this ID, or undefined
+  const getSavedMovie = (id, mediaType = 'movie') => savedMovies.find((m) => isSameMedia(m, id, mediaType));
+
+
+  // Replaces the main saved list using an updater function
+  const updateMovies = (update) =>
+    setState((prev) => ({ ...prev, movies: update(prev.movies) }));
 
 
   // Function to add a movie to saved list if it's not already there
   const saveMovie = (movie) => {
-    if (!savedMovies.find(m => m.id === movie.id)) {
-      // If the movie is not already saved (no duplicate ID)
-      setSavedMovies(prev => [...prev, movie]);
-      // Use spread syntax to create a new array and add the movie
-    }
+    updateMovies((prev) =>
+      prev.some((m) => isSameMedia(m, movie.id, mediaTypeOf(movie)))
+        ? prev
+        : [...prev, { ...toSavedMovie(movie), ...PERSONAL_DEFAULTS }]
+    );
   };
 
 
-  // Function to remove a movie by its ID from the saved list
-  const removeMovie = (id) => {
-    setSavedMovies(prev => prev.filter(m => m.id !== id));
-    // filter creates a new array excluding the movie with the given ID
+  // Saves several titles in one update (e.g. every movie of a collection);
+  // titles that are already saved are left as they are
+  const saveMovies = (movies) => {
+    updateMovies((prev) => {
+      const next = [...prev];
+      movies.forEach((movie) => {
+        if (!next.some((m) => isSameMedia(m, movie.id, mediaTypeOf(movie)))) {
+          next.push({ ...toSavedMovie(movie), ...PERSONAL_DEFAULTS });
+        }
+      });
+      return next;
+    });
+  };
+
+
+  // Function to remove a movie (or series) by its ID from the saved list
+  const removeMovie = (id, mediaType = 'movie') => {
+    updateMovies((prev) => prev.filter((m) => !isSameMedia(m, id, mediaType)));
+    // filter creates a new array excluding the entry with the given ID and type
+  };
+
+
+  // Changes personal data ({ watchDates, myRating, notes, tags }, any subset) of a
+  // title. Rating or logging a title that isn't saved yet saves it first.
+  // - changes: an object, or a function receiving the current personal data
+  const updatePersonal = (movie, changes) => {
+    updateMovies((prev) => {
+      const isThis = (m) => isSameMedia(m, movie.id, mediaTypeOf(movie));
+      const existing = prev.find(isThis) || { ...toSavedMovie(movie), ...PERSONAL_DEFAULTS };
+      const update = typeof changes === 'function' ? changes(personalData(existing)) : changes;
+      const updated = { ...existing, ...personalData({ ...existing, ...update }) };
+      return prev.some(isThis) ? prev.map((m) => (isThis(m) ? updated : m)) : [...prev, updated];
+    });
+  };
+
+
+  // ------------------------------
+  // Named watchlists
+  // ------------------------------
+
+  // Applies an updater function to the list with the given ID
+  const updateList = (listId, update) =>
+    setState((prev) => ({
+      ...prev,
+      lists: prev.lists.map((list) => (list.id === listId ? update(list) : list)),
+    }));
+
+
+  // Creates an empty list and returns its ID (the forms only allow a non-empty name)
+  const createList = (name) => {
+    const id = createListId();
+    const list = { id, name: name.trim(), createdAt: Date.now(), movies: [] };
+    setState((prev) => ({ ...prev, lists: [...prev.lists, list] }));
+    return id;
+  };
+
+
+  // Renames a list (blank names are ignored)
+  const renameList = (listId, name) => {
+    if (name.trim()) updateList(listId, (list) => ({ ...list, name: name.trim() }));
+  };
+
+
+  // Deletes a list; the movies in it stay in the main saved list if they were saved
+  const deleteList = (listId) => {
+    setState((prev) => ({ ...prev, lists: prev.lists.filter((list) => list.id !== listId) }));
+  };
+
+
+  // Looks up a list by ID (undefined if it doesn't exist)
+  const getList = (listId) => lists.find((list) => list.id === listId);
+
+
+  // Boolean: is the movie (or series) in this list?
+  const isInList = (listId, movieId, mediaType = 'movie') =>
+    Boolean(getList(listId)?.movies.some((m) => isSameMedia(m, movieId, mediaType)));
+
+
+  // Appends a movie to the end of a list (ignored if already there)
+  const addToList = (listId, movie) => {
+    updateList(listId, (list) =>
+      list.movies.some((m) => isSameMedia(m, movie.id, mediaTypeOf(movie)))
+        ? list
+        : { ...list, movies: [...list.movies, toSavedMovie(movie)] }
+    );
+  };
+
+
+  // Removes a movie (or series) from a list
+  const removeFromList = (listId, movieId, mediaType = 'movie') => {
+    updateList(listId, (list) => ({
+      ...list,
+      movies: list.movies.filter((m) => !isSameMedia(m, movieId, mediaType)),
+    }));
+  };
+
+
+  // Moves the movie at index `from` to index `to` within a list
+  const moveInList = (listId, from, to) => {
+    updateList(listId, (list) => ({ ...list, movies: moveItem(list.movies, from, to) }));
+  };
+
+
+  // Merges imported movies in a single update.
+  // - entries: [{ movie, saved, lists, personal }] where `saved` adds it to the main saved
+  //   list and `lists` are list names (matched case-insensitively, created if missing)
+  // - personal: watch dates, rating, notes and tags from the file, if any
+  // Movies that are already present are left untouched.
+  const importMovies = (entries) => {
+    setState((prev) => {
+      const movies = [...prev.movies];
+      const nextLists = prev.lists.map((list) => ({ ...list, movies: [...list.movies] }));
+
+      const listNamed = (name) => {
+        let list = nextLists.find((l) => l.name.toLowerCase() === name.toLowerCase());
+        if (!list) {
+          list = { id: createListId(), name, createdAt: Date.now(), movies: [] };
+          nextLists.push(list);
+        }
+        return list;
+      };
+
+      entries.forEach(({ movie, saved, lists: listNames = [], personal }) => {
+        const isThis = (m) => isSameMedia(m, movie.id, mediaTypeOf(movie));
+        if (saved && !movies.some(isThis)) movies.push({ ...toSavedMovie(movie), ...personalData(personal || {}) });
+        listNames.forEach((name) => {
+          const list = listNamed(name);
+          if (!list.movies.some(isThis)) list.movies.push(toSavedMovie(movie));
+        });
+      });
+
+      return { movies, lists: nextLists };
+    });
   };
 
 
 
   // Return a provider component that wraps children and passes down context values
   return (
-    <SavedMoviesContext.Provider value={{ savedMovies, saveMovie, removeMovie }}>
+    <SavedMoviesContext.Provider
+      value={{
+        savedMovies, isSaved, getSavedMovie, saveMovie, saveMovies, removeMovie, updatePersonal,
+        lists, getList, isInList, createList, renameList, deleteList,
+        addToList, removeFromList, moveInList, importMovies,
+        syncStatus, resolveSyncConflict, storageLocked,
+      }}
+    >
       {children}
     </SavedMoviesContext.Provider>
     // All children inside <SavedMoviesProvider> will now have access to this context
-    // They can call useSavedMovies() to access savedMovies, saveMovie, and removeMovie
+    // They can call useSavedMovies() to access the saved movies, the watchlists and their functions
   );
 }
-
- 
\ No newline at end of file
@@ -1,36 +1,310 @@
+// React hooks
+import { useEffect, useId, useRef, useState } from 'react';
+// - useState: dropdown open state, highlighted option and the option lists
+// - useRef: the in-flight suggestion request
+// - useId: unique IDs for the ARIA combobox/listbox wiring
+
+import { Link, useNavigate } from 'react-router-dom';
+
+// Debounce for the suggestion requests (much shorter than Home's 500ms)
+import { useDebounce } from 'react-use';
+
+// Title suggestions come from TMDB, popular queries from Appwrite
+import { searchMedia, isAbortError } from '../tmdb.js';
+import { getPopularQueries } from '../appwrite.js';
+import { mediaKey, mediaPath } from '../media.js';
+
+// Recent searches stored on this device
+import {
+  loadRecentSearches,
+  addRecentSearch,
+  removeRecentSearch,
+  clearRecentSearches,
+} from '../recentSearches.js';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Number of title suggestions shown while typing
+const MAX_SUGGESTIONS = 6;
+
+// Typing pauses this long before suggestions are requested
+const SUGGEST_DELAY = 150;
+
 // Define the Search functional component
-// It receives two props from the parent (likely Home.jsx):
+// A combobox: the input plus a dropdown that shows recent and popular searches
+// while empty, and matching titles while typing. Arrow keys move through the
+// options, Enter picks one (a title opens its detail page), Escape closes.
+// It receives props from the parent (likely Home.jsx):
 // - searchTerm: the current value of the input field (state)
 // - setSearchTerm: a function to update that value
-const Search = ({ searchTerm, setSearchTerm }) => {
+// - onSubmit: called with the term to search right away (Enter, or picking a query)
+// - mediaType: 'movie' | 'tv' | 'all', the kind of titles suggested
+// - people: optional TMDB people matching the search, shown as links under the input
+const Search = ({ searchTerm, setSearchTerm, onSubmit, mediaType = 'movie', people = [] }) => {
+  const navigate = useNavigate();
+  const listboxId = useId();
+  const { t } = useI18n();
+
+  const [isOpen, setIsOpen] = useState(false);        // Is the dropdown visible?
+  const [activeIndex, setActiveIndex] = useState(-1); // Highlighted option (-1: none)
+  const [suggestions, setSuggestions] = useState([]); // Title matches for the current text
+  const [recent, setRecent] = useState(loadRecentSearches);
+  const [popular, setPopular] = useState([]);
+
+  const abortRef = useRef(null); // AbortController of the suggestion request
+
+  const term = searchTerm.trim();
+
+  // Popular queries once per visit
+  useEffect(() => {
+    getPopularQueries().then(setPopular);
+  }, []);
+
+  // Title suggestions shortly after typing stops
+  useDebounce(() => {
+    abortRef.current?.abort();
+    if (term.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    searchMedia(term, 1, mediaType, { signal: controller.signal })
+      .then((data) => setSuggestions(data.results.slice(0, MAX_SUGGESTIONS)))
+      .catch((err) => {
+        if (!isAbortError(err)) console.error(`Error fetching suggestions: ${err}`);
+      });
+  }, SUGGEST_DELAY, [term, mediaType]);
+
+  // Cancel a pending suggestion request on unmount
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // The options in dropdown order. Empty input: recent then popular searches;
+  // otherwise the title suggestions.
+  const groups = term
+    ? [{ key: 'suggestions', options: suggestions.map((item) => ({ type: 'title', item })) }]
+    : [
+        { key: 'recent', options: recent.map((query) => ({ type: 'recent', query })) },
+        {
+          key: 'popular',
+          options: popular
+            .filter((query) => !recent.some((q) => q.toLowerCase() === query))
+            .map((query) => ({ type: 'popular', query })),
+        },
+      ];
+  const options = groups.flatMap((group) => group.options);
+  const showDropdown = isOpen && options.length > 0;
+
+  // Reset the highlight whenever the options change
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [term, suggestions, isOpen]);
+
+  const optionId = (index) => `${listboxId}-option-${index}`;
+
+  // Runs a search for `query` now and remembers it
+  const submit = (query) => {
+    const trimmed = query.trim();
+    if (trimmed) setRecent(addRecentSearch(trimmed));
+    setSearchTerm(query);
+    onSubmit?.(query);
+    setIsOpen(false);
+  };
+
+  // Acts on a chosen option: a title opens its page, a query is searched
+  const choose = (option) => {
+    if (option.type === 'title') {
+      if (term) setRecent(addRecentSearch(term));
+      setIsOpen(false);
+      navigate(mediaPath(option.item));
+    } else {
+      submit(option.query);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!isOpen) {
+        setIsOpen(true);
+        return;
+      }
+      if (options.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      // Wraps around; -1 (back in the input) sits between the last and first option
+      setActiveIndex((index) => ((index + step + 1 + options.length + 1) % (options.length + 1)) - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (showDropdown && activeIndex >= 0) choose(options[activeIndex]);
+      else submit(searchTerm);
+    } else if (e.key === 'Escape') {
+      // First Escape closes the dropdown, a second one clears the input
+      if (showDropdown) setIsOpen(false);
+      else setSearchTerm('');
+    }
+  };
+
+  // Keeps focus in the input when an option is clicked
+  const keepFocus = (e) => e.preventDefault();
+
+  let index = -1; // Running option index while rendering the groups
+
   return (
-    // Outer container for styling
-    <div className="search">
-      <div>
-        {/* Search icon image next to the input field */}
-        <img src="search.svg" alt="search" />
-        {/* 
-          - src="search.svg": path to the image file representing the search icon.
-          - alt="search": alternate text for screen readers and fallback if image fails to load.
-        */}
-
-        {/* Controlled input field for typing the search term */}
-        <input
-          type="text" // This input accepts text only
-          placeholder="Search through thousands of movies"
-          // placeholder: appears when the input is empty; gives users a hint of what to type
-
-          value={searchTerm}
-          // The value is controlled by the parent component's state (via props)
-
-          onChange={(e) => setSearchTerm(e.target.value)}
-          // onChange event handler:
-          // - (e) is the event object from the input
-          // - e.target.value is the current text the user typed
-          // - setSearchTerm updates the state in the parent component with that new value
-        />
+    <>
+      <div className="relative max-w-3xl mx-auto">
+        {/* Outer container for styling */}
+        <div className="search">
+          <div>
+            {/* Search icon image next to the input field */}
+            <img src="/search.svg" alt={t('search.iconAlt')} />
+            {/*
+              - src="/search.svg": path to the image file representing the search icon.
+              - alt="search": alternate text for screen readers and fallback if image fails to load.
+            */}
+
+            {/* Controlled input field for typing the search term */}
+            <input
+              type="text" // This input accepts text only
+              placeholder={t('search.placeholder')}
+              // placeholder: appears when the input is empty; gives users a hint of what to type
+
+              value={searchTerm}
+              // The value is controlled by the parent component's state (via props)
+
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setIsOpen(true);
+              }}
+              // onChange event handler:
+              // - (e) is the event object from the input
+              // - e.target.value is the current text the user typed
+              // - setSearchTerm updates the state in the parent component with that new value
+
+              onFocus={() => {
+                setRecent(loadRecentSearches()); // Home adds searches too
+                setIsOpen(true);
+              }}
+              onBlur={() => setIsOpen(false)}
+              onKeyDown={handleKeyDown}
+
+              // ARIA combobox: the input owns the listbox below and points at the highlighted option
+              role="combobox"
+              aria-expanded={showDropdown}
+              aria-controls={listboxId}
+              aria-autocomplete="list"
+              aria-activedescendant={showDropdown && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+              aria-label={t('search.label')}
+              autoComplete="off"
+            />
+          </div>
+        </div>
+
+        {/* Suggestion dropdown (outside .search, whose img/div styles target the input row) */}
+        <div
+          id={listboxId}
+          role="listbox"
+          aria-label={t('search.suggestionsLabel')}
+          hidden={!showDropdown}
+          className="absolute inset-x-0 top-full mt-2 z-20 bg-dark-100 rounded-lg shadow-lg py-2 text-left max-h-96 overflow-y-auto"
+        >
+          {groups.map((group) => group.options.length > 0 && (
+            <ul key={group.key} role="group" aria-label={t(`search.${group.key}`)}>
+              <li role="presentation" className="flex items-center justify-between px-4 py-1 text-xs uppercase text-gray-100">
+                {t(`search.${group.key}`)}
+                {group.key === 'recent' && (
+                  <button
+                    type="button"
+                    tabIndex={-1}
+                    onMouseDown={keepFocus}
+                    onClick={() => setRecent(clearRecentSearches())}
+                    className="normal-case text-light-200 hover:text-white"
+                  >
+                    {t('search.clear')}
+                  </button>
+                )}
+              </li>
+
+              {group.options.map((option) => {
+                index += 1;
+                const optionIndex = index;
+                const isActive = optionIndex === activeIndex;
+                return (
+                  <li
+                    key={option.type === 'title' ? mediaKey(option.item) : `${option.type}-${option.query}`}
+                    id={optionId(optionIndex)}
+                    role="option"
+                    aria-selected={isActive}
+                    onMouseDown={keepFocus}
+                    onMouseEnter={() => setActiveIndex(optionIndex)}
+                    onClick={() => choose(option)}
+                    className={`flex items-center gap-3 px-4 py-2 cursor-pointer ${isActive ? 'bg-light-100/10' : ''}`}
+                  >
+                    {option.type === 'title' ? (
+                      <>
+                        <img
+                          src={option.item.poster_path ? `https://image.tmdb.org/t/p/w92${option.item.poster_path}` : '/No-Poster-1.png'}
+                          alt=""
+                          className="w-8 h-12 rounded object-cover"
+                        />
+                        <span className="flex-1 text-white">{option.item.title}</span>
+                        <span className="text-gray-100 text-sm">
+                          {option.item.media_type === 'tv' && t('search.tvPrefix')}
+                          {option.item.release_date?.slice(0, 4) || '—'}
+                        </span>
+                      </>
+                    ) : (
+                      <>
+                        <span className="text-gray-100" aria-hidden="true">{option.type === 'recent' ? '↺' : '↗'}</span>
+                        <span className="flex-1 text-white">{option.query}</span>
+                        {option.type === 'recent' && (
+                          <button
+                            type="button"
+                            tabIndex={-1}
+                            aria-label={t('search.removeRecent', { query: option.query })}
+                            onClick={(e) => {
+                              e.stopPropagation(); // Don't also search for it
+                              setRecent(removeRecentSearch(option.query));
+                            }}
+                            className="text-gray-100 hover:text-white"
+                          >
+                            ✕
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          ))}
+        </div>
       </div>
-    </div>
+
+      {/* Matching people (actors, directors, ...), each linking to their page */}
+      {people.length > 0 && (
+        <ul className="mt-4 max-w-3xl mx-auto flex flex-wrap justify-center gap-3" aria-label={t('search.people')}>
+          {people.map((person) => (
+            <li key={person.id}>
+              <Link
+                to={`/person/${person.id}`}
+                className="flex items-center gap-2 px-3 py-1 rounded-full bg-dark-100 text-light-200 hover:text-white"
+              >
+                <img
+                  src={person.profile_path ? `https://image.tmdb.org/t/p/w45${person.profile_path}` : '/No-Poster-1.png'}
+                  alt=""
+                  className="size-6 rounded-full object-cover"
+                />
+                <span>{person.name}</span>
+                {person.known_for_department && (
+                  <span className="text-gray-100 text-sm">· {person.known_for_department}</span>
+                )}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
   );
 };
 
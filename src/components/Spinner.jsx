@@ -1,5 +1,9 @@
+import { useI18n } from './I18nContext.jsx';
+
 // Define a functional component named Spinner
 const Spinner = () => {
+  const { t } = useI18n();
+
   return (
     // The outer <div> acts as a container for the spinner graphic
     // 'role="status"' improves accessibility for screen readers
@@ -34,7 +38,7 @@ const Spinner = () => {
       </svg>
 
       {/* Accessible text that screen readers will announce */}
-      <span className="sr-only">Loading...</span>
+      <span className="sr-only">{t('spinner.loading')}</span>
       {/* 
         - 'sr-only': Tailwind utility class that visually hides the element
         - Still accessible to screen readers, providing semantic value
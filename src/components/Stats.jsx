@@ -0,0 +1,247 @@
+// React Router: the scope lives in the query string so Back restores it
+import { Link, useSearchParams } from 'react-router-dom';
+
+// React hooks
+import { useEffect, useState } from 'react';
+// - useState: genre names, the looked-up details and the lookup progress
+// - useEffect: load them when the saved titles change
+
+// Saved titles (with watch dates and personal ratings) are the input
+import { useSavedMovies } from './SavedMoviesContext';
+
+// Aggregation and detail lookups
+import {
+  STATS_SCOPES,
+  DEFAULT_STATS_SCOPE,
+  detailStats,
+  loadDetails,
+  localStats,
+  titlesInScope,
+} from '../stats.js';
+import { getGenres, isAbortError } from '../tmdb.js';
+import { mediaKey } from '../media.js';
+
+import BarChart from './BarChart.jsx';
+import ColumnChart from './ColumnChart.jsx';
+import { formatRuntime } from '../format.js';
+import { useI18n } from './I18nContext.jsx';
+
+// Rows shown in the genre and people charts
+const TOP_ITEMS = 10;
+
+// Languages shown before the rest are summed up as "Other"
+const TOP_LANGUAGES = 6;
+
+// 4000 -> "2 days 18 h"; under a day like a runtime ("5h 20m")
+const formatDuration = (t, minutes) => {
+  const days = Math.floor(minutes / (24 * 60));
+  return days
+    ? t('stats.days', { count: days, hours: Math.floor((minutes % (24 * 60)) / 60) })
+    : formatRuntime(t, minutes);
+};
+
+// One figure in the summary row
+const StatTile = ({ label, value, note }) => (
+  <div className="flex flex-col gap-1 bg-dark-100 p-4 rounded-2xl">
+    <span className="text-sm text-light-200">{label}</span>
+    <span className="text-2xl font-bold text-white">{value}</span>
+    {note && <span className="text-xs text-gray-100">{note}</span>}
+  </div>
+);
+
+// Define the Stats functional component (route: /stats)
+// An overview of the saved titles (or only the watched ones): genres, decades,
+// languages, ratings, time left to watch and the most frequent people.
+const Stats = () => {
+  const { savedMovies } = useSavedMovies();
+  const { t, formatNumber, formatRating, displayName } = useI18n();
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const scope = STATS_SCOPES[searchParams.get('scope')] ? searchParams.get('scope') : DEFAULT_STATS_SCOPE;
+
+  const [genreNames, setGenreNames] = useState(new Map()); // Genre ID -> name, movies and series
+  const [details, setDetails] = useState(new Map());       // mediaKey -> details
+  const [progress, setProgress] = useState(() => ({ done: 0, total: savedMovies.length })); // null when done
+
+  // Genre names of both media types (a few IDs differ between them)
+  useEffect(() => {
+    Promise.all([getGenres('movie'), getGenres('tv')])
+      .then((lists) => setGenreNames(new Map(lists.flat().map((genre) => [genre.id, genre.name]))))
+      .catch((err) => console.error('Error fetching genres:', err));
+  }, []);
+
+  // Details of every saved title, for runtime and people. Only which titles are
+  // saved matters; ratings and notes don't change them.
+  const titlesKey = savedMovies.map(mediaKey).join(',');
+  useEffect(() => {
+    const controller = new AbortController();
+    setProgress({ done: 0, total: savedMovies.length });
+
+    loadDetails(savedMovies, {
+      signal: controller.signal,
+      onProgress: (done, total) => {
+        if (!controller.signal.aborted) setProgress({ done, total });
+      },
+    })
+      .then((loaded) => {
+        setDetails(loaded);
+        setProgress(null);
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) console.error('Error loading details for statistics:', err);
+      });
+
+    return () => controller.abort();
+  }, [titlesKey]);
+
+  const titles = titlesInScope(savedMovies, scope);
+  const stats = localStats(titles);
+  const people = progress ? null : detailStats(titles, details);
+
+  // Languages beyond the first few, summed up
+  const topLanguages = stats.languages.slice(0, TOP_LANGUAGES);
+  const otherLanguages = stats.languages.slice(TOP_LANGUAGES).reduce((sum, item) => sum + item.count, 0);
+
+  const personItems = (list) =>
+    list.slice(0, TOP_ITEMS).map((person) => ({
+      key: person.key,
+      label: person.name,
+      count: person.count,
+      to: `/person/${person.key}`,
+    }));
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-5xl mx-auto text-white">
+      <nav className="flex gap-6">
+        <Link to="/" className="text-light-200 hover:text-white">{t('nav.home')}</Link>
+        <Link to="/saved" className="text-light-200 hover:text-white">{t('stats.savedLink')}</Link>
+      </nav>
+
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mt-6 mb-8">
+        <h1 className="text-3xl font-bold">{t('stats.title')}</h1>
+        <div className="flex rounded-lg overflow-hidden border border-light-100/10 self-start" role="group">
+          {Object.entries(STATS_SCOPES).map(([key, labelKey]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setSearchParams(key === DEFAULT_STATS_SCOPE ? {} : { scope: key }, { replace: true })}
+              aria-pressed={scope === key}
+              className={`px-4 py-2 ${scope === key ? 'bg-light-100/20 text-white' : 'bg-dark-100 text-light-200'}`}
+            >
+              {t(labelKey)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {titles.length === 0 ? (
+        <p className="text-light-200">
+          {scope === 'watched' ? t('stats.noneWatched') : t('stats.noneSaved')}{' '}
+          <Link to="/" className="underline hover:text-white">{t('stats.browse')}</Link>
+        </p>
+      ) : (
+        <>
+          {/* Summary figures */}
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            <StatTile
+              label={t('stats.titles')}
+              value={formatNumber(stats.total)}
+              note={t('stats.titlesNote', { movies: stats.movieCount, series: stats.tvCount })}
+            />
+            <StatTile
+              label={t('stats.watched')}
+              value={formatNumber(stats.watchedCount)}
+              note={t('stats.viewings', { count: stats.viewingCount })}
+            />
+            <StatTile
+              label={t('stats.averageRating')}
+              value={stats.averageRating === null ? t('common.notAvailable') : formatRating(stats.averageRating)}
+              note={stats.averageMyRating === null
+                ? undefined
+                : t('stats.averageMyRating', { rating: formatRating(stats.averageMyRating) })}
+            />
+            {scope === 'saved' && (
+              <StatTile
+                label={t('stats.toWatch')}
+                value={people ? formatDuration(t, people.toWatchMinutes) : '…'}
+                note={people && t('stats.toWatchNote', { count: people.toWatchCount })}
+              />
+            )}
+            <StatTile
+              label={t('stats.timeWatched')}
+              value={people ? formatDuration(t, people.watchedMinutes) : '…'}
+              note={people?.unknownRuntimeCount > 0 ? t('stats.unknownRuntime', { count: people.unknownRuntimeCount }) : undefined}
+            />
+          </div>
+
+          {/* Genre distribution */}
+          <section className="mt-12">
+            <h2 className="mb-4">{t('stats.genres')}</h2>
+            <BarChart
+              total={stats.total}
+              items={stats.genres.slice(0, TOP_ITEMS).map(({ key, count }) => ({
+                key,
+                label: genreNames.get(key) || t('stats.unknownGenre'),
+                count,
+              }))}
+            />
+          </section>
+
+          {/* Release decades */}
+          {stats.decades.length > 0 && (
+            <section className="mt-12">
+              <h2 className="mb-4">{t('stats.decades')}</h2>
+              <ColumnChart
+                title={t('stats.decades')}
+                items={stats.decades.map(({ key, count }) => ({
+                  key,
+                  label: t('stats.decade', { decade: String(key) }),
+                  count,
+                }))}
+              />
+            </section>
+          )}
+
+          {/* Original languages */}
+          <section className="mt-12">
+            <h2 className="mb-4">{t('stats.languages')}</h2>
+            <BarChart
+              total={stats.total}
+              items={[
+                ...topLanguages.map(({ key, count }) => ({ key, label: displayName('language', key), count })),
+                ...(otherLanguages ? [{ key: 'other', label: t('stats.otherLanguages'), count: otherLanguages }] : []),
+              ]}
+            />
+          </section>
+
+          {/* People, once the details are in */}
+          <section className="mt-12">
+            {progress ? (
+              <p className="text-light-200" role="status">
+                {t('stats.lookingUp', { done: progress.done, total: progress.total })}
+              </p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-12">
+                <div>
+                  <h2 className="mb-4">{t('stats.directors')}</h2>
+                  {people.directors.length > 0
+                    ? <BarChart items={personItems(people.directors)} />
+                    : <p className="text-light-200">{t('common.notAvailable')}</p>}
+                </div>
+                <div>
+                  <h2 className="mb-4">{t('stats.actors')}</h2>
+                  {people.actors.length > 0
+                    ? <BarChart items={personItems(people.actors)} />
+                    : <p className="text-light-200">{t('common.notAvailable')}</p>}
+                </div>
+              </div>
+            )}
+          </section>
+        </>
+      )}
+    </main>
+  );
+};
+
+// Export the Stats component so it can be routed to from App.jsx
+export default Stats;
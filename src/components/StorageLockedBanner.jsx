@@ -0,0 +1,35 @@
+// Whether localStorage holds saved movies from a newer version of the app
+import { useSavedMovies } from './SavedMoviesContext';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Define the StorageLockedBanner functional component
+// A bar across the top of every page while the saved movies in localStorage
+// were written by a newer version of the app (e.g. this page is an old copy
+// next to an updated tab). This page can't read them, so it neither saves nor
+// syncs until it is reloaded with the new version.
+const StorageLockedBanner = () => {
+  const { storageLocked } = useSavedMovies();
+  const { t } = useI18n();
+
+  if (!storageLocked) return null;
+
+  return (
+    <div
+      role="alert"
+      className="sticky top-0 z-30 flex flex-wrap items-center justify-center gap-4 bg-dark-100 border-b border-light-100/10 px-5 py-3 text-center text-light-200"
+    >
+      <span>{t('storage.newer')}</span>
+      <button
+        type="button"
+        onClick={() => window.location.reload()}
+        className="px-4 py-1 bg-gradient-to-r from-[#6e48aa] to-[#9d50bb] text-white rounded-lg"
+      >
+        {t('storage.reload')}
+      </button>
+    </div>
+  );
+};
+
+// Export the StorageLockedBanner component so App.jsx can show it above every page
+export default StorageLockedBanner;
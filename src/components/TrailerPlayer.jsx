@@ -0,0 +1,66 @@
+// React hooks
+import { useEffect, useRef } from 'react';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Picks the best trailer from TMDB's videos: YouTube only, official trailers first,
+// then any trailer, then teasers. Returns null if there is nothing to play.
+export const pickTrailer = (videos = []) => {
+  const youtube = videos.filter((video) => video.site === 'YouTube');
+  const rank = (video) =>
+    (video.type === 'Trailer' ? 0 : video.type === 'Teaser' ? 2 : 4) + (video.official ? 0 : 1);
+
+  const [best] = youtube
+    .filter((video) => video.type === 'Trailer' || video.type === 'Teaser')
+    .sort((a, b) => rank(a) - rank(b));
+  return best || null;
+};
+
+// Define the TrailerPlayer functional component
+// A full-screen overlay with the embedded YouTube player. Only mounted when the
+// user asks for the trailer, so nothing is loaded from YouTube before that.
+// - video: TMDB video object ({ key, name })
+// - onClose: called on the close button, Escape or a click on the backdrop
+const TrailerPlayer = ({ video, onClose }) => {
+  const closeRef = useRef(null);
+  const { t } = useI18n();
+
+  // Focus the close button and close on Escape
+  useEffect(() => {
+    closeRef.current?.focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-5"
+      role="dialog"
+      aria-modal="true"
+      aria-label={video.name}
+      onClick={onClose}
+    >
+      <div className="w-full max-w-4xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-end mb-2">
+          <button ref={closeRef} type="button" onClick={onClose} className="text-white text-lg">
+            {t('trailer.close')}
+          </button>
+        </div>
+        <iframe
+          className="w-full aspect-video rounded-lg"
+          src={`https://www.youtube-nocookie.com/embed/${video.key}?autoplay=1`}
+          title={video.name}
+          allow="autoplay; encrypted-media; picture-in-picture; fullscreen"
+          allowFullScreen
+        />
+      </div>
+    </div>
+  );
+};
+
+// Export the TrailerPlayer component for the movie detail page
+export default TrailerPlayer;
@@ -0,0 +1,335 @@
+// Import React Router hooks to get route params and navigation functionality
+import { Link, useParams, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+// - useParams: the `:id` from /tv/:id
+// - useNavigate / useLocation: the Back button (Home when opened directly)
+// - useSearchParams: the selected season lives in the URL (e.g. /tv/1399?season=3)
+
+// React hooks
+import { useCallback, useEffect, useState } from 'react';
+
+// Saved movies context (series are saved alongside movies)
+import { useSavedMovies } from './SavedMoviesContext';
+
+// Shared TMDB client and error rendering
+import { getTvDetails, getTvSeason, isAbortError } from '../tmdb.js';
+// - getTvDetails: the series (normalized to the movie shape) with credits, videos,
+//   recommendations, similar series, age ratings and external IDs appended
+// - getTvSeason: one season with its episodes
+import ErrorMessage from './ErrorMessage.jsx';
+import Spinner from './Spinner.jsx';
+
+import { normalizeResults } from '../media.js';
+
+// Detail page sections shared with MovieDetail
+import ListPicker from './ListPicker.jsx';
+import CastList from './CastList.jsx';
+import MovieRow from './MovieRow.jsx';
+import TrailerPlayer, { pickTrailer } from './TrailerPlayer.jsx';
+import { formatRuntime } from '../format.js';
+import PersonalPanel from './PersonalPanel.jsx';
+import WatchProviders from './WatchProviders.jsx';
+
+// Removing a series also drops its watch dates, rating, notes and tags
+import { hasPersonalData } from '../personal.js';
+
+// Translated labels, localized numbers and dates, and the region for age ratings
+import { useI18n } from './I18nContext.jsx';
+
+// Age rating (e.g. "TV-MA") from the appended content_ratings, preferring the
+// given region (the UI language's country)
+const findContentRating = (ratings = [], preferredRegion) =>
+  (ratings.find((entry) => entry.iso_3166_1 === preferredRegion) || ratings.find((entry) => entry.rating))
+    ?.rating || '';
+
+// The season shown when the URL doesn't name one: the latest regular season
+// ("Specials" are season 0)
+const defaultSeason = (seasons = []) => {
+  const regular = seasons.filter((season) => season.season_number > 0);
+  return (regular[regular.length - 1] || seasons[0])?.season_number ?? null;
+};
+
+// Define the TvDetail functional component (route: /tv/:id)
+const TvDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const { isSaved: isItemSaved, getSavedMovie, saveMovie, removeMovie } = useSavedMovies();
+  const { t, region, formatRating, formatDate } = useI18n();
+
+  const [show, setShow] = useState(null);         // Series from TMDB (normalized)
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [retryKey, setRetryKey] = useState(0);    // Bumped by "Try again"
+  const [showTrailer, setShowTrailer] = useState(false);
+
+  const [season, setSeason] = useState(null);     // Selected season with episodes
+  const [seasonLoading, setSeasonLoading] = useState(false);
+  const [seasonError, setSeasonError] = useState(null);
+  const [seasonRetryKey, setSeasonRetryKey] = useState(0);
+
+  const isSaved = show ? isItemSaved(show.id, 'tv') : false;
+
+  // Season from the URL, or the latest one
+  const seasonParam = searchParams.get('season');
+  const seasonNumber = show
+    ? (seasonParam !== null && show.seasons?.some((s) => String(s.season_number) === seasonParam)
+      ? Number(seasonParam)
+      : defaultSeason(show.seasons))
+    : null;
+
+  // Fetch the series whenever the ID changes
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchShow = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        setShow(await getTvDetails(id, { signal: controller.signal }));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setError(err);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    setShowTrailer(false);
+    window.scrollTo(0, 0);
+    fetchShow();
+    return () => controller.abort();
+  }, [id, retryKey]);
+
+  // Fetch the selected season's episodes
+  useEffect(() => {
+    if (seasonNumber === null) return undefined;
+    const controller = new AbortController();
+
+    const fetchSeason = async () => {
+      setSeasonLoading(true);
+      setSeasonError(null);
+      try {
+        setSeason(await getTvSeason(id, seasonNumber, { signal: controller.signal }));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setSeasonError(err);
+      } finally {
+        if (!controller.signal.aborted) setSeasonLoading(false);
+      }
+    };
+
+    fetchSeason();
+    return () => controller.abort();
+  }, [id, seasonNumber, seasonRetryKey]);
+
+  const closeTrailer = useCallback(() => setShowTrailer(false), []);
+
+  if (loading) return <p className="text-white text-center mt-10">{t('detail.loadingSeries')}</p>;
+  if (error) {
+    return (
+      <main className="min-h-screen bg-primary px-5 py-12 text-white">
+        <ErrorMessage error={error} onRetry={() => setRetryKey((key) => key + 1)} />
+      </main>
+    );
+  }
+  if (!show) return <p className="text-white text-center mt-10">{t('detail.noSeries')}</p>;
+
+  // Derived details from the appended responses
+  const trailer = pickTrailer(show.videos?.results);
+  const contentRating = findContentRating(show.content_ratings?.results, region);
+  const runtime = show.episode_run_time?.[0];
+  const imdbId = show.external_ids?.imdb_id;
+  const recommendations = show.recommendations && normalizeResults(show.recommendations, 'tv').results;
+  const similar = show.similar && normalizeResults(show.similar, 'tv').results;
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-5xl mx-auto text-white">
+      {/* Back button */}
+      <button
+        onClick={() => (location.key === 'default' ? navigate('/') : navigate(-1))}
+        className="mb-8 px-6 py-2 bg-gradient-to-r from-[#6e48aa] to-[#9d50bb] text-white rounded-xl shadow-lg hover:scale-105 transition-all"
+      >
+        {t('detail.back')}
+      </button>
+
+      {/* Series card container */}
+      <div className="flex flex-col md:flex-row gap-10 items-start bg-dark-100 p-6 rounded-2xl shadow-inner shadow-light-100/10">
+        <img
+          className="w-full md:w-[300px] h-auto rounded-lg object-cover"
+          src={show.poster_path ? `https://image.tmdb.org/t/p/w500${show.poster_path}` : '/No-Poster-1.png'}
+          alt={show.title}
+        />
+
+        <div className="flex flex-col gap-4 flex-1">
+          <h2 className="text-3xl font-bold text-white">{show.title}</h2>
+
+          {show.tagline && <p className="text-light-200 italic">{show.tagline}</p>}
+
+          {/* Age rating, status and episode length */}
+          <p className="flex flex-wrap items-center gap-3 text-gray-100">
+            {contentRating && (
+              <span className="px-2 py-0.5 border border-gray-100 rounded text-sm">{contentRating}</span>
+            )}
+            <span>{t('detail.tvSeries')}</span>
+            {show.status && <span>· {show.status}</span>}
+            {runtime > 0 && <span>{t('detail.perEpisode', { runtime: formatRuntime(t, runtime) })}</span>}
+          </p>
+
+          {show.genres?.length > 0 && (
+            <p className="text-gray-100">
+              <strong>{t('detail.genres')}</strong> {show.genres.map((g) => g.name).join(', ')}
+            </p>
+          )}
+
+          <p className="text-gray-100">
+            <strong>{t('detail.rating')}</strong> {show.vote_average ? formatRating(show.vote_average) : t('common.notAvailable')}
+          </p>
+
+          <p className="text-gray-100">
+            <strong>{t('detail.aired')}</strong> {show.first_air_date ? formatDate(show.first_air_date) : t('common.notAvailable')}
+            {show.last_air_date && show.last_air_date !== show.first_air_date && ` – ${formatDate(show.last_air_date)}`}
+          </p>
+
+          <p className="text-gray-100">
+            <strong>{t('detail.seasons')}</strong> {show.number_of_seasons ?? t('common.notAvailable')}
+            {' · '}
+            <strong>{t('detail.episodes')}</strong> {show.number_of_episodes ?? t('common.notAvailable')}
+          </p>
+
+          {show.networks?.length > 0 && (
+            <p className="text-gray-100">
+              <strong>{t('detail.network')}</strong> {show.networks.map((network) => network.name).join(', ')}
+            </p>
+          )}
+
+          {show.created_by?.length > 0 && (
+            <p className="text-gray-100">
+              <strong>{t('detail.createdBy')}</strong>{' '}
+              {show.created_by.map((person, index) => (
+                <span key={person.id}>
+                  {index > 0 && ', '}
+                  <Link to={`/person/${person.id}`} className="underline hover:text-white">{person.name}</Link>
+                </span>
+              ))}
+            </p>
+          )}
+
+          <p className="text-light-200 leading-relaxed mt-2">
+            <strong>{t('detail.description')}</strong> {show.overview || t('detail.noDescription')}
+          </p>
+
+          {imdbId && (
+            <a
+              href={`https://www.imdb.com/title/${imdbId}/`}
+              target="_blank"
+              rel="noreferrer"
+              className="text-light-200 underline self-start"
+            >
+              {t('detail.imdb')}
+            </a>
+          )}
+
+          {/* Actions: save/remove, watchlists and trailer */}
+          <div className="flex flex-wrap items-end gap-4">
+            <button
+              onClick={() => {
+                if (!isSaved) saveMovie(show);
+                else if (!hasPersonalData(getSavedMovie(show.id, 'tv')) || window.confirm(t('personal.confirmRemove', { title: show.title }))) {
+                  removeMovie(show.id, 'tv');
+                }
+              }}
+              className="mt-6 px-6 py-3 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform"
+            >
+              {isSaved ? t('common.remove') : t('common.save')}
+            </button>
+
+            <ListPicker movie={show} />
+
+            {trailer && (
+              <button
+                type="button"
+                onClick={() => setShowTrailer(true)}
+                className="mt-6 px-6 py-3 bg-dark-100 border border-light-100/20 text-white rounded-lg hover:scale-105 transition-transform"
+              >
+                {t('detail.playTrailer')}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Streaming, rental and purchase options in the chosen country */}
+      <WatchProviders providers={show['watch/providers']?.results} />
+
+      {/* Watch log, personal rating, tags and notes */}
+      <PersonalPanel movie={show} />
+
+      {/* Seasons and episodes */}
+      {show.seasons?.length > 0 && (
+        <section className="mt-12">
+          <div className="flex items-center justify-between gap-4 mb-6">
+            <h2>{t('detail.episodesTitle')}</h2>
+            <select
+              className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+              value={seasonNumber ?? ''}
+              onChange={(e) => setSearchParams({ season: e.target.value }, { replace: true })}
+              aria-label={t('detail.season')}
+            >
+              {show.seasons.map((s) => (
+                <option key={s.id} value={s.season_number}>
+                  {t('detail.seasonOption', { name: s.name, count: s.episode_count })}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {seasonLoading ? (
+            <Spinner />
+          ) : seasonError ? (
+            <ErrorMessage error={seasonError} onRetry={() => setSeasonRetryKey((key) => key + 1)} />
+          ) : season?.episodes?.length > 0 ? (
+            <ol className="flex flex-col gap-4">
+              {season.episodes.map((episode) => (
+                <li key={episode.id} className="flex flex-col sm:flex-row gap-4 bg-dark-100 p-4 rounded-2xl">
+                  <img
+                    src={episode.still_path ? `https://image.tmdb.org/t/p/w300${episode.still_path}` : '/No-Poster-1.png'}
+                    alt=""
+                    loading="lazy"
+                    className="w-full sm:w-48 aspect-video rounded-lg object-cover"
+                  />
+                  <div className="flex flex-col gap-1 flex-1">
+                    <h3 className="text-white font-bold">
+                      {episode.episode_number}. {episode.name}
+                    </h3>
+                    <p className="text-gray-100 text-sm">
+                      {episode.air_date ? formatDate(episode.air_date) : t('detail.airDateUnknown')}
+                      {episode.runtime > 0 && ` · ${formatRuntime(t, episode.runtime)}`}
+                      {episode.vote_average > 0 && ` · ★ ${formatRating(episode.vote_average)}`}
+                    </p>
+                    {episode.overview && (
+                      <p className="text-light-200 text-sm line-clamp-3">{episode.overview}</p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p>{t('detail.noEpisodes')}</p>
+          )}
+        </section>
+      )}
+
+      <CastList cast={show.credits?.cast} />
+
+      <MovieRow title={t('detail.recommended')} movies={recommendations} />
+      <MovieRow title={t('detail.similar')} movies={similar} />
+
+      {showTrailer && trailer && <TrailerPlayer video={trailer} onClose={closeTrailer} />}
+    </main>
+  );
+};
+
+// Export the TvDetail component so it can be routed to from App.jsx
+export default TvDetail;
@@ -0,0 +1,371 @@
+// React Router: month, view and release kind live in the query string so Back restores them
+import { Link, useSearchParams } from 'react-router-dom';
+
+// React hooks
+import { useEffect, useState } from 'react';
+// - useState: the month's releases, now playing, countries, loading and errors
+// - useEffect: load them when the month, country or release kind changes
+
+// Release data, followed movies and the calendar export
+import {
+  RELEASE_KINDS,
+  DEFAULT_RELEASE_KIND,
+  addMonths,
+  buildIcs,
+  isMonth,
+  loadMonthReleases,
+  localDate,
+  monthGrid,
+  monthOf,
+  refreshFollowedDates,
+} from '../upcoming.js';
+import { useFollowedReleases } from './FollowedReleasesContext.jsx';
+import { getNowPlaying, getWatchRegions, isAbortError } from '../tmdb.js';
+
+// The country is the one chosen for "where to watch"
+import { useWatchPreferences } from './WatchPreferencesContext.jsx';
+import { downloadFile } from '../importExport.js';
+import { today } from '../personal.js';
+
+import MovieRow from './MovieRow.jsx';
+import FollowButton from './FollowButton.jsx';
+import Spinner from './Spinner.jsx';
+import ErrorMessage from './ErrorMessage.jsx';
+import { useI18n } from './I18nContext.jsx';
+
+// Views of the month with the message keys of their labels
+const VIEWS = {
+  calendar: 'upcoming.calendar',
+  list: 'upcoming.list',
+};
+
+// Poster thumbnail, or the local fallback image
+const thumbnailUrl = (path) => (path ? `https://image.tmdb.org/t/p/w92${path}` : '/No-Poster-1.png');
+
+// Define the Upcoming functional component (route: /upcoming)
+// What comes out in a month in the chosen country, as a calendar or a list,
+// with what's in cinemas now above it and the followed movies below. Followed
+// release dates can be downloaded as an .ics file.
+const Upcoming = () => {
+  const { t, locale, formatDate, displayName, firstDayOfWeek } = useI18n();
+  const [{ region }, updatePreferences] = useWatchPreferences();
+  const { followed, isFollowing, follow, unfollow, setDates } = useFollowedReleases();
+
+  const [searchParams, setSearchParams] = useSearchParams();
+  const month = isMonth(searchParams.get('month')) ? searchParams.get('month') : monthOf();
+  const view = VIEWS[searchParams.get('view')] ? searchParams.get('view') : 'calendar';
+  const kind = RELEASE_KINDS[searchParams.get('kind')] ? searchParams.get('kind') : DEFAULT_RELEASE_KIND;
+
+  const [releases, setReleases] = useState([]);     // [{ movie, date }] in the month
+  const [nowPlaying, setNowPlaying] = useState([]); // Movies in cinemas now
+  const [regions, setRegions] = useState([]);       // Country codes for the picker
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [retryKey, setRetryKey] = useState(0);      // Bumped by "Try again"
+
+  const regionName = (code) => displayName('region', code);
+
+  // The month's releases
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    loadMonthReleases({ month, region, kind }, { signal: controller.signal })
+      .then(setReleases)
+      .catch((err) => {
+        if (!isAbortError(err)) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [month, region, kind, retryKey]);
+
+  // In cinemas now; the row is left out if it can't be loaded
+  useEffect(() => {
+    const controller = new AbortController();
+
+    getNowPlaying(region, { signal: controller.signal })
+      .then(setNowPlaying)
+      .catch((err) => {
+        if (!isAbortError(err)) console.error('Error fetching now playing movies:', err);
+      });
+
+    return () => controller.abort();
+  }, [region]);
+
+  // Followed release dates move, and depend on the country
+  useEffect(() => {
+    const controller = new AbortController();
+
+    refreshFollowedDates(followed, region, { signal: controller.signal })
+      .then((dates) => setDates(dates, region))
+      .catch((err) => {
+        if (!isAbortError(err)) console.error('Error refreshing followed release dates:', err);
+      });
+
+    return () => controller.abort();
+  }, [region]);
+
+  // Countries, sorted by their name in the UI language
+  useEffect(() => {
+    getWatchRegions()
+      .then((list) => setRegions(
+        list.map((entry) => entry.iso_3166_1).sort((a, b) => regionName(a).localeCompare(regionName(b), locale))
+      ))
+      .catch((err) => console.error('Error fetching watch regions:', err));
+  }, []);
+
+  // Sets or clears one query-string value
+  const updateParam = (key, value) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (value) next.set(key, value);
+      else next.delete(key);
+      return next;
+    }, { replace: true });
+  };
+
+  // Follows a movie with the date shown for it, or stops following it
+  const toggleFollow = (movie, releaseDate) => {
+    if (isFollowing(movie.id)) unfollow(movie.id);
+    else follow(movie, { releaseDate, region, kind });
+  };
+
+  // Downloads the followed movies that have a date as calendar events
+  const exportCalendar = () => {
+    const events = followed
+      .filter((movie) => movie.releaseDate)
+      .map((movie) => ({
+        uid: `release-${movie.id}-${movie.region}@tv-time`,
+        date: movie.releaseDate,
+        summary: t('upcoming.icsSummary', { title: movie.title }),
+        description: t('upcoming.icsDescription', { country: regionName(movie.region) }),
+        url: `${window.location.origin}/movie/${movie.id}`,
+      }));
+    downloadFile(buildIcs(events, { name: t('upcoming.icsName') }), 'tv-time-releases.ics', 'text/calendar');
+  };
+
+  const todayDate = today();
+  const monthTitle = formatDate(localDate(`${month}-01`), { month: 'long', year: 'numeric' });
+
+  // Releases per day
+  const byDate = new Map();
+  releases.forEach(({ movie, date }) => byDate.set(date, [...(byDate.get(date) || []), movie]));
+
+  // Weekday names from the first day of the week on; 1 January 2024 was a Monday
+  const weekdays = Array.from({ length: 7 }, (_, index) =>
+    formatDate(new Date(2024, 0, 1 + ((firstDayOfWeek - 1 + index) % 7)), { weekday: 'short' })
+  );
+
+  // Followed movies by date, the ones without a date last
+  const followedByDate = [...followed].sort((a, b) =>
+    (a.releaseDate || '9999').localeCompare(b.releaseDate || '9999')
+  );
+  const datedCount = followed.filter((movie) => movie.releaseDate).length;
+
+  return (
+    <main className="min-h-screen bg-primary px-5 py-12 max-w-7xl mx-auto text-white">
+      <Link to="/" className="text-light-200 hover:text-white">{t('nav.home')}</Link>
+
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mt-6">
+        <h1 className="text-3xl font-bold">{t('upcoming.title')}</h1>
+        <select
+          className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+          value={region}
+          onChange={(e) => updatePreferences({ region: e.target.value })}
+          aria-label={t('upcoming.country')}
+        >
+          {/* The chosen country even before the list has loaded */}
+          {(regions.includes(region) ? regions : [region, ...regions]).map((code) => (
+            <option key={code} value={code}>{regionName(code)}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* In cinemas now */}
+      <MovieRow title={t('upcoming.nowPlaying', { country: regionName(region) })} movies={nowPlaying} />
+
+      {/* Month navigation, view and release kind */}
+      <section className="mt-12">
+        <div className="flex flex-wrap items-center gap-4 mb-6">
+          <button
+            type="button"
+            onClick={() => updateParam('month', addMonths(month, -1))}
+            aria-label={t('upcoming.previousMonth')}
+            className="px-3 py-1 bg-dark-100 rounded-lg"
+          >
+            ←
+          </button>
+          <h2 className="min-w-48 text-center capitalize">{monthTitle}</h2>
+          <button
+            type="button"
+            onClick={() => updateParam('month', addMonths(month, 1))}
+            aria-label={t('upcoming.nextMonth')}
+            className="px-3 py-1 bg-dark-100 rounded-lg"
+          >
+            →
+          </button>
+          {month !== monthOf() && (
+            <button type="button" onClick={() => updateParam('month', '')} className="text-light-200 underline">
+              {t('upcoming.thisMonth')}
+            </button>
+          )}
+
+          <div className="flex items-center gap-4 sm:ml-auto">
+            <select
+              className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+              value={kind}
+              onChange={(e) => updateParam('kind', e.target.value === DEFAULT_RELEASE_KIND ? '' : e.target.value)}
+              aria-label={t('upcoming.kind')}
+            >
+              {Object.entries(RELEASE_KINDS).map(([key, { labelKey }]) => (
+                <option key={key} value={key}>{t(labelKey)}</option>
+              ))}
+            </select>
+            <div className="flex rounded-lg overflow-hidden border border-light-100/10" role="group">
+              {Object.entries(VIEWS).map(([key, labelKey]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => updateParam('view', key === 'calendar' ? '' : key)}
+                  aria-pressed={view === key}
+                  className={`px-4 py-2 ${view === key ? 'bg-light-100/20 text-white' : 'bg-dark-100 text-light-200'}`}
+                >
+                  {t(labelKey)}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {loading ? (
+          <Spinner />
+        ) : error ? (
+          <ErrorMessage error={error} onRetry={() => setRetryKey((key) => key + 1)} />
+        ) : view === 'calendar' ? (
+          // Month grid: one row per week
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[720px] table-fixed border-collapse">
+              <thead>
+                <tr>
+                  {weekdays.map((name) => (
+                    <th key={name} scope="col" className="py-2 text-sm font-normal text-light-200">{name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {monthGrid(month, firstDayOfWeek).map((week) => (
+                  <tr key={week.find(Boolean)}>
+                    {week.map((date, index) => (
+                      <td
+                        key={date || `empty-${index}`}
+                        className={`align-top h-28 p-2 border border-light-100/10 ${date ? 'bg-dark-100' : ''} ${
+                          date === todayDate ? 'ring-2 ring-inset ring-[#3ca55c]' : ''
+                        }`}
+                      >
+                        {date && (
+                          <>
+                            <span className={`text-sm ${date < todayDate ? 'text-gray-100' : 'text-white'}`}>
+                              {Number(date.slice(8))}
+                            </span>
+                            <ul className="mt-1 flex flex-col gap-1">
+                              {(byDate.get(date) || []).map((movie) => (
+                                <li key={movie.id} className="flex items-start gap-1 text-xs">
+                                  <FollowButton
+                                    compact
+                                    title={movie.title}
+                                    following={isFollowing(movie.id)}
+                                    onToggle={() => toggleFollow(movie, date)}
+                                  />
+                                  <Link to={`/movie/${movie.id}`} className="text-light-200 hover:text-white line-clamp-2">
+                                    {movie.title}
+                                  </Link>
+                                </li>
+                              ))}
+                            </ul>
+                          </>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : releases.length === 0 ? (
+          <p className="text-light-200">{t('upcoming.none', { country: regionName(region) })}</p>
+        ) : (
+          // List: the release days in order with their movies
+          <ol className="flex flex-col gap-6">
+            {[...byDate.entries()].map(([date, movies]) => (
+              <li key={date}>
+                <h3 className="text-white font-bold mb-2">
+                  {formatDate(localDate(date), { weekday: 'long', day: 'numeric', month: 'long' })}
+                </h3>
+                <ul className="flex flex-col gap-3">
+                  {movies.map((movie) => (
+                    <li key={movie.id} className="flex items-center gap-4">
+                      <img src={thumbnailUrl(movie.poster_path)} alt="" className="h-16 w-11 rounded object-cover" />
+                      <Link to={`/movie/${movie.id}`} className="flex-1 text-light-200 hover:text-white">
+                        {movie.title}
+                      </Link>
+                      <FollowButton
+                        title={movie.title}
+                        following={isFollowing(movie.id)}
+                        onToggle={() => toggleFollow(movie, date)}
+                      />
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ol>
+        )}
+      </section>
+
+      {/* Followed movies and the calendar export */}
+      <section className="mt-12">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+          <h2>{t('upcoming.followed')}</h2>
+          <button
+            type="button"
+            onClick={exportCalendar}
+            disabled={datedCount === 0}
+            className="self-start px-6 py-2 bg-gradient-to-r from-[#3ca55c] to-[#b5ac49] text-white rounded-lg shadow-md hover:scale-105 transition-transform disabled:opacity-50 disabled:hover:scale-100"
+          >
+            {t('upcoming.export', { count: datedCount })}
+          </button>
+        </div>
+
+        {followed.length === 0 ? (
+          <p className="text-light-200">{t('upcoming.noneFollowed')}</p>
+        ) : (
+          <ul className="flex flex-col gap-3">
+            {followedByDate.map((movie) => (
+              <li key={movie.id} className="flex items-center gap-4">
+                <img src={thumbnailUrl(movie.poster_path)} alt="" className="h-16 w-11 rounded object-cover" />
+                <div className="flex-1">
+                  <Link to={`/movie/${movie.id}`} className="text-white hover:underline">{movie.title}</Link>
+                  <p className="text-sm text-gray-100">
+                    {!movie.releaseDate
+                      ? t('upcoming.noDate')
+                      : movie.releaseDate <= todayDate
+                        ? t('upcoming.outNow', { date: formatDate(localDate(movie.releaseDate)) })
+                        : t('upcoming.releases', { date: formatDate(localDate(movie.releaseDate)), country: regionName(movie.region) })}
+                  </p>
+                </div>
+                <FollowButton title={movie.title} following onToggle={() => unfollow(movie.id)} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </main>
+  );
+};
+
+// Export the Upcoming component so it can be routed to from App.jsx
+export default Upcoming;
@@ -0,0 +1,104 @@
+// React hooks
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+// - useLayoutEffect: measures rows and the visible range before the browser paints,
+//   so the list never flashes at the wrong offset
+
+// Rows rendered above and below the visible ones, so fast scrolling doesn't show gaps
+const OVERSCAN_ROWS = 2;
+
+// onEndReached fires once the visible rows come this close to the last row
+const END_THRESHOLD_ROWS = 3;
+
+// Height of a row plus the grid gap (px), assumed until the first row is measured
+const ESTIMATED_ROW_HEIGHT = 560;
+
+// Define the VirtualGrid functional component
+// Renders a long list as a single <ul> laid out by the surrounding CSS grid
+// (e.g. `.all-movies ul`), but only the rows near the viewport. Padding above and
+// below stands in for the rows that aren't rendered, so the page keeps its full
+// scroll height. Scrolling is the window's, like the rest of Home.
+// - items: the full list
+// - itemKey: returns a stable key for an item
+// - renderItem: returns the contents of an item's <li>
+// - onEndReached: called when the user nears the end (e.g. to load another page);
+//   it may be called repeatedly, so the caller ignores calls while already loading
+const VirtualGrid = ({ items, itemKey, renderItem, onEndReached }) => {
+  const listRef = useRef(null);
+
+  const [columns, setColumns] = useState(1);                       // Grid columns at the current width
+  const [rowHeight, setRowHeight] = useState(ESTIMATED_ROW_HEIGHT); // One row plus the gap below it
+  const [firstRow, setFirstRow] = useState(0);                     // First rendered row
+  const [lastRow, setLastRow] = useState(0);                       // Row after the last rendered one
+
+  const rowCount = Math.ceil(items.length / columns);
+
+  // Reads the column count and row height from the rendered grid, and again
+  // whenever it resizes (window width, posters loading, ...)
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list) return undefined;
+
+    const measure = () => {
+      const style = getComputedStyle(list);
+      setColumns(Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length));
+      const row = list.firstElementChild;
+      if (row) {
+        const height = row.getBoundingClientRect().height + (parseFloat(style.rowGap) || 0);
+        if (height > 0) setRowHeight(Math.round(height));
+      }
+    };
+
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(list);
+    return () => observer.disconnect();
+  }, []);
+
+  // Works out which rows are on screen on every scroll and resize
+  useLayoutEffect(() => {
+    const updateRange = () => {
+      const top = listRef.current?.getBoundingClientRect().top ?? 0; // List top relative to the viewport
+      const first = Math.floor(-top / rowHeight) - OVERSCAN_ROWS;
+      const last = Math.ceil((window.innerHeight - top) / rowHeight) + OVERSCAN_ROWS;
+      setFirstRow(Math.max(0, Math.min(first, rowCount - 1)));
+      setLastRow(Math.max(0, Math.min(last, rowCount)));
+    };
+
+    updateRange();
+    window.addEventListener('scroll', updateRange, { passive: true });
+    window.addEventListener('resize', updateRange);
+    return () => {
+      window.removeEventListener('scroll', updateRange);
+      window.removeEventListener('resize', updateRange);
+    };
+  }, [rowCount, rowHeight]);
+
+  // Ask for more items near the end; re-checked after every render of the parent
+  // (onEndReached is a new function each time), so a page that added nothing new
+  // still leads to the next one
+  useEffect(() => {
+    if (rowCount > 0 && lastRow >= rowCount - END_THRESHOLD_ROWS) onEndReached?.();
+  }, [lastRow, rowCount, onEndReached]);
+
+  const start = firstRow * columns;
+  const visible = items.slice(start, lastRow * columns);
+
+  return (
+    <ul
+      ref={listRef}
+      style={{
+        paddingTop: firstRow * rowHeight,
+        paddingBottom: Math.max(0, rowCount - lastRow) * rowHeight,
+      }}
+    >
+      {visible.map((item, index) => (
+        <li key={itemKey(item)} aria-setsize={items.length} aria-posinset={start + index + 1}>
+          {renderItem(item)}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Export the VirtualGrid component for long listings (Home's infinite scroll)
+export default VirtualGrid;
@@ -0,0 +1,42 @@
+// Import React utilities for state management and context API
+import { createContext, useContext, useEffect, useState } from 'react';
+
+// Reading, storing and the localStorage key of the preferences
+import { WATCH_PREFERENCES_KEY, loadWatchPreferences, saveWatchPreferences } from '../watchProviders.js';
+
+// Create a Context for the "where to watch" preferences
+const WatchPreferencesContext = createContext();
+
+// Custom hook: the preferences ({ region, services }) and a function to change
+// some of them (update({ region: 'DE' }), update({ services: [...] }))
+export const useWatchPreferences = () => useContext(WatchPreferencesContext);
+// Example usage: const [{ region, services }, updatePreferences] = useWatchPreferences();
+
+
+// The provider component holds the one copy of the preferences, so changing
+// the country on a detail page changes it on every mounted page at once, and
+// follows changes made in other tabs.
+export const WatchPreferencesProvider = ({ children }) => {
+  const [preferences, setPreferences] = useState(loadWatchPreferences);
+
+  useEffect(() => {
+    saveWatchPreferences(preferences);
+  }, [preferences]);
+
+  // Another tab changed them: the `storage` event fires in every other tab
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === WATCH_PREFERENCES_KEY) setPreferences(loadWatchPreferences());
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  const update = (changes) => setPreferences((prev) => ({ ...prev, ...changes }));
+
+  return (
+    <WatchPreferencesContext.Provider value={[preferences, update]}>
+      {children}
+    </WatchPreferencesContext.Provider>
+  );
+};
@@ -0,0 +1,88 @@
+import { Link } from 'react-router-dom';
+
+// Chosen country and "my services"
+import { MONETIZATION_TYPES, providerLogoUrl } from '../watchProviders.js';
+import { useWatchPreferences } from './WatchPreferencesContext.jsx';
+
+import { useI18n } from './I18nContext.jsx';
+
+// Define the WatchProviders functional component
+// "Where to watch" section of the detail pages: the streaming services, stores
+// and free services offering the title in the chosen country, with the user's
+// own services highlighted. Changing the country here changes it everywhere.
+// - providers: the appended `watch/providers` results, keyed by country code
+const WatchProviders = ({ providers = {} }) => {
+  const { t, locale, displayName } = useI18n();
+  const [{ region, services }, updatePreferences] = useWatchPreferences();
+
+  const available = providers[region];
+  const regionName = (code) => displayName('region', code);
+
+  // Countries with data, plus the chosen one even when the title isn't offered there
+  const regions = [...new Set([region, ...Object.keys(providers)])]
+    .sort((a, b) => regionName(a).localeCompare(regionName(b), locale));
+
+  const groups = MONETIZATION_TYPES
+    .map((type) => ({ ...type, providers: available?.[type.key] || [] }))
+    .filter((group) => group.providers.length > 0);
+
+  return (
+    <section className="mt-12">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <h2>{t('providers.title')}</h2>
+        <select
+          className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+          value={region}
+          onChange={(e) => updatePreferences({ region: e.target.value })}
+          aria-label={t('providers.country')}
+        >
+          {regions.map((code) => (
+            <option key={code} value={code}>{regionName(code)}</option>
+          ))}
+        </select>
+      </div>
+
+      {groups.length === 0 ? (
+        <p className="text-light-200">{t('providers.none', { country: regionName(region) })}</p>
+      ) : (
+        <div className="flex flex-col gap-4">
+          {groups.map((group) => (
+            <div key={group.key} className="flex flex-col sm:flex-row sm:items-center gap-3">
+              <h3 className="text-white font-bold sm:w-32 shrink-0">{t(group.labelKey)}</h3>
+              <ul className="flex flex-wrap gap-3">
+                {group.providers.map((provider) => {
+                  const isMine = services.includes(provider.provider_id);
+                  return (
+                    <li key={provider.provider_id} title={provider.provider_name}>
+                      <img
+                        src={providerLogoUrl(provider.logo_path)}
+                        alt={isMine ? t('providers.mine', { name: provider.provider_name }) : provider.provider_name}
+                        className={`size-12 rounded-lg ${isMine ? 'ring-2 ring-[#3ca55c]' : ''}`}
+                      />
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="mt-4 text-sm text-gray-100 flex flex-wrap gap-x-4 gap-y-1">
+        {/* TMDB's terms ask for JustWatch to be credited */}
+        <span>{t('providers.attribution')}</span>
+        {available?.link && (
+          <a href={available.link} target="_blank" rel="noreferrer" className="underline hover:text-white">
+            {t('providers.allOptions')}
+          </a>
+        )}
+        <Link to="/account#services" className="underline hover:text-white">
+          {services.length > 0 ? t('providers.manageServices') : t('providers.chooseServices')}
+        </Link>
+      </p>
+    </section>
+  );
+};
+
+// Export the WatchProviders component for the movie and series detail pages
+export default WatchProviders;
@@ -0,0 +1,142 @@
+// React hooks
+import { useEffect, useState } from 'react';
+// - useState: country and provider lists, the filter text, loading and errors
+// - useEffect: load the countries once and the providers per country
+
+// TMDB watch provider lists
+import { getWatchRegions, getWatchProviders, isAbortError } from '../tmdb.js';
+
+// Chosen country and "my services"
+import { providerLogoUrl } from '../watchProviders.js';
+import { useWatchPreferences } from './WatchPreferencesContext.jsx';
+
+import Spinner from './Spinner.jsx';
+import ErrorMessage from './ErrorMessage.jsx';
+import { useI18n } from './I18nContext.jsx';
+
+// Providers listed before "Show all" (TMDB knows hundreds in some countries)
+const INITIAL_PROVIDER_COUNT = 30;
+
+// Define the WatchServicesSettings functional component
+// Account page section for the watch preferences: the country used for "where
+// to watch", and the streaming services the user has (shown first on detail
+// pages and used by the "only on my services" filter on Home).
+const WatchServicesSettings = () => {
+  const { t, locale, displayName } = useI18n();
+  const [{ region, services }, updatePreferences] = useWatchPreferences();
+
+  const [regions, setRegions] = useState([]);     // Country codes with provider data
+  const [providers, setProviders] = useState([]); // Providers in the chosen country
+  const [filterText, setFilterText] = useState('');
+  const [showAll, setShowAll] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0); // Bumped by "Try again"
+
+  const regionName = (code) => displayName('region', code);
+
+  // Countries, sorted by their name in the UI language
+  useEffect(() => {
+    getWatchRegions()
+      .then((list) => setRegions(
+        list.map((entry) => entry.iso_3166_1).sort((a, b) => regionName(a).localeCompare(regionName(b), locale))
+      ))
+      .catch((err) => console.error('Error fetching watch regions:', err));
+  }, []);
+
+  // Providers of the chosen country
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    getWatchProviders(region, { signal: controller.signal })
+      .then(setProviders)
+      .catch((err) => {
+        if (!isAbortError(err)) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [region, reloadCount]);
+
+  // Adds a service to "my services" or takes it out again
+  const toggleService = (providerId) => {
+    updatePreferences({
+      services: services.includes(providerId)
+        ? services.filter((id) => id !== providerId)
+        : [...services, providerId],
+    });
+  };
+
+  const needle = filterText.trim().toLowerCase();
+  const matching = providers.filter((provider) => !needle || provider.provider_name.toLowerCase().includes(needle));
+  // Chosen services stay in view even when they are far down TMDB's order
+  const visible = showAll || needle
+    ? matching
+    : matching.filter((provider, index) => index < INITIAL_PROVIDER_COUNT || services.includes(provider.provider_id));
+
+  return (
+    <section id="services" className="mt-12 flex flex-col gap-4">
+      <h2>{t('services.title')}</h2>
+      <p className="text-light-200">{t('services.intro')}</p>
+
+      <label className="flex items-center gap-3">
+        {t('services.country')}
+        <select
+          className="bg-dark-100 text-white px-4 py-2 rounded-lg"
+          value={region}
+          onChange={(e) => updatePreferences({ region: e.target.value })}
+        >
+          {/* The chosen country even before the list has loaded */}
+          {(regions.includes(region) ? regions : [region, ...regions]).map((code) => (
+            <option key={code} value={code}>{regionName(code)}</option>
+          ))}
+        </select>
+      </label>
+
+      <input
+        type="search"
+        value={filterText}
+        onChange={(e) => setFilterText(e.target.value)}
+        placeholder={t('services.filter')}
+        aria-label={t('services.filter')}
+        className="bg-dark-100 text-white px-4 py-2 rounded-lg sm:max-w-xs"
+      />
+
+      {isLoading ? (
+        <Spinner />
+      ) : error ? (
+        <ErrorMessage error={error} onRetry={() => setReloadCount((count) => count + 1)} />
+      ) : (
+        <>
+          <ul className="grid grid-cols-1 xs:grid-cols-2 gap-2">
+            {visible.map((provider) => (
+              <li key={provider.provider_id}>
+                <label className="flex items-center gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={services.includes(provider.provider_id)}
+                    onChange={() => toggleService(provider.provider_id)}
+                  />
+                  <img src={providerLogoUrl(provider.logo_path)} alt="" className="size-8 rounded" />
+                  {provider.provider_name}
+                </label>
+              </li>
+            ))}
+          </ul>
+          {visible.length < matching.length && (
+            <button type="button" onClick={() => setShowAll(true)} className="self-start text-light-200 underline">
+              {t('services.showAll', { count: matching.length })}
+            </button>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+// Export the WatchServicesSettings component for the Account page
+export default WatchServicesSettings;
@@ -0,0 +1,250 @@
+// Filter model for the discover panel on Home.
+// Converts between three representations of the same filters:
+// - the URL query string (shareable, restored by back/forward)
+// - localStorage (remembered between visits)
+// - TMDB /discover/movie parameters (what actually gets requested)
+
+// "Only on my services" turns into watch provider parameters
+import { servicesDiscoverParams } from './watchProviders.js';
+
+// With a minimum rating set (or when sorting by rating), ignore movies with fewer
+// votes than this; otherwise a film with a single 10/10 vote tops every list
+export const MIN_VOTE_COUNT = 100;
+
+// Release years accepted by the year filters: from the oldest film TMDB lists
+// to next year (announced releases)
+export const MIN_YEAR = 1874;
+export const maxYear = () => new Date().getFullYear() + 1;
+
+// localStorage key for the last used filters
+const STORAGE_KEY = 'discoverFilters';
+
+// Filters applied when nothing is selected
+export const DEFAULT_FILTERS = {
+  genres: [],                // Genre IDs that must (AND) / may (OR) match
+  genreMode: 'and',          // 'and' | 'or'
+  excludeGenres: [],         // Genre IDs that must not match
+  minRating: 0,              // Minimum vote_average (0-10)
+  yearFrom: '',              // Earliest release year
+  yearTo: '',                // Latest release year
+  language: '',              // ISO 639-1 original language code, e.g. 'ja'
+  runtimeMin: '',            // Minutes
+  runtimeMax: '',            // Minutes
+  sortBy: 'popularity.desc', // One of SORT_OPTIONS
+  region: '',                // ISO 3166-1 country for certification, e.g. 'SE'
+  certification: '',         // Highest allowed age certification in that region
+  myServices: false,         // Only titles on the user's streaming services (see watchProviders.js)
+};
+
+// Sort orders offered in the panel, mapped to TMDB sort_by values
+// (labelKey: message key of the option's label, see i18n/)
+export const SORT_OPTIONS = [
+  { value: 'popularity.desc', labelKey: 'sort.popular' },
+  { value: 'vote_average.desc', labelKey: 'sort.rating' },
+  { value: 'primary_release_date.desc', labelKey: 'sort.newest' },
+  { value: 'primary_release_date.asc', labelKey: 'sort.oldest' },
+  { value: 'revenue.desc', labelKey: 'sort.revenue' },
+  { value: 'original_title.asc', labelKey: 'sort.titleAsc' },
+  { value: 'original_title.desc', labelKey: 'sort.titleDesc' },
+];
+
+// URL parameter name for every filter field
+const PARAM_NAMES = {
+  genres: 'genre',
+  genreMode: 'mode',
+  excludeGenres: 'without',
+  minRating: 'min',
+  yearFrom: 'from',
+  yearTo: 'to',
+  language: 'lang',
+  runtimeMin: 'rmin',
+  runtimeMax: 'rmax',
+  sortBy: 'sort',
+  region: 'region',
+  certification: 'cert',
+  myServices: 'services',
+};
+
+// Parses "878,27" into [878, 27]
+const parseIdList = (value) =>
+  (value || '')
+    .split(',')
+    .map(Number)
+    .filter((id) => Number.isInteger(id) && id > 0);
+
+// Parses a positive whole number, or '' when missing/invalid
+const parseWhole = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : '';
+};
+
+// Parses a four-digit release year within MIN_YEAR..maxYear(), or '' otherwise.
+// A year still being typed ("19") is not a year yet.
+export const parseYear = (value) => {
+  const year = Number(value);
+  return /^\d{4}$/.test(String(value ?? '').trim()) && year >= MIN_YEAR && year <= maxYear() ? year : '';
+};
+
+// Release years in order: a range typed or linked the wrong way round
+// (?from=2010&to=1990) is read as 1990–2010 rather than matching nothing
+const orderYears = (yearFrom, yearTo) =>
+  yearFrom && yearTo && yearFrom > yearTo ? { yearFrom: yearTo, yearTo: yearFrom } : { yearFrom, yearTo };
+
+// Builds a complete, validated filter object from loose input
+const normalizeFilters = (raw = {}) => ({
+  genres: Array.isArray(raw.genres) ? raw.genres : parseIdList(raw.genres),
+  genreMode: raw.genreMode === 'or' ? 'or' : 'and',
+  excludeGenres: Array.isArray(raw.excludeGenres) ? raw.excludeGenres : parseIdList(raw.excludeGenres),
+  minRating: Math.min(10, Math.max(0, Number(raw.minRating) || 0)),
+  ...orderYears(parseYear(raw.yearFrom), parseYear(raw.yearTo)),
+  language: raw.language || '',
+  runtimeMin: parseWhole(raw.runtimeMin),
+  runtimeMax: parseWhole(raw.runtimeMax),
+  sortBy: SORT_OPTIONS.some((option) => option.value === raw.sortBy) ? raw.sortBy : DEFAULT_FILTERS.sortBy,
+  region: (raw.region || '').toUpperCase(),
+  certification: raw.certification || '',
+  myServices: raw.myServices === true || raw.myServices === 'true',
+});
+
+// ------------------------------
+// URL query string
+// ------------------------------
+
+// True if the query string contains any filter parameter
+export const hasFilterParams = (searchParams) =>
+  Object.values(PARAM_NAMES).some((name) => searchParams.has(name));
+
+// Reads the filters from URLSearchParams
+export const readFilters = (searchParams) => {
+  const raw = {};
+  Object.entries(PARAM_NAMES).forEach(([field, name]) => {
+    raw[field] = searchParams.get(name) ?? undefined;
+  });
+  return normalizeFilters(raw);
+};
+
+// Converts filters into { paramName: value } pairs for the query string.
+// Default values become '' so the caller removes them from the URL.
+export const filtersToParams = (filters) => {
+  const params = {};
+  Object.entries(PARAM_NAMES).forEach(([field, name]) => {
+    const value = filters[field];
+    const isDefault = Array.isArray(value)
+      ? value.length === 0
+      : value === DEFAULT_FILTERS[field];
+    params[name] = isDefault ? '' : Array.isArray(value) ? value.join(',') : value;
+  });
+  return params;
+};
+
+// True if any filter differs from its default
+export const hasActiveFilters = (filters) =>
+  Object.values(filtersToParams(filters)).some((value) => value !== '');
+
+// ------------------------------
+// localStorage
+// ------------------------------
+
+// Loads the filters used on the last visit (null if none were saved)
+export const loadSavedFilters = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? normalizeFilters(JSON.parse(stored)) : null;
+  } catch {
+    return null; // Fallback if parsing fails
+  }
+};
+
+// Remembers the filters for the next visit
+export const saveFilters = (filters) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(filters));
+  } catch {
+    // Storage full or disabled: filters simply won't be remembered
+  }
+};
+
+// ------------------------------
+// TMDB parameters
+// ------------------------------
+
+// /discover/tv names some sort orders differently and can't sort by revenue
+const TV_SORTS = {
+  'primary_release_date.desc': 'first_air_date.desc',
+  'primary_release_date.asc': 'first_air_date.asc',
+  'revenue.desc': 'popularity.desc',
+  'original_title.asc': 'original_name.asc',
+  'original_title.desc': 'original_name.desc',
+};
+
+// Maps the filters to /discover/movie (or, for mediaType 'tv', /discover/tv) query parameters
+// - watchPreferences: { region, services } for the "only on my services" filter
+export const toDiscoverParams = (filters, mediaType = 'movie', watchPreferences) => {
+  // Comma-separated genre IDs mean AND in TMDB, pipe-separated mean OR
+  const genreSeparator = filters.genreMode === 'or' ? '|' : ',';
+  const needsVoteFloor = filters.minRating > 0 || filters.sortBy === 'vote_average.desc';
+
+  const params = {
+    sort_by: filters.sortBy,
+    with_genres: filters.genres.join(genreSeparator),
+    without_genres: filters.excludeGenres.join(','),
+    'vote_average.gte': filters.minRating || undefined,
+    'vote_count.gte': needsVoteFloor ? MIN_VOTE_COUNT : undefined,
+    'primary_release_date.gte': filters.yearFrom ? `${filters.yearFrom}-01-01` : undefined,
+    'primary_release_date.lte': filters.yearTo ? `${filters.yearTo}-12-31` : undefined,
+    with_original_language: filters.language,
+    'with_runtime.gte': filters.runtimeMin,
+    'with_runtime.lte': filters.runtimeMax,
+    // Certifications only mean something together with their country
+    certification_country: filters.region && filters.certification ? filters.region : undefined,
+    'certification.lte': filters.region ? filters.certification : undefined,
+    ...(filters.myServices && watchPreferences ? servicesDiscoverParams(watchPreferences) : {}),
+  };
+  if (mediaType !== 'tv') return params;
+
+  // Series: first air dates instead of release dates, and no certification filter
+  const {
+    'primary_release_date.gte': firstAirFrom,
+    'primary_release_date.lte': firstAirTo,
+    certification_country: _country,
+    'certification.lte': _certification,
+    ...shared
+  } = params;
+  return {
+    ...shared,
+    sort_by: TV_SORTS[filters.sortBy] || filters.sortBy,
+    'first_air_date.gte': firstAirFrom,
+    'first_air_date.lte': firstAirTo,
+  };
+};
+
+// True if any filter that matchesFilters checks is set; without one a text
+// search needs no client-side filtering
+export const hasSearchFilters = (filters) =>
+  filters.genres.length > 0
+  || filters.excludeGenres.length > 0
+  || filters.minRating > 0
+  || Boolean(filters.yearFrom || filters.yearTo || filters.language);
+
+// Client-side version of the filters for text searches, which TMDB cannot filter.
+// Runtime, certification and watch providers are not part of search results, so
+// they are skipped.
+export const matchesFilters = (movie, filters) => {
+  const genreIds = movie.genre_ids || [];
+  const year = Number(movie.release_date?.slice(0, 4)) || 0;
+
+  const meetsGenres =
+    filters.genres.length === 0 ||
+    (filters.genreMode === 'or'
+      ? filters.genres.some((id) => genreIds.includes(id))
+      : filters.genres.every((id) => genreIds.includes(id)));
+
+  return (
+    meetsGenres &&
+    !filters.excludeGenres.some((id) => genreIds.includes(id)) &&
+    movie.vote_average >= filters.minRating &&
+    (!filters.yearFrom || year >= filters.yearFrom) &&
+    (!filters.yearTo || (year > 0 && year <= filters.yearTo)) &&
+    (!filters.language || movie.original_language === filters.language)
+  );
+};
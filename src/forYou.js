@@ -0,0 +1,233 @@
+// "For You" recommendations, worked out in the browser from the saved titles.
+//
+// 1. A taste profile: which genres, decades and original languages the saved
+//    titles have, weighted by the personal rating when there is one (see
+//    personal.js), so a 5-star favourite counts double and a 1-star regret
+//    counts against its genres.
+// 2. The best-liked saved titles ("seeds") are loaded with their details, which
+//    bring TMDB's recommendations and the credits. Actors and directors who turn
+//    up in several seeds are remembered.
+// 3. Candidates come from the seeds' recommendations, a discover query for the
+//    favourite genres and decade, and discover queries for the frequent people.
+//    A title found by several of them scores higher. Saved titles are dropped,
+//    and every pick keeps the reason that contributed most to its score.
+
+import { getMovieDetails, getTvDetails, discoverMovies, getGenres, isAbortError } from './tmdb.js';
+import { MIN_VOTE_COUNT } from './discover.js';
+import { mediaKey, mediaTypeOf, normalizeMedia, normalizeResults } from './media.js';
+
+// Saved titles whose details (recommendations, credits) are loaded
+const SEED_COUNT = 5;
+
+// Number of picks returned
+const MAX_PICKS = 20;
+
+// Genres combined in the genre/decade query (TMDB ANDs them)
+const TOP_GENRES = 2;
+
+// Billed cast members of each seed that count towards "frequent people"
+const CAST_PER_SEED = 5;
+
+// A person must appear in at least this many seeds to get their own query
+const MIN_PERSON_SEEDS = 2;
+
+// People queried at most
+const MAX_PEOPLE = 2;
+
+// The favourite language is only required when this share of the (weighted)
+// saved titles is in it; otherwise it would hide most of the genre results
+const LANGUAGE_SHARE = 0.5;
+
+// Base scores of the sources: a recommendation from a title you saved is the
+// strongest signal, taste matches the weakest
+const SOURCE_SCORES = { saved: 3, person: 2, genres: 1 };
+
+// How much a saved title counts in the profile. Unrated: 1. Rated: from 2
+// (5 stars) through 0 (2 stars) to -1 (half a star).
+const weightOf = (movie) => (movie.myRating ? (movie.myRating - 2) / 1.5 : 1);
+
+// Adds `amount` to the tally for `key`
+const tally = (counts, key, amount) => {
+  if (key === undefined || key === null || key === '') return;
+  counts.set(key, (counts.get(key) || 0) + amount);
+};
+
+// Keys of a tally, highest total first, keeping only positive totals
+const ranked = (counts) =>
+  [...counts.entries()]
+    .filter(([, total]) => total > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key]) => key);
+
+// ------------------------------
+// Taste profile
+// ------------------------------
+
+// Genres, decade, language and seeds from the saved titles:
+// { genres: [id, ...], decade: 1990 | null, language: 'ja' | '', seeds: [movie, ...] }
+export const buildTasteProfile = (savedMovies) => {
+  const genres = new Map();
+  const decades = new Map();
+  const languages = new Map();
+  let totalWeight = 0;
+
+  savedMovies.forEach((movie) => {
+    const weight = weightOf(movie);
+    (movie.genre_ids || []).forEach((id) => tally(genres, id, weight));
+    const year = Number(movie.release_date?.slice(0, 4));
+    if (year) tally(decades, Math.floor(year / 10) * 10, weight);
+    tally(languages, movie.original_language, weight);
+    totalWeight += Math.max(weight, 0);
+  });
+
+  const [language] = ranked(languages);
+  const languageShare = language && totalWeight ? languages.get(language) / totalWeight : 0;
+
+  // Best-liked first; among equals the most recently saved
+  const seeds = savedMovies
+    .filter((movie) => weightOf(movie) > 0)
+    .sort((a, b) => weightOf(b) - weightOf(a) || (b.savedAt || 0) - (a.savedAt || 0))
+    .slice(0, SEED_COUNT);
+
+  return {
+    genres: ranked(genres).slice(0, TOP_GENRES),
+    decade: ranked(decades)[0] ?? null,
+    language: languageShare >= LANGUAGE_SHARE ? language : '',
+    seeds,
+  };
+};
+
+// Actors (top billed) and directors appearing in several seeds, most frequent first
+const frequentPeople = (details) => {
+  const weights = new Map();   // Person ID -> summed seed weight
+  const seedCounts = new Map(); // Person ID -> number of seeds they appear in
+  const names = new Map();
+
+  details.forEach(({ data, weight }) => {
+    const people = [
+      ...(data.credits?.cast || []).slice(0, CAST_PER_SEED),
+      ...(data.credits?.crew || []).filter((member) => member.job === 'Director'),
+    ];
+    // Each person once per seed, even when they both direct and act
+    new Map(people.map((person) => [person.id, person])).forEach((person) => {
+      tally(weights, person.id, weight);
+      tally(seedCounts, person.id, 1);
+      names.set(person.id, person.name);
+    });
+  });
+
+  return ranked(weights)
+    .filter((id) => seedCounts.get(id) >= MIN_PERSON_SEEDS)
+    .slice(0, MAX_PEOPLE)
+    .map((id) => ({ id, name: names.get(id) }));
+};
+
+// ------------------------------
+// Loading the picks
+// ------------------------------
+
+// Details of a seed, or null when they can't be loaded (one missing seed
+// shouldn't cost the whole row)
+const loadSeed = async (movie, signal) => {
+  try {
+    const data = mediaTypeOf(movie) === 'tv'
+      ? await getTvDetails(movie.id, { signal })
+      : await getMovieDetails(movie.id, { signal });
+    return { movie, data, weight: weightOf(movie) };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error(`Error loading details for ${movie.title}:`, error);
+    return null;
+  }
+};
+
+// Returns up to MAX_PICKS picks: [{ movie, reason }], best first. `reason` says
+// why the title was picked:
+// - { type: 'saved', title }: recommended for a saved title
+// - { type: 'person', name }: with an actor or director from several saved titles
+// - { type: 'genres', genres: [name, ...], decade }: matches the favourite genres and decade
+export const loadForYou = async (savedMovies, { signal } = {}) => {
+  if (savedMovies.length === 0) return [];
+
+  const profile = buildTasteProfile(savedMovies);
+  const savedKeys = new Set(savedMovies.map(mediaKey));
+
+  const [seedDetails, genreList] = await Promise.all([
+    Promise.all(profile.seeds.map((movie) => loadSeed(movie, signal))),
+    getGenres('movie', { signal }),
+  ]);
+  const details = seedDetails.filter(Boolean);
+  const people = frequentPeople(details);
+
+  // Candidate lists, each with the reason and score of its source
+  const sources = details.map(({ movie, data, weight }) => ({
+    results: normalizeResults(data.recommendations || {}, mediaTypeOf(movie)).results,
+    reason: { type: 'saved', title: movie.title },
+    score: SOURCE_SCORES.saved * weight,
+  }));
+
+  const queries = [];
+
+  // The genre query is a movie discover; TV-only genres (e.g. "Action & Adventure") are left out
+  const genreNames = new Map(genreList.map((genre) => [genre.id, genre.name]));
+  const movieGenres = profile.genres.filter((id) => genreNames.has(id));
+
+  if (movieGenres.length > 0) {
+    queries.push({
+      params: {
+        with_genres: movieGenres.join(','),
+        'primary_release_date.gte': profile.decade ? `${profile.decade}-01-01` : undefined,
+        'primary_release_date.lte': profile.decade ? `${profile.decade + 9}-12-31` : undefined,
+        with_original_language: profile.language || undefined,
+        sort_by: 'vote_average.desc',
+        'vote_count.gte': MIN_VOTE_COUNT,
+      },
+      reason: {
+        type: 'genres',
+        genres: movieGenres.map((id) => genreNames.get(id)),
+        decade: profile.decade,
+      },
+      score: SOURCE_SCORES.genres,
+    });
+  }
+
+  people.forEach((person) => {
+    queries.push({
+      params: { with_people: person.id, 'vote_count.gte': MIN_VOTE_COUNT },
+      reason: { type: 'person', name: person.name },
+      score: SOURCE_SCORES.person,
+    });
+  });
+
+  const discovered = await Promise.all(
+    queries.map(async ({ params, reason, score }) => {
+      const data = await discoverMovies(params, { signal });
+      return { results: normalizeResults(data, 'movie').results, reason, score };
+    })
+  );
+  sources.push(...discovered);
+
+  // Score every candidate: earlier results within a source count a little more
+  const picks = new Map(); // mediaKey -> { movie, score, reason, best }
+  sources.forEach(({ results, reason, score }) => {
+    results.forEach((item, index) => {
+      const movie = normalizeMedia(item, mediaTypeOf(item));
+      const key = mediaKey(movie);
+      if (savedKeys.has(key)) return;
+
+      const points = score * (1 - index / (2 * Math.max(results.length, 1)));
+      const pick = picks.get(key) || { movie, score: 0, reason, best: 0 };
+      pick.score += points;
+      if (points > pick.best) {
+        pick.best = points;
+        pick.reason = reason;
+      }
+      picks.set(key, pick);
+    });
+  });
+
+  return [...picks.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_PICKS)
+    .map(({ movie, reason }) => ({ movie, reason }));
+};
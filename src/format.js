@@ -0,0 +1,16 @@
+// Formatting shared by the detail pages, the comparison view, the statistics
+// page and the movie picker. Numbers and dates in general are localized by
+// useI18n() (formatNumber, formatDate); these are the app's own formats on top.
+
+// 135 -> "2h 15m" / "2 h 15 min"
+// - t: the translate function from useI18n()
+export const formatRuntime = (t, minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return hours
+    ? t('detail.runtimeHours', { hours, minutes: minutes % 60 })
+    : t('detail.runtimeMinutes', { minutes });
+};
+
+// TMDB reports budget and revenue in US dollars, e.g. "$63,000,000" / "63 000 000 US$"
+// (pass to formatNumber from useI18n())
+export const MONEY_FORMAT = { style: 'currency', currency: 'USD', maximumFractionDigits: 0 };
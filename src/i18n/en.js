@@ -0,0 +1,570 @@
+// English messages (also the fallback for keys missing from other catalogs).
+// Nested by page or component; see i18n/index.js for placeholders and plurals.
+
+const en = {
+  // Shared words and button labels
+  common: {
+    notAvailable: 'N/A',
+    save: 'Save',
+    remove: 'Remove',
+    cancel: 'Cancel',
+  },
+
+  // MovieCard
+  card: {
+    starAlt: 'Star Icon',
+    tv: 'TV',
+    seasons: { one: '{count} season', other: '{count} seasons' },
+    watched: { one: '✓ Watched', other: '✓ Watched {count}×' },
+    myRating: 'My rating: {rating} stars',
+  },
+
+  // ListPicker (the "Lists" popover)
+  listPicker: {
+    button: 'Lists ▾',
+    label: 'Watchlists for {title}',
+    empty: 'No lists yet. Create one below.',
+    newList: 'New list',
+    newListName: 'New list name',
+    add: 'Add',
+  },
+
+  // ErrorMessage
+  errors: {
+    offline: 'You are offline. Check your connection and try again.',
+    auth: 'Could not sign in to TMDB. Please check the API key.',
+    notFound: 'We could not find what you were looking for.',
+    rateLimit: 'Too many requests right now. Please wait a moment and try again.',
+    generic: 'Error Fetching Movies. Please Try Again Later.',
+    retry: 'Try again',
+  },
+
+  // Spinner
+  spinner: {
+    loading: 'Loading...',
+  },
+
+  // Sort orders (discover panel, saved movies, filmography)
+  sort: {
+    popular: 'Most popular',
+    rating: 'Highest rated',
+    newest: 'Newest releases',
+    oldest: 'Oldest releases',
+    revenue: 'Highest revenue',
+    titleAsc: 'Title (A–Z)',
+    titleDesc: 'Title (Z–A)',
+    recentlySaved: 'Recently saved',
+    newestFirst: 'Newest first',
+    myRating: 'My rating',
+    recentlyWatched: 'Recently watched',
+  },
+
+  // DiscoverPanel
+  discover: {
+    label: 'Discover filters',
+    genreInclude: 'Click to include',
+    genreIncluded: 'Included (click to exclude)',
+    genreExcluded: 'Excluded (click to clear)',
+    genreMatching: 'Genre matching',
+    matchAll: 'Match all genres',
+    matchAny: 'Match any genre',
+    sortBy: 'Sort by',
+    originalLanguage: 'Original language',
+    anyLanguage: 'Any Language',
+    fromYear: 'From year',
+    toYear: 'To year',
+    releasedFrom: 'Released from year',
+    releasedUntil: 'Released until year',
+    yearsReversed: 'The "from" year is after the "to" year.',
+    minMinutes: 'Min minutes',
+    maxMinutes: 'Max minutes',
+    minRuntime: 'Minimum runtime in minutes',
+    maxRuntime: 'Maximum runtime in minutes',
+    certificationCountry: 'Certification country',
+    anyCertification: 'Any Certification',
+    highestCertification: 'Highest certification',
+    anyRating: 'Any rating',
+    upTo: 'Up to {certification}',
+    minRating: 'Minimum rating',
+    minRatingValue: 'Min Rating: {rating}',
+    reset: 'Reset filters',
+    searchingNote: 'Sort order, runtime, certification and streaming services apply when browsing; clear the search to use them.',
+    myServices: 'Only on my services',
+    myServicesPaused: '(not applied to search results)',
+    chooseServices: 'Choose your streaming services',
+    movieOnlyNote: 'Certification only applies to movies.',
+  },
+
+  // Media type toggle
+  media: {
+    movie: 'Movies',
+    tv: 'TV',
+    all: 'All',
+  },
+
+  // Trending time windows
+  trending: {
+    day: '24 hours',
+    week: '7 days',
+    month: '30 days',
+    all: 'All time',
+  },
+
+  // Home
+  home: {
+    heroAlt: 'Hero Banner',
+    titleBefore: 'Find',
+    titleHighlight: 'Movies',
+    titleAfter: 'You\'ll Enjoy Without the Hassle',
+    savedMovies: 'Saved Movies ({count})',
+    upcoming: 'Upcoming',
+    pickForMe: 'Pick for me',
+    myLists: 'My Lists ({count})',
+    signIn: 'Sign in',
+    trendingTitle: 'Trending Movies',
+    trendingPeriod: 'Trending period',
+    noTrending: 'No searches in this period yet.',
+    mediaToggle: 'Show movies or TV series',
+    listingMovies: 'All Movies',
+    listingSeries: 'All Series',
+    listingAll: 'Movies & Series',
+    browseBy: 'Browse results by',
+    modePages: 'Pages',
+    modeInfinite: 'Infinite scroll',
+    noMovies: 'No movies found.',
+    noSeries: 'No series found.',
+    endOfResults: { one: '{count} title · end of the results', other: '{count} titles · end of the results' },
+    first: 'First',
+    previous: 'Previous',
+    next: 'Next',
+    pageOf: 'Page {page} of {total}',
+    savedTitle: 'Saved Movies',
+    seeAll: 'See all {count} →',
+  },
+
+  // LanguageSwitcher
+  language: {
+    label: 'Language',
+  },
+
+  // Search box
+  search: {
+    iconAlt: 'search',
+    placeholder: 'Search through thousands of movies and people',
+    label: 'Search movies and series',
+    suggestionsLabel: 'Search suggestions',
+    suggestions: 'Suggestions',
+    recent: 'Recent searches',
+    popular: 'Popular searches',
+    clear: 'Clear',
+    tvPrefix: 'TV · ',
+    removeRecent: 'Remove {query} from recent searches',
+    people: 'Matching people',
+  },
+
+  // CastList
+  cast: {
+    title: 'Cast',
+    showFewer: 'Show fewer',
+    showAll: 'Show all {count}',
+  },
+
+  // TrailerPlayer
+  trailer: {
+    close: '✕ Close',
+  },
+
+  // Movie and series pages
+  detail: {
+    back: '← Back',
+    loadingMovie: 'Loading movie details...',
+    noMovie: 'No movie found.',
+    loadingSeries: 'Loading series details...',
+    noSeries: 'No series found.',
+    runtimeHours: '{hours}h {minutes}m',
+    runtimeMinutes: '{minutes}m',
+    genres: 'Genres:',
+    rating: 'Rating:',
+    releaseDate: 'Release Date:',
+    directedBy: 'Directed by:',
+    writtenBy: 'Written by:',
+    budget: 'Budget:',
+    revenue: 'Revenue:',
+    description: 'Description:',
+    noDescription: 'No description available.',
+    imdb: 'View on IMDb',
+    playTrailer: '▶ Play trailer',
+    recommended: 'Recommended',
+    similar: 'Similar',
+    tvSeries: 'TV series',
+    perEpisode: '· {runtime} per episode',
+    aired: 'Aired:',
+    seasons: 'Seasons:',
+    episodes: 'Episodes:',
+    network: 'Network:',
+    createdBy: 'Created by:',
+    episodesTitle: 'Episodes',
+    season: 'Season',
+    seasonOption: { one: '{name} ({count} episode)', other: '{name} ({count} episodes)' },
+    airDateUnknown: 'Air date unknown',
+    noEpisodes: 'No episodes listed for this season yet.',
+  },
+
+  // PersonDetail
+  person: {
+    loading: 'Loading person...',
+    notFound: 'No person found.',
+    knownFor: 'Known for:',
+    born: 'Born:',
+    bornIn: '{date} in {place}',
+    died: 'Died:',
+    noBiography: 'No biography available.',
+    showLess: 'Show less',
+    readMore: 'Read more',
+    filmography: 'Filmography',
+    sortLabel: 'Sort filmography',
+    genreLabel: 'Filter filmography by genre',
+    allGenres: 'All Genres',
+    noMovies: 'No movies found.',
+  },
+
+  // TMDB crew departments (filmography sections)
+  departments: {
+    acting: 'Acting',
+    directing: 'Directing',
+    writing: 'Writing',
+    production: 'Production',
+    camera: 'Camera',
+    editing: 'Editing',
+    sound: 'Sound',
+    art: 'Art',
+    costume: 'Costume & Make-Up',
+    visualEffects: 'Visual Effects',
+    lighting: 'Lighting',
+    crew: 'Crew',
+  },
+
+  // Links between pages
+  nav: {
+    home: '← Home',
+    importExport: 'Import / Export',
+    stats: 'Statistics',
+    pickForMe: 'Pick for me',
+  },
+
+  // SavedMovies (/saved)
+  saved: {
+    title: 'Saved Movies',
+    empty: 'No saved movies yet.',
+    search: 'Search saved movies',
+    sortLabel: 'Sort saved movies',
+    genreLabel: 'Filter saved movies by genre',
+    allGenres: 'All Genres',
+    count: '{visible} of {total}',
+    noMatches: 'No saved movies match your filters.',
+    watchedLabel: 'Filter saved movies by watched status',
+    anyWatched: 'Watched or not',
+    watchedOnly: 'Watched',
+    unwatchedOnly: 'Not watched',
+    myRatingLabel: 'Filter saved movies by my rating',
+    anyRating: 'Any rating of mine',
+    unrated: 'Not rated by me',
+    atLeast: '{stars} or more',
+    tagLabel: 'Filter saved movies by tag',
+    allTags: 'All tags',
+  },
+
+  // Lists (/lists) and ListDetail (/lists/:listId)
+  lists: {
+    back: '← My Lists',
+    title: 'My Lists',
+    namePlaceholder: 'e.g. "Friday horror"',
+    newName: 'New list name',
+    create: 'Create list',
+    empty: 'No lists yet. Create one above, or use the "Lists" button on any movie.',
+    movies: { one: '{count} movie', other: '{count} movies' },
+    delete: 'Delete',
+    confirmDelete: 'Delete the list "{name}"?',
+    notFound: 'This list doesn\'t exist.',
+    moved: '{title} moved to position {position} of {total}',
+    name: 'List name',
+    rename: 'Rename',
+    deleteList: 'Delete list',
+    emptyList: 'This list is empty. Use the "Lists" button on any movie to add it here.',
+    reorderHint: 'Drag movies to reorder them, or focus a movie and press Alt + arrow keys.',
+    moveEarlierLabel: 'Move {title} earlier',
+    moveLaterLabel: 'Move {title} later',
+    earlier: '↑ Earlier',
+    later: '↓ Later',
+    remove: 'Remove from list',
+  },
+
+  // ImportExport (/import-export)
+  importExport: {
+    back: '← Saved Movies',
+    title: 'Import & Export',
+    export: 'Export',
+    savedCount: { one: '{count} saved movie', other: '{count} saved movies' },
+    listCount: { one: '{count} list', other: '{count} lists' },
+    exportSummary: '{movies} and {lists}. JSON keeps everything and can be imported again; CSV opens in any spreadsheet.',
+    exportJson: 'Export JSON',
+    exportCsv: 'Export CSV',
+    import: 'Import',
+    accepts: 'Accepts a TV Time JSON or CSV export, a Letterboxd export CSV (watchlist.csv, watched.csv, ...), an IMDb watchlist/list CSV, or any CSV with a Title and Year column.',
+    file: 'File to import',
+    imported: { one: 'Imported {count} movie.', other: 'Imported {count} movies.' },
+    viewSaved: 'View saved movies',
+    matching: 'Matching {done} of {total} rows with TMDB…',
+    summary: '{matched} matched, {ambiguous} need a choice, {unmatched} not found.',
+    addToSaved: 'Add to saved movies',
+    addToList: 'Also add to list',
+    listName: 'List name (optional)',
+    matched: 'Matched',
+    importTitle: 'Import {title}',
+    from: 'from “{title}”',
+    needsChoice: 'Needs a choice',
+    matchFor: 'TMDB match for {title}',
+    skip: 'Skip',
+    notFound: 'Not found',
+    importCount: { one: 'Import {count} movie', other: 'Import {count} movies' },
+    noColumns: 'The CSV needs a "Title"/"Name", "tmdb_id" or IMDb ID column.',
+    badJson: 'This JSON file could not be read.',
+    notExport: 'This JSON file is not a TV Time export.',
+    empty: 'No movies were found in this file.',
+  },
+
+  // Account (/account)
+  account: {
+    title: 'Account',
+    anonymous: 'You are using an anonymous account. Create an account below to use your saved movies on other devices.',
+    signedInAs: 'Signed in as {name}.',
+    syncOff: 'Not syncing',
+    syncConflict: 'This browser has saved movies that aren\'t in this account yet. Add them to the account, or keep only the account\'s?',
+    conflictMerge: 'Add them to my account',
+    conflictDiscard: 'Keep only the account\'s',
+    syncPaused: 'Sync paused — reload the page to update the app',
+    syncing: 'Syncing…',
+    synced: 'All changes synced',
+    syncOffline: 'Offline — changes will sync when you reconnect',
+    syncError: 'Sync failed — retrying shortly',
+    syncOutdated: 'Not syncing — your saved movies were synced from a newer version of the app. Reload the page to update.',
+    error: 'Something went wrong. Please try again.',
+    signOut: 'Sign out',
+    signIn: 'Sign in',
+    signUp: 'Create account',
+    name: 'Name (optional)',
+    email: 'Email',
+    password: 'Password (at least 8 characters)',
+    anonymousButton: 'Continue without an account',
+  },
+
+  // StorageLockedBanner
+  storage: {
+    newer: 'Your saved movies were updated by a newer version of this app. Reload to see them; until then, changes made on this page are not saved or synced.',
+    reload: 'Reload',
+  },
+
+  // OfflineBanner; the link text sits between `before` and `after`
+  offline: {
+    before: 'You\'re offline. Pages you\'ve visited and your',
+    link: 'saved movies',
+    after: 'still work; new searches need a connection.',
+  },
+
+  // PersonalPanel (detail pages) and removing titles with personal data
+  personal: {
+    title: 'Your take',
+    savesHint: 'Logging a watch, rating, tagging or writing a note saves this title.',
+    watched: 'Watched',
+    notWatched: 'Not watched yet.',
+    removeWatch: 'Remove the watch on {date}',
+    watchDate: 'Date watched',
+    markWatched: 'Mark as watched',
+    logRewatch: 'Log a rewatch',
+    markUnwatched: 'Mark as unwatched',
+    rating: 'My rating',
+    notRated: 'Not rated',
+    tags: 'Tags',
+    removeTag: 'Remove the tag {tag}',
+    tagPlaceholder: 'e.g. comfort, with kids',
+    newTag: 'New tag',
+    addTag: 'Add tag',
+    notes: 'Notes',
+    notesPlaceholder: 'What did you think?',
+    confirmRemove: 'Remove "{title}"? Its watch dates, rating, notes and tags will be deleted too.',
+  },
+
+  // ForYouRow on Home
+  forYou: {
+    title: 'For You',
+    becauseSaved: 'Because you saved {title}',
+    becausePerson: 'With {name}, who is in several of your saved titles',
+    becauseGenresDecade: '{genres} from the {decade}s, like much of what you save',
+    becauseGenres: '{genres}, like much of what you save',
+  },
+
+  // WatchProviders (detail pages)
+  providers: {
+    title: 'Where to watch',
+    country: 'Country',
+    none: 'Not available to stream, rent or buy in {country}.',
+    stream: 'Stream',
+    free: 'Free',
+    ads: 'With ads',
+    rent: 'Rent',
+    buy: 'Buy',
+    mine: '{name} (one of my services)',
+    attribution: 'Availability data from JustWatch.',
+    allOptions: 'All options and prices',
+    manageServices: 'Manage my services',
+    chooseServices: 'Choose my services',
+  },
+
+  // WatchServicesSettings (Account page)
+  services: {
+    title: 'Streaming services',
+    intro: 'Tick the services you have. They are highlighted under "Where to watch", and "Only on my services" on the home page shows just what they offer.',
+    country: 'Country',
+    filter: 'Find a service',
+    showAll: 'Show all {count}',
+  },
+
+  // CollectionDetail (/collection/:id) and the series banner on movie pages
+  collection: {
+    loading: 'Loading collection...',
+    notFound: 'Collection not found.',
+    movies: { one: '{count} movie', other: '{count} movies' },
+    savedCount: '{saved} of {total} saved',
+    watchedCount: '{watched} of {total} watched',
+    saveAll: 'Save whole collection',
+    allSaved: 'Whole collection saved',
+    empty: 'TMDB lists no movies in this collection.',
+    partOf: 'Part of {name}',
+    position: 'Movie {position} of {total}',
+    view: 'View the whole series',
+    previous: '← Previous: {title}',
+    next: 'Next: {title} →',
+  },
+
+  // Comparison tray (CompareButton, CompareTray) and CompareView (/compare)
+  compare: {
+    add: 'Compare',
+    inTray: '✓ Comparing',
+    full: 'You can compare up to {max} movies',
+    trayLabel: 'Movies to compare',
+    removeLabel: 'Take {title} out of the comparison',
+    count: '{count} of {max} movies picked',
+    pickMore: 'Pick at least {min} movies to compare.',
+    missing: { one: '{count} movie in this comparison couldn\'t be loaded.', other: '{count} movies in this comparison couldn\'t be loaded.' },
+    removeMissing: 'Remove from the comparison',
+    clear: 'Clear',
+    open: 'Compare',
+    title: 'Compare movies',
+    empty: 'No movies to compare. Use the "Compare" button on {min} to {max} movies.',
+    copyLink: 'Copy link',
+    copied: 'Link copied',
+    legend: 'Highlighted: rows where the movies differ, the best rating, vote count and box office, and genres, people and services not every movie shares.',
+    rating: 'Rating',
+    votes: 'Votes',
+    runtime: 'Runtime',
+    releaseDate: 'Release date',
+    budget: 'Budget',
+    revenue: 'Box office',
+    genres: 'Genres',
+    directors: 'Directed by',
+    cast: 'Top cast',
+    streaming: 'Streaming',
+  },
+
+  // Upcoming (/upcoming) and FollowButton
+  upcoming: {
+    title: 'Upcoming releases',
+    country: 'Country',
+    nowPlaying: 'In cinemas now in {country}',
+    previousMonth: 'Previous month',
+    nextMonth: 'Next month',
+    thisMonth: 'This month',
+    kind: 'Release type',
+    theatrical: 'In cinemas',
+    digital: 'Digital',
+    calendar: 'Calendar',
+    list: 'List',
+    none: 'No releases found in {country} this month.',
+    follow: 'Follow release',
+    following: '★ Following',
+    followLabel: 'Follow the release of {title}',
+    unfollowLabel: 'Stop following {title}',
+    followed: 'Followed releases',
+    noneFollowed: 'Follow unreleased movies from the calendar or their pages to keep track of their release dates here.',
+    noDate: 'Release date not announced',
+    outNow: 'Out since {date}',
+    releases: 'Out {date} in {country}',
+    export: { one: 'Add {count} date to calendar (.ics)', other: 'Add {count} dates to calendar (.ics)' },
+    icsName: 'Followed releases',
+    icsSummary: '{title} premieres',
+    icsDescription: 'Release date in {country}',
+  },
+
+  // Stats (/stats)
+  stats: {
+    title: 'Statistics',
+    savedLink: 'Saved Movies',
+    scopeSaved: 'All saved',
+    scopeWatched: 'Watched',
+    noneSaved: 'Nothing saved yet.',
+    noneWatched: 'Nothing marked as watched yet.',
+    browse: 'Find something to watch',
+    titles: 'Titles',
+    titlesNote: '{movies} movies, {series} series',
+    watched: 'Watched',
+    viewings: { one: '{count} viewing in total', other: '{count} viewings in total' },
+    averageRating: 'Average TMDB rating',
+    averageMyRating: 'Your average: {rating} stars',
+    toWatch: 'Still to watch',
+    toWatchNote: { one: '{count} title', other: '{count} titles' },
+    timeWatched: 'Time watched',
+    unknownRuntime: { one: 'Runtime unknown for {count} title', other: 'Runtime unknown for {count} titles' },
+    days: { one: '{count} day {hours} h', other: '{count} days {hours} h' },
+    genres: 'Genres',
+    unknownGenre: 'Other',
+    decades: 'Release decades',
+    decade: '{decade}s',
+    languages: 'Original languages',
+    otherLanguages: 'Other languages',
+    lookingUp: 'Looking up runtimes and credits: {done} of {total}…',
+    directors: 'Most frequent directors and creators',
+    actors: 'Most frequent actors',
+  },
+
+  // PickForMe (/pick)
+  pick: {
+    title: 'Pick for me',
+    intro: 'Can\'t decide? Set a few limits and let chance choose.',
+    source: 'Pick from',
+    sourceSaved: 'My saved movies',
+    sourceDiscover: 'All of TMDB',
+    genre: 'Genre',
+    anyGenre: 'Any genre',
+    maxRuntime: 'Length',
+    anyLength: 'Any length',
+    under: 'At most {runtime}',
+    minRating: 'TMDB rating',
+    anyRating: 'Any rating',
+    atLeast: '{rating} or higher',
+    weighting: 'Favour',
+    weightEven: 'Nothing, every movie equally',
+    weightOlder: 'Movies saved long ago',
+    weightRated: 'Better rated movies',
+    unwatched: 'Only movies I haven\'t watched',
+    button: 'Pick for me',
+    again: 'Pick again',
+    picking: 'Picking…',
+    noneSaved: 'None of your saved movies fit these limits.',
+    noneDiscover: 'No movies fit these limits.',
+    ranOut: 'None of the {count} saved movies checked is short enough. Pick again to check others, or allow a longer runtime.',
+    yourPick: 'Tonight you are watching',
+    open: 'Go to the movie',
+  },
+};
+
+export default en;
@@ -0,0 +1,108 @@
+// Internationalization: the supported languages, picking one, and turning
+// message keys into text. Components use this through useI18n() (see
+// components/I18nContext.jsx) rather than importing it directly.
+//
+// Messages live in one catalog per language (en.js, sv.js), nested by page or
+// component, and are looked up by dotted key, e.g. t('card.seasons', { count: 3 }).
+// - {name} placeholders are replaced by the matching value; numbers are
+//   formatted for the language (1 234 in Swedish, 1,234 in English)
+// - A message written as { one, other } (Intl.PluralRules categories) is
+//   picked by the `count` value
+// Keys missing from a catalog fall back to English, then to the key itself.
+
+import en from './en.js';
+import sv from './sv.js';
+
+// Supported languages
+// - label: the language's own name, shown in the switcher
+// - tag: BCP 47 tag used for Intl formatting and sent to TMDB as `language`
+// - region: country sent to TMDB as `region` (release dates, certifications)
+export const LOCALES = {
+  en: { label: 'English', tag: 'en-US', region: 'US', messages: en },
+  sv: { label: 'Svenska', tag: 'sv-SE', region: 'SE', messages: sv },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// localStorage key holding the language the user picked
+const STORAGE_KEY = 'locale';
+
+// First supported language among the browser's preferred ones
+// (navigator.languages, e.g. ['sv-SE', 'sv', 'en-US'])
+export const detectLocale = () => {
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  const match = preferred
+    .filter(Boolean)
+    .map((language) => language.toLowerCase().split('-')[0])
+    .find((code) => LOCALES[code]);
+  return match || DEFAULT_LOCALE;
+};
+
+// The language picked earlier, otherwise the browser's
+export const loadLocale = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return LOCALES[stored] ? stored : detectLocale();
+};
+
+export const saveLocale = (locale) => {
+  localStorage.setItem(STORAGE_KEY, locale);
+};
+
+// Intl objects are costly to create, so one of each is kept per language and options
+const formatters = new Map();
+const formatter = (Type, locale, options = {}) => {
+  const key = `${Type.name}:${locale}:${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Type(LOCALES[locale].tag, options));
+  return formatters.get(key);
+};
+
+// 1234.5 -> "1,234.5" / "1 234,5"
+export const formatNumber = (locale, value, options) => formatter(Intl.NumberFormat, locale, options).format(value);
+
+// A date string or Date -> e.g. "17 Apr 2011" / "17 apr. 2011"
+export const formatDate = (locale, date, options = { day: 'numeric', month: 'short', year: 'numeric' }) =>
+  formatter(Intl.DateTimeFormat, locale, options).format(new Date(date));
+
+// ['a', 'b', 'c'] -> "a, b and c" / "a, b och c"
+export const formatList = (locale, items) => formatter(Intl.ListFormat, locale, { type: 'conjunction' }).format(items);
+
+// A region or language code -> its name, e.g. 'SE' -> "Sweden" / "Sverige", 'ja' -> "Japanese" / "japanska"
+// - type: 'region' | 'language'
+// - fallback: shown when the browser has no name for the code
+export const formatDisplayName = (locale, type, code, fallback = code) => {
+  try {
+    return formatter(Intl.DisplayNames, locale, { type }).of(code) || fallback;
+  } catch {
+    return fallback; // No Intl.DisplayNames, or not a valid code
+  }
+};
+
+// First day of the week in the language's country: 1 = Monday ... 7 = Sunday
+// (Intl.Locale week info; Monday when the browser doesn't have it)
+export const firstDayOfWeek = (locale) => {
+  try {
+    const intlLocale = new Intl.Locale(LOCALES[locale].tag);
+    return (intlLocale.getWeekInfo?.() || intlLocale.weekInfo)?.firstDay || 1;
+  } catch {
+    return 1;
+  }
+};
+
+// Reads a dotted key from a nested catalog
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+// Returns the text for `key` in `locale`, with placeholders filled in from `values`
+export const translate = (locale, key, values = {}) => {
+  let message = lookup(LOCALES[locale].messages, key) ?? lookup(en, key);
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    message = message[formatter(Intl.PluralRules, locale).select(values.count ?? 0)] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in values)) return placeholder;
+    const value = values[name];
+    return typeof value === 'number' ? formatNumber(locale, value) : String(value);
+  });
+};
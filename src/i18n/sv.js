@@ -0,0 +1,569 @@
+// Swedish messages. Same keys as en.js; anything missing here falls back to English.
+
+const sv = {
+  // Shared words and button labels
+  common: {
+    notAvailable: 'Saknas',
+    save: 'Spara',
+    remove: 'Ta bort',
+    cancel: 'Avbryt',
+  },
+
+  // MovieCard
+  card: {
+    starAlt: 'Stjärna',
+    tv: 'TV',
+    seasons: { one: '{count} säsong', other: '{count} säsonger' },
+    watched: { one: '✓ Sedd', other: '✓ Sedd {count} ggr' },
+    myRating: 'Mitt betyg: {rating} stjärnor',
+  },
+
+  // ListPicker (the "Lists" popover)
+  listPicker: {
+    button: 'Listor ▾',
+    label: 'Listor för {title}',
+    empty: 'Inga listor än. Skapa en nedan.',
+    newList: 'Ny lista',
+    newListName: 'Namn på ny lista',
+    add: 'Lägg till',
+  },
+
+  // ErrorMessage
+  errors: {
+    offline: 'Du är offline. Kontrollera anslutningen och försök igen.',
+    auth: 'Kunde inte logga in hos TMDB. Kontrollera API-nyckeln.',
+    notFound: 'Vi hittade inte det du letade efter.',
+    rateLimit: 'För många förfrågningar just nu. Vänta en stund och försök igen.',
+    generic: 'Kunde inte hämta filmer. Försök igen senare.',
+    retry: 'Försök igen',
+  },
+
+  // Spinner
+  spinner: {
+    loading: 'Laddar...',
+  },
+
+  // Sort orders (discover panel, saved movies, filmography)
+  sort: {
+    popular: 'Populärast',
+    rating: 'Högst betyg',
+    newest: 'Nyast först',
+    oldest: 'Äldst först',
+    revenue: 'Högst intäkter',
+    titleAsc: 'Titel (A–Ö)',
+    titleDesc: 'Titel (Ö–A)',
+    recentlySaved: 'Senast sparade',
+    newestFirst: 'Nyast först',
+    myRating: 'Mitt betyg',
+    recentlyWatched: 'Senast sedda',
+  },
+
+  // DiscoverPanel
+  discover: {
+    label: 'Filter',
+    genreInclude: 'Klicka för att ta med',
+    genreIncluded: 'Med (klicka för att utesluta)',
+    genreExcluded: 'Utesluten (klicka för att rensa)',
+    genreMatching: 'Genrematchning',
+    matchAll: 'Alla genrer',
+    matchAny: 'Någon av genrerna',
+    sortBy: 'Sortera efter',
+    originalLanguage: 'Originalspråk',
+    anyLanguage: 'Alla språk',
+    fromYear: 'Från år',
+    toYear: 'Till år',
+    releasedFrom: 'Utgiven från år',
+    releasedUntil: 'Utgiven till år',
+    yearsReversed: '"Från"-året är efter "till"-året.',
+    minMinutes: 'Min minuter',
+    maxMinutes: 'Max minuter',
+    minRuntime: 'Minsta speltid i minuter',
+    maxRuntime: 'Längsta speltid i minuter',
+    certificationCountry: 'Land för åldersgräns',
+    anyCertification: 'Alla åldersgränser',
+    highestCertification: 'Högsta åldersgräns',
+    anyRating: 'Alla åldrar',
+    upTo: 'Upp till {certification}',
+    minRating: 'Lägsta betyg',
+    minRatingValue: 'Lägsta betyg: {rating}',
+    reset: 'Återställ filter',
+    searchingNote: 'Sortering, speltid, åldersgräns och streamingtjänster gäller när du bläddrar; rensa sökningen för att använda dem.',
+    myServices: 'Bara på mina tjänster',
+    myServicesPaused: '(gäller inte sökresultat)',
+    chooseServices: 'Välj dina streamingtjänster',
+    movieOnlyNote: 'Åldersgräns gäller bara filmer.',
+  },
+
+  // Media type toggle
+  media: {
+    movie: 'Filmer',
+    tv: 'TV',
+    all: 'Alla',
+  },
+
+  // Trending time windows
+  trending: {
+    day: '24 timmar',
+    week: '7 dagar',
+    month: '30 dagar',
+    all: 'Alla tider',
+  },
+
+  // Home
+  home: {
+    heroAlt: 'Affisch',
+    titleBefore: 'Hitta',
+    titleHighlight: 'filmer',
+    titleAfter: 'du gillar – helt utan krångel',
+    savedMovies: 'Sparade filmer ({count})',
+    upcoming: 'Kommande',
+    pickForMe: 'Välj åt mig',
+    myLists: 'Mina listor ({count})',
+    signIn: 'Logga in',
+    trendingTitle: 'Trendar just nu',
+    trendingPeriod: 'Period',
+    noTrending: 'Inga sökningar under perioden än.',
+    mediaToggle: 'Visa filmer eller tv-serier',
+    listingMovies: 'Alla filmer',
+    listingSeries: 'Alla serier',
+    listingAll: 'Filmer och serier',
+    browseBy: 'Bläddra med',
+    modePages: 'Sidor',
+    modeInfinite: 'Oändlig scroll',
+    noMovies: 'Inga filmer hittades.',
+    noSeries: 'Inga serier hittades.',
+    endOfResults: { one: '{count} titel · slut på resultaten', other: '{count} titlar · slut på resultaten' },
+    first: 'Första',
+    previous: 'Föregående',
+    next: 'Nästa',
+    pageOf: 'Sida {page} av {total}',
+    savedTitle: 'Sparade filmer',
+    seeAll: 'Visa alla {count} →',
+  },
+
+  // LanguageSwitcher
+  language: {
+    label: 'Språk',
+  },
+
+  // Search box
+  search: {
+    iconAlt: 'sök',
+    placeholder: 'Sök bland tusentals filmer och personer',
+    label: 'Sök filmer och serier',
+    suggestionsLabel: 'Sökförslag',
+    suggestions: 'Förslag',
+    recent: 'Senaste sökningar',
+    popular: 'Populära sökningar',
+    clear: 'Rensa',
+    tvPrefix: 'TV · ',
+    removeRecent: 'Ta bort {query} från senaste sökningar',
+    people: 'Personer som matchar',
+  },
+
+  // CastList
+  cast: {
+    title: 'Rollista',
+    showFewer: 'Visa färre',
+    showAll: 'Visa alla {count}',
+  },
+
+  // TrailerPlayer
+  trailer: {
+    close: '✕ Stäng',
+  },
+
+  // Movie and series pages
+  detail: {
+    back: '← Tillbaka',
+    loadingMovie: 'Laddar filmen...',
+    noMovie: 'Ingen film hittades.',
+    loadingSeries: 'Laddar serien...',
+    noSeries: 'Ingen serie hittades.',
+    runtimeHours: '{hours} h {minutes} min',
+    runtimeMinutes: '{minutes} min',
+    genres: 'Genrer:',
+    rating: 'Betyg:',
+    releaseDate: 'Premiär:',
+    directedBy: 'Regi:',
+    writtenBy: 'Manus:',
+    budget: 'Budget:',
+    revenue: 'Intäkter:',
+    description: 'Handling:',
+    noDescription: 'Ingen beskrivning finns.',
+    imdb: 'Visa på IMDb',
+    playTrailer: '▶ Spela trailer',
+    recommended: 'Rekommenderat',
+    similar: 'Liknande',
+    tvSeries: 'TV-serie',
+    perEpisode: '· {runtime} per avsnitt',
+    aired: 'Sändes:',
+    seasons: 'Säsonger:',
+    episodes: 'Avsnitt:',
+    network: 'Kanal:',
+    createdBy: 'Skapad av:',
+    episodesTitle: 'Avsnitt',
+    season: 'Säsong',
+    seasonOption: { one: '{name} ({count} avsnitt)', other: '{name} ({count} avsnitt)' },
+    airDateUnknown: 'Sändningsdatum okänt',
+    noEpisodes: 'Inga avsnitt listade för säsongen än.',
+  },
+
+  // PersonDetail
+  person: {
+    loading: 'Laddar person...',
+    notFound: 'Ingen person hittades.',
+    knownFor: 'Känd för:',
+    born: 'Född:',
+    bornIn: '{date} i {place}',
+    died: 'Död:',
+    noBiography: 'Ingen biografi finns.',
+    showLess: 'Visa mindre',
+    readMore: 'Läs mer',
+    filmography: 'Filmografi',
+    sortLabel: 'Sortera filmografin',
+    genreLabel: 'Filtrera filmografin efter genre',
+    allGenres: 'Alla genrer',
+    noMovies: 'Inga filmer hittades.',
+  },
+
+  // TMDB crew departments (filmography sections)
+  departments: {
+    acting: 'Skådespeleri',
+    directing: 'Regi',
+    writing: 'Manus',
+    production: 'Produktion',
+    camera: 'Foto',
+    editing: 'Klippning',
+    sound: 'Ljud',
+    art: 'Scenografi',
+    costume: 'Kostym och smink',
+    visualEffects: 'Visuella effekter',
+    lighting: 'Ljussättning',
+    crew: 'Övrig personal',
+  },
+
+  // Links between pages
+  nav: {
+    home: '← Hem',
+    importExport: 'Import / export',
+    stats: 'Statistik',
+    pickForMe: 'Välj åt mig',
+  },
+
+  // SavedMovies (/saved)
+  saved: {
+    title: 'Sparade filmer',
+    empty: 'Inga sparade filmer än.',
+    search: 'Sök bland sparade filmer',
+    sortLabel: 'Sortera sparade filmer',
+    genreLabel: 'Filtrera sparade filmer efter genre',
+    allGenres: 'Alla genrer',
+    count: '{visible} av {total}',
+    noMatches: 'Inga sparade filmer matchar filtren.',
+    watchedLabel: 'Filtrera sparade filmer efter om de är sedda',
+    anyWatched: 'Sedda och osedda',
+    watchedOnly: 'Sedda',
+    unwatchedOnly: 'Osedda',
+    myRatingLabel: 'Filtrera sparade filmer efter mitt betyg',
+    anyRating: 'Alla mina betyg',
+    unrated: 'Inte betygsatta av mig',
+    atLeast: '{stars} eller mer',
+    tagLabel: 'Filtrera sparade filmer efter tagg',
+    allTags: 'Alla taggar',
+  },
+
+  // Lists (/lists) and ListDetail (/lists/:listId)
+  lists: {
+    back: '← Mina listor',
+    title: 'Mina listor',
+    namePlaceholder: 't.ex. "Fredagsskräck"',
+    newName: 'Namn på ny lista',
+    create: 'Skapa lista',
+    empty: 'Inga listor än. Skapa en ovan, eller använd knappen "Listor" på en film.',
+    movies: { one: '{count} film', other: '{count} filmer' },
+    delete: 'Ta bort',
+    confirmDelete: 'Ta bort listan "{name}"?',
+    notFound: 'Listan finns inte.',
+    moved: '{title} flyttades till plats {position} av {total}',
+    name: 'Listans namn',
+    rename: 'Byt namn',
+    deleteList: 'Ta bort lista',
+    emptyList: 'Listan är tom. Använd knappen "Listor" på en film för att lägga till den här.',
+    reorderHint: 'Dra filmerna för att ändra ordningen, eller markera en film och tryck Alt + piltangenterna.',
+    moveEarlierLabel: 'Flytta {title} tidigare',
+    moveLaterLabel: 'Flytta {title} senare',
+    earlier: '↑ Tidigare',
+    later: '↓ Senare',
+    remove: 'Ta bort från listan',
+  },
+
+  // ImportExport (/import-export)
+  importExport: {
+    back: '← Sparade filmer',
+    title: 'Import och export',
+    export: 'Exportera',
+    savedCount: { one: '{count} sparad film', other: '{count} sparade filmer' },
+    listCount: { one: '{count} lista', other: '{count} listor' },
+    exportSummary: '{movies} och {lists}. JSON behåller allt och kan importeras igen; CSV öppnas i alla kalkylprogram.',
+    exportJson: 'Exportera JSON',
+    exportCsv: 'Exportera CSV',
+    import: 'Importera',
+    accepts: 'Tar emot en JSON- eller CSV-export från TV Time, en CSV-export från Letterboxd (watchlist.csv, watched.csv, ...), en bevakningslista eller lista från IMDb som CSV, eller valfri CSV med kolumnerna Title och Year.',
+    file: 'Fil att importera',
+    imported: { one: 'Importerade {count} film.', other: 'Importerade {count} filmer.' },
+    viewSaved: 'Visa sparade filmer',
+    matching: 'Matchar {done} av {total} rader mot TMDB…',
+    summary: '{matched} matchade, {ambiguous} behöver ett val, {unmatched} hittades inte.',
+    addToSaved: 'Lägg till i sparade filmer',
+    addToList: 'Lägg även till i listan',
+    listName: 'Listans namn (valfritt)',
+    matched: 'Matchade',
+    importTitle: 'Importera {title}',
+    from: 'från ”{title}”',
+    needsChoice: 'Behöver ett val',
+    matchFor: 'TMDB-träff för {title}',
+    skip: 'Hoppa över',
+    notFound: 'Hittades inte',
+    importCount: { one: 'Importera {count} film', other: 'Importera {count} filmer' },
+    noColumns: 'CSV-filen behöver en kolumn "Title"/"Name", "tmdb_id" eller IMDb-ID.',
+    badJson: 'JSON-filen kunde inte läsas.',
+    notExport: 'JSON-filen är inte en export från TV Time.',
+    empty: 'Inga filmer hittades i filen.',
+  },
+
+  // Account (/account)
+  account: {
+    title: 'Konto',
+    anonymous: 'Du använder ett anonymt konto. Skapa ett konto nedan för att använda dina sparade filmer på andra enheter.',
+    signedInAs: 'Inloggad som {name}.',
+    syncOff: 'Synkar inte',
+    syncConflict: 'Den här webbläsaren har sparade filmer som inte finns i kontot än. Vill du lägga till dem i kontot, eller bara behålla kontots?',
+    conflictMerge: 'Lägg till dem i mitt konto',
+    conflictDiscard: 'Behåll bara kontots',
+    syncPaused: 'Synkningen är pausad – ladda om sidan för att uppdatera appen',
+    syncing: 'Synkar…',
+    synced: 'Alla ändringar är synkade',
+    syncOffline: 'Offline – ändringarna synkas när du är ansluten igen',
+    syncError: 'Synkningen misslyckades – försöker igen snart',
+    syncOutdated: 'Synkar inte – dina sparade filmer synkades från en nyare version av appen. Ladda om sidan för att uppdatera.',
+    error: 'Något gick fel. Försök igen.',
+    signOut: 'Logga ut',
+    signIn: 'Logga in',
+    signUp: 'Skapa konto',
+    name: 'Namn (valfritt)',
+    email: 'E-post',
+    password: 'Lösenord (minst 8 tecken)',
+    anonymousButton: 'Fortsätt utan konto',
+  },
+
+  // StorageLockedBanner
+  storage: {
+    newer: 'Dina sparade filmer har uppdaterats av en nyare version av appen. Ladda om för att se dem; tills dess sparas eller synkas inte ändringar på den här sidan.',
+    reload: 'Ladda om',
+  },
+
+  // OfflineBanner; the link text sits between `before` and `after`
+  offline: {
+    before: 'Du är offline. Sidor du har besökt och dina',
+    link: 'sparade filmer',
+    after: 'fungerar fortfarande; nya sökningar kräver en anslutning.',
+  },
+
+  // PersonalPanel (detail pages) and removing titles with personal data
+  personal: {
+    title: 'Ditt omdöme',
+    savesHint: 'När du loggar en visning, sätter betyg, taggar eller skriver en anteckning sparas titeln.',
+    watched: 'Sedd',
+    notWatched: 'Inte sedd än.',
+    removeWatch: 'Ta bort visningen {date}',
+    watchDate: 'Datum då du såg den',
+    markWatched: 'Markera som sedd',
+    logRewatch: 'Logga en omtitt',
+    markUnwatched: 'Markera som osedd',
+    rating: 'Mitt betyg',
+    notRated: 'Inget betyg',
+    tags: 'Taggar',
+    removeTag: 'Ta bort taggen {tag}',
+    tagPlaceholder: 't.ex. mysig, med barnen',
+    newTag: 'Ny tagg',
+    addTag: 'Lägg till tagg',
+    notes: 'Anteckningar',
+    notesPlaceholder: 'Vad tyckte du?',
+    confirmRemove: 'Ta bort "{title}"? Visningsdatum, betyg, anteckningar och taggar tas också bort.',
+  },
+
+  // ForYouRow on Home
+  forYou: {
+    title: 'För dig',
+    becauseSaved: 'Eftersom du sparade {title}',
+    becausePerson: 'Med {name}, som finns i flera av dina sparade titlar',
+    becauseGenresDecade: '{genres} från {decade}-talet, som mycket av det du sparar',
+    becauseGenres: '{genres}, som mycket av det du sparar',
+  },
+
+  // WatchProviders (detail pages)
+  providers: {
+    title: 'Var kan jag se den?',
+    country: 'Land',
+    none: 'Går inte att streama, hyra eller köpa i {country}.',
+    stream: 'Streama',
+    free: 'Gratis',
+    ads: 'Med reklam',
+    rent: 'Hyr',
+    buy: 'Köp',
+    mine: '{name} (en av mina tjänster)',
+    attribution: 'Tillgänglighet från JustWatch.',
+    allOptions: 'Alla alternativ och priser',
+    manageServices: 'Hantera mina tjänster',
+    chooseServices: 'Välj mina tjänster',
+  },
+
+  // WatchServicesSettings (Account page)
+  services: {
+    title: 'Streamingtjänster',
+    intro: 'Bocka för tjänsterna du har. De markeras under "Var kan jag se den?", och "Bara på mina tjänster" på startsidan visar bara det de erbjuder.',
+    country: 'Land',
+    filter: 'Hitta en tjänst',
+    showAll: 'Visa alla {count}',
+  },
+
+  // CollectionDetail (/collection/:id) and the series banner on movie pages
+  collection: {
+    loading: 'Laddar samling...',
+    notFound: 'Samlingen hittades inte.',
+    movies: { one: '{count} film', other: '{count} filmer' },
+    savedCount: '{saved} av {total} sparade',
+    watchedCount: '{watched} av {total} sedda',
+    saveAll: 'Spara hela samlingen',
+    allSaved: 'Hela samlingen sparad',
+    empty: 'TMDB har inga filmer i den här samlingen.',
+    partOf: 'Del av {name}',
+    position: 'Film {position} av {total}',
+    view: 'Visa hela serien',
+    previous: '← Föregående: {title}',
+    next: 'Nästa: {title} →',
+  },
+
+  // Comparison tray (CompareButton, CompareTray) and CompareView (/compare)
+  compare: {
+    add: 'Jämför',
+    inTray: '✓ Jämförs',
+    full: 'Du kan jämföra upp till {max} filmer',
+    trayLabel: 'Filmer att jämföra',
+    removeLabel: 'Ta bort {title} från jämförelsen',
+    count: '{count} av {max} filmer valda',
+    pickMore: 'Välj minst {min} filmer att jämföra.',
+    missing: { one: '{count} film i jämförelsen kunde inte laddas.', other: '{count} filmer i jämförelsen kunde inte laddas.' },
+    removeMissing: 'Ta bort från jämförelsen',
+    clear: 'Rensa',
+    open: 'Jämför',
+    title: 'Jämför filmer',
+    empty: 'Inga filmer att jämföra. Använd knappen "Jämför" på {min} till {max} filmer.',
+    copyLink: 'Kopiera länk',
+    copied: 'Länken kopierad',
+    legend: 'Markerat: rader där filmerna skiljer sig åt, bästa betyg, antal röster och intäkter, samt genrer, personer och tjänster som inte alla filmer har.',
+    rating: 'Betyg',
+    votes: 'Röster',
+    runtime: 'Speltid',
+    releaseDate: 'Premiär',
+    budget: 'Budget',
+    revenue: 'Intäkter',
+    genres: 'Genrer',
+    directors: 'Regi',
+    cast: 'Huvudroller',
+    streaming: 'Streaming',
+  },
+
+  // Upcoming (/upcoming) and FollowButton
+  upcoming: {
+    title: 'Kommande premiärer',
+    country: 'Land',
+    nowPlaying: 'På bio nu i {country}',
+    previousMonth: 'Föregående månad',
+    nextMonth: 'Nästa månad',
+    thisMonth: 'Denna månad',
+    kind: 'Typ av premiär',
+    theatrical: 'På bio',
+    digital: 'Digitalt',
+    calendar: 'Kalender',
+    list: 'Lista',
+    none: 'Inga premiärer hittades i {country} den här månaden.',
+    follow: 'Följ premiären',
+    following: '★ Följer',
+    followLabel: 'Följ premiären av {title}',
+    unfollowLabel: 'Sluta följa {title}',
+    followed: 'Premiärer du följer',
+    noneFollowed: 'Följ filmer som inte har kommit ut än från kalendern eller deras sidor för att hålla koll på premiärdatumen här.',
+    noDate: 'Premiärdatum inte tillkännagivet',
+    outNow: 'Ute sedan {date}',
+    releases: 'Premiär {date} i {country}',
+    export: { one: 'Lägg till {count} datum i kalendern (.ics)', other: 'Lägg till {count} datum i kalendern (.ics)' },
+    icsName: 'Premiärer jag följer',
+    icsSummary: 'Premiär: {title}',
+    icsDescription: 'Premiärdatum i {country}',
+  },
+
+  // Stats (/stats)
+  stats: {
+    title: 'Statistik',
+    savedLink: 'Sparade filmer',
+    scopeSaved: 'Alla sparade',
+    scopeWatched: 'Sedda',
+    noneSaved: 'Inget sparat än.',
+    noneWatched: 'Inget markerat som sett än.',
+    browse: 'Hitta något att se',
+    titles: 'Titlar',
+    titlesNote: '{movies} filmer, {series} serier',
+    watched: 'Sedda',
+    viewings: { one: '{count} visning totalt', other: '{count} visningar totalt' },
+    averageRating: 'Snittbetyg på TMDB',
+    averageMyRating: 'Ditt snitt: {rating} stjärnor',
+    toWatch: 'Kvar att se',
+    toWatchNote: { one: '{count} titel', other: '{count} titlar' },
+    timeWatched: 'Tid framför skärmen',
+    unknownRuntime: { one: 'Speltid okänd för {count} titel', other: 'Speltid okänd för {count} titlar' },
+    days: { one: '{count} dag {hours} h', other: '{count} dagar {hours} h' },
+    genres: 'Genrer',
+    unknownGenre: 'Övrigt',
+    decades: 'Premiärdecennier',
+    decade: '{decade}-talet',
+    languages: 'Originalspråk',
+    otherLanguages: 'Andra språk',
+    lookingUp: 'Hämtar speltider och medverkande: {done} av {total}…',
+    directors: 'Vanligaste regissörer och skapare',
+    actors: 'Vanligaste skådespelare',
+  },
+
+  // PickForMe (/pick)
+  pick: {
+    title: 'Välj åt mig',
+    intro: 'Svårt att bestämma dig? Sätt några gränser och låt slumpen välja.',
+    source: 'Välj bland',
+    sourceSaved: 'Mina sparade filmer',
+    sourceDiscover: 'Hela TMDB',
+    genre: 'Genre',
+    anyGenre: 'Alla genrer',
+    maxRuntime: 'Längd',
+    anyLength: 'Valfri längd',
+    under: 'Högst {runtime}',
+    minRating: 'Betyg på TMDB',
+    anyRating: 'Alla betyg',
+    atLeast: '{rating} eller högre',
+    weighting: 'Gynna',
+    weightEven: 'Inget, alla filmer lika',
+    weightOlder: 'Filmer sparade för länge sedan',
+    weightRated: 'Filmer med högre betyg',
+    unwatched: 'Bara filmer jag inte har sett',
+    button: 'Välj åt mig',
+    again: 'Välj igen',
+    picking: 'Väljer…',
+    noneSaved: 'Ingen av dina sparade filmer passar de här gränserna.',
+    noneDiscover: 'Inga filmer passar de här gränserna.',
+    ranOut: 'Ingen av de {count} sparade filmerna som kontrollerades är tillräckligt kort. Välj igen för att kontrollera andra, eller tillåt en längre speltid.',
+    yourPick: 'I kväll blir det',
+    open: 'Till filmen',
+  },
+};
+
+export default sv;
@@ -0,0 +1,404 @@
+// Import and export of saved movies and watchlists.
+// - Export: our own JSON (everything, re-importable) and a flat CSV
+// - Import: our JSON, our CSV / generic CSV (title + year, optional IDs),
+//   Letterboxd export CSVs and IMDb watchlist/list CSVs
+// Imported rows are resolved to TMDB movies before anything is merged, so the
+// UI can show which rows matched, which are ambiguous and which failed.
+
+import { getMovie, getTvDetails, searchMoviesByYear, searchTvByYear, findByImdbId, isAbortError } from './tmdb.js';
+
+// Saved entries can be movies or series (same IDs, different media_type)
+import { mediaKey, mediaTypeOf } from './media.js';
+
+// Watch dates, personal rating, notes and tags travel with saved entries
+import { personalData } from './personal.js';
+
+// Version written into JSON exports
+const EXPORT_VERSION = 1;
+
+// A file that can't be imported. `messageKey` is the catalog key
+// (`importExport.*`) the UI shows in the user's language.
+export class ImportFileError extends Error {
+  constructor(messageKey, message) {
+    super(message);
+    this.name = 'ImportFileError';
+    this.messageKey = messageKey;
+  }
+}
+
+// How many rows are resolved against TMDB at the same time
+const RESOLVE_CONCURRENCY = 4;
+
+// Candidates offered for an ambiguous row
+const MAX_CANDIDATES = 5;
+
+// Import formats we can detect
+export const FORMATS = {
+  json: 'TV Time JSON',
+  csv: 'CSV',
+  letterboxd: 'Letterboxd CSV',
+  imdb: 'IMDb CSV',
+};
+
+// ------------------------------
+// CSV helpers
+// ------------------------------
+
+// Parses CSV text (RFC 4180: quoted fields, "" escapes, CRLF/LF line breaks)
+// into an array of rows, each an array of strings
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ''); // Strip a byte-order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'; // Escaped quote
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== '')); // Drop blank lines
+};
+
+// Quotes a value for CSV output when needed
+const csvValue = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Builds CSV text from a header row and data rows
+const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(csvValue).join(',')).join('\r\n');
+
+// ------------------------------
+// Export
+// ------------------------------
+
+// Full backup of the saved movies and lists as JSON text
+export const exportJson = ({ savedMovies, lists }) =>
+  JSON.stringify({
+    app: 'tv-time',
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    savedMovies,
+    lists,
+  }, null, 2);
+
+// One CSV row per movie or series (saved or in any list); list names, watch
+// dates and tags are joined with "|". Personal columns are empty for titles
+// that are only in lists.
+export const exportCsv = ({ savedMovies, lists }) => {
+  const byId = new Map(); // mediaKey -> entry
+
+  const entryFor = (movie) => {
+    const key = mediaKey(movie);
+    if (!byId.has(key)) byId.set(key, { movie, saved: false, lists: [] });
+    return byId.get(key);
+  };
+
+  savedMovies.forEach((movie) => { entryFor(movie).saved = true; });
+  lists.forEach((list) => list.movies.forEach((movie) => { entryFor(movie).lists.push(list.name); }));
+
+  return toCsv(
+    [
+      'tmdb_id', 'media_type', 'title', 'year', 'release_date', 'vote_average', 'saved', 'lists',
+      'watched_dates', 'my_rating', 'tags', 'notes',
+    ],
+    [...byId.values()].map(({ movie, saved, lists: listNames }) => {
+      const personal = personalData(saved ? movie : {});
+      return [
+        movie.id,
+        mediaTypeOf(movie),
+        movie.title,
+        movie.release_date?.slice(0, 4) || '',
+        movie.release_date || '',
+        movie.vote_average ?? '',
+        saved ? 'yes' : 'no',
+        listNames.join('|'),
+        personal.watchDates.join('|'),
+        personal.myRating ?? '',
+        personal.tags.join('|'),
+        personal.notes,
+      ];
+    })
+  );
+};
+
+// Makes the browser download `content` as a file
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// ------------------------------
+// Import: reading files into rows
+// ------------------------------
+// Every format is turned into the same row shape:
+// { key, title, year, tmdbId, mediaType, imdbId, movie, saved, lists, personal }
+// `movie` is already set for JSON rows (no lookup needed). `personal` holds
+// watch dates, rating, notes and tags (see personal.js) when the file has them.
+
+// Splits a multi-value cell on `separator`, dropping blanks
+const splitValues = (value, separator) =>
+  (value || '').split(separator).map((part) => part.trim()).filter(Boolean);
+
+// Finds a column by any of the given (case-insensitive) names; -1 if missing
+const findColumn = (header, names) =>
+  header.findIndex((column) => names.includes(column.trim().toLowerCase()));
+
+// Values of our "media_type" column and IMDb's "Title Type" column that mean a
+// series (IMDb has written both "TV Series" and "tvSeries"). Anything else,
+// including no column at all (Letterboxd only has films), is a movie.
+const TV_TITLE_TYPES = ['tv', 'tv series', 'tv mini series', 'tv mini-series', 'tvseries', 'tvminiseries'];
+
+const rowMediaType = (value) => (TV_TITLE_TYPES.includes((value || '').trim().toLowerCase()) ? 'tv' : 'movie');
+
+// Splits our "lists" CSV column ("Friday horror|Watch with kids")
+const splitListNames = (value) => splitValues(value, '|');
+
+// Rows from a JSON export made by exportJson()
+const readJsonRows = (data) => {
+  const rows = new Map();
+
+  const rowFor = (movie) => {
+    const key = mediaKey(movie);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        key: `tmdb-${key}`,
+        title: movie.title,
+        year: movie.release_date?.slice(0, 4) || '',
+        tmdbId: movie.id,
+        mediaType: mediaTypeOf(movie),
+        movie,
+        saved: false,
+        lists: [],
+        personal: null,
+      });
+    }
+    return rows.get(key);
+  };
+
+  (data.savedMovies || []).forEach((movie) => {
+    const row = rowFor(movie);
+    row.saved = true;
+    row.personal = personalData(movie);
+  });
+  (data.lists || []).forEach((list) =>
+    (list.movies || []).forEach((movie) => { rowFor(movie).lists.push(list.name); })
+  );
+
+  return [...rows.values()];
+};
+
+// Rows from any CSV: detects Letterboxd, IMDb or generic/own columns
+const readCsvRows = (text) => {
+  const [header = [], ...data] = parseCsv(text);
+  const lower = header.map((column) => column.trim().toLowerCase());
+
+  let format = 'csv';
+  if (lower.includes('letterboxd uri')) format = 'letterboxd';
+  else if (lower.includes('const') && lower.includes('title type')) format = 'imdb';
+
+  const titleCol = findColumn(header, ['title', 'name', 'original title']);
+  const yearCol = findColumn(header, ['year', 'release year']);
+  const dateCol = findColumn(header, ['release_date', 'release date']);
+  const tmdbCol = findColumn(header, ['tmdb_id', 'tmdbid', 'tmdb id']);
+  const typeCol = findColumn(header, ['media_type', 'title type']);
+  const imdbCol = findColumn(header, ['imdb_id', 'imdbid', 'imdb id', 'const']);
+  const savedCol = findColumn(header, ['saved']);
+  const listsCol = findColumn(header, ['lists']);
+
+  // Personal data: our own columns, Letterboxd's (ratings.csv, diary.csv) and
+  // IMDb's "Your Rating" (out of 10). A bare "Rating" only means our kind of
+  // rating in Letterboxd files.
+  const watchedCol = findColumn(header, ['watched_dates', 'watched date']);
+  const ratingCol = findColumn(header, ['my_rating', 'your rating', ...(format === 'letterboxd' ? ['rating'] : [])]);
+  const tagsCol = findColumn(header, ['tags']);
+  const notesCol = findColumn(header, ['notes']);
+  const hasPersonal = [watchedCol, ratingCol, tagsCol, notesCol].some((column) => column !== -1);
+  const ratingScale = format === 'imdb' ? 2 : 1;
+  const tagSeparator = format === 'letterboxd' ? ',' : '|';
+
+  if (titleCol === -1 && tmdbCol === -1 && imdbCol === -1) {
+    throw new ImportFileError('importExport.noColumns', 'The CSV needs a "Title"/"Name", "tmdb_id" or IMDb ID column.');
+  }
+
+  const rows = data.map((values, index) => {
+    const year = (values[yearCol] || values[dateCol] || '').trim().slice(0, 4);
+    return {
+      key: `row-${index}`,
+      title: (values[titleCol] || '').trim(),
+      year: /^\d{4}$/.test(year) ? year : '',
+      tmdbId: Number(values[tmdbCol]) || null,
+      mediaType: rowMediaType(values[typeCol]),
+      imdbId: /^tt\d+$/.test((values[imdbCol] || '').trim()) ? values[imdbCol].trim() : null,
+      // Our own CSV says which movies were saved; everything else is saved on import
+      saved: savedCol === -1 ? true : values[savedCol]?.trim().toLowerCase() === 'yes',
+      lists: listsCol === -1 ? [] : splitListNames(values[listsCol]),
+      movie: null,
+      personal: hasPersonal
+        ? personalData({
+            watchDates: splitValues(values[watchedCol], '|'),
+            myRating: values[ratingCol] ? Number(values[ratingCol]) / ratingScale : null,
+            tags: splitValues(values[tagsCol], tagSeparator),
+            notes: values[notesCol] || '',
+          })
+        : null,
+    };
+  });
+
+  return { format, rows };
+};
+
+// Reads an uploaded file's text; returns { format, rows }
+export const readImportFile = (text, filename = '') => {
+  const trimmed = text.trim();
+
+  if (filename.toLowerCase().endsWith('.json') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new ImportFileError('importExport.badJson', 'This JSON file could not be read.');
+    }
+    if (!Array.isArray(data.savedMovies) && !Array.isArray(data.lists)) {
+      throw new ImportFileError('importExport.notExport', 'This JSON file is not a TV Time export.');
+    }
+    return { format: 'json', rows: readJsonRows(data) };
+  }
+
+  return readCsvRows(text);
+};
+
+// ------------------------------
+// Import: resolving rows to TMDB movies
+// ------------------------------
+
+// Lower-cases and strips punctuation/accents so "Amélie" matches "Amelie"
+const normalizeTitle = (title = '') =>
+  title
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Does this TMDB result have the row's title (or original title)?
+const titleMatches = (movie, title) => {
+  const wanted = normalizeTitle(title);
+  return normalizeTitle(movie.title) === wanted || normalizeTitle(movie.original_title) === wanted;
+};
+
+// Release year of a TMDB result as a number (0 if unknown)
+const releaseYear = (movie) => Number(movie.release_date?.slice(0, 4)) || 0;
+
+// Resolves one row. Returns the row with
+// status: 'matched' | 'ambiguous' | 'unmatched', movie and candidates.
+const resolveRow = async (row, signal) => {
+  if (row.movie) return { ...row, status: 'matched', candidates: [] };
+
+  if (row.tmdbId) {
+    try {
+      const movie = row.mediaType === 'tv'
+        ? await getTvDetails(row.tmdbId, { signal })
+        : await getMovie(row.tmdbId, { signal });
+      return { ...row, status: 'matched', movie, candidates: [] };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      // Fall through to the IMDb ID / title lookup
+    }
+  }
+
+  if (row.imdbId) {
+    const movie = await findByImdbId(row.imdbId, row.mediaType, { signal });
+    if (movie) return { ...row, status: 'matched', movie, candidates: [] };
+  }
+
+  if (!row.title) return { ...row, status: 'unmatched', candidates: [] };
+
+  // Search with the year first; TMDB and other sites often disagree by a year,
+  // so fall back to a search without it and accept a ±1 year exact title match.
+  // Series rows (from the export's title type) search series.
+  const searchByYear = row.mediaType === 'tv' ? searchTvByYear : searchMoviesByYear;
+  let results = (await searchByYear(row.title, row.year, { signal })).results || [];
+  let exact = results.filter((movie) => titleMatches(movie, row.title));
+
+  if (row.year && exact.length === 0) {
+    results = (await searchByYear(row.title, '', { signal })).results || [];
+    exact = results.filter(
+      (movie) => titleMatches(movie, row.title) && Math.abs(releaseYear(movie) - Number(row.year)) <= 1
+    );
+  }
+
+  if (exact.length === 1) return { ...row, status: 'matched', movie: exact[0], candidates: [] };
+
+  const candidates = (exact.length > 0 ? exact : results).slice(0, MAX_CANDIDATES);
+  return {
+    ...row,
+    status: candidates.length > 0 ? 'ambiguous' : 'unmatched',
+    movie: null,
+    candidates,
+  };
+};
+
+// Resolves all rows, a few at a time.
+// - onProgress(done, total) is called after every row
+// - signal cancels the remaining lookups
+export const resolveRows = async (rows, { onProgress, signal } = {}) => {
+  const resolved = new Array(rows.length);
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < rows.length) {
+      const index = next++;
+      try {
+        resolved[index] = await resolveRow(rows[index], signal);
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error('Error resolving import row:', error);
+        resolved[index] = { ...rows[index], status: 'unmatched', candidates: [], error: error.message };
+      }
+      onProgress?.(++done, rows.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(RESOLVE_CONCURRENCY, rows.length) }, worker));
+  return resolved;
+};
@@ -24,10 +24,34 @@ import './index.css';
 // allowing any child component to consume the saved movies context.
 import { SavedMoviesProvider } from './components/SavedMoviesContext';
 
+// Import the AccountProvider, which restores the Appwrite session.
+// It wraps SavedMoviesProvider because saved movies sync to the signed-in account.
+import { AccountProvider } from './components/AccountContext.jsx';
+
+// Import the WatchPreferencesProvider, which holds the "where to watch" country and streaming services.
+import { WatchPreferencesProvider } from './components/WatchPreferencesContext.jsx';
+
+// Import the FollowedReleasesProvider, which holds the upcoming movies the user follows.
+import { FollowedReleasesProvider } from './components/FollowedReleasesContext.jsx';
+
+// Import the CompareProvider, which holds the movies picked for side-by-side comparison.
+import { CompareProvider } from './components/CompareContext.jsx';
+
+// Import the I18nProvider, which holds the UI language (English or Swedish).
+// It wraps everything else because every page shows translated text, and it
+// sets the language TMDB answers in.
+import { I18nProvider } from './components/I18nContext.jsx';
+
+// Service worker registration (app shell, TMDB responses and saved titles work offline)
+import { registerServiceWorker } from './offline.js';
+
 // Create a React root for rendering by selecting the HTML element with id 'root'.
 // React 18+ uses `createRoot` instead of the older `ReactDOM.render` to enable concurrent features.
 const root = ReactDOM.createRoot(document.getElementById('root'));
 
+// Install the service worker so the app can be installed and opened offline
+registerServiceWorker();
+
 // Render the React app inside the root element.
 // The JSX passed to `root.render` will be converted to HTML and inserted into the DOM.
 root.render(
@@ -36,11 +60,26 @@ root.render(
   <React.StrictMode>
     {/* Wrap the app in BrowserRouter to enable routing functionality */}
     <BrowserRouter>
-      {/* Wrap the app in SavedMoviesProvider to provide saved movies state context to descendants */}
-      <SavedMoviesProvider>
-        {/* Render the main App component */}
-        <App />
-      </SavedMoviesProvider>
+      {/* Wrap the app in I18nProvider so every component can translate its text */}
+      <I18nProvider>
+        {/* Wrap the app in WatchPreferencesProvider so every page shows availability for the same country */}
+        <WatchPreferencesProvider>
+          {/* Wrap the app in AccountProvider so every component can see the signed-in user */}
+          <AccountProvider>
+            {/* Wrap the app in SavedMoviesProvider to provide saved movies state context to descendants */}
+            <SavedMoviesProvider>
+              {/* Wrap the app in FollowedReleasesProvider so detail pages and the Upcoming page share the followed list */}
+              <FollowedReleasesProvider>
+                {/* Wrap the app in CompareProvider so any movie card can be added to the comparison tray */}
+                <CompareProvider>
+                  {/* Render the main App component */}
+                  <App />
+                </CompareProvider>
+              </FollowedReleasesProvider>
+            </SavedMoviesProvider>
+          </AccountProvider>
+        </WatchPreferencesProvider>
+      </I18nProvider>
     </BrowserRouter>
   </React.StrictMode>
 );
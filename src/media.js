@@ -0,0 +1,54 @@
+// Movies and TV series side by side.
+//
+// TMDB describes a series with different field names than a movie (`name`
+// instead of `title`, `first_air_date` instead of `release_date`). Rather than
+// teach every component both shapes, TV results are normalized into the movie
+// shape as soon as they arrive, with `media_type: 'tv'` marking what they are.
+// Movie and TV IDs overlap (movie 1399 is not Game of Thrones), so anything that
+// identifies an item — saved lists, trending rows, React keys — uses the media
+// type together with the ID.
+
+// Media types with the message keys of their labels (used by the toggle on Home)
+export const MEDIA_TYPES = {
+  movie: 'media.movie',
+  tv: 'media.tv',
+  all: 'media.all',
+};
+
+export const DEFAULT_MEDIA_TYPE = 'movie';
+
+// 'movie' or 'tv' for any TMDB item. Stored entries from before TV support have
+// no media_type and are movies.
+export const mediaTypeOf = (item) => (item?.media_type === 'tv' ? 'tv' : 'movie');
+
+// True when `item` is the entry with this ID and media type
+export const isSameMedia = (item, id, mediaType = 'movie') =>
+  item.id === id && mediaTypeOf(item) === mediaType;
+
+// Unique key across movies and series, e.g. 'movie:550' or 'tv:1399'
+export const mediaKey = (item) => `${mediaTypeOf(item)}:${item.id}`;
+
+// Route of the detail page
+export const mediaPath = (item) => `/${mediaTypeOf(item)}/${item.id}`;
+
+// Brings a TMDB movie or series into the movie shape, tagged with media_type.
+// - mediaType: the type when TMDB doesn't say (single-type endpoints like /search/tv)
+export const normalizeMedia = (item, mediaType = item.media_type || 'movie') =>
+  mediaType === 'tv'
+    ? {
+        ...item,
+        media_type: 'tv',
+        title: item.title || item.name,
+        original_title: item.original_title || item.original_name,
+        release_date: item.release_date || item.first_air_date || '',
+      }
+    : { ...item, media_type: 'movie' };
+
+// Normalizes a listing response's results. /search/multi also returns people,
+// which are dropped.
+export const normalizeResults = (data, mediaType) => ({
+  ...data,
+  results: (data.results || [])
+    .filter((item) => mediaType || item.media_type === 'movie' || item.media_type === 'tv')
+    .map((item) => normalizeMedia(item, mediaType || item.media_type)),
+});
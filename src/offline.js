@@ -0,0 +1,151 @@
+// Offline support on the app side: registering the service worker, tracking
+// whether the browser is online, and keeping offline copies of saved titles.
+// The service worker itself is public/sw.js (served from the site root so it
+// controls every page); SAVED_CACHE must match the name used there.
+
+import { useEffect, useState } from 'react';
+
+// Detail requests are built exactly like getMovieDetails / getTvDetails build them,
+// so the service worker finds the stored copy when a detail page asks for it
+import { detailsRequest } from './tmdb.js';
+import { mediaTypeOf } from './media.js';
+
+// Cache holding the detail responses and posters of saved titles ('-v2': posters
+// are no longer stored as opaque responses; the service worker deletes the old cache)
+const SAVED_CACHE = 'saved-media-v2';
+
+// Poster size used by MovieCard and the detail pages
+const posterUrl = (path) => `https://image.tmdb.org/t/p/w500${path}`;
+
+// Query parameters that follow the UI language. A copy stored before the
+// language was switched is still better than none, so copies are also matched
+// without them (here and in public/sw.js, which has the same list).
+const LOCALE_PARAMS = ['language', 'region', 'include_video_language'];
+
+// The URL without LOCALE_PARAMS: the same title in any language
+const withoutLocale = (url) => {
+  const parsed = new URL(url);
+  LOCALE_PARAMS.forEach((name) => parsed.searchParams.delete(name));
+  return parsed.href;
+};
+
+// Registers public/sw.js once the page has loaded. Production builds only:
+// the dev server serves source modules that must never come from a cache.
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register('/sw.js')
+      .catch((error) => console.error('Error registering service worker:', error));
+  });
+};
+
+// Hook: true while the browser reports a network connection
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+// Saved list of the latest syncOfflineCopies call not yet handled, and whether a
+// run is in progress. Runs never overlap: one run deleting what it doesn't
+// know about would remove what a newer one just stored.
+let pendingMovies = null;
+let running = false;
+
+// One run of syncOfflineCopies for `movies`. Stops early (leaving the cleanup
+// to the next run) as soon as a newer list is waiting.
+const storeOfflineCopies = async (movies) => {
+  try {
+    const cache = await caches.open(SAVED_CACHE);
+
+    // Every request that should be stored, by URL
+    const wanted = new Map();
+    movies.forEach((movie) => {
+      const details = detailsRequest(movie.id, mediaTypeOf(movie));
+      wanted.set(details.url, details);
+      if (movie.poster_path) {
+        // image.tmdb.org allows CORS, so posters are fetched (and stored) as
+        // ordinary responses. Opaque (no-cors) ones would count for megabytes
+        // each against the storage quota. The service worker serves them to
+        // <img> by URL either way.
+        const url = posterUrl(movie.poster_path);
+        wanted.set(url, new Request(url, { mode: 'cors' }));
+      }
+    });
+
+    const storedUrls = new Set((await cache.keys()).map((request) => request.url));
+
+    // One at a time, so a long saved list doesn't run into TMDB's rate limit
+    if (navigator.onLine) {
+      for (const [url, request] of wanted) {
+        if (pendingMovies) return;
+        if (storedUrls.has(url)) continue;
+        let response;
+        try {
+          response = await fetch(request);
+        } catch {
+          continue; // Network error: try again next time
+        }
+        if (!response.ok) continue;
+        try {
+          await cache.put(request, response);
+          storedUrls.add(url);
+        } catch (error) {
+          // Out of storage: the rest can't be stored either (the cleanup below still runs)
+          if (error.name !== 'QuotaExceededError') throw error;
+          console.warn('Not enough storage for more offline copies of saved titles.');
+          break;
+        }
+      }
+    }
+
+    // Drop copies of titles no longer saved, and copies in another language
+    // once the one in the current language is stored
+    if (pendingMovies) return;
+    const wantedTitles = new Set([...wanted.keys()].map(withoutLocale));
+    const currentTitles = new Set([...wanted.keys()].filter((url) => storedUrls.has(url)).map(withoutLocale));
+    const stale = (await cache.keys()).filter((request) =>
+      !wanted.has(request.url)
+      && (!wantedTitles.has(withoutLocale(request.url)) || currentTitles.has(withoutLocale(request.url)))
+    );
+    await Promise.all(stale.map((request) => cache.delete(request)));
+  } catch (error) {
+    console.error('Error storing saved titles for offline use:', error);
+  }
+};
+
+// Stores the detail response and poster of every saved title in SAVED_CACHE and
+// removes the entries of titles that are no longer saved. Entries already stored
+// are left alone (the service worker refreshes them while online). After a
+// language switch a title's copy in the old language is kept until the new one
+// is stored, so going offline halfway leaves every saved title readable.
+// A call during a run is handled after it, with the latest list only.
+// Failures are quiet: whatever is missing is fetched on the next call.
+export const syncOfflineCopies = async (movies) => {
+  if (typeof caches === 'undefined') return; // No Cache API (old browser or insecure origin)
+
+  pendingMovies = movies;
+  if (running) return;
+
+  running = true;
+  try {
+    while (pendingMovies) {
+      const next = pendingMovies;
+      pendingMovies = null;
+      await storeOfflineCopies(next);
+    }
+  } finally {
+    running = false;
+  }
+};
@@ -0,0 +1,86 @@
+// Personal data on saved titles: when we watched them, our own star rating,
+// notes and tags.
+//
+// The fields live on the entries of the main saved list, next to the TMDB
+// fields (lists hold plain copies without them). Each is its own field so cloud
+// sync merges them independently: a rating given on the phone and a note
+// written on the laptop both survive (see mergeFields in sync.js).
+// - watchDates: ISO dates ('2024-05-01'), oldest first. Watched when there is at
+//   least one; every rewatch adds another date.
+// - myRating: 0.5–5 in half stars, or null when not rated
+// - notes: free text
+// - tags: short labels ('comfort', 'with kids'), unique regardless of case
+
+// Values of a title nobody has touched yet
+export const PERSONAL_DEFAULTS = { watchDates: [], myRating: null, notes: '', tags: [] };
+
+// Half-star steps offered for the personal rating: 0.5, 1, ..., 5
+export const RATING_STEPS = Array.from({ length: 10 }, (_, index) => (index + 1) / 2);
+
+// Does the saved entry have at least one watch date?
+export const isWatched = (movie) => Boolean(movie?.watchDates?.length);
+
+// Most recent watch date ('' when never watched)
+export const lastWatched = (movie) => movie?.watchDates?.at(-1) || '';
+
+// Today's date as YYYY-MM-DD in the user's time zone (toISOString would use UTC)
+export const today = () => {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+// Keeps valid YYYY-MM-DD dates, sorted oldest first (the same day twice is a
+// real double feature, so duplicates stay)
+const cleanDates = (dates) =>
+  (Array.isArray(dates) ? dates : [])
+    .filter((date) => typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date))
+    .sort();
+
+// Rounds to the nearest half star within 0.5–5; anything else means "not rated"
+const cleanRating = (rating) => {
+  const value = Math.round(Number(rating) * 2) / 2;
+  return RATING_STEPS.includes(value) ? value : null;
+};
+
+// Trims tags and drops blanks and case-insensitive duplicates (the first spelling wins)
+export const cleanTags = (tags) => {
+  const seen = new Set();
+  return (Array.isArray(tags) ? tags : [])
+    .map((tag) => String(tag).trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// The personal fields of any object (a stored entry, an imported file row...),
+// validated and with defaults filled in
+export const personalData = (item = {}) => ({
+  watchDates: cleanDates(item.watchDates),
+  myRating: cleanRating(item.myRating),
+  notes: typeof item.notes === 'string' ? item.notes : '',
+  tags: cleanTags(item.tags),
+});
+
+// True when anything personal (a watch, rating, note or tag) has been recorded
+export const hasPersonalData = (item) => {
+  const data = personalData(item);
+  return data.watchDates.length > 0 || data.myRating !== null || data.notes.trim() !== '' || data.tags.length > 0;
+};
+
+// Every tag used across the saved list, sorted for menus and suggestions
+export const allTags = (movies, locale) =>
+  cleanTags(movies.flatMap((movie) => movie.tags || [])).sort((a, b) => a.localeCompare(b, locale));
+
+// Is `tag` among the entry's tags (ignoring case)?
+export const hasTag = (movie, tag) =>
+  (movie.tags || []).some((own) => own.toLowerCase() === tag.toLowerCase());
+
+// 3.5 -> "★★★½" (rounded down to the half star)
+export const starText = (rating) => {
+  const halves = Math.floor(rating * 2);
+  return '★'.repeat(Math.floor(halves / 2)) + (halves % 2 ? '½' : '');
+};
@@ -0,0 +1,251 @@
+// "Pick for me": a random movie from the saved list or from a discover query,
+// within a few constraints (genre, minimum rating, maximum runtime, not watched
+// yet). The draw can be weighted, e.g. towards movies saved long ago, and a
+// re-roll avoids the last few picks.
+//
+// Only movies are picked: a runtime limit means little for a whole series.
+
+import { discoverMovies, getMovie, getMovieDetails, TmdbNotFoundError } from './tmdb.js';
+import { MIN_VOTE_COUNT } from './discover.js';
+import { servicesDiscoverParams, loadWatchPreferences } from './watchProviders.js';
+import { mediaKey, mediaTypeOf, normalizeResults } from './media.js';
+import { isWatched } from './personal.js';
+
+// Where the pick comes from, with the message keys of their labels
+export const PICK_SOURCES = {
+  saved: 'pick.sourceSaved',
+  discover: 'pick.sourceDiscover',
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How likely each candidate is to be drawn
+// - sources: the sources the weighting applies to
+// - weight: candidate -> relative chance
+export const WEIGHTINGS = {
+  even: { labelKey: 'pick.weightEven', sources: ['saved', 'discover'], weight: () => 1 },
+  // A movie saved a year ago is about 13 times as likely as one saved today
+  olderSaves: {
+    labelKey: 'pick.weightOlder',
+    sources: ['saved'],
+    weight: (movie) => 1 + Math.max(Date.now() - (movie.savedAt || Date.now()), 0) / DAY / 30,
+  },
+  // 8/10 is about four times as likely as 6/10
+  betterRated: {
+    labelKey: 'pick.weightRated',
+    sources: ['saved', 'discover'],
+    weight: (movie) => Math.max((movie.vote_average || 0) - 4, 0.5) ** 2,
+  },
+};
+
+// Choices offered for the constraints (0 means no limit)
+export const RUNTIME_LIMITS = [0, 90, 120, 150];
+export const RATING_FLOORS = [0, 6, 7, 8];
+
+// The picker's settings when nothing is chosen
+export const PICK_DEFAULTS = {
+  source: 'saved',
+  genre: 0,          // TMDB genre ID
+  minRating: 0,      // Minimum vote_average
+  maxRuntime: 0,     // Minutes
+  unwatched: true,   // Skip movies with a watch date
+  weighting: 'even', // WEIGHTINGS key
+  myServices: false, // Discover only: on the user's streaming services
+};
+
+// Discover pages a pick may come from (the most popular 200 matches)
+const MAX_DISCOVER_PAGES = 10;
+
+// Saved movies whose runtime is looked up at once while looking for one that
+// fits a runtime limit, and how many are looked up in all before giving up
+const RUNTIME_BATCH = 5;
+export const MAX_RUNTIME_LOOKUPS = 30;
+
+// Picks remembered so a re-roll doesn't come back to them
+const RECENT_LIMIT = 10;
+
+// sessionStorage key of the recent picks (mediaKeys, newest first)
+const RECENT_KEY = 'recentPicks';
+
+// ------------------------------
+// Settings in the URL
+// ------------------------------
+
+// Reads the settings from the query string (?source=discover&genre=27&runtime=120...)
+export const readPickOptions = (searchParams) => {
+  const number = (name, allowed) => {
+    const value = Number(searchParams.get(name));
+    return allowed.includes(value) ? value : 0;
+  };
+  const source = PICK_SOURCES[searchParams.get('source')] ? searchParams.get('source') : PICK_DEFAULTS.source;
+  const weighting = WEIGHTINGS[searchParams.get('weight')]?.sources.includes(source)
+    ? searchParams.get('weight')
+    : PICK_DEFAULTS.weighting;
+
+  return {
+    source,
+    genre: Number(searchParams.get('genre')) || 0,
+    minRating: number('min', RATING_FLOORS),
+    maxRuntime: number('runtime', RUNTIME_LIMITS),
+    unwatched: searchParams.get('watched') !== '1',
+    weighting,
+    myServices: searchParams.get('services') === '1',
+  };
+};
+
+// The settings as query-string values, leaving out the defaults
+export const pickOptionsToParams = (options) => {
+  const params = {
+    source: options.source !== PICK_DEFAULTS.source ? options.source : '',
+    genre: options.genre || '',
+    min: options.minRating || '',
+    runtime: options.maxRuntime || '',
+    watched: options.unwatched ? '' : '1',
+    weight: options.weighting !== PICK_DEFAULTS.weighting ? options.weighting : '',
+    services: options.myServices ? '1' : '',
+  };
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== ''));
+};
+
+// ------------------------------
+// Recent picks
+// ------------------------------
+
+// Recent picks of this visit, newest first
+export const loadRecentPicks = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(RECENT_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+// Puts a pick at the front of the recent picks
+export const rememberPick = (movie) => {
+  const recent = [mediaKey(movie), ...loadRecentPicks().filter((key) => key !== mediaKey(movie))];
+  try {
+    sessionStorage.setItem(RECENT_KEY, JSON.stringify(recent.slice(0, RECENT_LIMIT)));
+  } catch {
+    // Storage disabled: re-rolls may repeat
+  }
+};
+
+// ------------------------------
+// Drawing
+// ------------------------------
+
+// One item, drawn with chances proportional to weightOf(item)
+export const weightedPick = (items, weightOf, random = Math.random) => {
+  const weights = items.map(weightOf);
+  let remaining = random() * weights.reduce((sum, weight) => sum + weight, 0);
+  for (let index = 0; index < items.length; index += 1) {
+    remaining -= weights[index];
+    if (remaining < 0) return items[index];
+  }
+  return items[items.length - 1];
+};
+
+// The candidates without the recent picks; if that leaves nothing, all but the
+// very last pick; if that leaves nothing either, all of them
+const avoidRecent = (candidates, recent) => {
+  const fresh = candidates.filter((movie) => !recent.includes(mediaKey(movie)));
+  if (fresh.length) return fresh;
+  const notLast = candidates.filter((movie) => mediaKey(movie) !== recent[0]);
+  return notLast.length ? notLast : candidates;
+};
+
+// Saved movies within the constraints (runtime is checked on the draw)
+const savedCandidates = (savedMovies, { genre, minRating, unwatched }) =>
+  savedMovies.filter((movie) =>
+    mediaTypeOf(movie) === 'movie'
+    && (!genre || movie.genre_ids?.includes(genre))
+    && (movie.vote_average || 0) >= minRating
+    && (!unwatched || !isWatched(movie))
+  );
+
+// Saved entries don't carry a runtime, so drawn movies are looked up (with the
+// plain /movie request, cached) until one fits the limit: a few at a time, in
+// the order they were drawn, up to MAX_RUNTIME_LOOKUPS. Only the chosen movie
+// is then loaded with its full details. A movie TMDB no longer has is skipped.
+// Returns { movie }, { ranOut: true } when the lookups ran out before every
+// candidate was checked, or null when none fits.
+const drawSaved = async (candidates, options, signal) => {
+  const { weight } = WEIGHTINGS[options.weighting];
+  const fits = (movie) =>
+    !options.maxRuntime || (movie.runtime > 0 && movie.runtime <= options.maxRuntime);
+  const lookUp = (load) => (movie) =>
+    load(movie.id, { signal }).catch((error) => {
+      if (error instanceof TmdbNotFoundError) return null;
+      throw error;
+    });
+
+  let remaining = candidates;
+  let lookups = 0;
+  while (remaining.length) {
+    if (options.maxRuntime && lookups >= MAX_RUNTIME_LOOKUPS) return { ranOut: true };
+
+    // Draw the next batch without putting drawn movies back
+    const batch = [];
+    while (batch.length < (options.maxRuntime ? RUNTIME_BATCH : 1) && remaining.length) {
+      const movie = weightedPick(remaining, weight);
+      batch.push(movie);
+      remaining = remaining.filter((other) => other !== movie);
+    }
+    lookups += batch.length;
+
+    // Without a limit there's nothing to check: the drawn movie's details are all that's needed
+    const found = (await Promise.all(batch.map(lookUp(options.maxRuntime ? getMovie : getMovieDetails))))
+      .find((movie) => movie && fits(movie));
+    if (!found) continue;
+
+    const details = options.maxRuntime ? await lookUp(getMovieDetails)(found) : found;
+    if (details) return { movie: { ...details, media_type: 'movie' } };
+  }
+  return null;
+};
+
+// Movies for a discover pick: the constraints as /discover/movie parameters,
+// from a random page of the most popular matches
+const discoverCandidates = async (options, signal) => {
+  const params = {
+    sort_by: 'popularity.desc',
+    with_genres: options.genre || undefined,
+    'vote_average.gte': options.minRating || undefined,
+    'vote_count.gte': MIN_VOTE_COUNT,
+    'with_runtime.lte': options.maxRuntime || undefined,
+    ...(options.myServices ? servicesDiscoverParams(loadWatchPreferences()) : {}),
+  };
+
+  const firstPage = await discoverMovies(params, { signal });
+  const page = 1 + Math.floor(Math.random() * Math.min(firstPage.total_pages || 1, MAX_DISCOVER_PAGES));
+  const data = page === 1 ? firstPage : await discoverMovies({ ...params, page }, { signal });
+  return normalizeResults(data, 'movie').results;
+};
+
+// Draws a movie. Returns { movie, pool } where `movie` has its full details and
+// `pool` is what it was drawn from (for the reveal animation), or null when
+// nothing matches. { movie: null, ranOut: true } means the saved movies checked
+// against a runtime limit didn't fit, but there were more than could be checked.
+// - savedMovies: the saved list (the saved source, and watched movies to skip)
+export const pickMovie = async (options, savedMovies, { signal } = {}) => {
+  const recent = loadRecentPicks();
+
+  if (options.source === 'saved') {
+    const pool = avoidRecent(savedCandidates(savedMovies, options), recent);
+    const drawn = pool.length ? await drawSaved(pool, options, signal) : null;
+    if (drawn?.ranOut) return { movie: null, pool, ranOut: true };
+    return drawn && { movie: drawn.movie, pool };
+  }
+
+  // Discover: watched saved movies are skipped as well
+  const watched = new Set(savedMovies.filter(isWatched).map(mediaKey));
+  const matches = (await discoverCandidates(options, signal))
+    .filter((movie) => !options.unwatched || !watched.has(mediaKey(movie)));
+  const pool = avoidRecent(matches, recent);
+  if (!pool.length) return null;
+
+  const choice = weightedPick(pool, WEIGHTINGS[options.weighting].weight);
+  const details = await getMovieDetails(choice.id, { signal });
+  return { movie: { ...details, media_type: 'movie' }, pool };
+};
@@ -0,0 +1,43 @@
+// Recent search history, kept in localStorage on this device only.
+// Newest first, without duplicates (compared case-insensitively).
+
+// localStorage key holding the history (JSON array of strings)
+const STORAGE_KEY = 'recentSearches';
+
+// How many searches are remembered
+const MAX_RECENT = 8;
+
+// Returns the stored searches, newest first
+export const loadRecentSearches = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter((query) => typeof query === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+// Writes the history and returns it
+const store = (searches) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+  } catch (error) {
+    console.error('Error saving recent searches:', error);
+  }
+  return searches;
+};
+
+// Moves `query` to the front of the history; returns the new history
+export const addRecentSearch = (query) => {
+  const trimmed = query.trim();
+  if (!trimmed) return loadRecentSearches();
+  const rest = loadRecentSearches().filter((q) => q.toLowerCase() !== trimmed.toLowerCase());
+  return store([trimmed, ...rest].slice(0, MAX_RECENT));
+};
+
+// Removes one search; returns the new history
+export const removeRecentSearch = (query) =>
+  store(loadRecentSearches().filter((q) => q !== query));
+
+// Forgets every search; returns the (empty) history
+export const clearRecentSearches = () => store([]);
@@ -0,0 +1,182 @@
+// Statistics of the saved titles for the /stats page.
+//
+// Genres, decades, languages and ratings come straight from the saved entries.
+// Runtime and the people involved need each title's details; those are looked
+// up a few at a time through the same cached detail requests the detail pages
+// and offline copies use, so most of them are answered without the network.
+
+import { getMovieDetails, getTvDetails, isAbortError } from './tmdb.js';
+import { mediaKey, mediaTypeOf } from './media.js';
+import { isWatched } from './personal.js';
+
+// Detail lookups running at the same time
+const DETAIL_CONCURRENCY = 4;
+
+// Billed cast members of each title counted towards "most frequent actors"
+const CAST_PER_TITLE = 5;
+
+// Which saved titles the statistics cover, with the message keys of their labels
+export const STATS_SCOPES = {
+  saved: 'stats.scopeSaved',
+  watched: 'stats.scopeWatched',
+};
+
+export const DEFAULT_STATS_SCOPE = 'saved';
+
+// The saved titles in a scope
+export const titlesInScope = (savedMovies, scope) =>
+  scope === 'watched' ? savedMovies.filter(isWatched) : savedMovies;
+
+// Adds `amount` to the tally for `key`
+const tally = (counts, key, amount = 1) => {
+  if (key === undefined || key === null || key === '') return;
+  counts.set(key, (counts.get(key) || 0) + amount);
+};
+
+// A tally as [{ key, count }], largest first
+const ranked = (counts) =>
+  [...counts.entries()]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count);
+
+// Average of the numbers, or null when there are none
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// ------------------------------
+// From the saved entries
+// ------------------------------
+
+// Counts and distributions needing no extra requests:
+// - genres: [{ key: genreId, count }], most common first
+// - decades: [{ key: 1990, count }], oldest first, with empty decades in between
+// - languages: [{ key: 'en', count }], most common first
+// - averageRating: mean TMDB rating of the titles that have one (or null)
+// - averageMyRating: mean personal rating of the rated titles (or null)
+export const localStats = (movies) => {
+  const genres = new Map();
+  const decades = new Map();
+  const languages = new Map();
+
+  movies.forEach((movie) => {
+    (movie.genre_ids || []).forEach((id) => tally(genres, id));
+    const year = Number(movie.release_date?.slice(0, 4));
+    if (year) tally(decades, Math.floor(year / 10) * 10);
+    tally(languages, movie.original_language);
+  });
+
+  // Every decade from the oldest to the newest, so gaps show in the histogram
+  const decadeKeys = [...decades.keys()];
+  const decadeRange = decadeKeys.length
+    ? Array.from(
+        { length: (Math.max(...decadeKeys) - Math.min(...decadeKeys)) / 10 + 1 },
+        (_, index) => Math.min(...decadeKeys) + index * 10
+      )
+    : [];
+
+  return {
+    total: movies.length,
+    movieCount: movies.filter((movie) => mediaTypeOf(movie) === 'movie').length,
+    tvCount: movies.filter((movie) => mediaTypeOf(movie) === 'tv').length,
+    watchedCount: movies.filter(isWatched).length,
+    viewingCount: movies.reduce((sum, movie) => sum + (movie.watchDates?.length || 0), 0),
+    genres: ranked(genres),
+    decades: decadeRange.map((decade) => ({ key: decade, count: decades.get(decade) || 0 })),
+    languages: ranked(languages),
+    averageRating: average(movies.map((movie) => movie.vote_average).filter((rating) => rating > 0)),
+    averageMyRating: average(movies.map((movie) => movie.myRating).filter(Boolean)),
+  };
+};
+
+// ------------------------------
+// From the details
+// ------------------------------
+
+// Loads the details of every title, a few at a time: Map of mediaKey -> details.
+// A title whose details can't be loaded is left out (it counts as unknown).
+// - onProgress(done, total) is called after every title
+// - signal cancels the remaining lookups
+export const loadDetails = async (movies, { onProgress, signal } = {}) => {
+  const details = new Map();
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < movies.length) {
+      const movie = movies[next++];
+      try {
+        const data = mediaTypeOf(movie) === 'tv'
+          ? await getTvDetails(movie.id, { signal })
+          : await getMovieDetails(movie.id, { signal });
+        details.set(mediaKey(movie), data);
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error(`Error loading details for ${movie.title}:`, error);
+      }
+      onProgress?.(++done, movies.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(DETAIL_CONCURRENCY, movies.length) }, worker));
+  return details;
+};
+
+// Minutes it takes to watch a title once: the runtime of a movie, or every
+// episode of a series (0 when TMDB doesn't say)
+export const runtimeOf = (details) => {
+  if (!details) return 0;
+  if (details.media_type !== 'tv') return details.runtime || 0;
+  const episodeRuntime = details.episode_run_time?.[0] || details.last_episode_to_air?.runtime || 0;
+  return episodeRuntime * (details.number_of_episodes || 0);
+};
+
+// Statistics needing the details:
+// - toWatchMinutes / toWatchCount: total runtime of the titles not watched yet
+// - watchedMinutes: time spent watching, rewatches included
+// - unknownRuntimeCount: titles whose runtime isn't known (left out of both)
+// - directors / actors: [{ key: personId, name, profile_path, count }], most
+//   frequent first; series count their creators as directors
+export const detailStats = (movies, details) => {
+  let toWatchMinutes = 0;
+  let watchedMinutes = 0;
+  let unknownRuntimeCount = 0;
+  const directorCounts = new Map();
+  const actorCounts = new Map();
+  const people = new Map(); // Person ID -> { name, profile_path }
+
+  // Each person once per title
+  const countPeople = (counts, list) => {
+    new Map(list.map((person) => [person.id, person])).forEach((person) => {
+      tally(counts, person.id);
+      people.set(person.id, { name: person.name, profile_path: person.profile_path });
+    });
+  };
+
+  movies.forEach((movie) => {
+    const data = details.get(mediaKey(movie));
+    const runtime = runtimeOf(data);
+
+    if (!runtime) unknownRuntimeCount += 1;
+    else if (isWatched(movie)) watchedMinutes += runtime * movie.watchDates.length;
+    else toWatchMinutes += runtime;
+
+    if (!data) return;
+    countPeople(
+      directorCounts,
+      data.media_type === 'tv'
+        ? data.created_by || []
+        : (data.credits?.crew || []).filter((member) => member.job === 'Director')
+    );
+    countPeople(actorCounts, (data.credits?.cast || []).slice(0, CAST_PER_TITLE));
+  });
+
+  const withPerson = ({ key, count }) => ({ key, count, ...people.get(key) });
+
+  return {
+    toWatchMinutes,
+    toWatchCount: movies.filter((movie) => !isWatched(movie)).length,
+    watchedMinutes,
+    unknownRuntimeCount,
+    directors: ranked(directorCounts).map(withPerson),
+    actors: ranked(actorCounts).map(withPerson),
+  };
+};
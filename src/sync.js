@@ -0,0 +1,325 @@
+// Cloud sync of the saved movies and watchlists through Appwrite.
+//
+// The whole { movies, lists } state is stored in one document per user. Every
+// sync reads the remote copy, merges it with the local copy and writes the
+// result back. Merging is three-way against the "base": the state both sides
+// agreed on after the last successful sync (kept in localStorage per user).
+// That way a movie removed on the phone is removed on the laptop too, instead
+// of being added back because the laptop still has it.
+//
+// Appwrite can't make a write conditional, so the document is read once more
+// right before writing; if another device wrote in between, its version is
+// merged in first. The document also records the schema version of the app
+// that wrote it: an older version of the app doesn't merge (and so doesn't
+// strip fields it doesn't know from) data written by a newer one.
+//
+// Local data belongs to one account at a time: the ID of the account it was
+// last synced with is remembered, and once nobody is signed in any more (sign-
+// out, or an expired session) that data and its base are cleared, so one
+// person's saved titles never end up in another account on a shared browser.
+// Local titles that belong to no account yet (saved while signed out, or in an
+// anonymous account before signing in to another one) are only combined with
+// an account that already has a list after the user agreed to (status 'conflict').
+//
+// Changes made while offline are queued implicitly: they are whatever differs
+// from the base, which is kept across reloads, so the next sync (when the
+// browser comes back online, the tab regains focus or another change is made)
+// merges them in.
+
+import { useEffect, useRef, useState } from 'react';
+
+import {
+  loadSavedMoviesDocument,
+  saveSavedMoviesDocument,
+  subscribeToSavedMovies,
+} from './appwrite.js';
+
+// Saved entries are identified by media type + ID (movie 550 and series 550 differ)
+import { mediaKey } from './media.js';
+
+// Wait this long after the last local change before syncing
+const SYNC_DELAY = 2000;
+
+// Retry a failed sync after this long
+const RETRY_DELAY = 30 * 1000;
+
+// Times the merge is redone because another device wrote meanwhile, before giving up until the retry
+const MAX_MERGE_ATTEMPTS = 3;
+
+// localStorage key holding the last synced state (the base) for a user
+const syncKey = (userId) => `savedMoviesSync:${userId}`;
+
+// localStorage key holding the ID of the account the local data was last synced with
+const OWNER_KEY = 'savedMoviesOwner';
+
+// What a signed-out browser starts from
+const EMPTY_STATE = { movies: [], lists: [] };
+
+// True if a state holds any saved title or list
+const hasContent = (state) => Boolean(state?.movies?.length || state?.lists?.length);
+
+// Deep equality for plain JSON data
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// True if two reads of the remote document saw the same write (null: no document)
+const sameWrite = (a, b) => (a?.updatedAt ?? null) === (b?.updatedAt ?? null);
+
+// ------------------------------
+// Three-way merge
+// ------------------------------
+
+// Merges one object field by field: a field changed locally (compared to the
+// base) keeps the local value, otherwise the remote value is taken
+const mergeFields = (base, local, remote) => {
+  if (!base) return { ...remote, ...local }; // Added on both sides: local wins ties
+
+  const merged = {};
+  new Set([...Object.keys(local), ...Object.keys(remote)]).forEach((key) => {
+    merged[key] = same(local[key], base[key]) ? remote[key] : local[key];
+  });
+  return merged;
+};
+
+// Merges two versions of an ordered array of items identified by `keyOf`.
+// - An item added on either side is kept
+// - An item that was in the base but removed on either side is dropped
+// - Items on both sides are merged with `mergeItem`
+// - The order is taken from whichever side was reordered (local wins if both were)
+const mergeItems = (base = [], local = [], remote = [], mergeItem = mergeFields, keyOf = mediaKey) => {
+  const byId = (items) => new Map(items.map((item) => [keyOf(item), item]));
+  const baseById = byId(base);
+  const localById = byId(local);
+  const remoteById = byId(remote);
+
+  const keep = (id) =>
+    baseById.has(id)
+      ? localById.has(id) && remoteById.has(id)
+      : localById.has(id) || remoteById.has(id);
+
+  // Has the local side changed the relative order of the items it shares with the base?
+  const localOrder = local.map(keyOf).filter((id) => baseById.has(id));
+  const baseOrder = base.map(keyOf).filter((id) => localById.has(id));
+  const localReordered = !same(localOrder, baseOrder);
+
+  const localIds = local.map(keyOf);
+  const remoteIds = remote.map(keyOf);
+  const orderedIds = [...new Set(localReordered ? [...localIds, ...remoteIds] : [...remoteIds, ...localIds])];
+
+  return orderedIds.filter(keep).map((id) => {
+    const localItem = localById.get(id);
+    const remoteItem = remoteById.get(id);
+    return localItem && remoteItem
+      ? mergeItem(baseById.get(id), localItem, remoteItem)
+      : localItem || remoteItem;
+  });
+};
+
+// Lists merge their own fields (name, ...) and their movies separately
+const mergeList = (base, local, remote) => ({
+  ...mergeFields(base, local, remote),
+  movies: mergeItems(base?.movies, local.movies, remote.movies),
+});
+
+// Merges the full saved-movies state ({ movies, lists })
+export const mergeState = (base, local, remote) => ({
+  movies: mergeItems(base?.movies, local.movies, remote.movies),
+  lists: mergeItems(base?.lists, local.lists, remote.lists, mergeList, (list) => list.id),
+});
+
+// ------------------------------
+// Hook: useCloudSync
+// ------------------------------
+// Keeps `state` in sync with the user's Appwrite document while `user` is set.
+// - state / setState: the SavedMoviesProvider state ({ movies, lists })
+// - version: schema version of the state (written with it, compared on read)
+// - paused: don't sync (local storage holds data this version can't read, so
+//   `state` isn't the user's real list)
+// - signedOut: the session check is done and nobody is signed in
+// Returns { status, resolveConflict }:
+// - status: 'off' | 'paused' | 'syncing' | 'synced' | 'offline' | 'error' | 'outdated' | 'conflict'
+//   ('outdated': the remote copy was written by a newer version of the app;
+//   'conflict': titles saved while signed out and an account that already has
+//   some, waiting for resolveConflict)
+// - resolveConflict('merge' | 'discard'): combine the local titles with the
+//   account's, or drop them and use the account's
+export const useCloudSync = (user, state, setState, { version, paused = false, signedOut = false }) => {
+  const [status, setStatus] = useState('off');
+
+  const userId = user?.$id;
+  const choiceRef = useRef(null); // The user's answer to a conflict
+  const stateRef = useRef(state);   // Latest local state for the async sync function
+  const runningRef = useRef(false); // A sync is in progress
+  const againRef = useRef(false);   // Another sync was requested meanwhile
+  const timerRef = useRef(null);    // Pending delayed sync
+  const syncRef = useRef(null);     // Latest sync function (for event listeners)
+
+  stateRef.current = state;
+
+  // Reads/writes the base for the signed-in user (null before the first sync)
+  const readBase = () => {
+    try {
+      return JSON.parse(localStorage.getItem(syncKey(userId)));
+    } catch {
+      return null;
+    }
+  };
+  const writeBase = (base) => {
+    try {
+      localStorage.setItem(syncKey(userId), JSON.stringify(base));
+    } catch (error) {
+      console.error('Error storing sync state:', error);
+    }
+  };
+
+  // Reads/writes the account the local data belongs to (null: nobody yet)
+  const readOwner = () => localStorage.getItem(OWNER_KEY);
+  const writeOwner = (owner) => {
+    if (owner) localStorage.setItem(OWNER_KEY, owner);
+    else localStorage.removeItem(OWNER_KEY);
+  };
+
+  // Schedules a sync after `delay` ms (replacing any scheduled one)
+  const schedule = (delay) => {
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => syncRef.current?.(), delay);
+  };
+
+  // One round trip: read remote, merge, re-read remote and write if unchanged, apply locally
+  const sync = async () => {
+    if (!userId || paused) return;
+    if (runningRef.current) {
+      againRef.current = true;
+      return;
+    }
+    if (!navigator.onLine) {
+      setStatus('offline');
+      return;
+    }
+
+    runningRef.current = true;
+    setStatus('syncing');
+
+    try {
+      const base = readBase();
+      const start = stateRef.current;
+      const owner = readOwner();
+      let remote = await loadSavedMoviesDocument(userId);
+      let merged;
+
+      // First sync of this account on this browser with titles that aren't
+      // its own: combined with the account's own titles only if the user says so
+      let local = start;
+      if (!base && owner !== userId && hasContent(start) && hasContent(remote?.data)) {
+        if (!choiceRef.current) {
+          setStatus('conflict');
+          return;
+        }
+        if (choiceRef.current === 'discard') local = EMPTY_STATE;
+      }
+      choiceRef.current = null;
+
+      for (let attempt = 1; ; attempt += 1) {
+        // Written by a newer version of the app: leave both copies as they are
+        if (remote && remote.version > version) {
+          setStatus('outdated');
+          return;
+        }
+
+        // No remote copy yet (first sign-in): upload what we have
+        merged = remote ? mergeState(base, local, remote.data) : local;
+        if (remote && same(merged, remote.data)) break;
+
+        // Write only if no other device wrote since the read; otherwise merge its version in
+        const latest = await loadSavedMoviesDocument(userId);
+        if (sameWrite(latest, remote)) {
+          await saveSavedMoviesDocument(userId, merged, version);
+          break;
+        }
+        if (attempt === MAX_MERGE_ATTEMPTS) throw new Error('Saved movies keep changing on another device');
+        remote = latest;
+      }
+      writeBase(merged);
+      writeOwner(userId);
+
+      // Apply the merged state, keeping any edits made while we were waiting
+      setState((current) => (same(current, start) ? merged : mergeState(start, current, merged)));
+      setStatus('synced');
+    } catch (error) {
+      console.error('Error syncing saved movies:', error);
+      setStatus(navigator.onLine ? 'error' : 'offline');
+      schedule(RETRY_DELAY);
+    } finally {
+      runningRef.current = false;
+      if (againRef.current) {
+        againRef.current = false;
+        schedule(0);
+      }
+    }
+  };
+  syncRef.current = sync;
+
+  // Answer to a 'conflict': sync again with the choice
+  const resolveConflict = (choice) => {
+    choiceRef.current = choice;
+    syncRef.current();
+  };
+
+  // Signed out (or the session expired): the local data and its base belonged
+  // to that account, so they go. (A base kept around would also make the empty
+  // list read as "everything removed" on the next sign-in.)
+  useEffect(() => {
+    const owner = readOwner();
+    if (!signedOut || !owner) return;
+
+    localStorage.removeItem(syncKey(owner));
+    writeOwner(null);
+    setState(EMPTY_STATE);
+  }, [signedOut]);
+
+  // Sign-in (or a different user, or the end of a pause): sync right away, and
+  // listen for the browser coming back online, the tab regaining focus and
+  // changes from other devices
+  useEffect(() => {
+    if (!userId) {
+      setStatus('off');
+      return undefined;
+    }
+    if (paused) {
+      setStatus('paused');
+      return undefined;
+    }
+
+    syncRef.current();
+
+    const handleOnline = () => syncRef.current();
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') syncRef.current();
+    };
+    window.addEventListener('online', handleOnline);
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    let unsubscribe = () => {};
+    try {
+      unsubscribe = subscribeToSavedMovies(userId, () => syncRef.current());
+    } catch (error) {
+      console.error('Error subscribing to saved movies:', error); // Realtime is optional
+    }
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      unsubscribe();
+      clearTimeout(timerRef.current);
+    };
+  }, [userId, paused]);
+
+  // Local change: sync shortly. Changes that merely applied a sync result equal the base.
+  useEffect(() => {
+    if (!userId || paused || same(state, readBase())) return;
+
+    if (navigator.onLine) schedule(SYNC_DELAY);
+    else setStatus('offline');
+  }, [state, userId]);
+
+  return { status, resolveConflict };
+};
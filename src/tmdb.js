@@ -0,0 +1,555 @@
+// Shared client for The Movie Database (TMDB) API.
+// Every component that talks to TMDB goes through this module, so the base URL,
+// auth header, response cache, retry policy and error types live in one place.
+
+// TV results are converted to the movie shape (see media.js)
+import { normalizeMedia, normalizeResults } from './media.js';
+
+// Base URL and API key (Vite exposes .env values through import.meta.env)
+const API_BASE_URL = 'https://api.themoviedb.org/3';
+const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
+
+// Options passed to every fetch() call
+const API_OPTIONS = {
+  method: 'GET',
+  headers: {
+    accept: 'application/json',
+    Authorization: `Bearer ${API_KEY}`, // Bearer token auth
+  },
+};
+
+// Cache lifetimes in milliseconds
+export const TTL = {
+  SHORT: 5 * 60 * 1000,       // 5 minutes: search and discover listings
+  LONG: 60 * 60 * 1000,       // 1 hour: individual movie details
+  DAY: 24 * 60 * 60 * 1000,   // 24 hours: rarely changing lists such as genres
+};
+
+// Prefix used for every sessionStorage key written by this module
+const CACHE_PREFIX = 'tmdb:';
+
+// TMDB always returns 20 results per listing page
+export const PAGE_SIZE = 20;
+
+// Most /search/movie pages searchMoviesFiltered() scans for one request
+const MAX_SCAN_PAGES = 15;
+
+// Language and region sent with every request, so titles, overviews and genre
+// names come back localized. Set from the UI language (see setTmdbLocale).
+let requestLocale = { language: 'en-US', region: 'US' };
+
+// Retry policy for 429 (rate limited) and 5xx responses
+const MAX_RETRIES = 3;
+const BASE_DELAY = 500; // First backoff delay; doubled on every attempt
+
+// ------------------------------
+// Error types
+// ------------------------------
+// The UI checks these with `instanceof` to show a matching message.
+
+// Base class for every error raised by this module
+export class TmdbError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'TmdbError';
+    this.status = status; // HTTP status code (undefined for network errors)
+  }
+}
+
+// 401: the API key is missing or invalid
+export class TmdbAuthError extends TmdbError {
+  constructor(message = 'TMDB rejected the API key', status = 401) {
+    super(message, status);
+    this.name = 'TmdbAuthError';
+  }
+}
+
+// 404: the requested movie/resource does not exist
+export class TmdbNotFoundError extends TmdbError {
+  constructor(message = 'The requested resource could not be found', status = 404) {
+    super(message, status);
+    this.name = 'TmdbNotFoundError';
+  }
+}
+
+// 429: still rate limited after all retries were used up
+export class TmdbRateLimitError extends TmdbError {
+  constructor(message = 'Too many requests to TMDB', retryAfter = 0) {
+    super(message, 429);
+    this.name = 'TmdbRateLimitError';
+    this.retryAfter = retryAfter; // Seconds TMDB asked us to wait
+  }
+}
+
+// No network connection (fetch itself failed and the service worker had no cached copy)
+export class TmdbOfflineError extends TmdbError {
+  constructor(message = 'You appear to be offline') {
+    super(message);
+    this.name = 'TmdbOfflineError';
+  }
+}
+
+// Returns true for errors caused by AbortController.abort(),
+// which callers should silently ignore (a newer request replaced them)
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// ------------------------------
+// Response cache
+// ------------------------------
+// Two levels: an in-memory Map for the current page load and sessionStorage so
+// that a reload or back-navigation within the same tab does not refetch.
+
+const memoryCache = new Map();
+
+const readCache = (key) => {
+  const now = Date.now();
+
+  const inMemory = memoryCache.get(key);
+  if (inMemory) {
+    if (inMemory.expires > now) return inMemory.data;
+    memoryCache.delete(key); // Expired
+  }
+
+  try {
+    const stored = sessionStorage.getItem(CACHE_PREFIX + key);
+    if (!stored) return undefined;
+
+    const entry = JSON.parse(stored);
+    if (entry.expires > now) {
+      memoryCache.set(key, entry); // Promote to memory for faster reads
+      return entry.data;
+    }
+    sessionStorage.removeItem(CACHE_PREFIX + key);
+  } catch {
+    // sessionStorage unavailable or corrupt entry: treat as a cache miss
+  }
+  return undefined;
+};
+
+const writeCache = (key, data, ttl) => {
+  const entry = { data, expires: Date.now() + ttl };
+  memoryCache.set(key, entry);
+
+  try {
+    sessionStorage.setItem(CACHE_PREFIX + key, JSON.stringify(entry));
+  } catch {
+    // Quota exceeded: drop our old entries and keep the in-memory copy only
+    clearCache({ memory: false });
+  }
+};
+
+// Removes cached responses (both levels by default)
+export const clearCache = ({ memory = true } = {}) => {
+  if (memory) memoryCache.clear();
+
+  try {
+    Object.keys(sessionStorage)
+      .filter((key) => key.startsWith(CACHE_PREFIX))
+      .forEach((key) => sessionStorage.removeItem(key));
+  } catch {
+    // Ignore: nothing we can clear
+  }
+};
+
+// ------------------------------
+// Request helpers
+// ------------------------------
+
+// Changes the language and region of later requests
+// - language: e.g. 'sv-SE'
+// - region: e.g. 'SE'
+// The cache is keyed by URL, which includes both, so responses in the previous
+// language are simply not reused.
+export const setTmdbLocale = ({ language, region }) => {
+  requestLocale = { language, region };
+};
+
+// Builds the full request URL with the current language and region
+// (params may override them); undefined/null/'' params are left out
+const buildUrl = (path, params = {}) => {
+  const search = new URLSearchParams();
+  Object.entries({ ...requestLocale, ...params })
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .sort(([a], [b]) => a.localeCompare(b)) // Stable order so cache keys match
+    .forEach(([key, value]) => search.append(key, value));
+
+  const query = search.toString();
+  return `${API_BASE_URL}${path}${query ? `?${query}` : ''}`;
+};
+
+// Promise-based delay that rejects early if the request is aborted
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    // The listener is removed once the delay is over, so a long-lived signal
+    // used for many retries doesn't collect them
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+// Reads TMDB's status_message from an error response, if there is one
+const readErrorMessage = async (response) => {
+  try {
+    const body = await response.json();
+    return body.status_message;
+  } catch {
+    return undefined;
+  }
+};
+
+// Converts a non-2xx response into the matching error type
+const toError = async (response) => {
+  const message = await readErrorMessage(response);
+
+  switch (response.status) {
+    case 401:
+      return new TmdbAuthError(message);
+    case 404:
+      return new TmdbNotFoundError(message);
+    case 429:
+      return new TmdbRateLimitError(message, Number(response.headers.get('Retry-After')) || 0);
+    default:
+      return new TmdbError(message || `TMDB request failed (${response.status})`, response.status);
+  }
+};
+
+// ------------------------------
+// Function: tmdbFetch
+// ------------------------------
+// GETs a TMDB path and returns the parsed JSON.
+// - params: query-string parameters
+// - signal: AbortSignal so callers can cancel superseded requests
+// - ttl: cache lifetime in ms (0 disables caching)
+export const tmdbFetch = async (path, { params, signal, ttl = TTL.SHORT } = {}) => {
+  const url = buildUrl(path, params);
+
+  if (ttl > 0) {
+    const cached = readCache(url);
+    if (cached !== undefined) return cached;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    // Requests are made even while the browser reports being offline:
+    // the service worker (public/sw.js) may answer from its cache
+    let response;
+    try {
+      response = await fetch(url, { ...API_OPTIONS, signal });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      throw new TmdbOfflineError(); // fetch only rejects on network failure
+    }
+
+    if (response.ok) {
+      const data = await response.json();
+      if (ttl > 0) writeCache(url, data, ttl);
+      return data;
+    }
+
+    // Retry rate limits and server errors with exponential backoff
+    const retryable = response.status === 429 || response.status >= 500;
+    if (!retryable || attempt >= MAX_RETRIES) {
+      throw await toError(response);
+    }
+
+    const retryAfter = Number(response.headers.get('Retry-After')) * 1000;
+    await wait(retryAfter || BASE_DELAY * 2 ** attempt, signal);
+  }
+};
+
+// ------------------------------
+// Endpoint helpers
+// ------------------------------
+
+// Text search over movie titles
+export const searchMovies = (query, page = 1, options) =>
+  tmdbFetch('/search/movie', { ...options, params: { query, page } });
+
+// Text search over movies ('movie'), series ('tv') or both ('all', via /search/multi).
+// Results are normalized to the movie shape with a media_type.
+export const searchMedia = async (query, page = 1, mediaType = 'movie', options) => {
+  const path = mediaType === 'all' ? '/search/multi' : `/search/${mediaType}`;
+  const data = await tmdbFetch(path, { ...options, params: { query, page } });
+  return normalizeResults(data, mediaType === 'all' ? undefined : mediaType);
+};
+
+// Title search narrowed to a release year (year may be empty)
+export const searchMoviesByYear = (query, year, options) =>
+  tmdbFetch('/search/movie', { ttl: TTL.LONG, ...options, params: { query, primary_release_year: year } });
+
+// Series version of searchMoviesByYear (year of the first air date), normalized to the movie shape
+export const searchTvByYear = async (query, year, options) => {
+  const data = await tmdbFetch('/search/tv', { ttl: TTL.LONG, ...options, params: { query, first_air_date_year: year } });
+  return normalizeResults(data, 'tv');
+};
+
+// Looks up a movie or series by its IMDb ID (e.g. 'tt0078748'); resolves to it
+// (normalized, with media_type) or null. IMDb IDs are unique across both, but
+// TMDB may list one ID under both, so `mediaType` says which one wins.
+export const findByImdbId = async (imdbId, mediaType = 'movie', options) => {
+  const data = await tmdbFetch(`/find/${imdbId}`, {
+    ttl: TTL.DAY,
+    ...options,
+    params: { external_source: 'imdb_id' },
+  });
+  const movie = data.movie_results?.[0] && normalizeMedia(data.movie_results[0], 'movie');
+  const series = data.tv_results?.[0] && normalizeMedia(data.tv_results[0], 'tv');
+  return (mediaType === 'tv' ? series || movie : movie || series) || null;
+};
+
+// Discover listing; `params` are passed straight to /discover/movie
+export const discoverMovies = (params = {}, options) =>
+  tmdbFetch('/discover/movie', {
+    ...options,
+    params: { sort_by: 'popularity.desc', page: 1, ...params },
+  });
+
+// Discover listing for series; `params` are passed straight to /discover/tv
+export const discoverTv = async (params = {}, options) => {
+  const data = await tmdbFetch('/discover/tv', {
+    ...options,
+    params: { sort_by: 'popularity.desc', page: 1, ...params },
+  });
+  return normalizeResults(data, 'tv');
+};
+
+// Movies and series in one listing: the same page of both discover listings,
+// interleaved by popularity
+export const discoverAll = async (movieParams, tvParams, options) => {
+  const [movies, series] = await Promise.all([
+    discoverMovies(movieParams, options),
+    discoverTv(tvParams, options),
+  ]);
+  return {
+    page: movies.page,
+    results: [...normalizeResults(movies, 'movie').results, ...series.results]
+      .sort((a, b) => b.popularity - a.popularity),
+    total_results: (movies.total_results || 0) + (series.total_results || 0),
+    total_pages: Math.max(movies.total_pages || 0, series.total_pages || 0),
+  };
+};
+
+// ------------------------------
+// Function: searchMediaFiltered
+// ------------------------------
+// TMDB search cannot filter by genre or rating, so this fetches search pages
+// ahead (each one cached) and filters them here until the requested page of
+// filtered results is full, TMDB runs out of pages, or MAX_SCAN_PAGES is hit.
+// - mediaType: 'movie' | 'tv' | 'all' (see searchMedia)
+// - matches: predicate deciding whether a search result passes the filters, or
+//   null when no filter is set (the page is then fetched as it is, with TMDB's
+//   own page count)
+// Returns the usual listing shape plus `total_pages_exact`, which is false when
+// more matches may exist beyond what was scanned.
+export const searchMediaFiltered = async (query, page = 1, mediaType = 'movie', matches = null, options) => {
+  if (!matches) {
+    const data = await searchMedia(query, page, mediaType, options);
+    return { ...data, total_pages_exact: true };
+  }
+
+  const wanted = page * PAGE_SIZE; // Matches needed to fill the requested page
+  const found = [];
+  let sourcePage = 1;
+  let sourceTotal = 1;
+
+  // Scan one match past the requested page so we know whether a next page exists
+  while (sourcePage <= sourceTotal && sourcePage <= MAX_SCAN_PAGES && found.length <= wanted) {
+    const data = await searchMedia(query, sourcePage, mediaType, options);
+    sourceTotal = data.total_pages || 0;
+    found.push(...(data.results || []).filter(matches));
+    sourcePage++;
+  }
+
+  const knownPages = Math.max(1, Math.ceil(found.length / PAGE_SIZE));
+
+  return {
+    page,
+    results: found.slice((page - 1) * PAGE_SIZE, wanted),
+    total_results: found.length,
+    total_pages: knownPages,
+    total_pages_exact: sourcePage > sourceTotal, // Every TMDB page was scanned
+  };
+};
+
+// Movie-only version of searchMediaFiltered
+export const searchMoviesFiltered = (query, page, matches, options) =>
+  searchMediaFiltered(query, page, 'movie', matches, options);
+
+// Full details for one movie
+export const getMovie = (id, options) =>
+  tmdbFetch(`/movie/${id}`, { ttl: TTL.LONG, ...options });
+
+// Extra data loaded with the movie in the same request (TMDB append_to_response)
+const MOVIE_DETAIL_APPEND = [
+  'credits',
+  'videos',
+  'recommendations',
+  'similar',
+  'keywords',
+  'release_dates',
+  'external_ids',
+  'watch/providers',
+].join(',');
+
+// Extra data loaded with a series (see MOVIE_DETAIL_APPEND)
+const TV_DETAIL_APPEND = 'credits,videos,recommendations,similar,keywords,content_ratings,external_ids,watch/providers';
+
+// Query parameters of the detail page requests. TMDB only returns videos in the
+// request language, so English and language-less ones are included too (most
+// trailers are in English).
+const detailParams = (mediaType) => ({
+  append_to_response: mediaType === 'tv' ? TV_DETAIL_APPEND : MOVIE_DETAIL_APPEND,
+  include_video_language: [...new Set([requestLocale.language.split('-')[0], 'en', 'null'])].join(','),
+});
+
+// Full details for the movie page: the movie plus credits, videos,
+// recommendations, similar titles, keywords, release dates, external IDs and
+// where to watch it (data['watch/providers'].results, keyed by country)
+export const getMovieDetails = (id, options) =>
+  tmdbFetch(`/movie/${id}`, {
+    params: detailParams('movie'),
+    ttl: TTL.LONG,
+    ...options,
+  });
+
+// People matching a name, most popular first
+export const searchPeople = (query, page = 1, options) =>
+  tmdbFetch('/search/person', { ...options, params: { query, page } });
+
+// One person with their movie credits (cast and crew) and external IDs appended
+export const getPerson = (id, options) =>
+  tmdbFetch(`/person/${id}`, {
+    params: { append_to_response: 'movie_credits,external_ids' },
+    ttl: TTL.LONG,
+    ...options,
+  });
+
+// Full details for one series, normalized to the movie shape, plus credits,
+// videos, recommendations, similar series, keywords, age ratings, external IDs
+// and where to watch it
+export const getTvDetails = async (id, options) => {
+  const data = await tmdbFetch(`/tv/${id}`, {
+    params: detailParams('tv'),
+    ttl: TTL.LONG,
+    ...options,
+  });
+  return normalizeMedia(data, 'tv');
+};
+
+// One season of a series with its episodes
+export const getTvSeason = (id, seasonNumber, options) =>
+  tmdbFetch(`/tv/${id}/season/${seasonNumber}`, { ttl: TTL.LONG, ...options });
+
+// Every country's release dates of a movie, by release type
+// ([{ iso_3166_1, release_dates: [{ type, release_date, certification }] }])
+export const getReleaseDates = async (id, options) => {
+  const data = await tmdbFetch(`/movie/${id}/release_dates`, { ttl: TTL.DAY, ...options });
+  return data.results || [];
+};
+
+// Movies in cinemas now in a country (TMDB's "now playing" list)
+export const getNowPlaying = async (region, options) => {
+  const data = await tmdbFetch('/movie/now_playing', { ...options, params: { region } });
+  return normalizeResults(data, 'movie').results;
+};
+
+// A collection (film series, e.g. "The Lord of the Rings Collection") with its
+// movies in `parts`, sorted by release date. Announced entries without a date
+// come last.
+export const getCollection = async (id, options) => {
+  const data = await tmdbFetch(`/collection/${id}`, { ttl: TTL.LONG, ...options });
+  const parts = normalizeResults({ results: data.parts }, 'movie').results
+    .sort((a, b) => (a.release_date || '9999').localeCompare(b.release_date || '9999'));
+  return { ...data, parts };
+};
+
+// The request getMovieDetails / getTvDetails send for a title, so a copy of the
+// response can be stored for offline use (saved titles, see offline.js)
+export const detailsRequest = (id, mediaType = 'movie') =>
+  new Request(
+    buildUrl(`/${mediaType}/${id}`, detailParams(mediaType)),
+    API_OPTIONS
+  );
+
+// Genres ({ id, name }) for movies, series, or both ('all', without duplicates;
+// most IDs are shared, a few like 10759 "Action & Adventure" are TV-only)
+export const getGenres = async (mediaType = 'movie', options) => {
+  if (mediaType === 'all') {
+    const [movieGenres, tvGenres] = await Promise.all([getGenres('movie', options), getGenres('tv', options)]);
+    const byId = new Map([...tvGenres, ...movieGenres].map((genre) => [genre.id, genre]));
+    return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+  const data = await tmdbFetch(`/genre/${mediaType}/list`, { ttl: TTL.DAY, ...options });
+  return data.genres || [];
+};
+
+// Languages TMDB knows about ({ iso_639_1, english_name, name })
+export const getLanguages = (options) =>
+  tmdbFetch('/configuration/languages', { ttl: TTL.DAY, ...options });
+
+// Movie age certifications per country:
+// { US: [{ certification, meaning, order }], SE: [...] }
+export const getCertifications = async (options) => {
+  const data = await tmdbFetch('/certification/movie/list', { ttl: TTL.DAY, ...options });
+  return data.certifications || {};
+};
+
+// Countries TMDB has watch provider data for ({ iso_3166_1, english_name, native_name })
+export const getWatchRegions = async (options) => {
+  const data = await tmdbFetch('/watch/providers/regions', { ttl: TTL.DAY, ...options });
+  return data.results || [];
+};
+
+// Streaming services and stores in a country, for movies and series together
+// ({ provider_id, provider_name, logo_path }), in TMDB's order of importance there
+export const getWatchProviders = async (region, options) => {
+  const [movie, tv] = await Promise.all(
+    ['movie', 'tv'].map((mediaType) =>
+      tmdbFetch(`/watch/providers/${mediaType}`, { ttl: TTL.DAY, ...options, params: { watch_region: region } })
+    )
+  );
+  const byId = new Map([...(tv.results || []), ...(movie.results || [])].map((p) => [p.provider_id, p]));
+  const priority = (provider) => provider.display_priorities?.[region] ?? provider.display_priority ?? 0;
+  return [...byId.values()].sort((a, b) => priority(a) - priority(b));
+};
+
+// Export as default as well (optional)
+export default {
+  tmdbFetch,
+  searchMovies,
+  searchMoviesFiltered,
+  searchMoviesByYear,
+  searchTvByYear,
+  findByImdbId,
+  discoverMovies,
+  getMovie,
+  getMovieDetails,
+  getTvDetails,
+  getTvSeason,
+  getCollection,
+  getReleaseDates,
+  getNowPlaying,
+  detailsRequest,
+  searchMedia,
+  searchMediaFiltered,
+  discoverTv,
+  discoverAll,
+  searchPeople,
+  getPerson,
+  getGenres,
+  getLanguages,
+  getCertifications,
+  getWatchRegions,
+  getWatchProviders,
+  clearCache,
+  setTmdbLocale,
+};
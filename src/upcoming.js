@@ -0,0 +1,248 @@
+// Upcoming releases: what comes out in a given month in the chosen country, the
+// unreleased movies the user follows, and exporting those as an iCalendar
+// (.ics) file for any calendar app.
+//
+// A movie's `release_date` on TMDB is its first release anywhere. The date in
+// a particular country comes from /movie/:id/release_dates, which lists each
+// country's releases by type; the calendar and the followed list use that.
+// Components share the followed list through FollowedReleasesContext.
+
+import { discoverMovies, getReleaseDates, isAbortError } from './tmdb.js';
+import { normalizeResults } from './media.js';
+
+// Kinds of release the calendar can show, with TMDB's release types
+// (1 premiere, 2 limited theatrical, 3 theatrical, 4 digital, 5 physical, 6 TV)
+export const RELEASE_KINDS = {
+  theatrical: { types: [2, 3], labelKey: 'upcoming.theatrical' },
+  digital: { types: [4], labelKey: 'upcoming.digital' },
+};
+
+export const DEFAULT_RELEASE_KIND = 'theatrical';
+
+// Discover pages loaded per month, most popular first (20 movies each)
+const MONTH_PAGES = 2;
+
+// localStorage key of the followed movies
+export const FOLLOWED_KEY = 'followedReleases';
+
+// ------------------------------
+// Dates
+// ------------------------------
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Date -> 'YYYY-MM-DD' in the user's time zone
+export const isoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// 'YYYY-MM-DD' -> Date at local midnight (new Date('2026-11-05') would be UTC
+// midnight, which is the day before in the Americas)
+export const localDate = (iso) => {
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// 'YYYY-MM-DD' moved by a number of days
+const addDays = (iso, days) => {
+  const date = localDate(iso);
+  date.setDate(date.getDate() + days);
+  return isoDate(date);
+};
+
+// The month containing a date, as 'YYYY-MM'
+export const monthOf = (date = new Date()) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+// Is this a 'YYYY-MM' month?
+export const isMonth = (value) => /^\d{4}-(0[1-9]|1[0-2])$/.test(value || '');
+
+// 'YYYY-MM' moved by a number of months
+export const addMonths = (month, count) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return monthOf(new Date(year, monthNumber - 1 + count, 1));
+};
+
+// First and last day of a month: { first: '2026-11-01', last: '2026-11-30' }
+export const monthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return { first: `${month}-01`, last: isoDate(new Date(year, monthNumber, 0)) };
+};
+
+// The month as weeks of seven days for a calendar grid. Days outside the month
+// are null. `firstDay` is the first day of the week (1 = Monday ... 7 = Sunday).
+export const monthGrid = (month, firstDay = 1) => {
+  const { first, last } = monthRange(month);
+  const offset = (localDate(first).getDay() - (firstDay % 7) + 7) % 7; // getDay(): 0 = Sunday
+  const days = Number(last.slice(8));
+
+  const cells = [
+    ...Array(offset).fill(null),
+    ...Array.from({ length: days }, (_, index) => `${month}-${pad(index + 1)}`),
+  ];
+  while (cells.length % 7) cells.push(null);
+
+  return Array.from({ length: cells.length / 7 }, (_, week) => cells.slice(week * 7, week * 7 + 7));
+};
+
+// ------------------------------
+// Release dates
+// ------------------------------
+
+// Earliest release of the given types in a country ('YYYY-MM-DD'), or ''
+// - releaseDates: the results of /movie/:id/release_dates (also appended to the movie details)
+export const regionalReleaseDate = (releaseDates = [], region, types) =>
+  (releaseDates.find((entry) => entry.iso_3166_1 === region)?.release_dates || [])
+    .filter((release) => types.includes(release.type))
+    .map((release) => release.release_date.slice(0, 10))
+    .sort()[0] || '';
+
+// The date a followed movie is expected in a country: its release of the
+// preferred kind, otherwise of another kind, otherwise `fallback` (usually its
+// first release anywhere)
+export const followedReleaseDate = (releaseDates, region, { kind = DEFAULT_RELEASE_KIND, fallback = '' } = {}) =>
+  [kind, ...Object.keys(RELEASE_KINDS).filter((other) => other !== kind)]
+    .map((key) => regionalReleaseDate(releaseDates, region, RELEASE_KINDS[key].types))
+    .find(Boolean) || fallback;
+
+// Movies released in a country during a month: [{ movie, date }] by date, the
+// more popular first on the same day.
+// - kind: a RELEASE_KINDS key
+export const loadMonthReleases = async ({ month, region, kind }, { signal } = {}) => {
+  const { first, last } = monthRange(month);
+  const { types } = RELEASE_KINDS[kind];
+  const params = {
+    region,
+    'release_date.gte': first,
+    'release_date.lte': last,
+    with_release_type: types.join('|'), // "|" means any of them
+  };
+
+  // First page, then the rest that exist
+  const firstPage = await discoverMovies(params, { signal });
+  const morePages = await Promise.all(
+    Array.from({ length: Math.min(firstPage.total_pages || 1, MONTH_PAGES) - 1 }, (_, index) =>
+      discoverMovies({ ...params, page: index + 2 }, { signal })
+    )
+  );
+  const movies = [
+    ...new Map(
+      [firstPage, ...morePages]
+        .flatMap((data) => normalizeResults(data, 'movie').results)
+        .map((movie) => [movie.id, movie])
+    ).values(),
+  ];
+
+  // Discover matches a movie when any of its releases in the country falls in
+  // the month; the exact day comes from its release dates
+  const dated = await Promise.all(
+    movies.map(async (movie) => ({
+      movie,
+      date: regionalReleaseDate(await getReleaseDates(movie.id, { signal }), region, types),
+    }))
+  );
+
+  return dated
+    .filter(({ date }) => date >= first && date <= last)
+    .sort((a, b) => a.date.localeCompare(b.date) || b.movie.popularity - a.movie.popularity);
+};
+
+// ------------------------------
+// Followed movies
+// ------------------------------
+
+// Reads the followed movies: [{ id, title, poster_path, releaseDate, region, kind }]
+// (releaseDate is '' while there is none; kind is the RELEASE_KINDS key followed)
+export const loadFollowed = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FOLLOWED_KEY));
+    return Array.isArray(stored) ? stored.filter((movie) => Number.isInteger(movie?.id)) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Looks up the current release dates of followed movies in a country, since
+// dates move and the user may have picked another country: { [id]: releaseDate }.
+// A movie whose dates can't be loaded keeps the one it has.
+export const refreshFollowedDates = async (followed, region, { signal } = {}) => {
+  const entries = await Promise.all(
+    followed.map(async (movie) => {
+      try {
+        const releaseDates = await getReleaseDates(movie.id, { signal });
+        return [movie.id, followedReleaseDate(releaseDates, region, { kind: movie.kind, fallback: movie.releaseDate })];
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        return null;
+      }
+    })
+  );
+  return Object.fromEntries(entries.filter(Boolean));
+};
+
+// ------------------------------
+// iCalendar export
+// ------------------------------
+
+// Escapes text for an iCalendar value (RFC 5545 3.3.11)
+const icsText = (text) =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines may be at most 75 bytes; longer ones continue on lines starting with a
+// space (RFC 5545 3.1). Counted in UTF-8 bytes so "å" and emoji aren't split.
+const encoder = new TextEncoder();
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+// 'YYYY-MM-DD' -> 'YYYYMMDD'
+const icsDate = (iso) => iso.replace(/-/g, '');
+
+// An iCalendar file with one all-day event per entry.
+// - events: [{ uid, date: 'YYYY-MM-DD', summary, description?, url? }]. A stable
+//   uid lets calendar apps update an event on a later import instead of
+//   adding it twice.
+// - name: calendar name shown by apps that support it
+export const buildIcs = (events, { name } = {}) => {
+  // Creation time in UTC, e.g. 20261019T120000Z
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TV Time//Upcoming releases//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name && `X-WR-CALNAME:${icsText(name)}`,
+    ...events.flatMap((event) => [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(event.date, 1))}`, // All-day events end the next day
+      `SUMMARY:${icsText(event.summary)}`,
+      event.description && `DESCRIPTION:${icsText(event.description)}`,
+      event.url && `URL:${event.url}`,
+      'TRANSP:TRANSPARENT', // Doesn't make the day show as busy
+      'END:VEVENT',
+    ]),
+    'END:VCALENDAR',
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
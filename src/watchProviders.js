@@ -0,0 +1,64 @@
+// Where to watch: TMDB's watch provider data (supplied by JustWatch) and the
+// user's preferences for it: the country to show availability for, and "my
+// services", the streaming services they have. The preferences are remembered
+// in localStorage and used by the detail pages, the Account page and the
+// "only on my services" discover filter. Components share one copy of them
+// through WatchPreferencesContext.
+
+// The UI language's country is the default watch region
+import { LOCALES, loadLocale } from './i18n/index.js';
+
+// localStorage key holding { region, services }
+export const WATCH_PREFERENCES_KEY = 'watchPreferences';
+
+// Kinds of availability TMDB reports, in the order they are shown, with the
+// message keys of their headings
+export const MONETIZATION_TYPES = [
+  { key: 'flatrate', labelKey: 'providers.stream' },
+  { key: 'free', labelKey: 'providers.free' },
+  { key: 'ads', labelKey: 'providers.ads' },
+  { key: 'rent', labelKey: 'providers.rent' },
+  { key: 'buy', labelKey: 'providers.buy' },
+];
+
+// What counts as "on my services" for the discover filter: included in a
+// subscription, or free (with or without ads); renting or buying doesn't
+export const SERVICE_MONETIZATION_TYPES = ['flatrate', 'free', 'ads'];
+
+// Provider logo at thumbnail size
+export const providerLogoUrl = (path) => `https://image.tmdb.org/t/p/w92${path}`;
+
+// Reads the preferences; the country defaults to the UI language's
+// ({ region: 'SE', services: [8, 337] })
+export const loadWatchPreferences = () => {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(WATCH_PREFERENCES_KEY)) || {};
+  } catch {
+    // Unreadable: start from the defaults
+  }
+  return {
+    region: typeof stored.region === 'string' && stored.region ? stored.region : LOCALES[loadLocale()].region,
+    services: Array.isArray(stored.services) ? stored.services.filter(Number.isInteger) : [],
+  };
+};
+
+// Remembers the preferences
+export const saveWatchPreferences = (preferences) => {
+  try {
+    localStorage.setItem(WATCH_PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch {
+    // Storage full or disabled: the preferences last until the page is closed
+  }
+};
+
+// /discover parameters limiting results to the user's services in their
+// country; none when no services are chosen
+export const servicesDiscoverParams = ({ region, services }) =>
+  services.length > 0
+    ? {
+        watch_region: region,
+        with_watch_providers: services.join('|'), // "|" means any of them
+        with_watch_monetization_types: SERVICE_MONETIZATION_TYPES.join('|'),
+      }
+    : {};